@@ -0,0 +1,127 @@
+// archive.js - chat export/import archives
+// - A zip with chat.json (structured export), transcript.txt (readable copy) and the
+//   attachment files under attachments/
+// - readArchive() checks the format and unpacked size before anything is extracted; the
+//   sizes the zip claims aren't trusted, inflating stops once the limit is reached
+
+'use strict';
+
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+
+const FORMAT = 'mirror-chat-export';
+const VERSION = 1;
+const MANIFEST = 'chat.json';
+const TRANSCRIPT = 'transcript.txt';
+
+// manifest: { exportedAt, exportedBy, chat, members, messages } (see server.js export route)
+// files: [{ entryName, path }] attachment files to bundle
+function createArchive(manifest, files) {
+  const zip = new AdmZip();
+  const doc = Object.assign({ format: FORMAT, version: VERSION }, manifest);
+  zip.addFile(MANIFEST, Buffer.from(JSON.stringify(doc, null, 2)));
+  zip.addFile(TRANSCRIPT, Buffer.from(transcript(doc)));
+  files.forEach(file => zip.addLocalFile(file.path, '', file.entryName));
+  return zip.toBuffer();
+}
+
+// "YYYY-MM-DD HH:MM" in UTC
+function stamp(iso) {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 16).replace('T', ' ');
+}
+
+function transcript(doc) {
+  const byId = {};
+  doc.messages.forEach(m => { byId[m.id] = m; });
+  const lines = [
+    `Mirror chat export: ${doc.chat.name}`,
+    `Exported ${stamp(doc.exportedAt)} UTC by ${doc.exportedBy.name}`,
+    `Members: ${doc.members.map(m => m.name).join(', ')}`,
+    'Times are UTC.',
+    ''
+  ];
+  doc.messages.forEach(m => {
+    if (m.system) return lines.push(`[${stamp(m.createdAt)}] -- ${m.text} --`);
+    let author = m.senderName || 'Unknown';
+    const original = m.replyTo && byId[m.replyTo];
+    if (original) author += ` (replying to ${original.senderName || 'Unknown'})`;
+    if (m.editedAt) author += ' (edited)';
+    const parts = [];
+    if (m.attachment) parts.push(`<attachment: ${m.attachment.fileName}${m.attachment.path ? '' : ' (not included)'}>`);
+    if (m.text) parts.push(m.text);
+    lines.push(`[${stamp(m.createdAt)}] ${author}: ${parts.join(' ')}`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Opens an uploaded archive. Throws an Error with a user-facing message when it isn't
+// a Mirror export or would unpack to more than maxBytes.
+function readArchive(filePath, { maxBytes }) {
+  let zip;
+  try {
+    zip = new AdmZip(filePath);
+  } catch (err) {
+    throw new Error('Not a zip archive');
+  }
+  const claimed = zip.getEntries().reduce((sum, entry) => sum + entry.header.size, 0);
+  if (claimed > maxBytes) throw new Error('Archive is too large');
+
+  // Bytes left of maxBytes for everything read out of the archive
+  let budget = maxBytes;
+  function read(entry) {
+    const data = inflate(entry, budget);
+    budget -= data.length;
+    return data;
+  }
+
+  const entry = zip.getEntry(MANIFEST);
+  let manifest;
+  try {
+    manifest = entry && JSON.parse(read(entry).toString('utf8'));
+  } catch (err) {
+    if (err.tooLarge) throw err;
+    manifest = null;
+  }
+  if (!manifest || manifest.format !== FORMAT || !Array.isArray(manifest.messages)) {
+    throw new Error('Not a Mirror chat export');
+  }
+  if (manifest.version !== VERSION) throw new Error('Unsupported export version ' + manifest.version);
+
+  return {
+    manifest,
+    // null for a missing, damaged or (with what was read before) oversized entry
+    readFile(entryName) {
+      const file = typeof entryName === 'string' && zip.getEntry(entryName);
+      if (!file || file.isDirectory) return null;
+      try {
+        return read(file);
+      } catch (err) {
+        return null;
+      }
+    }
+  };
+}
+
+// An entry's contents, refusing to produce more than `limit` bytes whatever its header says
+function inflate(entry, limit) {
+  if (entry.header.encrypted) throw new Error('Encrypted entries are not supported');
+  const raw = entry.getCompressedData();
+  let data;
+  if (entry.header.method === 0) {
+    data = raw;
+  } else if (entry.header.method === 8) {
+    try {
+      data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, limit) });
+    } catch (err) {
+      if (err.code !== 'ERR_BUFFER_TOO_LARGE') throw new Error('Archive is damaged');
+      data = null;
+    }
+  } else {
+    throw new Error('Unsupported compression method');
+  }
+  if (!data || data.length > limit) throw Object.assign(new Error('Archive is too large'), { tooLarge: true });
+  return data;
+}
+
+module.exports = { createArchive, readArchive };
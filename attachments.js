@@ -0,0 +1,142 @@
+// attachments.js - upload limits, content sniffing and thumbnails for chat attachments
+// - Limits come from the environment: UPLOAD_MAX_MB, UPLOAD_ALLOWED_TYPES, USER_QUOTA_MB,
+//   IMPORT_MAX_MB (unpacked size of an imported chat archive)
+// - The file type is read from the file's first bytes; the client's mimetype is only a hint
+// - Images get a small JPEG thumbnail (via sharp) next to the original
+// - Profile pictures are cropped square and stored in two sizes (AVATAR_SIZES)
+
+'use strict';
+
+const fs = require('fs');
+const sharp = require('sharp');
+
+const MB = 1024 * 1024;
+const DEFAULT_ALLOWED_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'audio/*', 'video/mp4', 'video/webm',
+  'application/pdf', 'application/zip', 'text/plain',
+  'application/vnd.openxmlformats-officedocument.*'
+];
+const THUMB_SIZE = 320;
+// small: chat list, contacts and requests; large: profile and contact info
+const AVATAR_SIZES = { small: 96, large: 512 };
+const AVATAR_MAX_BYTES = 10 * MB;
+const SNIFF_BYTES = 4096;
+
+function numberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const limits = {
+  maxFileBytes: Math.round(numberEnv('UPLOAD_MAX_MB', 25) * MB),
+  quotaBytes: Math.round(numberEnv('USER_QUOTA_MB', 500) * MB),
+  importMaxBytes: Math.round(numberEnv('IMPORT_MAX_MB', 200) * MB),
+  allowedTypes: process.env.UPLOAD_ALLOWED_TYPES
+    ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map(t => t.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES
+};
+
+// "image/*" and "application/vnd.foo.*" style patterns match by prefix
+function isAllowedType(mime) {
+  return limits.allowedTypes.some(pattern => pattern.endsWith('*')
+    ? mime.startsWith(pattern.slice(0, -1))
+    : mime === pattern);
+}
+
+const OOXML_TYPES = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+function startsWith(buf, bytes, offset = 0) {
+  return buf.length >= offset + bytes.length && bytes.every((b, i) => buf[offset + i] === b);
+}
+function ascii(buf, start, end) {
+  return buf.toString('latin1', start, end);
+}
+
+// Identify a file from its first bytes. `hint` ({ mimetype, ext }) only settles
+// containers that look the same on disk (audio vs video WebM/MP4, Office files vs zip).
+// Returns { mime, ext } or null for anything unrecognised.
+function sniff(buf, hint = {}) {
+  if (startsWith(buf, [0xff, 0xd8, 0xff])) return { mime: 'image/jpeg', ext: '.jpg' };
+  if (startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return { mime: 'image/png', ext: '.png' };
+  if (ascii(buf, 0, 6) === 'GIF87a' || ascii(buf, 0, 6) === 'GIF89a') return { mime: 'image/gif', ext: '.gif' };
+  if (ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 12) === 'WEBP') return { mime: 'image/webp', ext: '.webp' };
+  if (ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 12) === 'WAVE') return { mime: 'audio/wav', ext: '.wav' };
+  if (ascii(buf, 0, 5) === '%PDF-') return { mime: 'application/pdf', ext: '.pdf' };
+  if (ascii(buf, 0, 4) === 'OggS') return { mime: 'audio/ogg', ext: '.ogg' };
+  if (ascii(buf, 0, 3) === 'ID3' || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) return { mime: 'audio/mpeg', ext: '.mp3' };
+  if (startsWith(buf, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return /^audio\//.test(hint.mimetype || '') ? { mime: 'audio/webm', ext: '.webm' } : { mime: 'video/webm', ext: '.webm' };
+  }
+  if (ascii(buf, 4, 8) === 'ftyp') {
+    // Recorded audio (Safari's MediaRecorder) carries a generic brand, so the hint decides
+    return ascii(buf, 8, 11) === 'M4A' || /^audio\//.test(hint.mimetype || '')
+      ? { mime: 'audio/mp4', ext: '.m4a' }
+      : { mime: 'video/mp4', ext: '.mp4' };
+  }
+  if (startsWith(buf, [0x50, 0x4b, 0x03, 0x04])) {
+    const ext = (hint.ext || '').toLowerCase();
+    return OOXML_TYPES[ext] ? { mime: OOXML_TYPES[ext], ext } : { mime: 'application/zip', ext: '.zip' };
+  }
+  if (isText(buf)) return { mime: 'text/plain', ext: '.txt' };
+  return null;
+}
+
+// Plain text: valid UTF-8 without NUL bytes. The sample may cut a character in half.
+function isText(buf) {
+  if (buf.length === 0 || buf.includes(0)) return false;
+  const decoded = buf.toString('utf8');
+  const bad = decoded.split('\uFFFD').length - 1;
+  return bad === 0 || (bad === 1 && decoded.endsWith('\uFFFD'));
+}
+
+function sniffFile(filePath, hint) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(SNIFF_BYTES);
+    const read = fs.readSync(fd, buf, 0, SNIFF_BYTES, 0);
+    return sniff(buf.subarray(0, read), hint);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Writes a JPEG thumbnail (at most THUMB_SIZE on each side, EXIF rotation applied)
+// and resolves to the original image's { width, height }
+async function makeThumbnail(srcPath, destPath) {
+  const image = sharp(srcPath, { failOn: 'error' });
+  const meta = await image.metadata();
+  await image.rotate()
+    .resize(THUMB_SIZE, THUMB_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 75 })
+    .toFile(destPath);
+  const rotated = meta.orientation >= 5;
+  return { width: rotated ? meta.height : meta.width, height: rotated ? meta.width : meta.height };
+}
+
+// Writes `${destPrefix}-<size>.jpg` for every AVATAR_SIZES entry: the centre square of the
+// image (after EXIF rotation), scaled down to that size
+async function makeAvatar(src, destPrefix) {
+  const source = await sharp(src, { failOn: 'error' }).rotate().toBuffer();
+  await Promise.all(Object.entries(AVATAR_SIZES).map(([name, size]) => sharp(source)
+    .resize(size, size, { fit: 'cover', position: 'centre' })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 82 })
+    .toFile(`${destPrefix}-${name}.jpg`)));
+}
+
+module.exports = {
+  limits,
+  isAllowedType,
+  sniff,
+  sniffFile,
+  makeThumbnail,
+  makeAvatar,
+  AVATAR_SIZES,
+  AVATAR_MAX_BYTES
+};
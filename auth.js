@@ -0,0 +1,61 @@
+// auth.js - password hashing and session helpers
+// - Passwords are stored as "scrypt$<salt>$<hash>" (hex), never in plain text
+// - requireUser() guards /api routes: the session must carry a userId that still exists
+// - SessionStore keeps express-session's sessions in the app store instead of in memory
+
+'use strict';
+
+const crypto = require('crypto');
+const session = require('express-session');
+
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  if (!stored || typeof password !== 'string') return false;
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function requireUser(store) {
+  return (req, res, next) => {
+    const userId = req.session?.userId;
+    const user = userId && store.getUser(userId);
+    if (!user) return res.status(401).json({ error: 'Not logged in' });
+    req.userId = user.id;
+    req.user = user;
+    next();
+  };
+}
+
+// No touch(): sessions aren't rolling, so a session ends when the cookie set at login does
+class SessionStore extends session.Store {
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  get(sessionId, callback) {
+    callback(null, this.store.getSession(sessionId));
+  }
+
+  set(sessionId, data, callback) {
+    this.store.setSession(sessionId, data);
+    if (callback) callback(null);
+  }
+
+  destroy(sessionId, callback) {
+    this.store.removeSession(sessionId);
+    if (callback) callback(null);
+  }
+}
+
+module.exports = { hashPassword, verifyPassword, requireUser, SessionStore };
@@ -0,0 +1,229 @@
+// linkpreview.js - link preview cards (title, description, image) for URLs in messages
+// - Pages are fetched server-side with short timeouts and size caps; results (including
+//   failures) are cached in memory per URL for a day
+// - Only public http(s) hosts are contacted: every resolved address is checked, so
+//   private, loopback and link-local targets are refused even after a redirect or when
+//   DNS changes between requests
+// - The preview image is downloaded once and stored as a small JPEG next to the uploads
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { makeThumbnail } = require('./attachments');
+
+const TIMEOUT_MS = 5000;
+const MAX_HTML_BYTES = 512 * 1024;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+const MAX_TITLE = 200;
+const MAX_DESCRIPTION = 300;
+const USER_AGENT = 'MirrorLinkPreview/1.0';
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"]+|\bwww\.[^\s<>"]+/i;
+
+// The first link in a message, normalised to an absolute URL (same rules as the client's
+// auto-linking: trailing punctuation is not part of the link)
+function firstUrl(text) {
+  const match = typeof text === 'string' && text.match(URL_PATTERN);
+  if (!match) return null;
+  let url = match[0].replace(/[.,;:!?'"]+$/, '');
+  if (url.endsWith(')') && !url.includes('(')) url = url.slice(0, -1);
+  if (!/^https?:\/\//i.test(url)) url = 'http://' + url;
+  try {
+    return new URL(url).href;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Addresses a preview must never reach: private, loopback, link-local, CGNAT,
+// multicast, reserved and their IPv6 equivalents (including IPv4-mapped ones)
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96], ['2001:db8::', 32]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return !!family && !blockList.check(address, family);
+}
+
+// dns.lookup that fails for non-public addresses; used as the socket's lookup so the
+// address that is checked is the one that gets connected to
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.length === 0 || !addresses.every(a => isPublicAddress(a.address))) {
+      const blocked = new Error('Refusing to fetch from a private address');
+      blocked.code = 'EBLOCKED';
+      return callback(blocked);
+    }
+    callback(null, address, family);
+  });
+}
+
+function checkTarget(url) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('Unsupported protocol');
+  if (url.username || url.password) throw new Error('Credentials in URL');
+  if (url.port && url.port !== '80' && url.port !== '443') throw new Error('Unsupported port');
+  // Literal IPs skip DNS, so check them here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) throw new Error('Refusing to fetch from a private address');
+}
+
+// GET a URL, following up to MAX_REDIRECTS redirects (each one checked again). Resolves
+// to { url, contentType, body } with at most maxBytes of the body.
+function fetchLimited(href, { accept, maxBytes }, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    let url;
+    try {
+      url = new URL(href);
+      checkTarget(url);
+    } catch (err) {
+      return reject(err);
+    }
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup: guardedLookup,
+      timeout: TIMEOUT_MS,
+      headers: { 'User-Agent': USER_AGENT, Accept: accept, 'Accept-Language': 'en' }
+    }, res => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) return reject(new Error('Too many redirects'));
+        const next = new URL(res.headers.location, url).href;
+        return resolve(fetchLimited(next, { accept, maxBytes }, redirects + 1));
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error('HTTP ' + res.statusCode));
+      }
+      const chunks = [];
+      let size = 0;
+      res.on('data', chunk => {
+        size += chunk.length;
+        chunks.push(chunk);
+        // Enough to read the <head>; the rest of the page isn't needed
+        if (size >= maxBytes) res.destroy();
+      });
+      res.on('close', () => resolve({
+        url: url.href,
+        contentType: String(res.headers['content-type'] || ''),
+        body: Buffer.concat(chunks).subarray(0, maxBytes),
+        truncated: size > maxBytes
+      }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error('Timed out')));
+    req.on('error', reject);
+  });
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (all, code) => {
+    if (code[0] === '#') {
+      const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : all;
+    }
+    return ENTITIES[code.toLowerCase()] ?? all;
+  });
+}
+
+function clean(text, max) {
+  if (!text) return '';
+  const value = decodeEntities(text).replace(/\s+/g, ' ').trim();
+  return value.length > max ? value.slice(0, max - 1) + '…' : value;
+}
+
+// Pull Open Graph / Twitter card / plain HTML metadata out of a page's head
+function parseMetadata(html) {
+  const meta = {};
+  (html.match(/<meta\b[^>]*>/gi) || []).forEach(tag => {
+    const attr = name => {
+      const m = tag.match(new RegExp('\\b' + name + '\\s*=\\s*("([^"]*)"|\'([^\']*)\'|([^\\s>]+))', 'i'));
+      return m ? (m[2] ?? m[3] ?? m[4]) : null;
+    };
+    const key = (attr('property') || attr('name') || '').toLowerCase();
+    const content = attr('content');
+    if (key && content != null && meta[key] === undefined) meta[key] = content;
+  });
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return {
+    title: meta['og:title'] || meta['twitter:title'] || (title ? title[1] : ''),
+    description: meta['og:description'] || meta['twitter:description'] || meta.description || '',
+    siteName: meta['og:site_name'] || '',
+    image: meta['og:image:secure_url'] || meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || ''
+  };
+}
+
+function createLinkPreviews({ imageDir }) {
+  const cache = new Map(); // url -> { at, promise }
+
+  // Downloads the page's image and stores a thumbnail; resolves to its file name or null
+  async function storeImage(imageUrl) {
+    const name = 'preview-' + crypto.createHash('sha256').update(imageUrl).digest('hex').slice(0, 32) + '.jpg';
+    const dest = path.join(imageDir, name);
+    if (fs.existsSync(dest)) return name;
+    const res = await fetchLimited(imageUrl, { accept: 'image/*', maxBytes: MAX_IMAGE_BYTES + 1 });
+    if (!/^image\//i.test(res.contentType) || res.truncated) return null;
+    await makeThumbnail(res.body, dest);
+    return name;
+  }
+
+  async function load(url) {
+    const page = await fetchLimited(url, { accept: 'text/html,application/xhtml+xml', maxBytes: MAX_HTML_BYTES });
+    if (!/^(text\/html|application\/xhtml\+xml)/i.test(page.contentType)) return null;
+    const meta = parseMetadata(page.body.toString('utf8'));
+    const title = clean(meta.title, MAX_TITLE);
+    if (!title) return null;
+    let image = null;
+    if (meta.image) {
+      try {
+        image = await storeImage(new URL(decodeEntities(meta.image), page.url).href);
+      } catch (err) {
+        image = null; // a card without a picture is still useful
+      }
+    }
+    return {
+      url,
+      title,
+      description: clean(meta.description, MAX_DESCRIPTION),
+      siteName: clean(meta.siteName, MAX_TITLE) || new URL(page.url).hostname.replace(/^www\./, ''),
+      image
+    };
+  }
+
+  // Resolves to { url, title, description, siteName, image } or null when the page has
+  // nothing to show (or can't be fetched). image is a stored file name or null.
+  function get(url) {
+    const hit = cache.get(url);
+    if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.promise;
+    const promise = load(url).catch(() => null);
+    cache.delete(url);
+    cache.set(url, { at: Date.now(), promise });
+    // Map keeps insertion order, so the first key is the oldest entry
+    if (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+    return promise;
+  }
+
+  return { get };
+}
+
+module.exports = { createLinkPreviews, firstUrl, isPublicAddress, parseMetadata };
@@ -1,214 +1,447 @@
 // app.js - client-side logic (expanded for mock 6-digit user IDs, search & friend flow)
+// Live updates arrive over a WebSocket (/ws); see connectRealtime() below.
+// Works offline from an IndexedDB cache; outgoing messages wait in an outbox (see the offline section).
 
 let appData = {
   user: null,
   contacts: [],
   chats: [],
-  currentChatId: null
+  friendRequests: { incoming: [], outgoing: [] },
+  lastSearch: null, // { user, relationship } from the 6-digit ID search
+  currentChatId: null,
+  uploadLimits: null, // { maxFileBytes, allowedTypes } from /api/init
+  offline: false, // true while the server can't be reached
+  scheduled: [], // our pending scheduled messages, soonest first
+  showArchived: false // the sidebar lists the archived chats instead of the others
 };
 
-// In-page mock data structures for the 6-digit user system
-let mockUsers = {};
-const mockState = {
-  friendships: new Set(), // keys as "A-B" where A,B are user ids
-  requests: []              // { from: id, to: id, status: 'pending'|'accepted' }
-};
-
-// Simple helper to generate a chat id
-function generateChatId() {
-  const base = (appData.chats?.length || 0) + 1;
-  return 'c' + (1000 + base + Math.floor(Math.random() * 900)).toString().slice(-4);
-}
-function relationKey(a,b){
-  return [a,b].sort().join('-');
+// Temporary id used to match an optimistic message with the server's copy
+function generateClientId() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return 'tmp-' + Date.now() + '-' + Math.floor(Math.random() * 1e9);
 }
 function currentUserId(){
   return appData.user?.id || '100001';
 }
-function isFriendWith(targetId){
-  return mockState.friendships.has(relationKey(currentUserId(), targetId));
+function initialsOf(name){
+  return (name || '').split(' ').map(n => n[0] || '').join('').toUpperCase().slice(0,2);
 }
-function isPendingWith(targetId){
-  const me = currentUserId();
-  return mockState.requests.some(r => 
-    ((r.from===me && r.to===targetId) || (r.from===targetId && r.to===me)) && r.status==='pending'
-  );
+// What goes inside an avatar circle: the person's picture (avatar.small or .large, as
+// the server sends it when we may see it) or their initials
+function avatarInner(person, size = 'small'){
+  const url = person?.avatar?.[size];
+  return url ? `<img src="${escapeHtml(url)}" alt="">` : escapeHtml(initialsOf(person?.name || person?.id));
+}
+// Direct chats show the other person's picture; groups their initials
+function chatAvatarInner(chat){
+  return chat.kind === 'direct' ? avatarInner(directPartner(chat) || { name: chat.name }) : escapeHtml(initialsOf(chat.name));
 }
 
-// Initialize mock dataset (called on init fallback)
-function initMockData() {
-  // Create mock users (6-digit IDs)
-  mockUsers = {
-    "100001": { id:"100001", name:"You" },
-    "200001": { id:"200001", name:"Alex Chen" },
-    "200002": { id:"200002", name:"Priya Patel" },
-    "300001": { id:"300001", name:"Luis Martinez" },
-    "300002": { id:"300002", name:"Emma Rossi" },
-  };
-  // Set the current user
-  appData.user = mockUsers["100001"];
-  appData.chats = []; // start with no chats
-  mockState.friendships.clear();
-  mockState.requests = [];
-  console.log("Mirror: Mock data initialized");
+// Small fetch wrapper for JSON APIs; throws with the server's error message
+async function apiRequest(url, options = {}){
+  const opts = Object.assign({}, options);
+  if (opts.body !== undefined && typeof opts.body !== 'string' && !(opts.body instanceof FormData)) {
+    opts.headers = Object.assign({'Content-Type': 'application/json'}, opts.headers);
+    opts.body = JSON.stringify(opts.body);
+  }
+  let res;
+  try {
+    res = await fetch(url, opts);
+  } catch (err) {
+    throw offlineError();
+  }
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(json.error || ('Request failed (' + res.status + ')'));
+    err.status = res.status;
+    err.data = json;
+    throw err;
+  }
+  return json;
 }
 
+// The request never reached the server (as opposed to the server refusing it)
+function offlineError(){
+  const err = new Error('Could not reach the server');
+  err.offline = true;
+  return err;
+}
+
+// --- Friends (6-digit ID search and friend requests, backed by the server) ---
+
 // UI: Search user by 6-digit ID (top bar)
-function searchUserByIdUI(){
+async function searchUserByIdUI(){
   const input = document.getElementById('userIdInput');
   const id = (input.value || '').trim();
-  const found = mockUsers[id];
   const hint = document.getElementById('userSearchHint');
+  const panel = document.getElementById('foundUserPanel');
   if (!/^\d{6}$/.test(id)) {
     // not a valid 6-digit
-    document.getElementById('foundUserPanel').style.display = 'none';
-    document.getElementById('incomingRequestsPanel').style.display = 'none';
+    panel.style.display = 'none';
     hint.textContent = "Please enter a valid 6-digit ID (e.g., 200001)";
     return;
   }
-  if (!found) {
-    document.getElementById('foundUserPanel').style.display = 'none';
-    // also reset incoming requests for clarity
-    renderIncomingRequests();
-    hint.textContent = "User not found.";
+  if (appData.offline) {
+    hint.textContent = "Friend search needs a connection to the server.";
+    return;
+  }
+  try {
+    const { user, relationship } = await apiRequest(`/api/users/${id}`);
+    appData.lastSearch = { user, relationship };
+  } catch (err) {
+    panel.style.display = 'none';
+    appData.lastSearch = null;
+    hint.textContent = err.status === 404 ? "User not found." : err.message;
     return;
   }
   // Populate found user panel
-  document.getElementById('foundUserPanel').style.display = 'flex';
-  const initials = found.name.split(' ').map(n => n[0]).join('').toUpperCase().slice(0,2);
-  document.getElementById('foundUserAvatar').textContent = initials;
+  const found = appData.lastSearch.user;
+  panel.style.display = 'flex';
+  document.getElementById('foundUserAvatar').innerHTML = avatarInner(found);
   document.getElementById('foundUserName').textContent = found.name;
   document.getElementById('foundUserId').textContent = 'ID: ' + found.id;
-
-  // Update Add button state
-  window.__lastSearchTargetId = id;
   updateAddFriendButtonState();
-
-  // Update incoming requests (recipient side)
-  renderIncomingRequests();
   hint.textContent = '';
 }
 
+// Recompute the relationship with the searched user from local state
+function refreshLastSearchRelationship(){
+  const search = appData.lastSearch;
+  if (!search) return;
+  const id = search.user.id;
+  const { incoming = [], outgoing = [] } = appData.friendRequests || {};
+  const inReq = incoming.find(r => r.from.id === id);
+  const outReq = outgoing.find(r => r.to.id === id);
+  if (id === currentUserId()) search.relationship = { status: 'self' };
+  else if (isBlocked(id)) search.relationship = { status: 'blocked' };
+  else if ((appData.contacts || []).some(c => c.id === id)) search.relationship = { status: 'friends' };
+  else if (inReq) search.relationship = { status: 'incoming', requestId: inReq.id };
+  else if (outReq) search.relationship = { status: 'outgoing', requestId: outReq.id };
+  else search.relationship = { status: 'none' };
+}
+
 function updateAddFriendButtonState(){
-  const targetId = window.__lastSearchTargetId;
   const btn = document.getElementById('addFriendBtn');
-  if (!targetId || !btn) return;
-  if (isFriendWith(targetId)){
-    btn.textContent = 'Friends';
-    btn.disabled = true;
-    btn.style.background = '#777';
-  } else if (isPendingWith(targetId)){
-    btn.textContent = 'Request Pending';
-    btn.disabled = true;
-    btn.style.background = '#555';
-  } else {
-    btn.textContent = 'Add Friend';
-    btn.disabled = false;
-    btn.style.background = '#00a884';
-  }
+  const search = appData.lastSearch;
+  if (!search || !btn) return;
+  const states = {
+    self: { text: 'You', disabled: true, bg: '#777' },
+    friends: { text: 'Unfriend', disabled: false, bg: '#555' },
+    outgoing: { text: 'Cancel Request', disabled: false, bg: '#555' },
+    incoming: { text: 'Accept', disabled: false, bg: '#00a884' },
+    blocked: { text: 'Unblock', disabled: false, bg: '#555' },
+    none: { text: 'Add Friend', disabled: false, bg: '#00a884' }
+  };
+  const state = states[search.relationship.status] || states.none;
+  btn.textContent = state.text;
+  btn.disabled = state.disabled;
+  btn.style.background = state.bg;
 }
 
-// Send a friend request from search result
-function sendFriendRequestFromSearch(){
-  const targetId = window.__lastSearchTargetId;
-  if (!targetId) return;
-  const current = currentUserId();
-
-  // Basic validation
-  if (isFriendWith(targetId) || isPendingWith(targetId)) {
-    updateAddFriendButtonState();
-    return;
+// The found-user button acts on the current relationship
+async function sendFriendRequestFromSearch(){
+  const search = appData.lastSearch;
+  if (!search) return;
+  const { user, relationship } = search;
+  try {
+    switch (relationship.status) {
+      case 'none': {
+        const { request } = await apiRequest('/api/friend-requests', { method: 'POST', body: { toId: user.id } });
+        const outgoing = appData.friendRequests.outgoing;
+        if (!outgoing.some(r => r.id === request.id)) outgoing.push(request);
+        showToast('Friend request sent to ' + user.name);
+        break;
+      }
+      case 'outgoing':
+        await cancelFriendRequest(relationship.requestId);
+        break;
+      case 'incoming':
+        await acceptFriendRequest(relationship.requestId);
+        break;
+      case 'chatRemoved':
+      removeChatLocally(event.chatId);
+      break;
+    case 'friends':
+        if (!confirm('Remove ' + user.name + ' from your friends?')) return;
+        await unfriend(user.id);
+        break;
+      case 'blocked':
+        await unblockUser(user.id);
+        break;
+    }
+  } catch (err) {
+    showToast(err.message);
   }
-
-  // Create a pending request (sender -> recipient)
-  mockState.requests.push({ from: current, to: targetId, status: 'pending' });
-  // Update UI
+  refreshLastSearchRelationship();
   updateAddFriendButtonState();
   renderIncomingRequests();
-
-  // Also show a simulated "recipient" incoming notification panel
-  // No separate recipient side UI exists in this single-page mock beyond the panel below
-  // You can optionally auto-display a brief toast/notification here
-  showToast('Friend request sent to ' + mockUsers[targetId].name);
 }
 
-// Recipient side: render incoming requests for current user
+// Render pending requests: incoming (accept/decline) and outgoing (cancel)
 function renderIncomingRequests(){
-  const current = currentUserId();
   const container = document.getElementById('incomingRequestsContainer');
   if (!container) return;
-  const items = mockState.requests.filter(r => r.to === current && r.status === 'pending');
-  const hasAny = items.length > 0;
-  document.getElementById('incomingRequestsPanel').style.display = hasAny ? 'block' : 'none';
-  container.innerHTML = items.map(r => {
-    const fromUser = mockUsers[r.from];
-    const initials = (fromUser?.name || '').split(' ').map(n => n[0]).join('').toUpperCase().slice(0,2);
-    return `
-      <div class="incoming-request-item" style="display:flex;align-items:center;gap:12px;">
-        <div class="contact-avatar" style="width:34px;height:34px;border-radius:50%;display:flex;align-items:center;justify-content:center;background:#6b7c85">${initials}</div>
+  const { incoming = [], outgoing = [] } = appData.friendRequests || {};
+  document.getElementById('incomingRequestsPanel').style.display = (incoming.length || outgoing.length) ? 'block' : 'none';
+  const row = (user, subtitle, actions) => `
+      <div class="incoming-request-item">
+        <div class="contact-avatar" style="width:34px;height:34px;font-size:14px">${avatarInner(user)}</div>
         <div style="flex:1">
-          <div style="font-weight:600">${fromUser?.name || r.from}</div>
-          <div style="font-size:12px;color:#8b9aa3">wants to be your friend</div>
+          <div style="font-weight:600;color:#e9edef">${escapeHtml(user.name || user.id)}</div>
+          <div style="font-size:12px;color:#8b9aa3">${subtitle}</div>
         </div>
-        <button class="icon-btn" onclick="confirmFriend('${r.from}', '${r.to}')" style="width:90px;height:34px;background:#00a884;border-radius:6px;border:none;color:white;font-weight:600">Confirm</button>
+        ${actions}
       </div>
     `;
-  }).join('');
+  container.innerHTML =
+    incoming.map(r => row(r.from, 'wants to be your friend', `
+        <button class="request-btn" onclick="acceptFriendRequest('${r.id}')">Confirm</button>
+        <button class="request-btn secondary" onclick="declineFriendRequest('${r.id}')">Decline</button>
+      `)).join('') +
+    outgoing.map(r => row(r.to, 'request sent', `
+        <button class="request-btn secondary" onclick="cancelFriendRequest('${r.id}')">Cancel</button>
+      `)).join('');
 }
 
-// Confirm a friend request (recipient accepts)
-function confirmFriend(fromId, toId){
-  // Find and update the pending request
-  const idx = mockState.requests.findIndex(r => r.from===fromId && r.to===toId && r.status==='pending');
-  if (idx >= 0) mockState.requests[idx].status = 'accepted';
-  // Create friendship relation
-  mockState.friendships.add(relationKey(fromId, toId));
-
-  // Create a new chat between the two
-  const otherName = mockUsers[toId]?.name || toId;
-  const chatName = otherName;
-  const chatId = generateChatId();
-  const time = new Date().toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'});
-  const newChat = {
-    id: chatId,
-    name: chatName,
-    time,
-    lastMessage: 'You are now friends. Say hi!',
-    messages: [
-      { text: 'Hi ' + otherName.split(' ')[0] + ', nice to meet you!', type: 'sent', time },
-      { text: 'Hi! Great to meet you too.', type: 'received', time }
-    ]
-  };
-  appData.chats = appData.chats || [];
-  appData.chats.push(newChat);
+// Accept a friend request (recipient side); the server creates the shared chat
+async function acceptFriendRequest(requestId){
+  try {
+    const { chat } = await apiRequest(`/api/friend-requests/${requestId}/accept`, { method: 'POST' });
+    appData.friendRequests.incoming = appData.friendRequests.incoming.filter(r => r.id !== requestId);
+    storeChatView(chat);
+    renderChats();
+    renderIncomingRequests();
+    openChat(chat.id);
+  } catch (err) {
+    showToast(err.message);
+  }
+}
 
-  // UI updates
-  renderChats();
+async function declineFriendRequest(requestId){
+  try {
+    await apiRequest(`/api/friend-requests/${requestId}/decline`, { method: 'POST' });
+    appData.friendRequests.incoming = appData.friendRequests.incoming.filter(r => r.id !== requestId);
+    renderIncomingRequests();
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+async function cancelFriendRequest(requestId){
+  try {
+    await apiRequest(`/api/friend-requests/${requestId}`, { method: 'DELETE' });
+    appData.friendRequests.outgoing = appData.friendRequests.outgoing.filter(r => r.id !== requestId);
+    renderIncomingRequests();
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+async function unfriend(userId){
+  await apiRequest(`/api/friends/${userId}`, { method: 'DELETE' });
+  appData.contacts = appData.contacts.filter(c => c.id !== userId);
+}
+
+// Server push: contacts or pending requests changed (ours or the other side's action)
+function applyFriendsState(state){
+  appData.contacts = state.contacts || [];
+  appData.friendRequests = { incoming: state.incoming || [], outgoing: state.outgoing || [] };
   renderIncomingRequests();
-  openChat(chatId);
-  // Also update the search Add button to "Friends"
+  refreshLastSearchRelationship();
   updateAddFriendButtonState();
 }
 
-// Render the chat list UI
+// Render the chat list UI, most recently active chat first
 function renderChats() {
   const list = document.getElementById('chatList');
+  scheduleSnapshot();
+  updateTitleBadge();
   if (!appData.chats || appData.chats.length === 0) {
     list.innerHTML = '<div style="padding:20px;text-align:center;color:#8696a0">No chats yet. Start a new conversation!</div>';
     return;
   }
-  list.innerHTML = appData.chats.map(chat => `
-    <div class="chat-item ${chat.id===appData.currentChatId?'active':''}" onclick="openChat('${chat.id}')">
-      <div class="chat-avatar">${chat.name.split(' ').map(n=>n[0]).join('')}</div>
+  // Pinned chats first (latest pin on top), then by activity; archived ones live in their own view
+  const chats = appData.chats
+    .filter(chat => !!chat.prefs?.archived === appData.showArchived)
+    .sort((a, b) => (b.prefs?.pinnedAt || '').localeCompare(a.prefs?.pinnedAt || '') ||
+      (b.lastActivityAt || '').localeCompare(a.lastActivityAt || ''));
+  const archived = appData.chats.filter(chat => chat.prefs?.archived);
+  let header = '';
+  if (appData.showArchived) {
+    header = `<div class="chat-list-section" onclick="showArchivedChats(false)"><i class="fas fa-arrow-left"></i> Archived</div>`;
+  } else if (archived.length > 0) {
+    const unread = archived.filter(chat => chat.unread || chat.prefs.markedUnread).length;
+    header = `<div class="chat-list-section" onclick="showArchivedChats(true)"><i class="fas fa-archive"></i> Archived <span class="chat-list-count">${unread || ''}</span></div>`;
+  }
+  list.innerHTML = header + chats.map(chatItemHtml).join('');
+  filterChatList();
+}
+
+function chatItemHtml(chat){
+  const open = chat.id === appData.currentChatId;
+  const unread = open ? 0 : (chat.unread || 0);
+  const markedUnread = !open && !unread && chat.prefs?.markedUnread;
+  const muted = isChatMuted(chat);
+  const typing = typingText(chat);
+  const preview = typing
+    ? `<span class="typing-text">${escapeHtml(typing)}</span>`
+    : escapeHtml(chat.lastMessage || 'No messages yet');
+  const badge = unread
+    ? `<span class="unread-badge ${muted ? 'muted' : ''}">${unread > 99 ? '99+' : unread}</span>`
+    : (markedUnread ? `<span class="unread-badge ${muted ? 'muted' : ''}"></span>` : '');
+  return `
+    <div class="chat-item ${open ? 'active' : ''} ${unread || markedUnread ? 'has-unread' : ''} ${muted ? 'muted' : ''}" onclick="openChat('${chat.id}')">
+      <div class="chat-avatar">${chatAvatarInner(chat)}</div>
       <div class="chat-info">
         <div class="chat-header">
-          <div class="chat-name">${chat.name}</div>
-          <div class="chat-time">${chat.time || ''}</div>
+          <div class="chat-name">${escapeHtml(chat.name)}</div>
+          <div class="chat-time">${escapeHtml(relativeTime(chat.lastActivityAt))}</div>
+        </div>
+        <div class="chat-preview-row">
+          <div class="chat-preview">${preview}</div>
+          ${muted ? '<i class="fas fa-bell-slash chat-state-icon" title="Muted"></i>' : ''}
+          ${chat.prefs?.pinnedAt ? '<i class="fas fa-thumbtack chat-state-icon" title="Pinned"></i>' : ''}
+          ${badge}
         </div>
-        <div class="chat-preview">${chat.lastMessage || 'No messages yet'}</div>
       </div>
     </div>
-  `).join('');
+  `;
+}
+
+function showArchivedChats(show){
+  appData.showArchived = show;
+  renderChats();
+}
+
+// --- Dates and times (stored as ISO strings, shown in the viewer's timezone) ---
+
+function formatClock(iso){
+  return iso ? new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+}
+
+function dayKey(iso){
+  const date = new Date(iso);
+  return date.getFullYear() + '-' + date.getMonth() + '-' + date.getDate();
+}
+
+// Whole calendar days between `date` and today (rounding absorbs DST shifts)
+function daysAgo(date){
+  const startOf = d => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  return Math.round((startOf(new Date()) - startOf(date)) / 86400000);
+}
+
+// Date separators: "Today", "Yesterday", a weekday within the last week, else the date
+function dayLabel(iso){
+  const date = new Date(iso);
+  const ago = daysAgo(date);
+  if (ago === 0) return 'Today';
+  if (ago === 1) return 'Yesterday';
+  if (ago > 1 && ago < 7) return date.toLocaleDateString([], { weekday: 'long' });
+  const options = { day: 'numeric', month: 'long' };
+  if (date.getFullYear() !== new Date().getFullYear()) options.year = 'numeric';
+  return date.toLocaleDateString([], options);
+}
+
+// Chat list: "now", "5 min", the time today, "Yesterday", a weekday, else a short date
+function relativeTime(iso){
+  if (!iso) return '';
+  const date = new Date(iso);
+  const minutes = Math.floor((Date.now() - date.getTime()) / 60000);
+  if (minutes < 1) return 'now';
+  if (minutes < 60) return minutes + ' min';
+  const ago = daysAgo(date);
+  if (ago === 0) return formatClock(iso);
+  if (ago === 1) return 'Yesterday';
+  if (ago < 7) return date.toLocaleDateString([], { weekday: 'short' });
+  return date.toLocaleDateString([], { day: '2-digit', month: '2-digit', year: '2-digit' });
+}
+
+// Direct chat header: "last seen today at 14:05", "last seen yesterday at …", else a date
+function lastSeenText(iso){
+  const ago = daysAgo(new Date(iso));
+  if (ago === 0) return 'last seen today at ' + formatClock(iso);
+  if (ago === 1) return 'last seen yesterday at ' + formatClock(iso);
+  return 'last seen ' + dayLabel(iso);
+}
+
+// Keep the chat-name filter from the sidebar search applied across re-renders
+function filterChatList(){
+  const query = document.getElementById('searchInput').value.toLowerCase();
+  const items = document.querySelectorAll('.chat-item');
+  items.forEach(item => {
+    const name = item.querySelector('.chat-name').textContent.toLowerCase();
+    item.style.display = name.includes(query) ? 'flex' : 'none';
+  });
+}
+
+// --- Message search (sidebar) ---
+let searchTimer = null;
+let searchSeq = 0;
+
+function scheduleMessageSearch(){
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runMessageSearch, 250);
+}
+
+async function runMessageSearch(){
+  const q = document.getElementById('searchInput').value.trim();
+  const filters = document.getElementById('searchFilters');
+  const box = document.getElementById('searchResults');
+  if (q.length < 2) {
+    filters.style.display = 'none';
+    box.style.display = 'none';
+    box.innerHTML = '';
+    return;
+  }
+  filters.style.display = 'flex';
+  renderSearchChatFilter();
+  const params = new URLSearchParams({ q });
+  const chatId = document.getElementById('searchChatFilter').value;
+  const from = document.getElementById('searchFromDate').value;
+  const to = document.getElementById('searchToDate').value;
+  if (chatId) params.set('chatId', chatId);
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+
+  // Ignore responses to searches that were superseded while in flight
+  const mySeq = ++searchSeq;
+  try {
+    const { results, terms } = await apiRequest('/api/search?' + params.toString());
+    if (mySeq !== searchSeq) return;
+    box.style.display = 'block';
+    box.innerHTML = '<div class="search-results-title">Messages</div>' + (results.length === 0
+      ? '<div class="search-empty">No messages found</div>'
+      : results.map(r => `
+        <div class="search-result" onclick="openChatAtMessage('${r.chatId}', '${r.message.id}')">
+          <div class="chat-header">
+            <div class="chat-name">${escapeHtml(r.chatName)}</div>
+            <div class="chat-time">${escapeHtml(relativeTime(r.message.createdAt))}</div>
+          </div>
+          <div class="chat-preview">${r.message.type === 'sent' ? 'You: ' : ''}${highlightTerms(r.snippet, terms)}</div>
+        </div>
+      `).join(''));
+  } catch (err) {
+    if (mySeq !== searchSeq) return;
+    box.style.display = 'block';
+    box.innerHTML = `<div class="search-empty">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function renderSearchChatFilter(){
+  const select = document.getElementById('searchChatFilter');
+  const current = select.value;
+  select.innerHTML = '<option value="">All chats</option>' + appData.chats.map(c =>
+    `<option value="${escapeHtml(c.id)}"${c.id === current ? ' selected' : ''}>${escapeHtml(c.name || '')}</option>`
+  ).join('');
+}
+
+// Escape text and wrap every occurrence of the search terms in <mark>
+function highlightTerms(text, terms){
+  const pattern = (terms || []).map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  if (!pattern) return escapeHtml(text);
+  return text.split(new RegExp(`(${pattern})`, 'gi'))
+    .map((part, i) => i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+    .join('');
 }
 
 // A simple toast helper
@@ -235,360 +468,2982 @@ function showToast(message){
 
 // Open a chat from the list
 function openChat(chatId){
+  if (composer.chatId !== chatId) clearComposer();
   appData.currentChatId = chatId;
-  // Ensure we have latest chat data (no server calls in mock)
-  renderMessages();
+  renderMessages({ scrollToBottom: true });
   // Show chat area
   document.getElementById('emptyState').style.display = 'none';
   document.getElementById('chatArea').style.display = 'flex';
   const chat = appData.chats.find(c => c.id === chatId);
-  if (chat) {
-    document.getElementById('chatHeaderName').textContent = chat.name;
-    document.getElementById('chatHeaderInitials').textContent = chat.name.split(' ').map(n=>n[0]).join('').toUpperCase();
-  }
+  if (chat) renderChatHeader(chat);
   // Scroll messages to bottom
   const container = document.getElementById('messagesContainer');
   if (container) container.scrollTop = container.scrollHeight;
-}
-
-// Render messages for current chat
-function renderMessages(){
-  const container = document.getElementById('messagesContainer');
-  const chat = appData.chats.find(c => c.id === appData.currentChatId);
-  if (!container || !chat){
-    container && (container.innerHTML = '');
-    return;
+  // Chats arrive as summaries; fetch the latest page the first time one is opened.
+  // A chat left in the middle of its history (after a search jump) restarts at the latest page.
+  if (chat && chat.hasNewer) {
+    chat.messages = [];
+    chat.hasNewer = false;
+    chat.loaded = false;
   }
-  container.innerHTML = chat.messages.map(msg => {
-    if (msg.fileUrl) {
-      if (msg.isImage) {
-        return `
-          <div class="message ${msg.type}">
-            <div class="message-bubble">
-              <img src="${escapeHtml(msg.fileUrl)}" alt="attachment" style="max-width:260px;border-radius:6px"/>
-              ${msg.text ? `<div class="message-text" style="margin-top:6px">${escapeHtml(msg.text)}</div>` : ''}
-              <div class="message-time">${escapeHtml(msg.time || '')}</div>
-            </div>
-          </div>
-        `;
-      } else {
-        return `
-          <div class="message ${msg.type}">
-            <div class="message-bubble">
-              <a href="${escapeHtml(msg.fileUrl)}" target="_blank" class="message-text" style="display:inline-block;margin-bottom:6px">${escapeHtml(msg.fileName || 'Attachment')}</a>
-              ${msg.text ? `<div class="message-text" style="margin-top:6px">${escapeHtml(msg.text)}</div>` : ''}
-              <div class="message-time">${escapeHtml(msg.time || '')}</div>
-            </div>
-          </div>
-        `;
-      }
-    } else {
-      return `
-        <div class="message ${msg.type}">
-          <div class="message-bubble">
-            <div class="message-text">${escapeHtml(msg.text || '')}</div>
-            <div class="message-time">${escapeHtml(msg.time || '')}</div>
-          </div>
-        </div>
-      `;
-    }
-  }).join('');
-  container.scrollTop = container.scrollHeight;
-}
-
-function escapeHtml(unsafe) {
-  return unsafe
-       .toString()
-       .replace(/&/g, "&amp;")
-       .replace(/</g, "&lt;")
-       .replace(/>/g, "&gt;")
-       .replace(/"/g, "&quot;")
-       .replace(/'/g, "&#039;");
+  if (chat && !chat.loaded) loadLatestMessages(chat);
+  markChatRead(chat);
+  renderChats();
 }
 
-// File attachment handling (preserve original behavior; also add mock integration)
-function handleSelectedFile(file, isImage){
-  if (!file) return;
-  const chatId = appData.currentChatId;
-  if (!chatId) return;
-  const time = new Date().toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'});
-
-  // Read as data URL for immediate preview
-  const reader = new FileReader();
-  reader.onload = async function(ev){
-    const dataUrl = ev.target.result;
-    // Optimistic client update
-    const chat = appData.chats.find(c => c.id === chatId);
-    const newMsg = {
-      text: '',
-      type: 'sent',
-      time,
-      fileUrl: dataUrl,
-      isImage: isImage,
-      fileName: file.name
-    };
-    if (chat) {
-      chat.messages.push(newMsg);
-      chat.lastMessage = newMsg.fileName;
-      chat.time = time;
-      renderMessages();
-      renderChats();
-    }
-
-    // Upload to server for persistence (stubbed in mock)
-    const formData = new FormData();
-    formData.append('file', file);
+// Open a chat with the history loaded around one message and scroll to it
+async function openChatAtMessage(chatId, messageId){
+  const chat = appData.chats.find(c => c.id === chatId);
+  if (!chat) return;
+  if (!chat.messages.some(m => m.id === messageId)) {
     try {
-      const res = await fetch(`/api/chats/${chatId}/files`, {
-        method: 'POST',
-        body: formData
-      });
-      const json = await res.json();
-      if (json && json.fileUrl) {
-        if (chat) {
-          const idx = chat.messages.length - 1;
-          chat.messages[idx].fileUrl = json.fileUrl;
-          chat.messages[idx].isImage = json.isImage;
-          chat.messages[idx].fileName = json.fileName || file.name;
-          renderMessages();
-          renderChats();
-        }
-      }
+      const page = await apiRequest(`/api/chats/${chatId}/messages?around=${encodeURIComponent(messageId)}&limit=${PAGE_SIZE}`);
+      chat.messages = page.messages;
+      chat.hasMore = page.hasMore;
+      chat.hasNewer = page.hasNewer;
+      chat.loaded = true;
     } catch (err) {
-      console.error('Failed to upload file', err);
+      showToast(err.message);
+      return;
     }
-  };
-  reader.readAsDataURL(file);
+  }
+  appData.currentChatId = chatId;
+  document.getElementById('emptyState').style.display = 'none';
+  document.getElementById('chatArea').style.display = 'flex';
+  renderChatHeader(chat);
+  renderMessages();
+  renderChats();
+  scrollToMessage(messageId);
 }
 
-// Send text message
-async function sendMessage() {
-  const input = document.getElementById('messageInput');
-  const text = input.value.trim();
-  if (!text || !appData.currentChatId) return;
-  const chatId = appData.currentChatId;
-  const time = new Date().toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'});
-
-  // Optimistic update on client
-  const chat = appData.chats.find(c => c.id === chatId);
-  if (chat) {
-    chat.messages.push({ text, type: 'sent', time });
-    chat.lastMessage = text;
-    chat.time = time;
-    renderMessages();
-    renderChats();
-  }
+function scrollToMessage(messageId){
+  const el = document.querySelector(`#messagesContainer [data-key="${CSS.escape(messageId)}"]`);
+  if (!el) return;
+  el.scrollIntoView({ block: 'center' });
+  el.classList.add('flash');
+  setTimeout(() => el.classList.remove('flash'), 1600);
+}
 
-  input.value = '';
+// --- Message history paging ---
+const PAGE_SIZE = 50;
 
-  // Send to server (may be mocked)
+async function loadLatestMessages(chat){
   try {
-    await fetch(`/api/chats/${chatId}/messages`, {
-      method: 'POST',
-      headers: {'Content-Type':'application/json'},
-      body: JSON.stringify({ text, type: 'sent' })
-    });
-    // server may post automated reply; fetch latest
-    const res = await fetch(`/api/chats/${chatId}`);
-    const updated = await res.json();
-    const idx = appData.chats.findIndex(c => c.id === updated.id);
-    if (idx >= 0) appData.chats[idx] = updated;
-    else appData.chats.push(updated);
-    renderMessages();
-    renderChats();
+    const page = await apiRequest(`/api/chats/${chat.id}/messages?limit=${PAGE_SIZE}`);
+    page.messages.forEach(m => mergeMessage(chat, m));
+    chat.hasMore = page.hasMore;
+    chat.loaded = true;
+    if (chat.id === appData.currentChatId) renderMessages({ scrollToBottom: true });
   } catch (err) {
-    console.error('Failed to send message', err);
+    console.error('Failed to load messages', err);
   }
 }
 
-// Initialize app on load
-async function init(){
+// Called when the messages container is scrolled near the top
+async function loadOlderMessages(){
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  if (!chat || !chat.loaded || !chat.hasMore || chat.loadingOlder) return;
+  const oldest = chat.messages.find(m => m.seq);
+  if (!oldest) return;
+  chat.loadingOlder = true;
   try {
-    const res = await fetch('/api/init');
-    const data = await res.json();
-    appData.user = data.user;
-    appData.contacts = data.contacts;
-    appData.chats = data.chats;
-    bindUI();
-    loadProfile();
-    renderChats();
-  } catch (err){
-    console.warn('API init failed, using mock data', err);
-    // Setup mock data instead
-    initMockData();
-    // Bind UI and render with mock data
-    bindUI();
-    loadProfile();
-    renderChats();
+    const page = await apiRequest(`/api/chats/${chat.id}/messages?before=${oldest.seq}&limit=${PAGE_SIZE}`);
+    page.messages.forEach(m => mergeMessage(chat, m));
+    chat.hasMore = page.hasMore;
+    // Keep the message that was on screen where it was
+    if (chat.id === appData.currentChatId) renderMessages({ keepFromBottom: true });
+  } catch (err) {
+    console.error('Failed to load older messages', err);
+  } finally {
+    chat.loadingOlder = false;
   }
 }
 
-// Re-use existing behavior for profile loading
-function bindUI() {
-  // profile pic change in modal (existing)
-  document.getElementById('profilePicInput').addEventListener('change', onProfilePicChange);
-  document.getElementById('messageInput').addEventListener('keypress', function(e){
-    if (e.key === 'Enter' && !e.shiftKey) {
-      e.preventDefault();
-      sendMessage();
-    }
-  });
-  document.getElementById('searchInput').addEventListener('input', function(e){
-    const query = e.target.value.toLowerCase();
-    const items = document.querySelectorAll('.chat-item');
-    items.forEach(item => {
-      const name = item.querySelector('.chat-name').textContent.toLowerCase();
-      item.style.display = name.includes(query) ? 'flex' : 'none';
-    });
-  });
-  window.onclick = function(e) {
-    // Close dropdowns if clicking outside
-    if (!e.target.closest('#attachBtn') && !e.target.closest('.attach-dropdown') && !e.target.closest('#emojiBtn') && !e.target.closest('.emoji-picker')) {
-      const dropdown = document.getElementById('attachDropdown');
-      if (dropdown && dropdown.style.display === 'block') dropdown.style.display = 'none';
-      const emojiBox = document.getElementById('emojiPicker');
-      if (emojiBox && emojiBox.style.display === 'flex') emojiBox.style.display = 'none';
-    }
-  };
-  // Inputs for file attachments
-  document.getElementById('galleryInput').addEventListener('change', (e) => handleSelectedFile(e.target.files[0], true));
-  document.getElementById('fileInput').addEventListener('change', (e) => handleSelectedFile(e.target.files[0], false));
-  document.getElementById('cameraInput').addEventListener('change', (e) => handleSelectedFile(e.target.files[0], true));
+// Called when the messages container is scrolled near the bottom of a partial history
+async function loadNewerMessages(){
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  if (!chat || !chat.hasNewer || chat.loadingNewer) return;
+  const newest = chat.messages.filter(m => m.seq).pop();
+  if (!newest) return;
+  chat.loadingNewer = true;
+  try {
+    const page = await apiRequest(`/api/chats/${chat.id}/messages?after=${newest.seq}&limit=${PAGE_SIZE}`);
+    page.messages.forEach(m => mergeMessage(chat, m));
+    chat.hasNewer = page.hasNewer;
+    if (chat.id === appData.currentChatId) renderMessages();
+  } catch (err) {
+    console.error('Failed to load newer messages', err);
+  } finally {
+    chat.loadingNewer = false;
+  }
 }
 
-function toggleMenu(){const m=document.getElementById('menuDropdown');m.classList.toggle('active')}
-
-function openProfileModal(){closeModal('settingsModal');document.getElementById('profileModal').classList.add('active');loadProfile()}
-function openSettingsModal(){document.getElementById('settingsModal').classList.add('active')}
-function openNewChatModal(){document.getElementById('newChatModal').classList.add('active');renderContacts()}
-function closeModal(id){document.getElementById(id).classList.remove('active')}
+// A chat returned whole by the server (summary plus latest page)
+function storeChatView(view){
+  const chat = upsertChatSummary(view);
+  (view.messages || []).forEach(m => mergeMessage(chat, m));
+  chat.hasMore = !!view.hasMore;
+  chat.loaded = true;
+  return chat;
+}
 
-// Attachments logic (same as previous, kept for compatibility)
-function toggleAttachMenu(){ 
-  const el = document.getElementById('attachDropdown');
-  if (!el) return;
-  el.style.display = (el.style.display === 'block') ? 'none' : 'block';
-  // Hide emoji picker if open
-  const emojiBox = document.getElementById('emojiPicker');
-  if (emojiBox) emojiBox.style.display = 'none';
+function renderChatHeader(chat){
+  document.getElementById('chatHeaderName').textContent = chat.name;
+  document.getElementById('chatHeaderAvatar').innerHTML = chatAvatarInner(chat);
+  // Someone typing wins; otherwise groups list their members under the name and direct
+  // chats show the other person's presence, if they share it with us
+  const status = document.getElementById('chatHeaderStatus');
+  const typing = typingText(chat);
+  status.classList.toggle('typing-text', !!typing);
+  status.textContent = typing || (chat.kind === 'group'
+    ? (chat.members || []).map(m => m.id === currentUserId() ? 'You' : m.name).join(', ')
+    : presenceText(directPartner(chat)));
+  status.title = chat.disappearAfter ? 'Disappearing messages: ' + disappearLabel(chat.disappearAfter) : '';
+  renderBlockedNotice(chat);
 }
-function triggerGallery(){ document.getElementById('galleryInput').click(); }
-function triggerFile(){ document.getElementById('fileInput').click(); }
-function triggerCamera(){ document.getElementById('cameraInput').click(); }
 
-function toggleEmojiPicker(){
-  const picker = document.getElementById('emojiPicker');
-  if (!picker) return;
-  const isVisible = picker.style.display === 'flex';
-  picker.style.display = isVisible ? 'none' : 'flex';
-  // Also close attach dropdown if open
-  const ad = document.getElementById('attachDropdown');
-  if (ad) ad.style.display = 'none';
+function presenceText(member){
+  if (!member) return '';
+  if (member.online) return 'online';
+  return member.lastSeenAt ? lastSeenText(member.lastSeenAt) : '';
 }
-function insertEmoji(emoji){
-  const ta = document.getElementById('messageInput');
-  if (!ta) return;
-  const start = ta.selectionStart || 0;
-  const end = ta.selectionEnd || 0;
-  const before = ta.value.substring(0, start);
-  const after = ta.value.substring(end);
-  ta.value = before + emoji + after;
-  // Move cursor after inserted emoji
-  const pos = start + emoji.length;
-  ta.selectionStart = ta.selectionEnd = pos;
-  ta.focus();
+
+// The other member of a direct chat
+function directPartner(chat){
+  return chat.kind === 'direct' ? (chat.members || []).find(m => m.id !== currentUserId()) : null;
 }
-function loadProfile() {
-  if (!appData.user) return;
-  document.getElementById('profileName').value = appData.user.name || '';
-  document.getElementById('profileAbout').value = appData.user.about || '';
-  document.getElementById('profilePhone').value = appData.user.phone || '';
-  const initials = (appData.user.name || '').split(' ').map(n => n[0] || '').join('').toUpperCase() || 'M';
-  document.getElementById('profileInitialsLarge').textContent = initials;
-  document.getElementById('sidebarInitials').textContent = initials;
-  if (appData.user.avatar) {
-    document.getElementById('profilePicLarge').innerHTML = `<img src="${appData.user.avatar}" alt="Profile"><div class="upload-overlay" onclick="document.getElementById('profilePicInput').click()"><i class="fas fa-camera"></i></div>`;
-    document.getElementById('sidebarProfilePic').innerHTML = `<img src="${appData.user.avatar}" alt="Profile">`;
+
+// Render messages for current chat. Stays pinned to the bottom when the user was
+// already there; { keepFromBottom } keeps the view steady after older pages are prepended.
+function renderMessages(options = {}){
+  const container = document.getElementById('messagesContainer');
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  if (!container || !chat){
+    container && (container.innerHTML = '');
+    return;
   }
+  const prevHeight = container.scrollHeight;
+  const prevTop = container.scrollTop;
+  const nearBottom = isNearBottom(container);
+  const loader = chat.hasMore ? '<div class="history-loader">Loading older messages…</div>' : '';
+  // A date separator goes above the first visible message of each day
+  let lastDay = null;
+  container.innerHTML = loader + chat.messages.map(msg => {
+    if (msg.hidden || !msg.createdAt) return renderMessage(msg, chat);
+    const day = dayKey(msg.createdAt);
+    const separator = day !== lastDay ? dateSeparatorHtml(msg.createdAt) : '';
+    lastDay = day;
+    return separator + renderMessage(msg, chat);
+  }).join('');
+  if (options.keepFromBottom) container.scrollTop = container.scrollHeight - (prevHeight - prevTop);
+  else if (options.scrollToBottom || nearBottom) container.scrollTop = container.scrollHeight;
+  else container.scrollTop = prevTop;
+}
+
+function dateSeparatorHtml(iso){
+  return `<div class="date-separator"><span>${escapeHtml(dayLabel(iso))}</span></div>`;
+}
+
+function isNearBottom(container){
+  return container.scrollHeight - container.scrollTop - container.clientHeight < 80;
+}
+
+// Update a single bubble in place instead of re-rendering the whole chat
+function patchMessage(chat, message, change){
+  const container = document.getElementById('messagesContainer');
+  const nearBottom = isNearBottom(container);
+  const html = renderMessage(message, chat);
+  const existing = change.prevKey && container.querySelector(`[data-key="${CSS.escape(change.prevKey)}"]`);
+  const isLast = chat.messages[chat.messages.length - 1] === message;
+  // A message starting a new day needs a separator; let the full render add it
+  const previous = chat.messages.slice(0, -1).reverse().find(m => !m.hidden && m.createdAt);
+  const newDay = !message.hidden && message.createdAt && (!previous || dayKey(previous.createdAt) !== dayKey(message.createdAt));
+  if (existing && !change.moved) existing.outerHTML = html;
+  else if (!existing && isLast && !newDay) container.insertAdjacentHTML('beforeend', html);
+  else return renderMessages();
+  if (nearBottom) container.scrollTop = container.scrollHeight;
+}
+
+function renderMessage(msg, chat){
+  // Deleted for me only: the server keeps a placeholder so paging stays contiguous
+  if (msg.hidden) return '';
+  if (msg.system) {
+    return `
+      <div class="message system" data-key="${escapeHtml(messageKey(msg))}">
+        <div class="system-text">${escapeHtml(msg.text || '')}</div>
+      </div>
+    `;
+  }
+  const key = escapeHtml(messageKey(msg));
+  const menu = msg.id ? `<button class="message-menu-btn" onclick="openMessageMenu(event, '${key}')"><i class="fas fa-chevron-down"></i></button>` : '';
+  const edited = msg.editedAt ? `<span class="edited-marker" onclick="showEditHistory('${key}')">edited</span>` : '';
+  const star = msg.starred ? '<i class="fas fa-star star-marker"></i>' : '';
+  const expiry = msg.expiresAt ? `<i class="fas fa-stopwatch expiry-marker" title="Disappears ${escapeHtml(new Date(msg.expiresAt).toLocaleString())}"></i>` : '';
+  const time = `<div class="message-time" title="${escapeHtml(msg.createdAt ? new Date(msg.createdAt).toLocaleString() : '')}">${expiry}${star}${edited}${escapeHtml(formatClock(msg.createdAt))}${msg.type === 'sent' ? ticksHtml(messageStatus(msg, chat)) : ''}</div>`;
+  if (msg.deleted) {
+    return `
+      <div class="message ${msg.type}" data-key="${key}">
+        <div class="message-bubble">
+          ${menu}
+          ${senderLabel(msg, chat)}
+          <div class="message-text deleted-text"><i class="fas fa-ban"></i> This message was deleted</div>
+          ${time}
+        </div>
+      </div>
+    `;
+  }
+  let body;
+  if (msg.voice) {
+    body = voiceMessageHtml(msg, key);
+  } else if (msg.fileUrl && msg.isImage) {
+    // Bubbles show the thumbnail; the full image opens in a new tab
+    const size = msg.width && msg.height ? `width="${Math.min(260, msg.width)}"` : '';
+    body = `<a href="${escapeHtml(msg.fileUrl)}" target="_blank"><img src="${escapeHtml(msg.thumbUrl || msg.fileUrl)}" alt="${escapeHtml(msg.fileName || 'attachment')}" ${size} style="max-width:260px;border-radius:6px"/></a>`;
+  } else if (msg.fileUrl || msg.fileName) {
+    const name = escapeHtml(msg.fileName || 'Attachment');
+    const size = msg.fileSize ? `<span class="file-size">${formatBytes(msg.fileSize)}</span>` : '';
+    body = msg.fileUrl
+      ? `<a href="${escapeHtml(msg.fileUrl)}" target="_blank" class="message-text file-link"><i class="fas fa-file"></i> ${name}</a>${size}`
+      : `<span class="message-text file-link"><i class="fas fa-file"></i> ${name}</span>${size}`;
+  }
+  const text = body
+    ? (msg.text ? `<div class="message-text rich-text" style="margin-top:6px">${formatMessageText(msg, chat)}</div>` : '')
+    : `<div class="message-text rich-text">${formatMessageText(msg, chat)}</div>`;
+  // The server refused an outbox entry: say why and offer to retry or drop it
+  const failed = msg.failed ? `
+    <div class="message-failed">
+      <span title="${escapeHtml(msg.error || '')}"><i class="fas fa-exclamation-circle"></i> Not sent</span>
+      <button onclick="retryOutgoing('${key}')">Retry</button>
+      <button onclick="discardOutgoing('${key}')">Delete</button>
+    </div>` : '';
+  return `
+    <div class="message ${msg.type}" data-key="${key}">
+      <div class="message-bubble">
+        ${menu}
+        ${senderLabel(msg, chat)}
+        ${replyQuoteHtml(msg.replyPreview, chat)}
+        ${body || ''}
+        ${linkPreviewHtml(msg)}
+        ${text}
+        ${time}
+        ${reactionsHtml(msg, chat)}
+        ${failed}
+      </div>
+    </div>
+  `;
+}
+
+// --- Message text: markup, links and @mentions ---
+// WhatsApp-style markup: *bold*, _italic_, ~strike~, `code` and ```code blocks```; the
+// markers must hug the text, so snake_case and 2 * 3 * 4 stay as they are.
+// Links use the same pattern as the server's link previews (linkpreview.js).
+const LINK_PATTERN = /\bhttps?:\/\/[^\s<>"]+|\bwww\.[^\s<>"]+/gi;
+const EMPHASIS = [['\\*', 'strong'], ['_', 'em'], ['~', 'del']];
+
+function formatMessageText(msg, chat){
+  // Code, links and mentions are swapped for placeholders so the markup pass can't touch them
+  const held = [];
+  const hold = html => '\u0000' + (held.push(html) - 1) + '\u0000';
+  let src = String(msg.text || '')
+    .replace(/```([\s\S]+?)```/g, (all, code) => hold(`<pre class="code-block">${escapeHtml(code.replace(/^\n/, ''))}</pre>`))
+    .replace(/`([^`\n]+)`/g, (all, code) => hold(`<code class="inline-code">${escapeHtml(code)}</code>`))
+    .replace(LINK_PATTERN, match => {
+      let url = match.replace(/[.,;:!?'"]+$/, '');
+      if (url.endsWith(')') && !url.includes('(')) url = url.slice(0, -1);
+      const href = /^https?:\/\//i.test(url) ? url : 'http://' + url;
+      return hold(`<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>`) + match.slice(url.length);
+    });
+  mentionedMembers(msg, chat).forEach(({ name, self }) => {
+    src = src.split('@' + name).join(hold(`<span class="mention${self ? ' self' : ''}">@${escapeHtml(name)}</span>`));
+  });
+  const html = EMPHASIS.reduce((out, [mark, tag]) => out.replace(
+    new RegExp(`(^|[\\s(>;\\u0000.,:!?'-])${mark}(?=\\S)([^\\n]*?\\S)${mark}(?=$|[\\s)<&\\u0000.,;:!?'-])`, 'g'),
+    (all, lead, inner) => `${lead}<${tag}>${inner}</${tag}>`
+  ), escapeHtml(src));
+  return html.replace(/\u0000(\d+)\u0000/g, (all, i) => held[i]);
+}
+
+// Longest names first, so "@Alex Chen" wins over a member called "Alex"
+function mentionedMembers(msg, chat){
+  return (msg.mentions || [])
+    .map(id => id === currentUserId()
+      ? { name: appData.user?.name, self: true }
+      : { name: (chat.members || []).find(m => m.id === id)?.name, self: false })
+    .filter(m => m.name)
+    .sort((a, b) => b.name.length - a.name.length);
+}
+
+function linkPreviewHtml(msg){
+  const preview = msg.linkPreview;
+  if (!preview || msg.noPreview || msg.deleted) return '';
+  return `
+    <a class="link-preview" href="${escapeHtml(preview.url)}" target="_blank" rel="noopener noreferrer">
+      ${preview.image ? `<img class="link-preview-image" src="${escapeHtml(preview.image)}" alt="">` : ''}
+      <div class="link-preview-body">
+        <div class="link-preview-site">${escapeHtml(preview.siteName || '')}</div>
+        <div class="link-preview-title">${escapeHtml(preview.title)}</div>
+        ${preview.description ? `<div class="link-preview-description">${escapeHtml(preview.description)}</div>` : ''}
+      </div>
+    </a>`;
+}
+
+// The bar above the composer while the draft has a link: previews can be turned off
+// for the message about to be sent
+const linkPreviewDraft = { off: false };
+
+function updateLinkPreviewBar(){
+  const bar = document.getElementById('linkPreviewBar');
+  const text = document.getElementById('messageInput').value;
+  LINK_PATTERN.lastIndex = 0;
+  const hasLink = composer.mode !== 'edit' && LINK_PATTERN.test(text);
+  if (!hasLink) linkPreviewDraft.off = false;
+  bar.style.display = hasLink ? 'flex' : 'none';
+  document.getElementById('linkPreviewBarText').textContent = linkPreviewDraft.off
+    ? 'Link preview off for this message'
+    : 'A preview of the link will be shown';
+  document.getElementById('linkPreviewBarToggle').textContent = linkPreviewDraft.off ? 'Show preview' : 'No preview';
+}
+
+function toggleDraftLinkPreview(){
+  linkPreviewDraft.off = !linkPreviewDraft.off;
+  updateLinkPreviewBar();
+  document.getElementById('messageInput').focus();
+}
+
+// Author only: drop the card from a sent message
+async function removeLinkPreview(key){
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  const msg = findMessage(chat, key);
+  if (!msg || !msg.id) return;
+  try {
+    const { message } = await apiRequest(`/api/chats/${chat.id}/messages/${msg.id}`, { method: 'PATCH', body: { noPreview: true } });
+    upsertMessage(chat.id, message);
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+// The quoted message above a reply; clicking it jumps to the original
+function replyQuoteHtml(preview, chat){
+  if (!preview) return '';
+  let text;
+  if (preview.missing) text = 'Message unavailable';
+  else if (preview.deleted) text = 'This message was deleted';
+  else text = preview.text || attachmentLabel(preview);
+  const name = preview.senderId === currentUserId() ? 'You' : (preview.senderName || '');
+  const color = preview.senderId ? senderColor(preview.senderId) : '#8696a0';
+  const jump = preview.missing ? '' : `onclick="openChatAtMessage('${chat.id}', '${preview.id}')"`;
+  return `
+    <div class="reply-quote" style="border-left-color:${color}" ${jump}>
+      <div class="reply-quote-name" style="color:${color}">${escapeHtml(name)}</div>
+      <div class="reply-quote-text">${escapeHtml(text)}</div>
+    </div>
+  `;
+}
+
+// --- Chat list state: pin, archive, mute, mark unread (per user, kept by the server) ---
+const MUTE_OPTIONS = [['Mute for 8 hours', 8 * 3600 * 1000], ['Mute for 1 week', 7 * 24 * 3600 * 1000], ['Mute always', null]];
+// "Always" is a mute that never runs out
+const MUTED_FOREVER = '9999-12-31T23:59:59.999Z';
+
+function isChatMuted(chat){
+  return !!chat.prefs?.mutedUntil && new Date(chat.prefs.mutedUntil) > new Date();
+}
+
+// The chat header's menu (shares the popup with the message menu)
+function openChatMenu(event){
+  event.stopPropagation();
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  if (!chat) return;
+  const prefs = chat.prefs || {};
+  const id = chat.id;
+  const items = [
+    [prefs.pinnedAt ? 'Unpin chat' : 'Pin chat', `updateChatPrefs('${id}', { pinned: ${!prefs.pinnedAt} })`],
+    [prefs.archived ? 'Unarchive chat' : 'Archive chat', `updateChatPrefs('${id}', { archived: ${!prefs.archived} })`]
+  ];
+  if (isChatMuted(chat)) {
+    const until = chat.prefs.mutedUntil === MUTED_FOREVER ? '' : ` (until ${new Date(chat.prefs.mutedUntil).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })})`;
+    items.push(['Unmute notifications' + escapeHtml(until), `updateChatPrefs('${id}', { mutedUntil: null })`]);
+  } else {
+    MUTE_OPTIONS.forEach(([label], i) => items.push([label, `muteChat('${id}', ${i})`]));
+  }
+  items.push(['Mark as unread', `markChatUnread('${id}')`]);
+  items.push(['Scheduled messages', 'openScheduleModal()']);
+  // In groups only admins set the disappearing timer
+  const me = (chat.members || []).find(m => m.id === currentUserId());
+  if (chat.kind !== 'group' || me?.role === 'admin') {
+    DISAPPEAR_OPTIONS.filter(([seconds]) => seconds !== chat.disappearAfter).forEach(([seconds, label]) =>
+      items.push(['Disappearing messages: ' + label, `setDisappearing('${id}', ${seconds})`]));
+    if (chat.disappearAfter) items.push(['Turn off disappearing messages', `setDisappearing('${id}', null)`]);
+  }
+  if (chat.kind === 'group') items.push(['Group info', 'openChatInfo()']);
+  const partner = directPartner(chat);
+  if (partner) {
+    items.push(isBlocked(partner.id)
+      ? ['Unblock contact', `unblockUser('${partner.id}')`]
+      : ['Block contact', `blockUser('${partner.id}')`]);
+  }
+  items.push(['Export chat', 'exportCurrentChat()']);
+  const menu = document.getElementById('messageMenu');
+  menu.innerHTML = menuItemsHtml(items);
+  showPopupMenu(menu, event.currentTarget);
+}
+
+async function updateChatPrefs(chatId, fields){
+  try {
+    const summary = await apiRequest(`/api/chats/${chatId}/prefs`, { method: 'PATCH', body: fields });
+    upsertChatSummary(summary);
+    renderChats();
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+function muteChat(chatId, option){
+  const duration = MUTE_OPTIONS[option][1];
+  const mutedUntil = duration ? new Date(Date.now() + duration).toISOString() : MUTED_FOREVER;
+  return updateChatPrefs(chatId, { mutedUntil });
+}
+
+// Closes the chat too, otherwise opening it would count as reading it straight away
+async function markChatUnread(chatId){
+  if (appData.currentChatId === chatId) closeOpenChat();
+  await updateChatPrefs(chatId, { markedUnread: true });
+}
+
+// --- Privacy: blocked users and who sees our avatar, about text and last seen ---
+// The server enforces all of it; these only edit the settings and reflect them.
+const PRIVACY_LEVELS = [['everyone', 'Everyone'], ['contacts', 'My contacts'], ['nobody', 'Nobody']];
+const PRIVACY_FIELDS = [['lastSeen', 'Last seen and online'], ['avatar', 'Profile photo'], ['about', 'About']];
+
+function isBlocked(userId){
+  return (appData.user?.blocked || []).some(u => u.id === userId);
+}
+
+async function blockUser(userId){
+  const member = (appData.contacts || []).find(c => c.id === userId)
+    || appData.chats.flatMap(c => c.members || []).find(m => m.id === userId);
+  const name = member ? member.name : userId;
+  if (!confirm(`Block ${name}? They won't be able to message you, send you friend requests or see your profile.`)) return;
+  await updateBlock('/api/blocks', { method: 'POST', body: { userId } });
+}
+
+function unblockUser(userId){
+  return updateBlock(`/api/blocks/${userId}`, { method: 'DELETE' });
+}
+
+async function updateBlock(url, options){
+  try {
+    const { user } = await apiRequest(url, options);
+    applyProfile(user);
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+// Our own profile changed (here or in another tab)
+function applyProfile(user){
+  appData.user = user;
+  renderOwnAvatar();
+  refreshLastSearchRelationship();
+  updateAddFriendButtonState();
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  if (chat) renderChatHeader(chat);
+  if (document.getElementById('privacyModal').classList.contains('active')) renderPrivacySettings();
+}
+
+// In a direct chat with someone we blocked, the composer gives way to a notice
+function renderBlockedNotice(chat){
+  const partner = directPartner(chat);
+  const blocked = !!partner && isBlocked(partner.id);
+  const notice = document.getElementById('blockedNotice');
+  notice.style.display = blocked ? 'flex' : 'none';
+  if (blocked) notice.querySelector('button').setAttribute('onclick', `unblockUser('${partner.id}')`);
+  document.querySelector('.input-area').style.display = blocked ? 'none' : '';
+}
+
+// Presence of someone we share a chat with, or a contact
+function applyPresence({ userId, online, lastSeenAt }){
+  const people = appData.chats.flatMap(c => c.members || []).concat(appData.contacts || []);
+  people.filter(p => p.id === userId).forEach(p => Object.assign(p, { online, lastSeenAt }));
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  if (chat && directPartner(chat)?.id === userId) renderChatHeader(chat);
+}
+
+function openPrivacyModal(){
+  closeModal('settingsModal');
+  renderPrivacySettings();
+  document.getElementById('privacyModal').classList.add('active');
+}
+
+function renderPrivacySettings(){
+  const privacy = appData.user?.privacy || {};
+  const options = selected => PRIVACY_LEVELS.map(([value, label]) =>
+    `<option value="${value}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('');
+  const blocked = appData.user?.blocked || [];
+  document.getElementById('privacySettings').innerHTML = `
+    <div class="notify-section">Who can see my</div>
+    ${PRIVACY_FIELDS.map(([field, label]) => `
+      <div class="notify-row">
+        <span>${escapeHtml(label)}</span>
+        <select onchange="savePrivacySettings({ ${field}: this.value })">${options(privacy[field])}</select>
+      </div>`).join('')}
+    <div class="notify-row">
+      <span>Let people find me by my ID</span>
+      <input type="checkbox"${privacy.searchable !== false ? ' checked' : ''} onchange="savePrivacySettings({ searchable: this.checked })">
+    </div>
+    <div class="notify-section">Blocked contacts</div>
+    ${blocked.map(u => `
+      <div class="notify-row">
+        <span>${escapeHtml(u.name || u.id)}</span>
+        <button class="request-btn secondary" onclick="unblockUser('${u.id}')">Unblock</button>
+      </div>`).join('') || '<div class="search-empty">Nobody is blocked</div>'}
+  `;
+}
+
+async function savePrivacySettings(fields){
+  try {
+    const { user } = await apiRequest('/api/profile', { method: 'POST', body: { privacy: fields } });
+    applyProfile(user);
+  } catch (err) {
+    showToast(err.message);
+    renderPrivacySettings();
+  }
+}
+
+// --- Scheduled and disappearing messages ---
+// The server holds scheduled messages and sends them on time (the tab can be closed);
+// it also purges messages once a chat's disappearing timer runs out. Expired messages are
+// dropped here as well so they don't linger until the server's purge comes through.
+const DISAPPEAR_OPTIONS = [[86400, '24 hours'], [7 * 86400, '7 days'], [90 * 86400, '90 days']];
+const EXPIRY_CHECK_MS = 30 * 1000;
+
+// editingId: the scheduled message the modal is editing, or null for a new one
+const scheduler = { editingId: null };
+
+// Value for a datetime-local input, in local time
+function toDatetimeLocal(date){
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function openScheduleModal(){
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  if (!chat) return;
+  const dropdown = document.getElementById('attachDropdown');
+  if (dropdown) dropdown.style.display = 'none';
+  // Start from whatever was typed in the composer
+  const input = document.getElementById('messageInput');
+  resetScheduleForm(composer.mode === 'edit' ? '' : input.value);
+  renderScheduledList();
+  document.getElementById('scheduleModal').classList.add('active');
+}
+
+function resetScheduleForm(text = ''){
+  scheduler.editingId = null;
+  document.getElementById('scheduleText').value = text;
+  document.getElementById('scheduleFile').value = '';
+  document.getElementById('scheduleFileGroup').style.display = '';
+  document.getElementById('scheduleAt').value = toDatetimeLocal(new Date(Date.now() + 60 * 60 * 1000));
+  document.getElementById('scheduleSubmit').textContent = 'Schedule';
+}
+
+function renderScheduledList(){
+  const chatId = appData.currentChatId;
+  const pending = appData.scheduled.filter(s => s.chatId === chatId);
+  document.getElementById('scheduledList').innerHTML = pending.map(s => `
+    <div class="scheduled-item">
+      <div class="scheduled-body">
+        <div class="scheduled-text">${s.fileName ? '<i class="fas fa-paperclip"></i> ' : ''}${escapeHtml(s.text || attachmentLabel(s))}</div>
+        <div class="scheduled-time">${escapeHtml(new Date(s.sendAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }))}</div>
+      </div>
+      <button class="request-btn secondary" onclick="editScheduled('${s.id}')">Edit</button>
+      <button class="request-btn secondary" onclick="cancelScheduled('${s.id}')">Cancel</button>
+    </div>`).join('') || '<div class="search-empty">No scheduled messages in this chat</div>';
+}
+
+function editScheduled(id){
+  const entry = appData.scheduled.find(s => s.id === id);
+  if (!entry) return;
+  scheduler.editingId = id;
+  document.getElementById('scheduleText').value = entry.text || '';
+  // The attachment stays as it is; only the text and the time can change
+  document.getElementById('scheduleFileGroup').style.display = 'none';
+  document.getElementById('scheduleAt').value = toDatetimeLocal(new Date(entry.sendAt));
+  document.getElementById('scheduleSubmit').textContent = 'Save changes';
+}
+
+async function submitScheduled(){
+  const chatId = appData.currentChatId;
+  const editing = scheduler.editingId;
+  const text = document.getElementById('scheduleText').value.trim();
+  const file = document.getElementById('scheduleFile').files[0];
+  const when = new Date(document.getElementById('scheduleAt').value);
+  if (Number.isNaN(when.getTime()) || when <= new Date()) return showToast('Pick a time in the future');
+  const sendAt = when.toISOString();
+  try {
+    if (editing) {
+      await apiRequest(`/api/scheduled/${editing}`, { method: 'PATCH', body: { text, sendAt } });
+    } else if (file) {
+      const limits = appData.uploadLimits;
+      if (limits && file.size > limits.maxFileBytes) return showToast('Files can be at most ' + formatBytes(limits.maxFileBytes));
+      const form = new FormData();
+      form.append('file', file);
+      if (text) form.append('text', text);
+      form.append('sendAt', sendAt);
+      await apiRequest(`/api/chats/${chatId}/files`, { method: 'POST', body: form });
+    } else {
+      if (!text) return showToast('Type a message or pick a file');
+      await apiRequest(`/api/chats/${chatId}/messages`, { method: 'POST', body: { text, sendAt } });
+    }
+  } catch (err) {
+    return showToast(err.message);
+  }
+  // Scheduled from the composer's text: it's taken care of now
+  const input = document.getElementById('messageInput');
+  if (!editing && text && input.value.trim() === text) input.value = '';
+  showToast(editing ? 'Scheduled message updated' : 'Message scheduled');
+  resetScheduleForm();
+  await refreshScheduled();
+}
+
+async function cancelScheduled(id){
+  if (!confirm('Cancel this scheduled message?')) return;
+  try {
+    await apiRequest(`/api/scheduled/${id}`, { method: 'DELETE' });
+  } catch (err) {
+    return showToast(err.message);
+  }
+  if (scheduler.editingId === id) resetScheduleForm();
+  await refreshScheduled();
+}
+
+// The server also pushes the list over the socket; this covers a missed event
+async function refreshScheduled(){
+  try {
+    const { scheduled } = await apiRequest('/api/scheduled');
+    applyScheduled(scheduled);
+  } catch (err) {
+    console.warn('Could not load scheduled messages', err);
+  }
+}
+
+function applyScheduled(scheduled){
+  appData.scheduled = scheduled || [];
+  if (document.getElementById('scheduleModal').classList.contains('active')) renderScheduledList();
+}
+
+async function setDisappearing(chatId, seconds){
+  try {
+    const summary = await apiRequest(`/api/chats/${chatId}/disappearing`, { method: 'PATCH', body: { seconds } });
+    upsertChatSummary(summary);
+    renderChats();
+    if (chatId === appData.currentChatId) renderChatHeader(appData.chats.find(c => c.id === chatId));
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+function disappearLabel(seconds){
+  const option = DISAPPEAR_OPTIONS.find(([value]) => value === seconds);
+  return option ? option[1] : '';
+}
+
+// The server purged these (disappearing messages)
+function removeMessagesLocally(chatId, messageIds){
+  const chat = appData.chats.find(c => c.id === chatId);
+  if (!chat) return;
+  const ids = new Set(messageIds);
+  const before = chat.messages.length;
+  chat.messages = chat.messages.filter(m => !ids.has(m.id));
+  if (chat.messages.length !== before && chat.id === appData.currentChatId) renderMessages();
+}
+
+function dropExpiredMessages(){
+  const now = new Date().toISOString();
+  appData.chats.forEach(chat => {
+    const expired = chat.messages.filter(m => m.expiresAt && m.expiresAt <= now).map(m => m.id);
+    if (expired.length) removeMessagesLocally(chat.id, expired);
+  });
+}
+
+// --- Notifications ---
+// New messages from others can raise a desktop notification (handed to the service worker
+// when it is registered, so they show while the tab is in the background) and play a
+// sound; the tab title carries the unread count. What alerts comes from the user's global
+// level and each chat's own level (chat.prefs.notify, null = global). Muted chats never alert.
+const NOTIFY_LEVELS = [['all', 'All messages'], ['mentions', 'Mentions and replies only'], ['none', 'Nothing']];
+const NOTIFICATION_SOUNDS = [['chime', 'Chime'], ['pop', 'Pop'], ['none', 'No sound']];
+const BASE_TITLE = document.title;
+
+// alertedSeq: per chat, the newest message already considered, so edits and reactions
+// (which arrive as 'message' events too) don't alert again
+const notifier = { registration: null, alertedSeq: {}, audioContext: null };
+
+function registerServiceWorker(){
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('/sw.js')
+    .then(registration => { notifier.registration = registration; })
+    .catch(err => console.warn('Service worker not registered', err));
+  // A click on a notification while a tab is open
+  navigator.serviceWorker.addEventListener('message', event => {
+    if (event.data?.type === 'openChat') openChatFromNotification(event.data.chatId);
+  });
+}
+
+function openChatFromNotification(chatId){
+  if (appData.chats.some(c => c.id === chatId)) openChat(chatId);
+}
+
+function notificationSettings(){
+  return Object.assign({ level: 'all', sound: 'chime' }, appData.user?.notifications);
+}
+
+function notifyLevel(chat){
+  return chat.prefs?.notify || notificationSettings().level;
+}
+
+// Whether a message that just arrived should alert; each message is only considered once
+function wantsAlert(chat, message){
+  const me = currentUserId();
+  if (!message.seq || !message.senderId || message.senderId === me || message.deleted || message.hidden) return false;
+  const seen = notifier.alertedSeq[chat.id] ?? myReceipt(chat).readSeq;
+  if (message.seq <= seen) return false;
+  notifier.alertedSeq[chat.id] = message.seq;
+  if (isChatMuted(chat)) return false;
+  const level = notifyLevel(chat);
+  if (level === 'none') return false;
+  if (level === 'mentions') return (message.mentions || []).includes(me) || message.replyPreview?.senderId === me;
+  return true;
+}
+
+// Called for every incoming 'message' event, before the open chat is marked read
+function notifyIncoming(chat, message){
+  if (!wantsAlert(chat, message)) return;
+  const focused = document.visibilityState === 'visible' && document.hasFocus();
+  if (focused && chat.id === appData.currentChatId) return;
+  playNotificationSound();
+  if (!focused) showDesktopNotification(chat, message);
+}
+
+function showDesktopNotification(chat, message){
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  const sender = (chat.members || []).find(m => m.id === message.senderId);
+  const group = chat.kind === 'group';
+  const title = group ? chat.name : (sender ? sender.name : chat.name);
+  const body = (group && sender ? sender.name + ': ' : '') + (message.text || attachmentLabel(message));
+  // One notification per chat: a newer message replaces the previous one
+  const options = { body, tag: 'chat-' + chat.id, renotify: true, data: { chatId: chat.id } };
+  if (notifier.registration) {
+    notifier.registration.showNotification(title, options).catch(err => console.warn('Notification failed', err));
+    return;
+  }
+  const notification = new Notification(title, options);
+  notification.onclick = () => {
+    window.focus();
+    openChatFromNotification(chat.id);
+    notification.close();
+  };
+}
+
+// The sounds are synthesized, so there are no audio files to load
+function playNotificationSound(sound = notificationSettings().sound){
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (sound === 'none' || !AudioContext) return;
+  const ctx = notifier.audioContext = notifier.audioContext || new AudioContext();
+  if (ctx.state === 'suspended') ctx.resume().catch(() => {});
+  // [frequency, start, length] in Hz and seconds
+  const notes = sound === 'pop' ? [[660, 0, 0.09]] : [[880, 0, 0.16], [1320, 0.12, 0.28]];
+  notes.forEach(([frequency, start, length]) => {
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const at = ctx.currentTime + start;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, at);
+    gain.gain.exponentialRampToValueAtTime(0.2, at + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, at + length);
+    oscillator.connect(gain).connect(ctx.destination);
+    oscillator.start(at);
+    oscillator.stop(at + length + 0.05);
+  });
+}
+
+// "(3) Mirror - Chat App": unread messages in chats that aren't muted
+function updateTitleBadge(){
+  const count = appData.chats
+    .filter(chat => chat.id !== appData.currentChatId && !isChatMuted(chat))
+    .reduce((sum, chat) => sum + (chat.unread || (chat.prefs?.markedUnread ? 1 : 0)), 0);
+  document.title = count ? `(${count > 99 ? '99+' : count}) ${BASE_TITLE}` : BASE_TITLE;
+}
+
+// Settings > Notifications
+function openNotificationsModal(){
+  closeModal('settingsModal');
+  renderNotificationSettings();
+  document.getElementById('notificationsModal').classList.add('active');
+}
+
+function renderNotificationSettings(){
+  const box = document.getElementById('notificationSettings');
+  const settings = notificationSettings();
+  const options = (list, selected) => list.map(([value, label]) =>
+    `<option value="${value}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`
+  ).join('');
+  let desktop;
+  if (!('Notification' in window)) desktop = '<span class="notify-status">Not supported by this browser</span>';
+  else if (Notification.permission === 'granted') desktop = '<span class="notify-status on">On</span>';
+  else if (Notification.permission === 'denied') desktop = '<span class="notify-status">Blocked in the browser settings</span>';
+  else desktop = '<button class="notify-enable" onclick="enableDesktopNotifications()">Turn on</button>';
+  const globalLabel = NOTIFY_LEVELS.find(([value]) => value === settings.level)[1];
+  const chats = appData.chats.slice().sort((a, b) => a.name.localeCompare(b.name));
+  box.innerHTML = `
+    <div class="notify-row"><span>Desktop notifications</span>${desktop}</div>
+    <div class="notify-row">
+      <span>Notify me about</span>
+      <select onchange="saveNotificationSettings({ level: this.value })">${options(NOTIFY_LEVELS, settings.level)}</select>
+    </div>
+    <div class="notify-row">
+      <span>Sound</span>
+      <span>
+        <select onchange="saveNotificationSettings({ sound: this.value })">${options(NOTIFICATION_SOUNDS, settings.sound)}</select>
+        <button class="icon-btn notify-test" title="Play" onclick="playNotificationSound()"><i class="fas fa-volume-up"></i></button>
+      </span>
+    </div>
+    <div class="notify-section">Chats</div>
+    ${chats.map(chat => `
+      <div class="notify-row">
+        <span>${escapeHtml(chat.name)}${isChatMuted(chat) ? ' <i class="fas fa-bell-slash chat-state-icon" title="Muted"></i>' : ''}</span>
+        <select onchange="updateChatPrefs('${chat.id}', { notify: this.value || null })">
+          <option value="">Default (${escapeHtml(globalLabel)})</option>
+          ${options(NOTIFY_LEVELS, chat.prefs?.notify)}
+        </select>
+      </div>`).join('') || '<div class="search-empty">No chats yet</div>'}
+  `;
+}
+
+async function enableDesktopNotifications(){
+  try {
+    await Notification.requestPermission();
+  } catch (err) {
+    console.warn('Notification permission request failed', err);
+  }
+  renderNotificationSettings();
+}
+
+async function saveNotificationSettings(fields){
+  try {
+    const { user } = await apiRequest('/api/profile', { method: 'POST', body: { notifications: fields } });
+    appData.user.notifications = user.notifications;
+  } catch (err) {
+    showToast(err.message);
+  }
+  renderNotificationSettings();
+}
+
+// --- Message actions: reply, edit, delete ---
+
+// The composer is either replying to or editing one message of the open chat
+const composer = { mode: null, chatId: null, messageId: null };
+
+function findMessage(chat, key){
+  return chat ? chat.messages.find(m => messageKey(m) === key) : null;
+}
+
+// Same shape as the server's replyPreview, for optimistic replies and local refreshes
+function replyPreviewOf(msg, chat){
+  const member = (chat.members || []).find(m => m.id === msg.senderId);
+  return {
+    id: msg.id,
+    senderId: msg.senderId,
+    senderName: member ? member.name : (msg.authorName || null),
+    text: msg.deleted ? '' : (msg.text || ''),
+    fileName: msg.deleted ? null : (msg.fileName || null),
+    isImage: !msg.deleted && !!msg.isImage,
+    isVoice: !msg.deleted && !!msg.voice,
+    deleted: !!msg.deleted
+  };
+}
+
+// What stands in for an attachment where there is no room for it (quotes, lists)
+function attachmentLabel(m){
+  if (m.isImage) return 'Photo';
+  if (m.isVoice || m.voice) return 'Voice message';
+  return m.fileName || '';
+}
+
+function openMessageMenu(event, key){
+  event.stopPropagation();
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  const msg = findMessage(chat, key);
+  if (!msg) return;
+  const own = msg.senderId === currentUserId();
+  const items = [];
+  if (!msg.deleted) items.push(['Reply', `startReply('${key}')`]);
+  if (!msg.deleted) items.push([msg.starred ? 'Unstar' : 'Star', `toggleStar('${key}')`]);
+  if (own && !msg.deleted) items.push(['Edit', `startEdit('${key}')`]);
+  if (own && !msg.deleted && msg.linkPreview && !msg.noPreview) items.push(['Remove preview', `removeLinkPreview('${key}')`]);
+  items.push(['Delete for me', `deleteMessage('${key}', 'me')`]);
+  if (own && !msg.deleted) items.push(['Delete for everyone', `deleteMessage('${key}', 'everyone')`]);
+  const menu = document.getElementById('messageMenu');
+  const mine = myReaction(msg);
+  const reactions = msg.deleted ? '' : `<div class="reaction-bar">${QUICK_REACTIONS.map(tonedChar).map(emoji =>
+    `<button class="reaction-option ${emoji === mine ? 'mine' : ''}" data-emoji="${emoji}" onclick="closeMessageMenu();toggleReaction('${key}', this.dataset.emoji)">${emoji}</button>`
+  ).join('')}<button class="reaction-option more" title="More reactions" onclick="closeMessageMenu();toggleEmojiPicker('${key}')"><i class="fas fa-plus"></i></button></div>`;
+  menu.innerHTML = reactions + menuItemsHtml(items);
+  showPopupMenu(menu, event.currentTarget);
+}
+
+function menuItemsHtml(items){
+  return items.map(([label, action]) =>
+    `<div class="menu-item" onclick="closeMessageMenu();${action}">${label}</div>`
+  ).join('');
+}
+
+// Opens the popup menu below `anchor`, or above it when there is no room left
+function showPopupMenu(menu, anchor){
+  menu.classList.add('active');
+  const rect = anchor.getBoundingClientRect();
+  const top = rect.bottom + menu.offsetHeight > window.innerHeight ? rect.top - menu.offsetHeight : rect.bottom;
+  menu.style.top = Math.max(8, top) + 'px';
+  menu.style.left = Math.max(8, Math.min(rect.right - menu.offsetWidth, window.innerWidth - menu.offsetWidth - 8)) + 'px';
+}
+
+function closeMessageMenu(){
+  document.getElementById('messageMenu').classList.remove('active');
+}
+
+function startReply(key){
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  const msg = findMessage(chat, key);
+  if (msg) setComposer('reply', chat, msg);
+}
+
+function startEdit(key){
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  const msg = findMessage(chat, key);
+  if (!msg) return;
+  setComposer('edit', chat, msg);
+  document.getElementById('messageInput').value = msg.text || '';
+  updateLinkPreviewBar();
+}
+
+function setComposer(mode, chat, msg){
+  if (composer.mode === 'edit') document.getElementById('messageInput').value = '';
+  Object.assign(composer, { mode, chatId: chat.id, messageId: msg.id });
+  const preview = replyPreviewOf(msg, chat);
+  const name = msg.senderId === currentUserId() ? 'yourself' : (preview.senderName || 'message');
+  document.getElementById('composerContextTitle').textContent = mode === 'edit' ? 'Edit message' : 'Replying to ' + name;
+  document.getElementById('composerContextText').textContent = preview.text || attachmentLabel(preview);
+  document.getElementById('composerContext').style.display = 'flex';
+  document.getElementById('messageInput').focus();
+}
+
+// Drop the reply/edit target; an unfinished edit also clears the input
+function clearComposer(){
+  if (composer.mode === 'edit') document.getElementById('messageInput').value = '';
+  Object.assign(composer, { mode: null, chatId: null, messageId: null });
+  document.getElementById('composerContext').style.display = 'none';
+  updateLinkPreviewBar();
+}
+
+// The message being replied to in `chatId`, if any
+function replyTarget(chatId){
+  return composer.mode === 'reply' && composer.chatId === chatId ? composer.messageId : null;
+}
+
+async function saveEdit(text){
+  const { chatId, messageId } = composer;
+  clearComposer();
+  try {
+    const { message } = await apiRequest(`/api/chats/${chatId}/messages/${messageId}`, { method: 'PATCH', body: { text } });
+    upsertMessage(chatId, message);
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+async function deleteMessage(key, scope){
+  const chatId = appData.currentChatId;
+  const msg = findMessage(appData.chats.find(c => c.id === chatId), key);
+  if (!msg) return;
+  if (scope === 'everyone' && !confirm('Delete this message for everyone?')) return;
+  if (composer.messageId === msg.id) clearComposer();
+  try {
+    const { message } = await apiRequest(`/api/chats/${chatId}/messages/${msg.id}?scope=${scope}`, { method: 'DELETE' });
+    upsertMessage(chatId, message);
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+async function toggleStar(key){
+  const chatId = appData.currentChatId;
+  const msg = findMessage(appData.chats.find(c => c.id === chatId), key);
+  if (!msg) return;
+  try {
+    const { message } = await apiRequest(`/api/chats/${chatId}/messages/${msg.id}/star`, { method: msg.starred ? 'DELETE' : 'POST' });
+    upsertMessage(chatId, message);
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+// Earlier versions of an edited message, oldest first, then the current text
+function showEditHistory(key){
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  const msg = findMessage(chat, key);
+  if (!msg) return;
+  const versions = (msg.edits || []).concat({ text: msg.text, at: msg.editedAt, current: true });
+  document.getElementById('editHistoryList').innerHTML = versions.map(v => `
+    <div class="edit-version">
+      <div class="edit-version-time">${escapeHtml(new Date(v.at).toLocaleString())}${v.current ? ' · current' : ''}</div>
+      <div class="edit-version-text">${escapeHtml(v.text || '')}</div>
+    </div>
+  `).join('');
+  document.getElementById('editHistoryModal').classList.add('active');
+}
+
+// An edited or deleted message: refresh the quotes of loaded replies to it
+function refreshReplyQuotes(chat, message){
+  if (message.hidden || !message.id) return;
+  const preview = replyPreviewOf(message, chat);
+  chat.messages.forEach(m => {
+    if (!m.replyPreview || m.replyPreview.id !== message.id) return;
+    m.replyPreview = Object.assign({}, preview, { senderName: m.replyPreview.senderName || preview.senderName });
+    if (chat.id === appData.currentChatId) patchMessage(chat, m, { prevKey: messageKey(m), moved: false });
+  });
+}
+
+// --- Reactions ---
+// One emoji per member and message; picking our current one again takes it back
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+function myReaction(msg){
+  const reactions = msg.reactions || {};
+  return Object.keys(reactions).find(emoji => reactions[emoji].includes(currentUserId())) || null;
+}
+
+async function toggleReaction(key, emoji){
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  const msg = findMessage(chat, key);
+  if (!msg || !msg.id) return;
+  const url = `/api/chats/${chat.id}/messages/${msg.id}/reaction`;
+  try {
+    const { message } = myReaction(msg) === emoji
+      ? await apiRequest(url, { method: 'DELETE' })
+      : await apiRequest(url, { method: 'POST', body: { emoji } });
+    upsertMessage(chat.id, message);
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+// "You, Alex Chen" for the tooltip on a reaction chip
+function reactorNames(userIds, chat){
+  const others = userIds.filter(id => id !== currentUserId())
+    .map(id => (chat.members || []).find(m => m.id === id)?.name || 'Former member');
+  return (userIds.includes(currentUserId()) ? ['You'] : []).concat(others).join(', ');
+}
+
+// Chips under the bubble, most popular first
+function reactionsHtml(msg, chat){
+  if (msg.deleted || !msg.id) return '';
+  const entries = Object.entries(msg.reactions || {})
+    .filter(([, userIds]) => userIds.length)
+    .sort((a, b) => b[1].length - a[1].length);
+  if (entries.length === 0) return '';
+  const key = escapeHtml(messageKey(msg));
+  return `<div class="message-reactions">${entries.map(([emoji, userIds]) => `
+    <button class="reaction-chip ${userIds.includes(currentUserId()) ? 'mine' : ''}" title="${escapeHtml(reactorNames(userIds, chat))}"
+      data-emoji="${escapeHtml(emoji)}" onclick="toggleReaction('${key}', this.dataset.emoji)">
+      ${escapeHtml(emoji)}<span class="reaction-count">${userIds.length}</span>
+    </button>`).join('')}</div>`;
+}
+
+// --- Starred messages panel ---
+async function openStarredModal(){
+  const list = document.getElementById('starredList');
+  list.innerHTML = '<div class="search-empty">Loading…</div>';
+  document.getElementById('starredModal').classList.add('active');
+  try {
+    const { starred } = await apiRequest('/api/starred');
+    renderStarred(starred);
+  } catch (err) {
+    list.innerHTML = `<div class="search-empty">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function renderStarred(starred){
+  const list = document.getElementById('starredList');
+  if (starred.length === 0) {
+    list.innerHTML = '<div class="search-empty">No starred messages. Star a message from its menu to find it here.</div>';
+    return;
+  }
+  list.innerHTML = starred.map(s => {
+    const m = s.message;
+    const chat = appData.chats.find(c => c.id === s.chatId);
+    const member = chat && (chat.members || []).find(x => x.id === m.senderId);
+    const sender = m.type === 'sent' ? 'You' : (member ? member.name : (m.authorName || s.chatName));
+    const text = m.text || attachmentLabel(m);
+    const when = new Date(m.createdAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    return `
+      <div class="starred-item" onclick="jumpToStarred('${s.chatId}', '${m.id}')">
+        <div class="starred-meta">
+          <span>${escapeHtml(sender)} · ${escapeHtml(s.chatName)}</span>
+          <span>${escapeHtml(when)}</span>
+        </div>
+        <div class="starred-text">${escapeHtml(text)}</div>
+        <button class="request-btn secondary" onclick="event.stopPropagation();unstarFromPanel('${s.chatId}', '${m.id}')">Unstar</button>
+      </div>
+    `;
+  }).join('');
+}
+
+function jumpToStarred(chatId, messageId){
+  closeModal('starredModal');
+  openChatAtMessage(chatId, messageId);
+}
+
+async function unstarFromPanel(chatId, messageId){
+  try {
+    const { message } = await apiRequest(`/api/chats/${chatId}/messages/${messageId}/star`, { method: 'DELETE' });
+    upsertMessage(chatId, message);
+    openStarredModal();
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+// --- Delivery / read receipts ---
+
+// Status of one of our messages from the other members' watermarks
+function messageStatus(msg, chat){
+  if (msg.failed) return 'failed';
+  if (msg.pending || !msg.seq) return 'pending';
+  const others = (chat.members || []).map(m => m.id).filter(id => id !== currentUserId());
+  if (others.length === 0) return 'sent';
+  const receipts = chat.receipts || {};
+  if (others.every(id => (receipts[id]?.readSeq || 0) >= msg.seq)) return 'read';
+  if (others.every(id => (receipts[id]?.deliveredSeq || 0) >= msg.seq)) return 'delivered';
+  return 'sent';
+}
+
+function ticksHtml(status){
+  const icons = {
+    pending: 'far fa-clock',
+    failed: 'fas fa-exclamation-circle',
+    sent: 'fas fa-check',
+    delivered: 'fas fa-check-double',
+    read: 'fas fa-check-double'
+  };
+  return `<span class="ticks ${status}" title="${status}"><i class="${icons[status]}"></i></span>`;
+}
+
+// Receipts changed: update only the ticks of our bubbles
+function refreshTicks(chat){
+  document.querySelectorAll('#messagesContainer .message.sent[data-key]').forEach(el => {
+    const msg = chat.messages.find(m => messageKey(m) === el.dataset.key);
+    const ticks = el.querySelector('.ticks');
+    if (msg && ticks) ticks.outerHTML = ticksHtml(messageStatus(msg, chat));
+  });
+}
+
+function sendRealtime(payload){
+  const socket = realtime.socket;
+  if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(payload));
+}
+
+function myReceipt(chat){
+  return (chat.receipts || {})[currentUserId()] || { deliveredSeq: 0, readSeq: 0 };
+}
+
+function ackDelivered(chat, seq){
+  if (seq > myReceipt(chat).deliveredSeq) sendRealtime({ type: 'delivered', chatId: chat.id, seq });
+}
+
+// Mark the open chat as read while the tab is visible
+function markChatRead(chat){
+  if (!chat || document.visibilityState !== 'visible') return;
+  const seq = chat.hasNewer
+    ? chat.messages.reduce((max, m) => Math.max(max, m.seq || 0), 0)
+    : (chat.seq || 0);
+  if (seq > myReceipt(chat).readSeq) sendRealtime({ type: 'read', chatId: chat.id, seq });
+  if (chat.prefs?.markedUnread) {
+    chat.prefs.markedUnread = false;
+    updateChatPrefs(chat.id, { markedUnread: false });
+  }
+  if (chat.unread) {
+    chat.unread = 0;
+    renderChats();
+  }
+}
+
+// --- Typing indicators ---
+const typingState = { chatId: null, lastSent: 0, stopTimer: null };
+
+// Called on input in the composer; re-announces every 3s and stops after 4s idle
+function notifyTyping(){
+  const chatId = appData.currentChatId;
+  if (!chatId) return;
+  const now = Date.now();
+  if (typingState.chatId !== chatId) stopTyping();
+  if (now - typingState.lastSent > 3000) {
+    sendRealtime({ type: 'typing', chatId, typing: true });
+    typingState.lastSent = now;
+    typingState.chatId = chatId;
+  }
+  clearTimeout(typingState.stopTimer);
+  typingState.stopTimer = setTimeout(stopTyping, 4000);
+}
+
+function stopTyping(){
+  clearTimeout(typingState.stopTimer);
+  if (!typingState.chatId) return;
+  sendRealtime({ type: 'typing', chatId: typingState.chatId, typing: false });
+  typingState.chatId = null;
+  typingState.lastSent = 0;
+}
+
+// Other people typing, per chat: { [chatId]: { [userId]: expiryTimer } }
+const typingUsers = {};
+
+function setTyping(chatId, userId, typing){
+  const users = typingUsers[chatId] = typingUsers[chatId] || {};
+  clearTimeout(users[userId]);
+  delete users[userId];
+  // A lost "stopped typing" must not leave the indicator on forever
+  if (typing) users[userId] = setTimeout(() => setTyping(chatId, userId, false), 6000);
+  const chat = appData.chats.find(c => c.id === chatId);
+  if (chat && chatId === appData.currentChatId) renderChatHeader(chat);
+  renderChats();
+}
+
+function typingText(chat){
+  const ids = Object.keys(typingUsers[chat.id] || {});
+  if (ids.length === 0) return '';
+  if (chat.kind !== 'group') return 'typing…';
+  if (ids.length > 1) return ids.length + ' people are typing…';
+  const member = (chat.members || []).find(m => m.id === ids[0]);
+  return (member ? member.name.split(' ')[0] : 'Someone') + ' is typing…';
+}
+
+function messageKey(msg){
+  return msg.id || msg.clientId || '';
+}
+
+// In groups, received bubbles start with the author's name. Imported messages from
+// people without an account here carry just the name (authorName).
+function senderLabel(msg, chat){
+  if (msg.authorName && msg.type === 'received') {
+    return `<div class="message-sender" style="color:${senderColor(msg.authorName)}">${escapeHtml(msg.authorName)}</div>`;
+  }
+  if (chat.kind !== 'group' || msg.type !== 'received' || !msg.senderId) return '';
+  const member = (chat.members || []).find(m => m.id === msg.senderId);
+  const name = member ? member.name : 'Former member';
+  return `<div class="message-sender" style="color:${senderColor(msg.senderId)}">${escapeHtml(name)}</div>`;
+}
+
+const SENDER_COLORS = ['#53bdeb', '#f7a440', '#a5b337', '#e26ab6', '#06cf9c', '#fc9775', '#b18cfe'];
+function senderColor(userId){
+  let hash = 0;
+  for (const ch of String(userId)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return SENDER_COLORS[hash % SENDER_COLORS.length];
+}
+
+function escapeHtml(unsafe) {
+  return unsafe
+       .toString()
+       .replace(/&/g, "&amp;")
+       .replace(/</g, "&lt;")
+       .replace(/>/g, "&gt;")
+       .replace(/"/g, "&quot;")
+       .replace(/'/g, "&#039;");
+}
+
+// File attachment handling: the file goes into the outbox (it keeps the Blob, so a
+// local preview shows right away and survives a reload), then uploads with progress
+// shown above the composer. The server's copy replaces the preview.
+const uploads = {}; // clientId -> { name, percent, xhr }
+
+// voice: { duration, waveform } for a recorded voice note
+function handleSelectedFile(file, isImage, voice){
+  if (!file) return;
+  const chatId = appData.currentChatId;
+  if (!chatId) return;
+  const limits = appData.uploadLimits;
+  if (limits && file.size > limits.maxFileBytes) {
+    showToast('Files can be at most ' + formatBytes(limits.maxFileBytes));
+    return;
+  }
+  const chat = appData.chats.find(c => c.id === chatId);
+  const replyTo = replyTarget(chatId);
+  const original = replyTo && findMessage(chat, replyTo);
+  if (replyTo) clearComposer();
+  queueOutgoing({
+    kind: 'file',
+    chatId,
+    text: '',
+    file,
+    fileName: file.name,
+    fileSize: file.size,
+    isImage: !!isImage,
+    voice: voice || null,
+    replyTo,
+    replyPreview: original ? replyPreviewOf(original, chat) : undefined
+  });
+}
+
+// POST a FormData via XHR (fetch has no upload progress). Updates upload.percent
+// as it goes; rejects with the server's error message like apiRequest does.
+function uploadWithProgress(url, formData, upload){
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    upload.xhr = xhr;
+    xhr.open('POST', url);
+    xhr.upload.onprogress = (e) => {
+      if (!e.lengthComputable) return;
+      upload.percent = Math.round(e.loaded / e.total * 100);
+      renderUploads();
+    };
+    xhr.onload = () => {
+      let json = {};
+      try { json = JSON.parse(xhr.responseText); } catch (err) {}
+      if (xhr.status >= 200 && xhr.status < 300) return resolve(json);
+      const err = new Error(json.error || ('Upload failed (' + xhr.status + ')'));
+      err.status = xhr.status;
+      err.data = json;
+      reject(err);
+    };
+    xhr.onerror = () => reject(offlineError());
+    xhr.onabort = () => {
+      const err = new Error('Upload cancelled');
+      err.cancelled = true;
+      reject(err);
+    };
+    xhr.send(formData);
+  });
+}
+
+function renderUploads(){
+  const box = document.getElementById('uploadProgress');
+  const entries = Object.entries(uploads);
+  box.style.display = entries.length ? 'block' : 'none';
+  box.innerHTML = entries.map(([clientId, u]) => `
+    <div class="upload-row">
+      <div class="upload-name">${escapeHtml(u.name)}</div>
+      <div class="upload-bar"><div style="width:${u.percent}%"></div></div>
+      <div class="upload-percent">${u.percent}%</div>
+      <button class="icon-btn" onclick="cancelUpload('${clientId}')"><i class="fas fa-times"></i></button>
+    </div>
+  `).join('');
+}
+
+// --- Chat export / import ---
+
+// Downloads a zip with chat.json, transcript.txt and the chat's files
+function exportCurrentChat(){
+  const chatId = appData.currentChatId;
+  if (!chatId) return showToast('Open a chat to export it');
+  const link = document.createElement('a');
+  link.href = `/api/chats/${chatId}/export`;
+  link.download = '';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+function triggerImport(){ document.getElementById('importInput').click(); }
+
+async function importChatArchive(file){
+  if (!file) return;
+  const formData = new FormData();
+  formData.append('archive', file);
+  const key = generateClientId();
+  const upload = uploads[key] = { name: 'Importing ' + file.name, percent: 0, xhr: null };
+  renderUploads();
+  try {
+    const result = await uploadWithProgress('/api/chats/import', formData, upload);
+    const chat = storeChatView(result.chat);
+    openChat(chat.id);
+    showToast(result.skippedFiles ? `Chat imported; ${result.skippedFiles} file(s) could not be restored` : 'Chat imported');
+  } catch (err) {
+    if (!err.cancelled) showToast(err.message);
+  } finally {
+    delete uploads[key];
+    renderUploads();
+  }
+}
+
+// Settings > Storage and data
+async function openStorageModal(){
+  closeModal('settingsModal');
+  const box = document.getElementById('storageInfo');
+  box.innerHTML = '<div class="search-empty">Loading…</div>';
+  document.getElementById('storageModal').classList.add('active');
+  try {
+    const info = await apiRequest('/api/storage');
+    const percent = Math.min(100, Math.round(info.usedBytes / info.quotaBytes * 100));
+    box.innerHTML = `
+      <div class="storage-usage">${formatBytes(info.usedBytes)} of ${formatBytes(info.quotaBytes)} used</div>
+      <div class="upload-bar storage-bar ${percent >= 90 ? 'full' : ''}"><div style="width:${percent}%"></div></div>
+      <div class="storage-detail">${info.fileCount} file${info.fileCount === 1 ? '' : 's'} uploaded</div>
+      <div class="storage-detail">Largest file: ${formatBytes(info.maxFileBytes)}</div>
+      <div class="storage-detail">Allowed types: ${escapeHtml(info.allowedTypes.join(', '))}</div>
+    `;
+  } catch (err) {
+    box.innerHTML = `<div class="search-empty">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function cancelUpload(clientId){
+  const upload = uploads[clientId];
+  if (upload && upload.xhr) upload.xhr.abort();
+}
+
+function formatBytes(bytes){
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  const value = bytes / Math.pow(1024, i);
+  return (i === 0 || value >= 10 ? Math.round(value) : value.toFixed(1)) + ' ' + units[i];
+}
+
+// --- Voice messages ---
+// Hold the microphone button to record; releasing sends, sliding off the button cancels.
+// While recording, the input level is sampled to draw the note's waveform, which is
+// uploaded with it (the files route takes voiceDuration and waveform fields).
+const VOICE_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4', 'audio/webm'];
+const VOICE_MIN_MS = 700;
+const VOICE_MAX_MS = 15 * 60 * 1000;
+const VOICE_SAMPLE_MS = 100;
+const WAVEFORM_BARS = 48;
+const VOICE_RATES = [1, 1.5, 2];
+const VOICE_RATE_KEY = 'mirror.voiceRate';
+
+const voiceRecording = { state: 'idle', stream: null, recorder: null, chunks: [], levels: [], startedAt: 0, timer: null, audioContext: null };
+
+async function startVoiceRecording(e){
+  e.preventDefault();
+  if (voiceRecording.state !== 'idle' || !appData.currentChatId) return;
+  if (!navigator.mediaDevices?.getUserMedia || !window.MediaRecorder) {
+    showToast("This browser can't record voice messages");
+    return;
+  }
+  Object.assign(voiceRecording, { state: 'starting', chunks: [], levels: [] });
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  } catch (err) {
+    voiceRecording.state = 'idle';
+    showToast('Microphone access was denied');
+    return;
+  }
+  // Let go while the permission prompt was up: that was a tap, not a recording
+  if (voiceRecording.state !== 'starting') {
+    stream.getTracks().forEach(track => track.stop());
+    voiceRecording.state = 'idle';
+    showToast('Hold to record, release to send');
+    return;
+  }
+  const mimeType = VOICE_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  recorder.ondataavailable = ev => { if (ev.data.size) voiceRecording.chunks.push(ev.data); };
+  recorder.onstop = finishVoiceRecording;
+  Object.assign(voiceRecording, { state: 'recording', stream, recorder, startedAt: Date.now() });
+  recorder.start(250);
+  sampleVoiceLevels(stream);
+  renderVoiceRecording();
+}
+
+// Input level (RMS of the signal) every VOICE_SAMPLE_MS, for the waveform
+function sampleVoiceLevels(stream){
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  let analyser = null;
+  if (AudioContext) {
+    voiceRecording.audioContext = new AudioContext();
+    analyser = voiceRecording.audioContext.createAnalyser();
+    analyser.fftSize = 1024;
+    voiceRecording.audioContext.createMediaStreamSource(stream).connect(analyser);
+  }
+  const samples = new Uint8Array(analyser ? analyser.fftSize : 0);
+  voiceRecording.timer = setInterval(() => {
+    if (analyser) {
+      analyser.getByteTimeDomainData(samples);
+      const sum = samples.reduce((total, v) => total + (v - 128) * (v - 128), 0);
+      voiceRecording.levels.push(Math.sqrt(sum / samples.length));
+    }
+    if (Date.now() - voiceRecording.startedAt >= VOICE_MAX_MS) stopVoiceRecording(true);
+    else renderVoiceRecording();
+  }, VOICE_SAMPLE_MS);
+}
+
+// send: false discards the recording
+function stopVoiceRecording(send){
+  if (voiceRecording.state === 'starting') {
+    voiceRecording.state = 'cancelled';
+    return;
+  }
+  if (voiceRecording.state !== 'recording') return;
+  voiceRecording.state = send ? 'sending' : 'cancelled';
+  clearInterval(voiceRecording.timer);
+  if (voiceRecording.audioContext) voiceRecording.audioContext.close();
+  voiceRecording.recorder.stop();
+  voiceRecording.stream.getTracks().forEach(track => track.stop());
+  renderVoiceRecording();
+}
+
+function finishVoiceRecording(){
+  const { state, chunks, levels, startedAt, recorder } = voiceRecording;
+  Object.assign(voiceRecording, { state: 'idle', stream: null, recorder: null, chunks: [], levels: [], timer: null, audioContext: null });
+  if (state !== 'sending') return;
+  const elapsed = Date.now() - startedAt;
+  if (elapsed < VOICE_MIN_MS) {
+    showToast('Hold to record, release to send');
+    return;
+  }
+  const type = (recorder.mimeType || chunks[0]?.type || 'audio/webm').split(';')[0];
+  const ext = type === 'audio/ogg' ? '.ogg' : type === 'audio/mp4' ? '.m4a' : '.webm';
+  const file = new File(chunks, 'voice-message' + ext, { type });
+  handleSelectedFile(file, false, { duration: Math.round(elapsed / 100) / 10, waveform: waveformOf(levels) });
+}
+
+// Averages the samples into WAVEFORM_BARS bars scaled to 0-100 (loudest = 100)
+function waveformOf(levels){
+  if (levels.length === 0) return [];
+  const count = Math.min(WAVEFORM_BARS, levels.length);
+  const bars = [];
+  for (let i = 0; i < count; i++) {
+    const slice = levels.slice(Math.floor(i * levels.length / count), Math.floor((i + 1) * levels.length / count));
+    bars.push(slice.reduce((a, b) => a + b, 0) / slice.length);
+  }
+  const max = Math.max(...bars) || 1;
+  return bars.map(bar => Math.round(bar / max * 100));
+}
+
+function renderVoiceRecording(){
+  const bar = document.getElementById('voiceRecording');
+  const recording = voiceRecording.state === 'recording';
+  bar.style.display = recording ? 'flex' : 'none';
+  document.getElementById('voiceBtn').classList.toggle('recording', recording);
+  if (recording) document.getElementById('voiceRecordingTime').textContent = formatDuration((Date.now() - voiceRecording.startedAt) / 1000);
+}
+
+// "m:ss"
+function formatDuration(seconds){
+  const total = Math.max(0, Math.floor(seconds || 0));
+  return Math.floor(total / 60) + ':' + String(total % 60).padStart(2, '0');
+}
+
+// Playback: one voice note plays at a time. The player state lives here, not in the DOM,
+// so a re-render of the message list keeps showing the progress.
+const voicePlayer = { audio: null, key: null, rate: Number(localStorage.getItem(VOICE_RATE_KEY)) || 1 };
+
+function voiceMessageHtml(msg, key){
+  const playing = voicePlayer.key === key && voicePlayer.audio;
+  const progress = playing ? voiceProgress(msg) : 0;
+  const waveform = msg.voice.waveform && msg.voice.waveform.length ? msg.voice.waveform : new Array(WAVEFORM_BARS).fill(30);
+  const bars = waveform.map((height, i) =>
+    `<span class="voice-bar ${(i + 0.5) / waveform.length <= progress ? 'played' : ''}" style="height:${Math.max(8, height)}%"></span>`
+  ).join('');
+  const time = playing ? voicePlayer.audio.currentTime : msg.voice.duration;
+  const paused = !playing || voicePlayer.audio.paused;
+  const disabled = msg.fileUrl ? '' : 'disabled';
+  return `
+    <div class="voice-message" data-voice="${key}">
+      <button class="voice-play" onclick="toggleVoicePlayback('${key}')" ${disabled}><i class="fas fa-${paused ? 'play' : 'pause'}"></i></button>
+      <div class="voice-body">
+        <div class="voice-wave" onclick="seekVoice(event, '${key}')">${bars}</div>
+        <div class="voice-meta">
+          <span class="voice-time">${formatDuration(time)}</span>
+          <button class="voice-speed" onclick="cycleVoiceSpeed()">${voicePlayer.rate}×</button>
+        </div>
+      </div>
+    </div>`;
+}
+
+// Recorded WebM often reports an Infinity duration, so the duration stored with the note is used
+function voiceProgress(msg){
+  const duration = msg.voice.duration || voicePlayer.audio.duration;
+  return duration ? Math.min(1, voicePlayer.audio.currentTime / duration) : 0;
+}
+
+function findVoiceMessage(key){
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  const msg = findMessage(chat, key);
+  return msg && msg.voice && msg.fileUrl ? msg : null;
+}
+
+// Redraws the play button, bars and time of the playing note in place
+function updateVoicePlayer(){
+  const key = voicePlayer.key;
+  const msg = key && findVoiceMessage(key);
+  const el = key && document.querySelector(`.voice-message[data-voice="${CSS.escape(key)}"]`);
+  if (msg && el) el.outerHTML = voiceMessageHtml(msg, key);
+}
+
+function stopVoicePlayback(){
+  if (!voicePlayer.audio) return;
+  voicePlayer.audio.pause();
+  voicePlayer.audio = null;
+  updateVoicePlayer();
+  voicePlayer.key = null;
+}
+
+// Resolves once the note is playing; a second click on the same note pauses it
+async function toggleVoicePlayback(key){
+  const msg = findVoiceMessage(key);
+  if (!msg) return;
+  if (voicePlayer.key === key && voicePlayer.audio) {
+    const audio = voicePlayer.audio;
+    if (audio.paused) await playVoice(audio);
+    else audio.pause();
+    return;
+  }
+  stopVoicePlayback();
+  const audio = new Audio(msg.fileUrl);
+  audio.playbackRate = voicePlayer.rate;
+  ['play', 'pause', 'timeupdate'].forEach(type => audio.addEventListener(type, updateVoicePlayer));
+  audio.addEventListener('ended', stopVoicePlayback);
+  Object.assign(voicePlayer, { audio, key });
+  await playVoice(audio);
+}
+
+async function playVoice(audio){
+  try {
+    await audio.play();
+  } catch (err) {
+    if (voicePlayer.audio === audio) stopVoicePlayback();
+    showToast("The voice message couldn't be played");
+  }
+}
+
+// Clicking the waveform jumps to that point (and starts the note if it isn't playing)
+async function seekVoice(event, key){
+  const msg = findVoiceMessage(key);
+  if (!msg) return;
+  const rect = event.currentTarget.getBoundingClientRect();
+  const fraction = rect.width ? Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)) : 0;
+  if (voicePlayer.key !== key || !voicePlayer.audio) await toggleVoicePlayback(key);
+  if (voicePlayer.key === key && voicePlayer.audio) {
+    voicePlayer.audio.currentTime = fraction * msg.voice.duration;
+    updateVoicePlayer();
+  }
+}
+
+// 1× → 1.5× → 2×; remembered on this device
+function cycleVoiceSpeed(){
+  voicePlayer.rate = VOICE_RATES[(VOICE_RATES.indexOf(voicePlayer.rate) + 1) % VOICE_RATES.length];
+  localStorage.setItem(VOICE_RATE_KEY, voicePlayer.rate);
+  if (voicePlayer.audio) voicePlayer.audio.playbackRate = voicePlayer.rate;
+  document.querySelectorAll('.voice-speed').forEach(button => { button.textContent = voicePlayer.rate + '×'; });
+}
+
+// Send text message
+async function sendMessage() {
+  const input = document.getElementById('messageInput');
+  const text = input.value.trim();
+  if (!text || !appData.currentChatId) return;
+  if (composer.mode === 'edit') return saveEdit(text);
+  const chatId = appData.currentChatId;
+
+  const chat = appData.chats.find(c => c.id === chatId);
+  const replyTo = replyTarget(chatId);
+  const original = replyTo && findMessage(chat, replyTo);
+  clearComposer();
+  if (chat && chat.hasNewer) {
+    // Sending from the middle of the history jumps back to the latest messages
+    chat.messages = [];
+    chat.hasNewer = false;
+    chat.loaded = false;
+    loadLatestMessages(chat);
+  }
+  queueOutgoing({
+    kind: 'text',
+    chatId,
+    text,
+    replyTo,
+    replyPreview: original ? replyPreviewOf(original, chat) : undefined,
+    noPreview: linkPreviewDraft.off
+  });
+  const container = document.getElementById('messagesContainer');
+  container.scrollTop = container.scrollHeight;
+
+  input.value = '';
+  updateLinkPreviewBar();
+  stopTyping();
+}
+
+// --- Offline: local cache and outbox (IndexedDB) ---
+// Each user's chat list and the latest page of every loaded chat are cached so the app
+// opens without the server. Outgoing messages are written to the outbox first and sent
+// in order whenever the server is reachable; their clientId lets the server recognise
+// a resend of something it already stored. Without IndexedDB both live in memory only.
+const LOCAL_DB_NAME = 'mirror';
+const LAST_USER_KEY = 'mirror.lastUser';
+const localDb = { promise: null, snapshotTimer: null };
+const outbox = {
+  items: [],      // queued and failed sends of the current user, oldest first
+  previews: {},   // clientId -> object URL for image previews
+  flushing: false,
+  again: false,   // something was queued while a flush was running
+  retryTimer: null // waiting out a rate limit
+};
+
+function openLocalDb(){
+  if (!localDb.promise) {
+    localDb.promise = new Promise(resolve => {
+      if (!window.indexedDB) return resolve(null);
+      const req = indexedDB.open(LOCAL_DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore('snapshots', { keyPath: 'userId' });
+        req.result.createObjectStore('outbox', { keyPath: 'clientId' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    });
+  }
+  return localDb.promise;
+}
+
+// Runs fn(objectStore) in one transaction and resolves with its request's result
+async function localDbRequest(storeName, mode, fn){
+  const db = await openLocalDb();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req ? req.result : null);
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+function warnLocalDb(err){
+  console.warn('Offline cache unavailable', err);
+}
+
+// Debounced; called whenever the chat list is re-rendered
+function scheduleSnapshot(){
+  if (!appData.user) return;
+  clearTimeout(localDb.snapshotTimer);
+  localDb.snapshotTimer = setTimeout(saveSnapshot, 1000);
+}
+
+function saveSnapshot(){
+  if (!appData.user) return;
+  const chats = appData.chats.map(c => {
+    // Only a contiguous run of latest messages can be caught up with a sync later.
+    // Unsent messages are kept by the outbox, not here.
+    const latest = c.loaded && !c.hasNewer;
+    const stored = latest ? c.messages.filter(m => m.seq) : [];
+    const messages = stored.slice(-PAGE_SIZE);
+    return Object.assign({}, c, {
+      messages,
+      loaded: latest,
+      hasNewer: false,
+      hasMore: latest && (c.hasMore || stored.length > messages.length)
+    });
+  });
+  const snapshot = {
+    userId: appData.user.id,
+    savedAt: new Date().toISOString(),
+    user: appData.user,
+    contacts: appData.contacts,
+    friendRequests: appData.friendRequests,
+    uploadLimits: appData.uploadLimits,
+    chats
+  };
+  localStorage.setItem(LAST_USER_KEY, appData.user.id);
+  localDbRequest('snapshots', 'readwrite', store => store.put(snapshot)).catch(warnLocalDb);
+}
+
+async function loadSnapshot(){
+  const userId = localStorage.getItem(LAST_USER_KEY);
+  if (!userId) return null;
+  try {
+    return await localDbRequest('snapshots', 'readonly', store => store.get(userId));
+  } catch (err) {
+    warnLocalDb(err);
+    return null;
+  }
+}
+
+// Logging out removes the user's cached chats and anything still unsent
+async function clearLocalData(userId){
+  clearTimeout(localDb.snapshotTimer);
+  Object.keys(outbox.previews).forEach(releasePreview);
+  outbox.items = [];
+  localStorage.removeItem(LAST_USER_KEY);
+  try {
+    await localDbRequest('snapshots', 'readwrite', store => store.delete(userId));
+    const items = await localDbRequest('outbox', 'readonly', store => store.getAll()) || [];
+    await Promise.all(items.filter(i => i.userId === userId).map(i =>
+      localDbRequest('outbox', 'readwrite', store => store.delete(i.clientId))));
+  } catch (err) {
+    warnLocalDb(err);
+  }
+}
+
+function setOffline(offline){
+  appData.offline = offline;
+  const banner = document.getElementById('offlineBanner');
+  if (banner) banner.style.display = offline ? 'flex' : 'none';
+}
+
+function persistOutboxItem(item){
+  return localDbRequest('outbox', 'readwrite', store => store.put(item)).catch(warnLocalDb);
+}
+
+function forgetOutboxItem(item){
+  outbox.items = outbox.items.filter(i => i !== item);
+  releasePreview(item.clientId);
+  return localDbRequest('outbox', 'readwrite', store => store.delete(item.clientId)).catch(warnLocalDb);
+}
+
+function releasePreview(clientId){
+  if (outbox.previews[clientId]) URL.revokeObjectURL(outbox.previews[clientId]);
+  delete outbox.previews[clientId];
+}
+
+// The bubble shown for an outbox entry until the server's copy replaces it
+function outboxMessage(item){
+  if (item.kind === 'file' && (item.isImage || item.voice) && !outbox.previews[item.clientId]) {
+    outbox.previews[item.clientId] = URL.createObjectURL(item.file);
+  }
+  return {
+    clientId: item.clientId,
+    pending: item.status === 'queued',
+    failed: item.status === 'failed',
+    error: item.error || null,
+    text: item.text,
+    type: 'sent',
+    createdAt: item.createdAt,
+    senderId: item.userId,
+    replyTo: item.replyTo,
+    replyPreview: item.replyPreview,
+    fileUrl: outbox.previews[item.clientId] || null,
+    isImage: item.isImage,
+    fileName: item.fileName,
+    fileSize: item.fileSize,
+    voice: item.voice || null
+  };
+}
+
+function showOutboxItem(item){
+  const chat = appData.chats.find(c => c.id === item.chatId);
+  if (!chat) return;
+  if (!chat.lastActivityAt || item.createdAt > chat.lastActivityAt) {
+    chat.lastMessage = item.text || attachmentLabel(item);
+    chat.lastActivityAt = item.createdAt;
+  }
+  upsertMessage(item.chatId, outboxMessage(item));
+}
+
+// fields: { kind: 'text'|'file', chatId, text, replyTo, replyPreview, noPreview, file, fileName,
+// fileSize, isImage, voice: { duration, waveform } }
+function queueOutgoing(fields){
+  const item = Object.assign({
+    clientId: generateClientId(),
+    userId: currentUserId(),
+    createdAt: new Date().toISOString(),
+    status: 'queued',
+    error: null
+  }, fields);
+  outbox.items.push(item);
+  showOutboxItem(item);
+  persistOutboxItem(item).then(flushOutbox);
+}
+
+// Loads the user's outbox after startup and puts its bubbles back into their chats
+async function restoreOutbox(){
+  let items = [];
+  try {
+    items = await localDbRequest('outbox', 'readonly', store => store.getAll()) || [];
+  } catch (err) {
+    warnLocalDb(err);
+  }
+  const known = new Set(outbox.items.map(i => i.clientId));
+  items
+    .filter(i => i.userId === currentUserId() && !known.has(i.clientId))
+    .forEach(i => outbox.items.push(i));
+  outbox.items.sort((a, b) => a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0);
+  outbox.items.forEach(showOutboxItem);
+}
+
+// Sends queued entries one at a time, oldest first. Stops at the first one that
+// can't reach the server; the next reconnect (or a new send) starts over.
+async function flushOutbox(){
+  if (!appData.user) return;
+  if (outbox.flushing) {
+    outbox.again = true;
+    return;
+  }
+  outbox.flushing = true;
+  try {
+    do {
+      outbox.again = false;
+      for (const item of outbox.items.filter(i => i.status === 'queued')) {
+        if (!outbox.items.includes(item)) continue; // discarded meanwhile
+        if (!await sendOutboxItem(item)) return;
+      }
+    } while (outbox.again);
+  } finally {
+    outbox.flushing = false;
+  }
+}
+
+// Resolves to false when the server couldn't be reached (the entry stays queued)
+async function sendOutboxItem(item){
+  let json;
+  try {
+    if (item.kind === 'file') {
+      const formData = new FormData();
+      formData.append('clientId', item.clientId);
+      if (item.replyTo) formData.append('replyTo', item.replyTo);
+      if (item.voice) {
+        formData.append('voiceDuration', item.voice.duration);
+        formData.append('waveform', item.voice.waveform.join(','));
+      }
+      formData.append('file', item.file, item.fileName);
+      const upload = uploads[item.clientId] = { name: item.fileName, percent: 0, xhr: null };
+      renderUploads();
+      try {
+        json = await uploadWithProgress(`/api/chats/${item.chatId}/files`, formData, upload);
+      } finally {
+        delete uploads[item.clientId];
+        renderUploads();
+      }
+    } else {
+      json = await apiRequest(`/api/chats/${item.chatId}/messages`, {
+        method: 'POST',
+        body: { text: item.text, clientId: item.clientId, replyTo: item.replyTo, noPreview: !!item.noPreview }
+      });
+    }
+  } catch (err) {
+    if (err.offline) {
+      setOffline(true);
+      return false;
+    }
+    if (err.cancelled) {
+      discardOutgoing(item.clientId);
+      return true;
+    }
+    // Sending too fast: keep it queued and carry on once the server says so
+    if (err.status === 429) {
+      const seconds = err.data?.details?.retryAfter || 5;
+      clearTimeout(outbox.retryTimer);
+      outbox.retryTimer = setTimeout(flushOutbox, seconds * 1000);
+      return false;
+    }
+    // The server refused it (too large, chat gone, ...): keep it for a manual retry
+    item.status = 'failed';
+    item.error = err.message;
+    persistOutboxItem(item);
+    showOutboxItem(item);
+    return true;
+  }
+  setOffline(false);
+  await forgetOutboxItem(item);
+  // The same message may also arrive first over the socket; upsertMessage handles both
+  if (json && json.message) upsertMessage(item.chatId, json.message);
+  return true;
+}
+
+function retryOutgoing(clientId){
+  const item = outbox.items.find(i => i.clientId === clientId);
+  if (!item) return;
+  item.status = 'queued';
+  item.error = null;
+  showOutboxItem(item);
+  persistOutboxItem(item).then(flushOutbox);
+}
+
+function discardOutgoing(clientId){
+  const item = outbox.items.find(i => i.clientId === clientId);
+  if (item) forgetOutboxItem(item);
+  const chat = item && appData.chats.find(c => c.id === item.chatId);
+  if (!chat) return;
+  chat.messages = chat.messages.filter(m => m.clientId !== clientId || m.id);
+  if (chat.id === appData.currentChatId) renderMessages();
+  renderChats();
+}
+
+// Opened without a server: show the cached chats and keep trying to reconnect
+function startFromSnapshot(snapshot){
+  appData.user = snapshot.user;
+  appData.contacts = snapshot.contacts || [];
+  appData.friendRequests = snapshot.friendRequests || { incoming: [], outgoing: [] };
+  appData.uploadLimits = snapshot.uploadLimits || null;
+  appData.chats = snapshot.chats || [];
+  realtime.refreshOnOpen = true;
+  setOffline(true);
+  loadProfile();
+  renderChats();
+  renderIncomingRequests();
+  updateCurrentUserHint();
+  connectRealtime();
+}
+
+// Back online after starting from the cache: bring profile, contacts and the chat
+// summaries up to date (messages are caught up by the socket's sync)
+async function refreshAppData(){
+  try {
+    const data = await apiRequest('/api/init');
+    appData.user = data.user;
+    appData.contacts = data.contacts;
+    appData.friendRequests = data.friendRequests || { incoming: [], outgoing: [] };
+    appData.uploadLimits = data.uploadLimits || null;
+    data.chats.forEach(upsertChatSummary);
+    realtime.refreshOnOpen = false;
+    loadProfile();
+    renderChats();
+    renderIncomingRequests();
+    updateCurrentUserHint();
+  } catch (err) {
+    console.warn('Could not refresh after reconnecting', err);
+  }
+}
+
+// --- Realtime (WebSocket) ---
+const realtime = {
+  socket: null,
+  retries: 0,
+  reconnectTimer: null,
+  stopped: false,
+  refreshOnOpen: false // started from the offline cache; reload /api/init once connected
+};
+
+// What the client has seen of a chat: loaded messages, or just the summary's seq
+function lastSeqOf(chat) {
+  if (!chat.loaded) return chat.seq || 0;
+  return (chat.messages || []).reduce((max, m) => Math.max(max, m.seq || 0), 0);
+}
+
+// The newest change (see the server's changeSeq) among the messages we hold
+function changeSeqOf(chat) {
+  return (chat.messages || []).reduce((max, m) => Math.max(max, m.changeSeq || 0), 0);
+}
+
+function connectRealtime() {
+  if (!('WebSocket' in window)) return;
+  if (realtime.socket) return;
+  realtime.stopped = false;
+  const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const socket = new WebSocket(`${proto}//${location.host}/ws`);
+  realtime.socket = socket;
+
+  socket.onopen = () => {
+    realtime.retries = 0;
+    setOffline(false);
+    if (realtime.refreshOnOpen) refreshAppData();
+    flushOutbox();
+    // Catch up on anything missed while disconnected
+    const chats = {};
+    const changes = {};
+    appData.chats.forEach(c => {
+      chats[c.id] = lastSeqOf(c);
+      if (c.loaded) changes[c.id] = changeSeqOf(c);
+    });
+    socket.send(JSON.stringify({ type: 'sync', chats, changes }));
+  };
+  socket.onmessage = (ev) => {
+    let event;
+    try { event = JSON.parse(ev.data); } catch (err) { return; }
+    handleRealtimeEvent(event);
+  };
+  socket.onclose = (ev) => {
+    realtime.socket = null;
+    if (realtime.stopped) return;
+    // 4001: the session was logged out (in another tab, say)
+    if (ev.code === 4001) return signedOut();
+    setOffline(true);
+    // Exponential backoff capped at 30s
+    const delay = Math.min(30000, 1000 * Math.pow(2, realtime.retries++));
+    clearTimeout(realtime.reconnectTimer);
+    realtime.reconnectTimer = setTimeout(connectRealtime, delay);
+  };
+}
+
+function disconnectRealtime() {
+  realtime.stopped = true;
+  clearTimeout(realtime.reconnectTimer);
+  if (realtime.socket) realtime.socket.close();
+  realtime.socket = null;
+}
+
+function handleRealtimeEvent(event) {
+  switch (event.type) {
+    case 'message': {
+      upsertMessage(event.chatId, event.message);
+      const chat = appData.chats.find(c => c.id === event.chatId);
+      if (chat && event.message.senderId && event.message.senderId !== currentUserId()) {
+        if (typingUsers[chat.id]?.[event.message.senderId]) setTyping(chat.id, event.message.senderId, false);
+        ackDelivered(chat, event.message.seq);
+        notifyIncoming(chat, event.message);
+        if (chat.id === appData.currentChatId) markChatRead(chat);
+      }
+      break;
+    }
+    case 'typing':
+      setTyping(event.chatId, event.userId, event.typing);
+      break;
+    case 'chat':
+      upsertChatSummary(event.chat);
+      renderChats();
+      break;
+    case 'chatRemoved':
+      removeChatLocally(event.chatId);
+      break;
+    case 'friends':
+      applyFriendsState(event);
+      break;
+    case 'presence':
+      applyPresence(event);
+      break;
+    case 'profile':
+      applyProfile(event.user);
+      break;
+    case 'scheduled':
+      applyScheduled(event.scheduled);
+      break;
+    case 'messagesRemoved':
+      removeMessagesLocally(event.chatId, event.messageIds);
+      break;
+    case 'sync': {
+      const ids = new Set((event.chats || []).map(c => c.id));
+      appData.chats = appData.chats.filter(c => ids.has(c.id));
+      (event.chats || []).forEach(summary => {
+        const chat = upsertChatSummary(summary);
+        if (summary.reset) {
+          // Too far behind: start over from the latest page
+          chat.messages = [];
+          chat.hasMore = summary.hasMore;
+          chat.loaded = true;
+        }
+        (summary.messages || []).forEach(m => mergeMessage(chat, m));
+        // Edits, deletions and reactions we missed, for messages we hold
+        (summary.changed || []).forEach(m => {
+          if (!chat.messages.some(held => held.id === m.id)) return;
+          mergeMessage(chat, m);
+          refreshReplyQuotes(chat, m);
+        });
+        ackDelivered(chat, chat.seq || 0);
+      });
+      if (appData.currentChatId && !ids.has(appData.currentChatId)) removeChatLocally(appData.currentChatId);
+      markChatRead(appData.chats.find(c => c.id === appData.currentChatId));
+      dropExpiredMessages();
+      renderChats();
+      renderMessages();
+      refreshScheduled();
+      break;
+    }
+  }
+}
+
+// Insert or update a chat-list entry without touching its loaded messages
+function upsertChatSummary(summary) {
+  let chat = appData.chats.find(c => c.id === summary.id);
+  if (!chat) {
+    chat = { id: summary.id, messages: [], loaded: false, hasMore: false };
+    appData.chats.push(chat);
+  }
+  const receiptsChanged = summary.receipts !== undefined &&
+    JSON.stringify(summary.receipts) !== JSON.stringify(chat.receipts);
+  ['kind', 'name', 'members', 'lastActivityAt', 'lastMessage', 'seq', 'receipts', 'unread', 'prefs', 'disappearAfter'].forEach(k => {
+    if (summary[k] !== undefined) chat[k] = summary[k];
+  });
+  if (chat.id === appData.currentChatId) {
+    // The open chat is being read; don't flash a badge for it
+    chat.unread = 0;
+    renderChatHeader(chat);
+    if (receiptsChanged) refreshTicks(chat);
+    if (document.getElementById('groupInfoModal').classList.contains('active')) renderGroupInfo();
+  }
+  return chat;
+}
+
+// Merge a server message into a chat: replaces the optimistic copy (same
+// clientId) or an older copy (same id), otherwise inserts it in seq order.
+// Returns what changed so the caller can patch the DOM: { prevKey, moved }
+function mergeMessage(chat, message) {
+  chat.messages = chat.messages || [];
+  const idx = chat.messages.findIndex(m =>
+    (message.id && m.id === message.id) || (message.clientId && m.clientId === message.clientId)
+  );
+  let prevKey = null;
+  if (idx >= 0) {
+    prevKey = messageKey(chat.messages[idx]);
+    chat.messages[idx] = message;
+  } else {
+    chat.messages.push(message);
+  }
+  // Pending messages (no seq yet) stay at the bottom
+  const order = m => m.seq || Number.MAX_SAFE_INTEGER;
+  chat.messages.sort((a, b) => order(a) - order(b));
+  return { prevKey, moved: idx >= 0 && chat.messages[idx] !== message };
+}
+
+function upsertMessage(chatId, message) {
+  const chat = appData.chats.find(c => c.id === chatId);
+  if (!chat) return;
+  refreshReplyQuotes(chat, message);
+  // Viewing older history: new messages are fetched when the user scrolls down.
+  // Edits to messages above the loaded window arrive with the page that holds them.
+  const known = chat.messages.some(m => m.id === message.id);
+  const oldest = chat.messages.find(m => m.seq);
+  if (!known && (chat.hasNewer || (oldest && message.seq < oldest.seq))) return renderChats();
+  const change = mergeMessage(chat, message);
+  if (chatId === appData.currentChatId) patchMessage(chat, message, change);
+  renderChats();
+}
+
+// Initialize app on load
+async function init(){
+  bindUI();
+  registerServiceWorker();
+  await loadAppData();
+  // Keep relative times in the chat list ("5 min", "Yesterday") current
+  setInterval(renderChats, 60000);
+  setInterval(dropExpiredMessages, EXPIRY_CHECK_MS);
+}
+
+// Fetch the logged-in user's data; shows the login form when there is no session.
+// Without a server the app opens from the offline cache, or waits for the server.
+let initRetryTimer = null;
+
+async function loadAppData(){
+  clearTimeout(initRetryTimer);
+  let data;
+  try {
+    const res = await fetch('/api/init');
+    if (res.status === 401) {
+      showAuthModal();
+      return;
+    }
+    if (!res.ok) throw new Error('Request failed (' + res.status + ')');
+    data = await res.json();
+  } catch (err){
+    console.warn('API init failed', err);
+    const snapshot = await loadSnapshot();
+    if (snapshot) {
+      startFromSnapshot(snapshot);
+      await restoreOutbox();
+      return;
+    }
+    setOffline(true);
+    initRetryTimer = setTimeout(loadAppData, 5000);
+    return;
+  }
+  appData.user = data.user;
+  appData.contacts = data.contacts;
+  appData.friendRequests = data.friendRequests || { incoming: [], outgoing: [] };
+  appData.uploadLimits = data.uploadLimits || null;
+  appData.chats = data.chats.map(c => Object.assign({ messages: [], loaded: false, hasMore: false }, c));
+  appData.scheduled = data.scheduled || [];
+  setOffline(false);
+  loadProfile();
+  renderChats();
+  renderIncomingRequests();
+  updateCurrentUserHint();
+  connectRealtime();
+  openChatFromUrl();
+  await restoreOutbox();
+  flushOutbox();
+}
+
+// "/?chat=<id>": a notification clicked while no Mirror tab was open
+function openChatFromUrl(){
+  const chatId = new URLSearchParams(location.search).get('chat');
+  if (!chatId) return;
+  history.replaceState(null, '', location.pathname);
+  openChatFromNotification(chatId);
+}
+
+function updateCurrentUserHint(){
+  const hint = document.getElementById('userSearchHint');
+  if (hint && appData.user) hint.textContent = `Current user: ${appData.user.name} (${appData.user.id})`;
+}
+
+// --- Accounts ---
+let authMode = 'login';
+
+function showAuthModal(){
+  setAuthMode('login');
+  document.getElementById('authModal').classList.add('active');
+}
+
+function setAuthMode(mode){
+  authMode = mode;
+  const isRegister = mode === 'register';
+  document.getElementById('authTitle').textContent = isRegister ? 'Create account' : 'Log in';
+  document.getElementById('authUsernameLabel').textContent = isRegister ? 'Username' : 'Username or 6-digit ID';
+  document.getElementById('authNameGroup').style.display = isRegister ? 'block' : 'none';
+  document.getElementById('authSubmitBtn').textContent = isRegister ? 'Create account' : 'Log in';
+  document.getElementById('authSwitch').innerHTML = isRegister
+    ? 'Already have an account? <a href="#" onclick="setAuthMode(\'login\');return false">Log in</a>'
+    : 'New to Mirror? <a href="#" onclick="setAuthMode(\'register\');return false">Create an account</a>';
+  document.getElementById('authError').textContent = '';
+}
+
+async function submitAuth(){
+  const username = document.getElementById('authUsername').value.trim();
+  const password = document.getElementById('authPassword').value;
+  const name = document.getElementById('authName').value.trim();
+  const errorEl = document.getElementById('authError');
+  errorEl.textContent = '';
+  try {
+    const res = await fetch(`/api/auth/${authMode}`, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify(authMode === 'register' ? { username, name, password } : { username, password })
+    });
+    const json = await res.json();
+    if (!res.ok) {
+      errorEl.textContent = json.error || 'Something went wrong';
+      return;
+    }
+    document.getElementById('authPassword').value = '';
+    closeModal('authModal');
+    await loadAppData();
+  } catch (err) {
+    errorEl.textContent = 'Could not reach the server';
+  }
+}
+
+async function logout(){
+  disconnectRealtime();
+  try {
+    await fetch('/api/auth/logout', { method: 'POST' });
+  } catch (err) {
+    console.error('Failed to log out', err);
+  }
+  await signedOut();
+}
+
+// Forget the user's data and show the login form
+async function signedOut(){
+  disconnectRealtime();
+  if (appData.user) await clearLocalData(appData.user.id);
+  setOffline(false);
+  appData.user = null;
+  appData.contacts = [];
+  appData.friendRequests = { incoming: [], outgoing: [] };
+  appData.lastSearch = null;
+  appData.chats = [];
+  appData.currentChatId = null;
+  document.getElementById('foundUserPanel').style.display = 'none';
+  renderIncomingRequests();
+  document.getElementById('chatArea').style.display = 'none';
+  document.getElementById('emptyState').style.display = 'flex';
+  document.getElementById('sidebarProfilePic').innerHTML = '<span id="sidebarInitials">M</span>';
+  renderChats();
+  showAuthModal();
+}
+
+// Re-use existing behavior for profile loading
+function bindUI() {
+  // profile pic change in modal (existing)
+  document.getElementById('profilePicInput').addEventListener('change', onProfilePicChange);
+  document.getElementById('messageInput').addEventListener('input', notifyTyping);
+  document.getElementById('messageInput').addEventListener('input', updateComposerSuggestions);
+  document.getElementById('messageInput').addEventListener('input', updateLinkPreviewBar);
+  document.getElementById('emojiSearch').addEventListener('input', renderEmojiPicker);
+  document.addEventListener('visibilitychange', function(){
+    markChatRead(appData.chats.find(c => c.id === appData.currentChatId));
+  });
+  // The browser noticed the network is back: don't wait for the next backoff step
+  window.addEventListener('online', function(){
+    if (!appData.user) return loadAppData();
+    if (!realtime.socket && !realtime.stopped) {
+      clearTimeout(realtime.reconnectTimer);
+      realtime.retries = 0;
+      connectRealtime();
+    }
+    flushOutbox();
+  });
+  window.addEventListener('offline', function(){ setOffline(true); });
+  document.getElementById('messageInput').addEventListener('keypress', function(e){
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      sendMessage();
+    }
+  });
+  document.getElementById('messageInput').addEventListener('keydown', function(e){
+    // Picking a :shortcode: or @mention suggestion takes Enter, Tab and Escape (no send, no reset)
+    if (handleSuggestionKey(e)) return;
+    if (e.key === 'Escape' && composer.mode) clearComposer();
+  });
+  document.getElementById('messageInput').addEventListener('blur', hideComposerSuggestions);
+  document.getElementById('messagesContainer').addEventListener('scroll', function(e){
+    closeMessageMenu();
+    if (e.target.scrollTop < 80) loadOlderMessages();
+    if (isNearBottom(e.target)) loadNewerMessages();
+  });
+  document.getElementById('searchInput').addEventListener('input', function(){
+    filterChatList();
+    scheduleMessageSearch();
+  });
+  ['searchChatFilter', 'searchFromDate', 'searchToDate'].forEach(id => {
+    document.getElementById(id).addEventListener('change', scheduleMessageSearch);
+  });
+  window.onclick = function(e) {
+    if (!e.target.closest('#messageMenu')) closeMessageMenu();
+    // Close dropdowns if clicking outside
+    // (a click that re-rendered its own target, like a picker tab, is no longer in the document)
+    if (e.target.isConnected && !e.target.closest('#attachBtn') && !e.target.closest('.attach-dropdown') && !e.target.closest('#emojiBtn') && !e.target.closest('.emoji-picker') && !e.target.closest('#messageMenu')) {
+      const dropdown = document.getElementById('attachDropdown');
+      if (dropdown && dropdown.style.display === 'block') dropdown.style.display = 'none';
+      const emojiBox = document.getElementById('emojiPicker');
+      if (emojiBox && emojiBox.style.display === 'flex') closeEmojiPicker();
+    }
+  };
+  // Inputs for file attachments
+  document.getElementById('galleryInput').addEventListener('change', (e) => handleSelectedFile(e.target.files[0], true));
+  document.getElementById('fileInput').addEventListener('change', (e) => handleSelectedFile(e.target.files[0], false));
+  document.getElementById('cameraInput').addEventListener('change', (e) => handleSelectedFile(e.target.files[0], true));
+  document.getElementById('importInput').addEventListener('change', (e) => {
+    importChatArchive(e.target.files[0]);
+    e.target.value = '';
+  });
+}
+
+function toggleMenu(){const m=document.getElementById('menuDropdown');m.classList.toggle('active')}
+
+function openProfileModal(){closeModal('settingsModal');document.getElementById('profileModal').classList.add('active');loadProfile()}
+function openSettingsModal(){document.getElementById('settingsModal').classList.add('active')}
+function openNewChatModal(){document.getElementById('newChatModal').classList.add('active');renderContacts()}
+function closeModal(id){document.getElementById(id).classList.remove('active')}
+
+// Attachments logic (same as previous, kept for compatibility)
+function toggleAttachMenu(){ 
+  const el = document.getElementById('attachDropdown');
+  if (!el) return;
+  el.style.display = (el.style.display === 'block') ? 'none' : 'block';
+  // Hide emoji picker if open
+  const emojiBox = document.getElementById('emojiPicker');
+  if (emojiBox) emojiBox.style.display = 'none';
+}
+function triggerGallery(){ document.getElementById('galleryInput').click(); }
+function triggerFile(){ document.getElementById('fileInput').click(); }
+function triggerCamera(){ document.getElementById('cameraInput').click(); }
+
+// --- Emoji picker (data from emoji-data.js) ---
+// Recently used emoji and the skin tone are saved on the profile, so they follow the
+// user to other devices.
+const SKIN_TONES = ['\u{1F3FB}', '\u{1F3FC}', '\u{1F3FD}', '\u{1F3FE}', '\u{1F3FF}'];
+const RECENT_EMOJI_LIMIT = 24;
+const emojiPicker = {
+  entries: null,    // built on first use from EMOJI_DATA
+  byChar: null,
+  tab: null,        // 'recent' or a category index
+  reactTo: null,    // message key when the picker was opened to react
+  saveTimer: null
+};
+
+function emojiEntries(){
+  if (!emojiPicker.entries) {
+    const data = window.EMOJI_DATA || { emoji: [] };
+    emojiPicker.entries = data.emoji.map(([char, category, name, keywords, codes, tones]) => ({
+      char, category, name,
+      shortcodes: codes ? codes.split(' ') : [],
+      words: (name + ' ' + keywords + ' ' + codes).toLowerCase().split(/[\s_:-]+/),
+      tones: tones || 0
+    }));
+    // Keyed without variation selectors: '👍' and '👍️' are the same emoji
+    emojiPicker.byChar = new Map(emojiPicker.entries.map(e => [e.char.replace(/\uFE0F/g, ''), e]));
+  }
+  return emojiPicker.entries;
+}
+
+function skinTone(){
+  return appData.user?.skinTone || 0;
+}
+
+// The emoji in the user's skin tone, when it takes one
+function tonedEmoji(entry){
+  const tone = skinTone();
+  if (!tone || !entry.tones) return entry.char;
+  if (Array.isArray(entry.tones)) return entry.tones[tone - 1];
+  const [first, ...rest] = Array.from(entry.char);
+  if (rest[0] === '\uFE0F') rest.shift();
+  return first + SKIN_TONES[tone - 1] + rest.join('');
+}
+
+function tonedChar(char){
+  emojiEntries();
+  const entry = emojiPicker.byChar.get(char.replace(/\uFE0F/g, ''));
+  return entry ? tonedEmoji(entry) : char;
+}
+
+// Every search term must start one of the emoji's words; names that start with the
+// query come first
+function searchEmoji(query, limit){
+  const terms = query.toLowerCase().split(/[\s_:-]+/).filter(Boolean);
+  if (terms.length === 0) return [];
+  const found = emojiEntries().filter(e => terms.every(t => e.words.some(w => w.startsWith(t))));
+  const q = query.toLowerCase();
+  const first = found.filter(e => e.name.startsWith(q));
+  return first.concat(found.filter(e => !e.name.startsWith(q))).slice(0, limit);
+}
+
+// reactTo: open the picker to react to that message instead of typing
+function toggleEmojiPicker(reactTo){
+  const picker = document.getElementById('emojiPicker');
+  if (!picker) return;
+  const opening = picker.style.display !== 'flex' || (reactTo || null) !== emojiPicker.reactTo;
+  picker.style.display = opening ? 'flex' : 'none';
+  // Also close attach dropdown if open
+  const ad = document.getElementById('attachDropdown');
+  if (ad) ad.style.display = 'none';
+  if (!opening) return;
+  emojiPicker.reactTo = reactTo || null;
+  emojiPicker.tab = (appData.user?.recentEmoji || []).length ? 'recent' : 0;
+  const search = document.getElementById('emojiSearch');
+  search.value = '';
+  renderEmojiPicker();
+  search.focus();
+}
+
+function closeEmojiPicker(){
+  const picker = document.getElementById('emojiPicker');
+  if (picker) picker.style.display = 'none';
+  emojiPicker.reactTo = null;
+}
+
+function renderEmojiPicker(){
+  const categories = (window.EMOJI_DATA || { categories: [] }).categories;
+  const query = document.getElementById('emojiSearch').value.trim();
+  const recent = appData.user?.recentEmoji || [];
+  const tab = (t, icon, title) =>
+    `<button class="emoji-tab ${!query && emojiPicker.tab === t ? 'active' : ''}" title="${escapeHtml(title)}" data-tab="${t}" onclick="showEmojiTab(this.dataset.tab === 'recent' ? 'recent' : Number(this.dataset.tab))">${icon}</button>`;
+  document.getElementById('emojiTabs').innerHTML =
+    tab('recent', '<i class="far fa-clock"></i>', 'Recent') +
+    categories.map((c, i) => tab(i, c.icon, c.name)).join('');
+  document.getElementById('skinTones').innerHTML = [0, 1, 2, 3, 4, 5].map(t =>
+    `<button class="skin-tone ${t === skinTone() ? 'active' : ''}" title="${t ? 'Skin tone ' + t : 'Default skin tone'}" onclick="setSkinTone(${t})">${t ? '✋' + SKIN_TONES[t - 1] : '✋'}</button>`
+  ).join('');
+
+  let chars;
+  let title;
+  if (query) {
+    chars = searchEmoji(query, 200).map(tonedEmoji);
+    title = 'Search results';
+  } else if (emojiPicker.tab === 'recent') {
+    chars = recent;
+    title = 'Recently used';
+  } else {
+    chars = emojiEntries().filter(e => e.category === emojiPicker.tab).map(tonedEmoji);
+    title = categories[emojiPicker.tab]?.name || '';
+  }
+  const grid = document.getElementById('emojiGrid');
+  grid.innerHTML = `<div class="emoji-grid-title">${escapeHtml(title)}</div>` + (chars.length === 0
+    ? `<div class="emoji-empty">${query ? 'No emoji found' : 'Nothing here yet'}</div>`
+    : chars.map(ch => `<button class="emoji-btn" data-emoji="${escapeHtml(ch)}" onclick="pickEmoji(this.dataset.emoji)">${escapeHtml(ch)}</button>`).join(''));
+  grid.scrollTop = 0;
+}
+
+function showEmojiTab(tab){
+  emojiPicker.tab = tab;
+  document.getElementById('emojiSearch').value = '';
+  renderEmojiPicker();
+}
+
+function pickEmoji(emoji){
+  rememberEmoji(emoji);
+  if (emojiPicker.reactTo) {
+    const key = emojiPicker.reactTo;
+    closeEmojiPicker();
+    toggleReaction(key, emoji);
+    return;
+  }
+  insertEmoji(emoji);
+}
+
+function insertEmoji(emoji){
+  const ta = document.getElementById('messageInput');
+  if (!ta) return;
+  const start = ta.selectionStart || 0;
+  const end = ta.selectionEnd || 0;
+  const before = ta.value.substring(0, start);
+  const after = ta.value.substring(end);
+  ta.value = before + emoji + after;
+  // Move cursor after inserted emoji
+  const pos = start + emoji.length;
+  ta.selectionStart = ta.selectionEnd = pos;
+  ta.focus();
+}
+
+function rememberEmoji(emoji){
+  if (!appData.user) return;
+  const recent = (appData.user.recentEmoji || []).filter(e => e !== emoji);
+  appData.user.recentEmoji = [emoji].concat(recent).slice(0, RECENT_EMOJI_LIMIT);
+  saveEmojiPrefs();
+}
+
+function setSkinTone(tone){
+  if (!appData.user) return;
+  appData.user.skinTone = tone;
+  renderEmojiPicker();
+  saveEmojiPrefs();
+}
+
+// Debounced so picking several emoji in a row is one request
+function saveEmojiPrefs(){
+  clearTimeout(emojiPicker.saveTimer);
+  emojiPicker.saveTimer = setTimeout(() => {
+    if (!appData.user) return;
+    apiRequest('/api/profile', {
+      method: 'POST',
+      body: { recentEmoji: appData.user.recentEmoji || [], skinTone: skinTone() }
+    }).catch(err => console.warn('Could not save emoji preferences', err));
+  }, 1500);
+}
+
+// --- Composer suggestions: :shortcode: emoji and @mentions ---
+// ":thu" or "@al" right before the caret opens a list above the composer; a complete
+// ":thumbsup:" is replaced right away
+const suggestions = { items: [], selected: 0, start: 0 }; // items: [{ html, text, emoji? }]
+
+function updateComposerSuggestions(){
+  const ta = document.getElementById('messageInput');
+  const before = ta.value.slice(0, ta.selectionStart);
+  const complete = before.match(/(^|\s):([a-z0-9_+-]+):$/i);
+  if (complete) {
+    const code = complete[2].toLowerCase();
+    const entry = emojiEntries().find(e => e.shortcodes.includes(code));
+    if (entry) {
+      const emoji = tonedEmoji(entry);
+      rememberEmoji(emoji);
+      return replaceBeforeCaret(before.length - code.length - 2, emoji);
+    }
+  }
+  const shortcode = before.match(/(^|\s):([a-z0-9_+-]{2,})$/i);
+  const mention = before.match(/(^|\s)@([^\s@]*)$/);
+  if (shortcode) showComposerSuggestions(before.length - shortcode[2].length - 1, shortcodeItems(shortcode[2].toLowerCase()));
+  else if (mention) showComposerSuggestions(before.length - mention[2].length - 1, mentionItems(mention[2].toLowerCase()));
+  else hideComposerSuggestions();
+}
+
+// Shortest shortcodes first, so ":hear" offers :heart: before :heart_eyes_cat:
+function shortcodeItems(query){
+  const matches = [];
+  emojiEntries().forEach(entry => {
+    const code = entry.shortcodes.find(c => c.startsWith(query));
+    if (code) matches.push({ entry, code });
+  });
+  matches.sort((a, b) => a.code.length - b.code.length);
+  return matches.slice(0, 8).map(({ entry, code }) => {
+    const emoji = tonedEmoji(entry);
+    return { html: `<span class="suggestion-emoji">${escapeHtml(emoji)}</span> :${escapeHtml(code)}:`, text: emoji, emoji };
+  });
+}
+
+// Other members of the open chat with a name (or a word of it) starting with the query
+function mentionItems(query){
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  return (chat?.members || [])
+    .filter(m => m.id !== currentUserId() && m.name)
+    .filter(m => !query || m.name.toLowerCase().split(/\s+/).some(word => word.startsWith(query)))
+    .slice(0, 8)
+    .map(m => ({
+      html: `<span class="suggestion-avatar">${avatarInner(m)}</span> ${escapeHtml(m.name)}`,
+      text: '@' + m.name + ' '
+    }));
+}
+
+function showComposerSuggestions(start, items){
+  if (items.length === 0) return hideComposerSuggestions();
+  Object.assign(suggestions, { items, selected: 0, start });
+  renderComposerSuggestions();
+}
+
+function renderComposerSuggestions(){
+  const box = document.getElementById('composerSuggestions');
+  box.innerHTML = suggestions.items.map((item, i) => `
+    <div class="suggestion-option ${i === suggestions.selected ? 'active' : ''}" onmousedown="event.preventDefault();chooseSuggestion(${i})">${item.html}</div>`
+  ).join('');
+  box.style.display = 'block';
+}
+
+function hideComposerSuggestions(){
+  suggestions.items = [];
+  const box = document.getElementById('composerSuggestions');
+  if (box) box.style.display = 'none';
+}
+
+function chooseSuggestion(i){
+  const item = suggestions.items[i];
+  if (!item) return;
+  if (item.emoji) rememberEmoji(item.emoji);
+  replaceBeforeCaret(suggestions.start, item.text);
+}
+
+// Replace the text from `start` up to the caret
+function replaceBeforeCaret(start, text){
+  const ta = document.getElementById('messageInput');
+  const end = ta.selectionStart;
+  ta.value = ta.value.slice(0, start) + text + ta.value.slice(end);
+  ta.selectionStart = ta.selectionEnd = start + text.length;
+  hideComposerSuggestions();
+  updateLinkPreviewBar();
+}
+
+// Arrow keys, Enter/Tab and Escape while suggestions are open. Returns true when handled.
+function handleSuggestionKey(e){
+  const count = suggestions.items.length;
+  if (count === 0) return false;
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    suggestions.selected = (suggestions.selected + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+    renderComposerSuggestions();
+  } else if (e.key === 'Enter' || e.key === 'Tab') {
+    chooseSuggestion(suggestions.selected);
+  } else if (e.key === 'Escape') {
+    hideComposerSuggestions();
+  } else {
+    return false;
+  }
+  e.preventDefault();
+  return true;
+}
+
+function loadProfile() {
+  if (!appData.user) return;
+  document.getElementById('profileName').value = appData.user.name || '';
+  document.getElementById('profileAbout').value = appData.user.about || '';
+  document.getElementById('profilePhone').value = appData.user.phone || '';
+  renderOwnAvatar();
+}
+
+// The sidebar picture and the one in the profile editor (which keeps its upload overlay)
+function renderOwnAvatar(){
+  if (!appData.user) return;
+  document.getElementById('sidebarProfilePic').innerHTML = avatarInner(appData.user);
+  document.getElementById('profilePicLarge').innerHTML = avatarInner(appData.user, 'large') +
+    `<div class="upload-overlay" onclick="document.getElementById('profilePicInput').click()"><i class="fas fa-camera"></i></div>`;
+  document.getElementById('removeProfilePicBtn').style.display = appData.user.avatar ? '' : 'none';
 }
 
 async function saveProfile() {
   const name = document.getElementById('profileName').value.trim();
   const about = document.getElementById('profileAbout').value.trim();
   const phone = document.getElementById('profilePhone').value.trim();
-  appData.user.name = name;
-  appData.user.about = about;
-  appData.user.phone = phone;
   try {
-    await fetch('/api/profile', {
-      method: 'POST',
-      headers: {'Content-Type': 'application/json'},
-      body: JSON.stringify(appData.user)
-    });
-    const initials = (name || '').split(' ').map(n => n[0] || '').join('').toUpperCase();
-    document.getElementById('sidebarInitials').textContent = initials;
+    const { user } = await apiRequest('/api/profile', { method: 'POST', body: { name, about, phone } });
+    applyProfile(user);
     closeModal('profileModal');
     renderChats();
   } catch (err) {
-    console.error('Failed to save profile', err);
+    showToast(err.message);
   }
 }
 
-function onProfilePicChange(e) {
+// The server crops the picture square and keeps a small and a large copy
+async function onProfilePicChange(e) {
   const file = e.target.files[0];
+  e.target.value = '';
   if (!file) return;
-  const reader = new FileReader();
-  reader.onload = async function(ev) {
-    const dataUrl = ev.target.result;
-    appData.user.avatar = dataUrl;
-    document.getElementById('profilePicLarge').innerHTML = `<img src="${dataUrl}" alt="Profile"><div class="upload-overlay" onclick="document.getElementById('profilePicInput').click()"><i class="fas fa-camera"></i></div>`;
-    document.getElementById('sidebarProfilePic').innerHTML = `<img src="${dataUrl}" alt="Profile">`;
-    try {
-      await fetch('/api/profile', {
-        method: 'POST',
-        headers: {'Content-Type': 'application/json'},
-        body: JSON.stringify(appData.user)
-      });
-    } catch (err) {
-      console.error('Failed to upload avatar', err);
-    }
-  };
-  reader.readAsDataURL(file);
+  const formData = new FormData();
+  formData.append('avatar', file, file.name);
+  try {
+    const { user } = await apiRequest('/api/profile/avatar', { method: 'POST', body: formData });
+    applyProfile(user);
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+async function removeProfilePic() {
+  try {
+    const { user } = await apiRequest('/api/profile/avatar', { method: 'DELETE' });
+    applyProfile(user);
+  } catch (err) {
+    showToast(err.message);
+  }
 }
 
 function renderContacts(){
   const list = document.getElementById('contactsList');
-  list.innerHTML = Object.values(mockUsers).map(c => 
+  const contacts = appData.contacts || [];
+  if (contacts.length === 0) {
+    list.innerHTML = '<div style="padding:20px;text-align:center;color:#8696a0">No contacts yet.</div>';
+    return;
+  }
+  const newGroup = `<div class="contact-item" onclick="openNewGroupModal()">
+      <div class="contact-avatar"><i class="fas fa-users"></i></div>
+      <div class="contact-name">New group</div>
+    </div>`;
+  list.innerHTML = newGroup + contacts.map(c => 
     `<div class="contact-item" onclick="startChat('${c.id}')">
-      <div class="contact-avatar">${(c.name || c.id).split(' ').map(n=>n[0]).join('')}</div>
-      <div class="contact-name">${c.name}</div>
+      <div class="contact-avatar">${avatarInner(c)}</div>
+      <div class="contact-name">${escapeHtml(c.name)}</div>
     </div>`
   ).join('');
 }
 
 async function startChat(contactId) {
-  // In mock mode: create/find chat quickly
-  const existingChat = appData.chats.find(c => c.name === mockUsers[contactId]?.name);
-  if (existingChat) {
-    openChat(existingChat.id);
+  try {
+    const res = await fetch('/api/start-chat', {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({ contactId })
+    });
+    const chat = await res.json();
+    if (!res.ok) {
+      showToast(chat.error || 'Could not start chat');
+      return;
+    }
+    storeChatView(chat);
+    renderChats();
+    openChat(chat.id);
+    closeModal('newChatModal');
+  } catch (err) {
+    console.error('Failed to start chat', err);
+    showToast('Could not reach the server');
+  }
+}
+
+// --- Groups ---
+
+// Checkbox list of friends, used by "New group" and "Add members"
+function renderMemberPicker(containerId, candidates){
+  const el = document.getElementById(containerId);
+  if (candidates.length === 0) {
+    el.innerHTML = '<div style="padding:12px;color:#8696a0">No friends to add.</div>';
     return;
   }
-  const now = new Date().toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'});
-  const chatName = mockUsers[contactId]?.name || contactId;
-  const newChat = {
-    id: generateChatId(),
-    name: chatName,
-    time: now,
-    lastMessage: 'Chat started.',
-    messages: [
-      { text: 'Hi ' + chatName.split(' ')[0] + ', nice to connect!', type: 'sent', time: now }
-    ]
-  };
-  appData.chats.push(newChat);
-  renderChats();
-  openChat(newChat.id);
-  // Close the New Chat modal if open
+  el.innerHTML = candidates.map(c => `
+    <label class="contact-item member-pick">
+      <input type="checkbox" value="${escapeHtml(c.id)}">
+      <div class="contact-avatar">${avatarInner(c)}</div>
+      <div class="contact-name">${escapeHtml(c.name)}</div>
+    </label>
+  `).join('');
+}
+function pickedMemberIds(containerId){
+  return Array.from(document.querySelectorAll(`#${containerId} input[type="checkbox"]:checked`)).map(i => i.value);
+}
+
+function openNewGroupModal(){
   closeModal('newChatModal');
+  document.getElementById('newGroupName').value = '';
+  renderMemberPicker('newGroupMembers', appData.contacts || []);
+  document.getElementById('newGroupModal').classList.add('active');
+}
+
+async function createGroup(){
+  const name = document.getElementById('newGroupName').value.trim();
+  const memberIds = pickedMemberIds('newGroupMembers');
+  if (!name) return showToast('Give the group a name');
+  if (memberIds.length === 0) return showToast('Pick at least one friend');
+  try {
+    const chat = await apiRequest('/api/groups', { method: 'POST', body: { name, memberIds } });
+    storeChatView(chat);
+    renderChats();
+    closeModal('newGroupModal');
+    openChat(chat.id);
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+// Chat header click: group info with members, roles and admin actions
+function openChatInfo(){
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  if (!chat || chat.kind !== 'group') return;
+  renderGroupInfo();
+  document.getElementById('groupInfoModal').classList.add('active');
+}
+
+function renderGroupInfo(){
+  const chat = appData.chats.find(c => c.id === appData.currentChatId);
+  if (!chat || chat.kind !== 'group') return;
+  const me = currentUserId();
+  const amAdmin = (chat.members || []).some(m => m.id === me && m.role === 'admin');
+
+  const nameInput = document.getElementById('groupInfoName');
+  nameInput.value = chat.name;
+  nameInput.disabled = !amAdmin;
+  document.getElementById('groupRenameBtn').style.display = amAdmin ? 'block' : 'none';
+
+  document.getElementById('groupInfoMembers').innerHTML = (chat.members || []).map(m => {
+    const isMe = m.id === me;
+    const actions = (amAdmin && !isMe) ? `
+        <button class="request-btn secondary" onclick="setGroupRole('${m.id}', '${m.role === 'admin' ? 'member' : 'admin'}')">${m.role === 'admin' ? 'Dismiss admin' : 'Make admin'}</button>
+        <button class="request-btn secondary" onclick="removeGroupMember('${m.id}')">Remove</button>
+      ` : '';
+    return `
+      <div class="incoming-request-item">
+        <div class="contact-avatar" style="width:34px;height:34px;font-size:14px">${avatarInner(m)}</div>
+        <div style="flex:1">
+          <div style="color:#e9edef">${escapeHtml(isMe ? 'You' : m.name)}</div>
+          <div style="font-size:12px;color:#8b9aa3">${m.role === 'admin' ? 'Group admin' : 'Member'}</div>
+        </div>
+        ${actions}
+      </div>
+    `;
+  }).join('');
+
+  const addSection = document.getElementById('groupAddSection');
+  addSection.style.display = amAdmin ? 'block' : 'none';
+  if (amAdmin) {
+    const memberIds = (chat.members || []).map(m => m.id);
+    renderMemberPicker('groupAddMembers', (appData.contacts || []).filter(c => !memberIds.includes(c.id)));
+  }
+}
+
+async function groupAction(url, options){
+  try {
+    const summary = await apiRequest(url, options);
+    upsertChatSummary(summary);
+    renderChats();
+    renderMessages();
+    renderGroupInfo();
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+function renameGroup(){
+  const name = document.getElementById('groupInfoName').value.trim();
+  if (!name) return showToast('Group name cannot be empty');
+  return groupAction(`/api/chats/${appData.currentChatId}`, { method: 'PATCH', body: { name } });
+}
+function addGroupMembers(){
+  const userIds = pickedMemberIds('groupAddMembers');
+  if (userIds.length === 0) return;
+  return groupAction(`/api/chats/${appData.currentChatId}/members`, { method: 'POST', body: { userIds } });
+}
+function setGroupRole(userId, role){
+  return groupAction(`/api/chats/${appData.currentChatId}/members/${userId}`, { method: 'PATCH', body: { role } });
+}
+function removeGroupMember(userId){
+  return groupAction(`/api/chats/${appData.currentChatId}/members/${userId}`, { method: 'DELETE' });
+}
+
+async function leaveGroup(){
+  const chatId = appData.currentChatId;
+  if (!confirm('Leave this group?')) return;
+  try {
+    await apiRequest(`/api/chats/${chatId}/leave`, { method: 'POST' });
+    closeModal('groupInfoModal');
+    removeChatLocally(chatId);
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+
+// Drop a chat we are no longer part of (left or removed from a group)
+function removeChatLocally(chatId){
+  appData.chats = appData.chats.filter(c => c.id !== chatId);
+  if (appData.currentChatId === chatId) closeOpenChat();
+  renderChats();
+}
+
+// Back to the empty state; the caller re-renders the chat list
+function closeOpenChat(){
+  appData.currentChatId = null;
+  closeModal('groupInfoModal');
+  document.getElementById('chatArea').style.display = 'none';
+  document.getElementById('emptyState').style.display = 'flex';
 }
 
 function renderContactsAndOpen(tag) {
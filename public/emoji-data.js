@@ -0,0 +1,1918 @@
+// emoji-data.js - emoji for the picker and :shortcode: completion (vendored data, do not edit by hand)
+// - Source: emojibase-data 16.0.3 (MIT, https://emojibase.dev): English labels and tags, GitHub
+//   and Emojibase shortcodes and skin tones, without the "components" group (bare modifiers, hair)
+// - categories: [{ id, name, icon }]
+// - emoji: [char, categoryIndex, name, keywords, shortcodes, tones?] in Unicode order; tones is 1
+//   when a skin tone modifier goes right after the first character, or the five toned variants
+
+window.EMOJI_DATA = {
+  categories: [{"id":"smileys-emotion","name":"Smileys & Emotion","icon":"😀"},{"id":"people-body","name":"People & Body","icon":"👋"},{"id":"animals-nature","name":"Animals & Nature","icon":"🐻"},{"id":"food-drink","name":"Food & Drink","icon":"🍔"},{"id":"travel-places","name":"Travel & Places","icon":"✈️"},{"id":"activities","name":"Activities","icon":"⚽"},{"id":"objects","name":"Objects","icon":"💡"},{"id":"symbols","name":"Symbols","icon":"🔣"},{"id":"flags","name":"Flags","icon":"🏳️"}],
+  emoji: [
+    ["😀",0,"grinning face","cheerful cheery face grin grinning happy laugh nice smile smiling teeth","grinning grinning_face"],
+    ["😃",0,"grinning face with big eyes","awesome big eyes face grin grinning happy mouth open smile smiling teeth yay","smiley grinning_face_with_big_eyes"],
+    ["😄",0,"grinning face with smiling eyes","eye eyes face grin grinning happy laugh lol mouth open smile smiling","smile grinning_face_with_closed_eyes"],
+    ["😁",0,"beaming face with smiling eyes","beaming eye eyes face grin grinning happy nice smile smiling teeth","grin beaming_face"],
+    ["😆",0,"grinning squinting face","closed eyes face grinning haha hahaha happy laugh lol mouth open rofl smile smiling squinting","laughing satisfied lol squinting_face"],
+    ["😅",0,"grinning face with sweat","cold dejected excited face grinning mouth nervous open smile smiling stress stressed sweat","sweat_smile grinning_face_with_sweat"],
+    ["🤣",0,"rolling on the floor laughing","crying face floor funny haha happy hehe hilarious joy laugh lmao lol rofl roflmao rolling tear","rofl"],
+    ["😂",0,"face with tears of joy","crying face feels funny haha happy hehe hilarious joy laugh lmao lol rofl roflmao tear","joy lmao tears_of_joy"],
+    ["🙂",0,"slightly smiling face","face happy slightly smile smiling","slightly_smiling_face"],
+    ["🙃",0,"upside-down face","face hehe smile upside-down","upside_down_face"],
+    ["🫠",0,"melting face","disappear dissolve embarrassed face haha heat hot liquid lol melt melting sarcasm sarcastic","melting_face melt"],
+    ["😉",0,"winking face","face flirt heartbreaker sexy slide tease wink winking winks","wink winking_face"],
+    ["😊",0,"smiling face with smiling eyes","blush eye eyes face glad satisfied smile smiling","blush smiling_face_with_closed_eyes"],
+    ["😇",0,"smiling face with halo","angel angelic angels blessed face fairy fairytale fantasy halo happy innocent peaceful smile smiling spirit tale","innocent halo"],
+    ["🥰",0,"smiling face with hearts","3 adore crush face heart hearts ily love romance smile smiling you","smiling_face_with_three_hearts smiling_face_with_3_hearts"],
+    ["😍",0,"smiling face with heart-eyes","143 bae eye face feels heart-eyes hearts ily kisses love romance romantic smile xoxo","heart_eyes smiling_face_with_heart_eyes"],
+    ["🤩",0,"star-struck","excited eyes face grinning smile star starry-eyed wow","star_struck"],
+    ["😘",0,"face blowing a kiss","adorbs bae blowing face flirt heart ily kiss love lover miss muah romantic smooch xoxo you","kissing_heart blowing_a_kiss"],
+    ["😗",0,"kissing face","143 date dating face flirt ily kiss love smooch smooches xoxo you","kissing kissing_face"],
+    ["☺️",0,"smiling face","face happy outlined relaxed smile smiling","relaxed smiling_face"],
+    ["😚",0,"kissing face with closed eyes","143 bae blush closed date dating eye eyes face flirt ily kisses kissing smooches xoxo","kissing_closed_eyes kissing_face_with_closed_eyes"],
+    ["😙",0,"kissing face with smiling eyes","143 closed date dating eye eyes face flirt ily kiss kisses kissing love night smile smiling","kissing_smiling_eyes kissing_face_with_smiling_eyes"],
+    ["🥲",0,"smiling face with tear","face glad grateful happy joy pain proud relieved smile smiley smiling tear touched","smiling_face_with_tear"],
+    ["😋",0,"face savoring food","delicious eat face food full hungry savor smile smiling tasty um yum yummy","yum savoring_food"],
+    ["😛",0,"face with tongue","awesome cool face nice party stuck-out sweet tongue","stuck_out_tongue face_with_tongue"],
+    ["😜",0,"winking face with tongue","crazy epic eye face funny joke loopy nutty party stuck-out tongue wacky weirdo wink winking yolo","stuck_out_tongue_winking_eye"],
+    ["🤪",0,"zany face","crazy eye eyes face goofy large small zany","zany_face zany"],
+    ["😝",0,"squinting face with tongue","closed eye eyes face gross horrible omg squinting stuck-out taste tongue whatever yolo","stuck_out_tongue_closed_eyes"],
+    ["🤑",0,"money-mouth face","face money money-mouth mouth paid","money_mouth_face"],
+    ["🤗",0,"smiling face with open hands","face hands hug hugging open smiling","hugs hug hugging hugging_face"],
+    ["🤭",0,"face with hand over mouth","face giggle giggling hand mouth oops realization secret shock sudden surprise whoops","hand_over_mouth face_with_hand_over_mouth"],
+    ["🫢",0,"face with open eyes and hand over mouth","amazement awe disbelief embarrass eyes face gasp hand mouth omg open over quiet scared shock surprise","face_with_open_eyes_and_hand_over_mouth face_with_open_eyes_hand_over_mouth gasp"],
+    ["🫣",0,"face with peeking eye","captivated embarrass eye face hide hiding peek peeking peep scared shy stare","face_with_peeking_eye peek"],
+    ["🤫",0,"shushing face","face quiet shh shush shushing","shushing_face shush"],
+    ["🤔",0,"thinking face","chin consider face hmm ponder pondering thinking wondering","thinking thinking_face wtf"],
+    ["🫡",0,"saluting face","face good luck ma’am ok respect salute saluting sir troops yes","saluting_face salute"],
+    ["🤐",0,"zipper-mouth face","face keep mouth quiet secret shut zip zipper zipper-mouth","zipper_mouth_face zipper_mouth"],
+    ["🤨",0,"face with raised eyebrow","disapproval disbelief distrust emoji eyebrow face hmm mild raised skeptic skeptical skepticism surprise what","raised_eyebrow face_with_raised_eyebrow"],
+    ["😐️",0,"neutral face","awkward blank deadpan expressionless face fine jealous meh neutral oh shade straight unamused unhappy unimpressed whatever","neutral_face neutral"],
+    ["😑",0,"expressionless face","awkward dead expressionless face fine inexpressive jealous meh not oh omg straight uh unhappy unimpressed whatever","expressionless expressionless_face"],
+    ["😶",0,"face without mouth","awkward blank expressionless face mouth mouthless mute quiet secret silence silent speechless","no_mouth"],
+    ["🫥",0,"dotted line face","depressed disappear dotted face hidden hide introvert invisible line meh whatever wtv","dotted_line_face"],
+    ["😶‍🌫️",0,"face in clouds","absentminded clouds face fog head","face_in_clouds in_clouds"],
+    ["😏",0,"smirking face","boss dapper face flirt homie kidding leer shade slick sly smirk smug snicker suave suspicious swag","smirk smirking smirking_face"],
+    ["😒",0,"unamused face","... bored face fine jealous jel jelly pissed smh ugh uhh unamused unhappy weird whatever","unamused unamused_face"],
+    ["🙄",0,"face with rolling eyes","eyeroll eyes face rolling shade ugh whatever","roll_eyes rolling_eyes"],
+    ["😬",0,"grimacing face","awk awkward dentist face grimace grimacing grinning smile smiling","grimacing grimacing_face"],
+    ["😮‍💨",0,"face exhaling","blow blowing exhale exhaling exhausted face gasp groan relief sigh smiley smoke whisper whistle","face_exhaling exhale exhaling"],
+    ["🤥",0,"lying face","face liar lie lying pinocchio","lying_face lying"],
+    ["🫨",0,"shaking face","crazy daze earthquake face omg panic shaking shock surprise vibrate whoa wow","shaking_face shaking"],
+    ["🙂‍↔️",0,"head shaking horizontally","head horizontally no shake shaking","head_shaking_horizontally"],
+    ["🙂‍↕️",0,"head shaking vertically","head nod shaking vertically yes","head_shaking_vertically"],
+    ["😌",0,"relieved face","calm face peace relief relieved zen","relieved relieved_face"],
+    ["😔",0,"pensive face","awful bored dejected died disappointed face losing lost pensive sad sucks","pensive pensive_face"],
+    ["😪",0,"sleepy face","crying face good night sad sleep sleeping sleepy tired","sleepy sleepy_face"],
+    ["🤤",0,"drooling face","drooling face","drooling_face drooling"],
+    ["😴",0,"sleeping face","bed bedtime face good goodnight nap night sleep sleeping tired whatever yawn zzz","sleeping sleeping_face"],
+    ["🫩",0,"face with bags under eyes","bags bored exhausted eyes face fatigued late sleepy tired weary","face_with_eye_bags"],
+    ["😷",0,"face with medical mask","cold dentist dermatologist doctor dr face germs mask medical medicine sick","mask medical_mask"],
+    ["🤒",0,"face with thermometer","face ill sick thermometer","face_with_thermometer"],
+    ["🤕",0,"face with head-bandage","bandage face head-bandage hurt injury ouch","face_with_head_bandage"],
+    ["🤢",0,"nauseated face","face gross nasty nauseated sick vomit","nauseated_face nauseated"],
+    ["🤮",0,"face vomiting","barf ew face gross puke sick spew throw up vomit vomiting","vomiting_face face_vomiting vomiting"],
+    ["🤧",0,"sneezing face","face fever flu gesundheit sick sneeze sneezing","sneezing_face sneezing"],
+    ["🥵",0,"hot face","dying face feverish heat hot panting red-faced stroke sweating tongue","hot_face hot"],
+    ["🥶",0,"cold face","blue blue-faced cold face freezing frostbite icicles subzero teeth","cold_face cold"],
+    ["🥴",0,"woozy face","dizzy drunk eyes face intoxicated mouth tipsy uneven wavy woozy","woozy_face woozy"],
+    ["😵",0,"face with crossed-out eyes","crossed-out dead dizzy eyes face feels knocked out sick tired","dizzy_face knocked_out"],
+    ["😵‍💫",0,"face with spiral eyes","confused dizzy eyes face hypnotized omg smiley spiral trouble whoa woah woozy","face_with_spiral_eyes dizzy_eyes"],
+    ["🤯",0,"exploding head","blown explode exploding head mind mindblown no shocked way","exploding_head"],
+    ["🤠",0,"cowboy hat face","cowboy cowgirl face hat","cowboy_hat_face cowboy cowboy_face"],
+    ["🥳",0,"partying face","bday birthday celebrate celebration excited face happy hat hooray horn party partying","partying_face hooray partying"],
+    ["🥸",0,"disguised face","disguise eyebrow face glasses incognito moustache mustache nose person spy tache tash","disguised_face disguised"],
+    ["😎",0,"smiling face with sunglasses","awesome beach bright bro chilling cool face rad relaxed shades slay smile style sunglasses swag win","sunglasses smiling_face_with_sunglasses sunglasses_cool too_cool"],
+    ["🤓",0,"nerd face","brainy clever expert face geek gifted glasses intelligent nerd smart","nerd_face nerd"],
+    ["🧐",0,"face with monocle","classy face fancy monocle rich stuffy wealthy","monocle_face face_with_monocle"],
+    ["😕",0,"confused face","befuddled confused confusing dunno face frown hm meh not sad sorry sure","confused confused_face"],
+    ["🫤",0,"face with diagonal mouth","confused confusion diagonal disappointed doubt doubtful face frustrated frustration meh mouth skeptical unsure whatever wtv","face_with_diagonal_mouth"],
+    ["😟",0,"worried face","anxious butterflies face nerves nervous sad stress stressed surprised worried worry","worried worried_face"],
+    ["🙁",0,"slightly frowning face","face frown frowning sad slightly","slightly_frowning_face"],
+    ["☹️",0,"frowning face","face frown frowning sad","frowning_face white_frowning_face"],
+    ["😮",0,"face with open mouth","believe face forgot mouth omg open shocked surprised sympathy unbelievable unreal whoa wow you","open_mouth face_with_open_mouth"],
+    ["😯",0,"hushed face","epic face hushed omg stunned surprised whoa woah","hushed hushed_face"],
+    ["😲",0,"astonished face","astonished cost face no omg shocked totally way","astonished astonished_face"],
+    ["😳",0,"flushed face","amazed awkward crazy dazed dead disbelief embarrassed face flushed geez heat hot impressed jeez what wow","flushed flushed_face"],
+    ["🥺",0,"pleading face","begging big eyes face mercy not pleading please pretty puppy sad why","pleading_face pleading"],
+    ["🥹",0,"face holding back tears","admiration aww back cry embarrassed face feelings grateful gratitude holding joy please proud resist sad tears","face_holding_back_tears watery_eyes"],
+    ["😦",0,"frowning face with open mouth","caught face frown frowning guard mouth open scared scary surprise what wow","frowning frowning_face"],
+    ["😧",0,"anguished face","anguished face forgot scared scary stressed surprise unhappy what wow","anguished anguished_face"],
+    ["😨",0,"fearful face","afraid anxious blame face fear fearful scared worried","fearful fearful_face"],
+    ["😰",0,"anxious face with sweat","anxious blue cold eek face mouth nervous open rushed scared sweat yikes","cold_sweat anxious anxious_face"],
+    ["😥",0,"sad but relieved face","anxious call close complicated disappointed face not relieved sad sweat time whew","disappointed_relieved sad_relieved_face"],
+    ["😢",0,"crying face","awful cry crying face feels miss sad tear triste unhappy","cry crying_face"],
+    ["😭",0,"loudly crying face","bawling cry crying face loudly sad sob tear tears unhappy","sob loudly_crying_face"],
+    ["😱",0,"face screaming in fear","epic face fear fearful munch scared scream screamer screaming shocked surprised woah","scream screaming_in_fear"],
+    ["😖",0,"confounded face","annoyed confounded confused cringe distraught face feels frustrated mad sad","confounded confounded_face"],
+    ["😣",0,"persevering face","concentrate concentration face focus headache persevere persevering","persevere persevering_face"],
+    ["😞",0,"disappointed face","awful blame dejected disappointed face fail losing sad unhappy","disappointed disappointed_face"],
+    ["😓",0,"downcast face with sweat","close cold downcast face feels headache nervous sad scared sweat yikes","sweat downcast_face"],
+    ["😩",0,"weary face","crying face fail feels hungry mad nooo sad sleepy tired unhappy weary","weary weary_face"],
+    ["😫",0,"tired face","cost face feels nap sad sneeze tired","tired_face tired"],
+    ["🥱",0,"yawning face","bedtime bored face goodnight nap night sleep sleepy tired whatever yawn yawning zzz","yawning_face yawn yawning"],
+    ["😤",0,"face with steam from nose","anger angry face feels fume fuming furious fury mad nose steam triumph unhappy won","triumph nose_steam"],
+    ["😡",0,"enraged face","anger angry enraged face feels mad maddening pouting rage red shade unhappy upset","pout rage pouting_face"],
+    ["😠",0,"angry face","anger angry blame face feels frustrated mad maddening rage shade unhappy upset","angry angry_face"],
+    ["🤬",0,"face with symbols on mouth","censor cursing cussing face mad mouth pissed swearing symbols","cursing_face censored face_with_symbols_on_mouth"],
+    ["😈",0,"smiling face with horns","demon devil evil face fairy fairytale fantasy horns purple shade smile smiling tale","smiling_imp"],
+    ["👿",0,"angry face with horns","angry demon devil evil face fairy fairytale fantasy horns imp mischievous purple shade tale","imp angry_imp"],
+    ["💀",0,"skull","body dead death face fairy fairytale i’m lmao monster tale yolo","skull"],
+    ["☠️",0,"skull and crossbones","bone crossbones dead death face monster skull","skull_and_crossbones"],
+    ["💩",0,"pile of poo","bs comic doo dung face fml monster pile poo poop smelly smh stink stinks stinky turd","hankey poop shit"],
+    ["🤡",0,"clown face","clown face","clown_face clown"],
+    ["👹",0,"ogre","creature devil face fairy fairytale fantasy mask monster scary tale","japanese_ogre ogre"],
+    ["👺",0,"goblin","angry creature face fairy fairytale fantasy mask mean monster tale","japanese_goblin goblin"],
+    ["👻",0,"ghost","boo creature excited face fairy fairytale fantasy halloween haunting monster scary silly tale","ghost"],
+    ["👽️",0,"alien","creature extraterrestrial face fairy fairytale fantasy monster space tale ufo","alien"],
+    ["👾",0,"alien monster","alien creature extraterrestrial face fairy fairytale fantasy game gamer games monster pixelated space tale ufo","space_invader alien_monster"],
+    ["🤖",0,"robot","face monster","robot robot_face"],
+    ["😺",0,"grinning cat","animal cat face grinning mouth open smile smiling","smiley_cat grinning_cat"],
+    ["😸",0,"grinning cat with smiling eyes","animal cat eye eyes face grin grinning smile smiling","smile_cat grinning_cat_with_closed_eyes"],
+    ["😹",0,"cat with tears of joy","animal cat face joy laugh laughing lol tear tears","joy_cat tears_of_joy_cat"],
+    ["😻",0,"smiling cat with heart-eyes","animal cat eye face heart heart-eyes love smile smiling","heart_eyes_cat smiling_cat_with_heart_eyes"],
+    ["😼",0,"cat with wry smile","animal cat face ironic smile wry","smirk_cat wry_smile_cat"],
+    ["😽",0,"kissing cat","animal cat closed eye eyes face kiss kissing","kissing_cat"],
+    ["🙀",0,"weary cat","animal cat face oh surprised weary","scream_cat weary_cat"],
+    ["😿",0,"crying cat","animal cat cry crying face sad tear","crying_cat_face crying_cat"],
+    ["😾",0,"pouting cat","animal cat face pouting","pouting_cat"],
+    ["🙈",0,"see-no-evil monkey","embarrassed evil face forbidden forgot gesture hide monkey no omg prohibited scared secret smh watch","see_no_evil"],
+    ["🙉",0,"hear-no-evil monkey","animal ears evil face forbidden gesture hear listen monkey no not prohibited secret shh tmi","hear_no_evil"],
+    ["🙊",0,"speak-no-evil monkey","animal evil face forbidden gesture monkey no not oops prohibited quiet secret speak stealth","speak_no_evil"],
+    ["💌",0,"love letter","heart letter love mail romance valentine","love_letter"],
+    ["💘",0,"heart with arrow","143 adorbs arrow cupid date emotion heart ily love romance valentine","cupid heart_with_arrow"],
+    ["💝",0,"heart with ribbon","143 anniversary emotion heart ily kisses ribbon valentine xoxo","gift_heart heart_with_ribbon"],
+    ["💖",0,"sparkling heart","143 emotion excited good heart ily kisses morning night sparkle sparkling xoxo","sparkling_heart"],
+    ["💗",0,"growing heart","143 emotion excited growing heart heartpulse ily kisses muah nervous pulse xoxo","heartpulse growing_heart"],
+    ["💓",0,"beating heart","143 beating cardio emotion heart heartbeat ily love pulsating pulse","heartbeat beating_heart"],
+    ["💞",0,"revolving hearts","143 adorbs anniversary emotion heart hearts revolving","revolving_hearts"],
+    ["💕",0,"two hearts","143 anniversary date dating emotion heart hearts ily kisses love loving two xoxo","two_hearts"],
+    ["💟",0,"heart decoration","143 decoration emotion heart hearth purple white","heart_decoration"],
+    ["❣️",0,"heart exclamation","exclamation heart heavy mark punctuation","heavy_heart_exclamation heart_exclamation"],
+    ["💔",0,"broken heart","break broken crushed emotion heart heartbroken lonely sad","broken_heart"],
+    ["❤️‍🔥",0,"heart on fire","burn fire heart love lust sacred","heart_on_fire"],
+    ["❤️‍🩹",0,"mending heart","healthier heart improving mending recovering recuperating well","mending_heart"],
+    ["❤️",0,"red heart","emotion heart love red","heart red_heart"],
+    ["🩷",0,"pink heart","143 adorable cute emotion heart ily like love pink special sweet","pink_heart"],
+    ["🧡",0,"orange heart","143 heart orange","orange_heart"],
+    ["💛",0,"yellow heart","143 cardiac emotion heart ily love yellow","yellow_heart"],
+    ["💚",0,"green heart","143 emotion green heart ily love romantic","green_heart"],
+    ["💙",0,"blue heart","143 blue emotion heart ily love romance","blue_heart"],
+    ["🩵",0,"light blue heart","143 blue cute cyan emotion heart ily light like love sky special teal","light_blue_heart"],
+    ["💜",0,"purple heart","143 bestest emotion heart ily love purple","purple_heart"],
+    ["🤎",0,"brown heart","143 brown heart","brown_heart"],
+    ["🖤",0,"black heart","black evil heart wicked","black_heart"],
+    ["🩶",0,"grey heart","143 emotion gray grey heart ily love silver slate special","grey_heart gray_heart"],
+    ["🤍",0,"white heart","143 heart white","white_heart"],
+    ["💋",0,"kiss mark","dating emotion heart kiss kissing lips mark romance sexy","kiss"],
+    ["💯",0,"hundred points","100 a+ agree clearly definitely faithful fleek full hundred keep perfect point score true truth yup","100"],
+    ["💢",0,"anger symbol","anger angry comic mad symbol upset","anger"],
+    ["💥",0,"collision","bomb boom collide comic explode","boom collision"],
+    ["💫",0,"dizzy","comic shining shooting star stars","dizzy"],
+    ["💦",0,"sweat droplets","comic drip droplet droplets drops splashing squirt sweat water wet work workout","sweat_drops"],
+    ["💨",0,"dashing away","away cloud comic dash dashing fart fast go gone gotta running smoke","dash dashing_away"],
+    ["🕳️",0,"hole","hole","hole"],
+    ["💬",0,"speech balloon","balloon bubble comic dialog message sms speech talk text typing","speech_balloon"],
+    ["👁️‍🗨️",0,"eye in speech bubble","balloon bubble eye speech witness","eye_speech_bubble eye_in_speech_bubble"],
+    ["🗨️",0,"left speech bubble","balloon bubble dialog left speech","left_speech_bubble"],
+    ["🗯️",0,"right anger bubble","anger angry balloon bubble mad right","right_anger_bubble"],
+    ["💭",0,"thought balloon","balloon bubble cartoon cloud comic daydream decisions dream idea invent invention realize think thoughts wonder","thought_balloon"],
+    ["💤",0,"ZZZ","comic good goodnight night sleep sleeping sleepy tired zzz","zzz"],
+    ["👋",1,"waving hand","bye cya g2g greetings gtg hand hello hey hi later outtie ttfn ttyl wave yo you","wave waving_hand",1],
+    ["🤚",1,"raised back of hand","back backhand hand raised","raised_back_of_hand",1],
+    ["🖐️",1,"hand with fingers splayed","finger fingers hand raised splayed stop","raised_hand_with_fingers_splayed",1],
+    ["✋️",1,"raised hand","5 five hand high raised stop","hand raised_hand high_five",1],
+    ["🖖",1,"vulcan salute","finger hand hands salute vulcan","vulcan_salute vulcan",1],
+    ["🫱",1,"rightwards hand","hand handshake hold reach right rightward rightwards shake","rightwards_hand",1],
+    ["🫲",1,"leftwards hand","hand handshake hold left leftward leftwards reach shake","leftwards_hand",1],
+    ["🫳",1,"palm down hand","dismiss down drop dropped hand palm pick shoo up","palm_down_hand palm_down",1],
+    ["🫴",1,"palm up hand","beckon catch come hand hold know lift me offer palm tell","palm_up_hand palm_up",1],
+    ["🫷",1,"leftwards pushing hand","block five halt hand high hold leftward leftwards pause push pushing refuse slap stop wait","leftwards_pushing_hand",1],
+    ["🫸",1,"rightwards pushing hand","block five halt hand high hold pause push pushing refuse rightward rightwards slap stop wait","rightwards_pushing_hand",1],
+    ["👌",1,"OK hand","awesome bet dope fleek fosho got gotcha hand legit ok okay pinch rad sure sweet three","ok_hand",1],
+    ["🤌",1,"pinched fingers","fingers gesture hand hold huh interrogation patience pinched relax sarcastic ugh what zip","pinched_fingers pinch",1],
+    ["🤏",1,"pinching hand","amount bit fingers hand little pinching small sort","pinching_hand",1],
+    ["✌️",1,"victory hand","hand peace v victory","v victory",1],
+    ["🤞",1,"crossed fingers","cross crossed finger fingers hand luck","crossed_fingers fingers_crossed",1],
+    ["🫰",1,"hand with index finger and thumb crossed","<3 crossed expensive finger hand heart index love money snap thumb","hand_with_index_finger_and_thumb_crossed",1],
+    ["🤟",1,"love-you gesture","fingers gesture hand ily love love-you three you","love_you_gesture",1],
+    ["🤘",1,"sign of the horns","finger hand horns rock-on sign","metal sign_of_the_horns",1],
+    ["🤙",1,"call me hand","call hand hang loose me shaka","call_me_hand",1],
+    ["👈️",1,"backhand index pointing left","backhand finger hand index left point pointing","point_left",1],
+    ["👉️",1,"backhand index pointing right","backhand finger hand index point pointing right","point_right",1],
+    ["👆️",1,"backhand index pointing up","backhand finger hand index point pointing up","point_up_2 point_up",1],
+    ["🖕",1,"middle finger","finger hand middle","fu middle_finger",1],
+    ["👇️",1,"backhand index pointing down","backhand down finger hand index point pointing","point_down",1],
+    ["☝️",1,"index pointing up","finger hand index point pointing this up","point_up point_up_2",1],
+    ["🫵",1,"index pointing at the viewer","at finger hand index pointing poke viewer you","index_pointing_at_the_viewer point_forward",1],
+    ["👍️",1,"thumbs up","+1 good hand like thumb up yes","+1 thumbsup yes",1],
+    ["👎️",1,"thumbs down","-1 bad dislike down good hand no nope thumb thumbs","-1 thumbsdown no",1],
+    ["✊️",1,"raised fist","clenched fist hand punch raised solidarity","fist fist_raised",1],
+    ["👊",1,"oncoming fist","absolutely agree boom bro bruh bump clenched correct fist hand knuckle oncoming pound punch rock ttyl","facepunch fist_oncoming punch",1],
+    ["🤛",1,"left-facing fist","fist left-facing leftwards","fist_left left_facing_fist",1],
+    ["🤜",1,"right-facing fist","fist right-facing rightwards","fist_right right_facing_fist",1],
+    ["👏",1,"clapping hands","applause approval awesome clap congrats congratulations excited good great hand homie job nice prayed well yay","clap clapping_hands",1],
+    ["🙌",1,"raising hands","celebration gesture hand hands hooray praise raised raising","raised_hands",1],
+    ["🫶",1,"heart hands","<3 hands heart love you","heart_hands",1],
+    ["👐",1,"open hands","hand hands hug jazz open swerve","open_hands",1],
+    ["🤲",1,"palms up together","cupped dua hands palms pray prayer together up wish","palms_up_together",1],
+    ["🤝",1,"handshake","agreement deal hand meeting shake","handshake",1],
+    ["🙏",1,"folded hands","appreciate ask beg blessed bow cmon five folded gesture hand high please pray thanks thx","pray folded_hands",1],
+    ["✍️",1,"writing hand","hand write writing","writing_hand",1],
+    ["💅",1,"nail polish","bored care cosmetics done makeup manicure nail polish whatever","nail_care nail_polish",1],
+    ["🤳",1,"selfie","camera phone","selfie",1],
+    ["💪",1,"flexed biceps","arm beast bench biceps bodybuilder bro curls flex gains gym jacked muscle press ripped strong weightlift","muscle right_bicep",1],
+    ["🦾",1,"mechanical arm","accessibility arm mechanical prosthetic","mechanical_arm"],
+    ["🦿",1,"mechanical leg","accessibility leg mechanical prosthetic","mechanical_leg"],
+    ["🦵",1,"leg","bent foot kick knee limb","leg",1],
+    ["🦶",1,"foot","ankle feet kick stomp","foot",1],
+    ["👂️",1,"ear","body ears hear hearing listen listening sound","ear",1],
+    ["🦻",1,"ear with hearing aid","accessibility aid ear hard hearing","ear_with_hearing_aid hearing_aid",1],
+    ["👃",1,"nose","body noses nosey odor smell smells","nose",1],
+    ["🧠",1,"brain","intelligent smart","brain"],
+    ["🫀",1,"anatomical heart","anatomical beat cardiology heart heartbeat organ pulse real red","anatomical_heart"],
+    ["🫁",1,"lungs","breath breathe exhalation inhalation lung organ respiration","lungs"],
+    ["🦷",1,"tooth","dentist pearly teeth white","tooth"],
+    ["🦴",1,"bone","bones dog skeleton wishbone","bone"],
+    ["👀",1,"eyes","body eye face googly look looking omg peep see seeing","eyes"],
+    ["👁️",1,"eye","1 body one","eye"],
+    ["👅",1,"tongue","body lick slurp","tongue"],
+    ["👄",1,"mouth","beauty body kiss kissing lips lipstick","lips mouth"],
+    ["🫦",1,"biting lip","anxious bite biting fear flirt flirting kiss lip lipstick nervous sexy uncomfortable worried worry","biting_lip"],
+    ["👶",1,"baby","babies children goo infant newborn pregnant young","baby",1],
+    ["🧒",1,"child","bright-eyed grandchild kid young younger","child",1],
+    ["👦",1,"boy","bright-eyed child grandson kid son young younger","boy",1],
+    ["👧",1,"girl","bright-eyed child daughter granddaughter kid virgo young younger zodiac","girl",1],
+    ["🧑",1,"person","adult","adult",1],
+    ["👱",1,"person: blond hair","blond blond-haired human person","blond_haired_person blond_haired",1],
+    ["👨",1,"man","adult bro","man",1],
+    ["🧔",1,"person: beard","beard bearded person whiskers","bearded_person person_bearded",1],
+    ["🧔‍♂️",1,"man: beard","beard bearded man whiskers","man_beard man_bearded",1],
+    ["🧔‍♀️",1,"woman: beard","beard bearded whiskers woman","woman_beard woman_bearded",1],
+    ["👨‍🦰",1,"man: red hair","adult bro man red hair","red_haired_man man_red_haired",1],
+    ["👨‍🦱",1,"man: curly hair","adult bro curly hair man","curly_haired_man man_curly_haired",1],
+    ["👨‍🦳",1,"man: white hair","adult bro man white hair","white_haired_man man_white_haired",1],
+    ["👨‍🦲",1,"man: bald","adult bald bro man","bald_man man_bald",1],
+    ["👩",1,"woman","adult lady","woman",1],
+    ["👩‍🦰",1,"woman: red hair","adult lady red hair woman","red_haired_woman woman_red_haired",1],
+    ["🧑‍🦰",1,"person: red hair","adult person red hair","person_red_hair red_haired",1],
+    ["👩‍🦱",1,"woman: curly hair","adult curly hair lady woman","curly_haired_woman woman_curly_haired",1],
+    ["🧑‍🦱",1,"person: curly hair","adult curly hair person","person_curly_hair curly_haired",1],
+    ["👩‍🦳",1,"woman: white hair","adult lady white hair woman","white_haired_woman woman_white_haired",1],
+    ["🧑‍🦳",1,"person: white hair","adult person white hair","person_white_hair white_haired",1],
+    ["👩‍🦲",1,"woman: bald","adult bald lady woman","bald_woman woman_bald",1],
+    ["🧑‍🦲",1,"person: bald","adult bald person","person_bald bald",1],
+    ["👱‍♀️",1,"woman: blond hair","blond blond-haired blonde hair woman","blond_haired_woman blonde_woman woman_blond_haired",1],
+    ["👱‍♂️",1,"man: blond hair","blond blond-haired hair man","blond_haired_man man_blond_haired",1],
+    ["🧓",1,"older person","adult elderly grandparent old person wise","older_adult",1],
+    ["👴",1,"old man","adult bald elderly gramps grandfather grandpa man old wise","older_man",1],
+    ["👵",1,"old woman","adult elderly grandma grandmother granny lady old wise woman","older_woman",1],
+    ["🙍",1,"person frowning","annoyed disappointed disgruntled disturbed frown frowning frustrated gesture irritated person upset","frowning_person person_frowning",1],
+    ["🙍‍♂️",1,"man frowning","annoyed disappointed disgruntled disturbed frown frowning frustrated gesture irritated man upset","frowning_man man_frowning",1],
+    ["🙍‍♀️",1,"woman frowning","annoyed disappointed disgruntled disturbed frown frowning frustrated gesture irritated upset woman","frowning_woman woman_frowning",1],
+    ["🙎",1,"person pouting","disappointed downtrodden frown grimace person pouting scowl sulk upset whine","pouting_face person_pouting pouting",1],
+    ["🙎‍♂️",1,"man pouting","disappointed downtrodden frown grimace man pouting scowl sulk upset whine","pouting_man man_pouting",1],
+    ["🙎‍♀️",1,"woman pouting","disappointed downtrodden frown grimace pouting scowl sulk upset whine woman","pouting_woman woman_pouting",1],
+    ["🙅",1,"person gesturing NO","forbidden gesture hand no not person prohibit","no_good person_gesturing_no",1],
+    ["🙅‍♂️",1,"man gesturing NO","forbidden gesture hand man no not prohibit","ng_man no_good_man man_gesturing_no",1],
+    ["🙅‍♀️",1,"woman gesturing NO","forbidden gesture hand no not prohibit woman","ng_woman no_good_woman woman_gesturing_no",1],
+    ["🙆",1,"person gesturing OK","exercise gesture gesturing hand ok omg person","ok_person all_good person_gesturing_ok",1],
+    ["🙆‍♂️",1,"man gesturing OK","exercise gesture gesturing hand man ok omg","ok_man man_gesturing_ok",1],
+    ["🙆‍♀️",1,"woman gesturing OK","exercise gesture gesturing hand ok omg woman","ok_woman woman_gesturing_ok",1],
+    ["💁",1,"person tipping hand","fetch flick flip gossip hand person sarcasm sarcastic sassy seriously tipping whatever","information_desk_person tipping_hand_person person_tipping_hand",1],
+    ["💁‍♂️",1,"man tipping hand","fetch flick flip gossip hand man sarcasm sarcastic sassy seriously tipping whatever","sassy_man tipping_hand_man man_tipping_hand",1],
+    ["💁‍♀️",1,"woman tipping hand","fetch flick flip gossip hand sarcasm sarcastic sassy seriously tipping whatever woman","sassy_woman tipping_hand_woman woman_tipping_hand",1],
+    ["🙋",1,"person raising hand","gesture hand here know me person pick question raise raising","raising_hand person_raising_hand",1],
+    ["🙋‍♂️",1,"man raising hand","gesture hand here know man me pick question raise raising","raising_hand_man man_raising_hand",1],
+    ["🙋‍♀️",1,"woman raising hand","gesture hand here know me pick question raise raising woman","raising_hand_woman woman_raising_hand",1],
+    ["🧏",1,"deaf person","accessibility deaf ear gesture hear person","deaf_person",1],
+    ["🧏‍♂️",1,"deaf man","accessibility deaf ear gesture hear man","deaf_man",1],
+    ["🧏‍♀️",1,"deaf woman","accessibility deaf ear gesture hear woman","deaf_woman",1],
+    ["🙇",1,"person bowing","apology ask beg bow bowing favor forgive gesture meditate meditation person pity regret sorry","bow person_bowing",1],
+    ["🙇‍♂️",1,"man bowing","apology ask beg bow bowing favor forgive gesture man meditate meditation pity regret sorry","bowing_man man_bowing",1],
+    ["🙇‍♀️",1,"woman bowing","apology ask beg bow bowing favor forgive gesture meditate meditation pity regret sorry woman","bowing_woman woman_bowing",1],
+    ["🤦",1,"person facepalming","again bewilder disbelief exasperation facepalm no not oh omg person shock smh","facepalm person_facepalming",1],
+    ["🤦‍♂️",1,"man facepalming","again bewilder disbelief exasperation facepalm man no not oh omg shock smh","man_facepalming",1],
+    ["🤦‍♀️",1,"woman facepalming","again bewilder disbelief exasperation facepalm no not oh omg shock smh woman","woman_facepalming",1],
+    ["🤷",1,"person shrugging","doubt dunno guess idk ignorance indifference knows maybe person shrug shrugging whatever who","shrug person_shrugging",1],
+    ["🤷‍♂️",1,"man shrugging","doubt dunno guess idk ignorance indifference knows man maybe shrug shrugging whatever who","man_shrugging",1],
+    ["🤷‍♀️",1,"woman shrugging","doubt dunno guess idk ignorance indifference knows maybe shrug shrugging whatever who woman","woman_shrugging",1],
+    ["🧑‍⚕️",1,"health worker","doctor health healthcare nurse therapist worker","health_worker",1],
+    ["👨‍⚕️",1,"man health worker","doctor health healthcare man nurse therapist worker","man_health_worker",1],
+    ["👩‍⚕️",1,"woman health worker","doctor health healthcare nurse therapist woman worker","woman_health_worker",1],
+    ["🧑‍🎓",1,"student","graduate","student",1],
+    ["👨‍🎓",1,"man student","graduate man student","man_student",1],
+    ["👩‍🎓",1,"woman student","graduate student woman","woman_student",1],
+    ["🧑‍🏫",1,"teacher","instructor lecturer professor","teacher",1],
+    ["👨‍🏫",1,"man teacher","instructor lecturer man professor teacher","man_teacher",1],
+    ["👩‍🏫",1,"woman teacher","instructor lecturer professor teacher woman","woman_teacher",1],
+    ["🧑‍⚖️",1,"judge","justice law scales","judge",1],
+    ["👨‍⚖️",1,"man judge","judge justice law man scales","man_judge",1],
+    ["👩‍⚖️",1,"woman judge","judge justice law scales woman","woman_judge",1],
+    ["🧑‍🌾",1,"farmer","gardener rancher","farmer",1],
+    ["👨‍🌾",1,"man farmer","farmer gardener man rancher","man_farmer",1],
+    ["👩‍🌾",1,"woman farmer","farmer gardener rancher woman","woman_farmer",1],
+    ["🧑‍🍳",1,"cook","chef","cook",1],
+    ["👨‍🍳",1,"man cook","chef cook man","man_cook",1],
+    ["👩‍🍳",1,"woman cook","chef cook woman","woman_cook",1],
+    ["🧑‍🔧",1,"mechanic","electrician plumber tradesperson","mechanic",1],
+    ["👨‍🔧",1,"man mechanic","electrician man mechanic plumber tradesperson","man_mechanic",1],
+    ["👩‍🔧",1,"woman mechanic","electrician mechanic plumber tradesperson woman","woman_mechanic",1],
+    ["🧑‍🏭",1,"factory worker","assembly factory industrial worker","factory_worker",1],
+    ["👨‍🏭",1,"man factory worker","assembly factory industrial man worker","man_factory_worker",1],
+    ["👩‍🏭",1,"woman factory worker","assembly factory industrial woman worker","woman_factory_worker",1],
+    ["🧑‍💼",1,"office worker","architect business manager office white-collar worker","office_worker",1],
+    ["👨‍💼",1,"man office worker","architect business man manager office white-collar worker","man_office_worker",1],
+    ["👩‍💼",1,"woman office worker","architect business manager office white-collar woman worker","woman_office_worker",1],
+    ["🧑‍🔬",1,"scientist","biologist chemist engineer mathematician physicist","scientist",1],
+    ["👨‍🔬",1,"man scientist","biologist chemist engineer man mathematician physicist scientist","man_scientist",1],
+    ["👩‍🔬",1,"woman scientist","biologist chemist engineer mathematician physicist scientist woman","woman_scientist",1],
+    ["🧑‍💻",1,"technologist","coder computer developer inventor software","technologist",1],
+    ["👨‍💻",1,"man technologist","coder computer developer inventor man software technologist","man_technologist",1],
+    ["👩‍💻",1,"woman technologist","coder computer developer inventor software technologist woman","woman_technologist",1],
+    ["🧑‍🎤",1,"singer","actor entertainer rock rockstar star","singer",1],
+    ["👨‍🎤",1,"man singer","actor entertainer man rock rockstar singer star","man_singer",1],
+    ["👩‍🎤",1,"woman singer","actor entertainer rock rockstar singer star woman","woman_singer",1],
+    ["🧑‍🎨",1,"artist","palette","artist",1],
+    ["👨‍🎨",1,"man artist","artist man palette","man_artist",1],
+    ["👩‍🎨",1,"woman artist","artist palette woman","woman_artist",1],
+    ["🧑‍✈️",1,"pilot","plane","pilot",1],
+    ["👨‍✈️",1,"man pilot","man pilot plane","man_pilot",1],
+    ["👩‍✈️",1,"woman pilot","pilot plane woman","woman_pilot",1],
+    ["🧑‍🚀",1,"astronaut","rocket space","astronaut",1],
+    ["👨‍🚀",1,"man astronaut","astronaut man rocket space","man_astronaut",1],
+    ["👩‍🚀",1,"woman astronaut","astronaut rocket space woman","woman_astronaut",1],
+    ["🧑‍🚒",1,"firefighter","fire firetruck","firefighter",1],
+    ["👨‍🚒",1,"man firefighter","fire firefighter firetruck man","man_firefighter",1],
+    ["👩‍🚒",1,"woman firefighter","fire firefighter firetruck woman","woman_firefighter",1],
+    ["👮",1,"police officer","apprehend arrest citation cop law officer over police pulled undercover","cop police_officer",1],
+    ["👮‍♂️",1,"man police officer","apprehend arrest citation cop law man officer over police pulled undercover","policeman man_police_officer",1],
+    ["👮‍♀️",1,"woman police officer","apprehend arrest citation cop law officer over police pulled undercover woman","policewoman woman_police_officer",1],
+    ["🕵️",1,"detective","sleuth spy","detective",1],
+    ["🕵️‍♂️",1,"man detective","detective man sleuth spy","male_detective man_detective",1],
+    ["🕵️‍♀️",1,"woman detective","detective sleuth spy woman","female_detective woman_detective",1],
+    ["💂",1,"guard","buckingham helmet london palace","guard",1],
+    ["💂‍♂️",1,"man guard","buckingham guard helmet london man palace","guardsman man_guard",1],
+    ["💂‍♀️",1,"woman guard","buckingham guard helmet london palace woman","guardswoman woman_guard",1],
+    ["🥷",1,"ninja","assassin fight fighter hidden person secret skills sly soldier stealth war","ninja",1],
+    ["👷",1,"construction worker","build construction fix hardhat hat man person rebuild remodel repair work worker","construction_worker",1],
+    ["👷‍♂️",1,"man construction worker","build construction fix hardhat hat man rebuild remodel repair work worker","construction_worker_man man_construction_worker",1],
+    ["👷‍♀️",1,"woman construction worker","build construction fix hardhat hat man rebuild remodel repair woman work worker","construction_worker_woman woman_construction_worker",1],
+    ["🫅",1,"person with crown","crown monarch noble person regal royal royalty","person_with_crown royalty",1],
+    ["🤴",1,"prince","crown fairy fairytale fantasy king royal royalty tale","prince",1],
+    ["👸",1,"princess","crown fairy fairytale fantasy queen royal royalty tale","princess",1],
+    ["👳",1,"person wearing turban","person turban wearing","person_with_turban person_wearing_turban",1],
+    ["👳‍♂️",1,"man wearing turban","man turban wearing","man_with_turban man_wearing_turban",1],
+    ["👳‍♀️",1,"woman wearing turban","turban wearing woman","woman_with_turban woman_wearing_turban",1],
+    ["👲",1,"person with skullcap","cap chinese gua guapi hat mao person pi skullcap","man_with_gua_pi_mao person_with_skullcap",1],
+    ["🧕",1,"woman with headscarf","bandana head headscarf hijab kerchief mantilla tichel woman","woman_with_headscarf",1],
+    ["🤵",1,"person in tuxedo","formal person tuxedo wedding","person_in_tuxedo",1],
+    ["🤵‍♂️",1,"man in tuxedo","formal groom man tuxedo wedding","man_in_tuxedo",1],
+    ["🤵‍♀️",1,"woman in tuxedo","formal tuxedo wedding woman","woman_in_tuxedo",1],
+    ["👰",1,"person with veil","person veil wedding","person_with_veil",1],
+    ["👰‍♂️",1,"man with veil","man veil wedding","man_with_veil",1],
+    ["👰‍♀️",1,"woman with veil","bride veil wedding woman","bride_with_veil woman_with_veil",1],
+    ["🤰",1,"pregnant woman","pregnant woman","pregnant_woman",1],
+    ["🫃",1,"pregnant man","belly bloated full man overeat pregnant","pregnant_man",1],
+    ["🫄",1,"pregnant person","belly bloated full overeat person pregnant stuffed","pregnant_person",1],
+    ["🤱",1,"breast-feeding","baby breast feeding mom mother nursing woman","breast_feeding",1],
+    ["👩‍🍼",1,"woman feeding baby","baby feed feeding mom mother nanny newborn nursing woman","woman_feeding_baby",1],
+    ["👨‍🍼",1,"man feeding baby","baby dad father feed feeding man nanny newborn nursing","man_feeding_baby",1],
+    ["🧑‍🍼",1,"person feeding baby","baby feed feeding nanny newborn nursing parent","person_feeding_baby",1],
+    ["👼",1,"baby angel","angel baby church face fairy fairytale fantasy tale","angel",1],
+    ["🎅",1,"Santa Claus","celebration christmas claus fairy fantasy father holiday merry santa tale xmas","santa",1],
+    ["🤶",1,"Mrs. Claus","celebration christmas claus fairy fantasy holiday merry mother mrs santa tale xmas","mrs_claus",1],
+    ["🧑‍🎄",1,"Mx Claus","celebration christmas claus fairy fantasy holiday merry mx santa tale xmas","mx_claus",1],
+    ["🦸",1,"superhero","good hero superpower","superhero",1],
+    ["🦸‍♂️",1,"man superhero","good hero man superhero superpower","superhero_man man_superhero",1],
+    ["🦸‍♀️",1,"woman superhero","good hero heroine superhero superpower woman","superhero_woman woman_superhero",1],
+    ["🦹",1,"supervillain","bad criminal evil superpower villain","supervillain",1],
+    ["🦹‍♂️",1,"man supervillain","bad criminal evil man superpower supervillain villain","supervillain_man man_supervillain",1],
+    ["🦹‍♀️",1,"woman supervillain","bad criminal evil superpower supervillain villain woman","supervillain_woman woman_supervillain",1],
+    ["🧙",1,"mage","fantasy magic play sorcerer sorceress sorcery spell summon witch wizard","mage",1],
+    ["🧙‍♂️",1,"man mage","fantasy mage magic man play sorcerer sorceress sorcery spell summon witch wizard","mage_man man_mage",1],
+    ["🧙‍♀️",1,"woman mage","fantasy mage magic play sorcerer sorceress sorcery spell summon witch wizard woman","mage_woman woman_mage",1],
+    ["🧚",1,"fairy","fairytale fantasy myth person pixie tale wings","fairy",1],
+    ["🧚‍♂️",1,"man fairy","fairy fairytale fantasy man myth oberon person pixie puck tale wings","fairy_man man_fairy",1],
+    ["🧚‍♀️",1,"woman fairy","fairy fairytale fantasy myth person pixie tale titania wings woman","fairy_woman woman_fairy",1],
+    ["🧛",1,"vampire","blood dracula fangs halloween scary supernatural teeth undead","vampire",1],
+    ["🧛‍♂️",1,"man vampire","blood fangs halloween man scary supernatural teeth undead vampire","vampire_man man_vampire",1],
+    ["🧛‍♀️",1,"woman vampire","blood fangs halloween scary supernatural teeth undead vampire woman","vampire_woman woman_vampire",1],
+    ["🧜",1,"merperson","creature fairytale folklore ocean sea siren trident","merperson",1],
+    ["🧜‍♂️",1,"merman","creature fairytale folklore neptune ocean poseidon sea siren trident triton","merman",1],
+    ["🧜‍♀️",1,"mermaid","creature fairytale folklore merwoman ocean sea siren trident","mermaid",1],
+    ["🧝",1,"elf","elves enchantment fantasy folklore magic magical myth","elf",1],
+    ["🧝‍♂️",1,"man elf","elf elves enchantment fantasy folklore magic magical man myth","elf_man man_elf",1],
+    ["🧝‍♀️",1,"woman elf","elf elves enchantment fantasy folklore magic magical myth woman","elf_woman woman_elf",1],
+    ["🧞",1,"genie","djinn fantasy jinn lamp myth rub wishes","genie"],
+    ["🧞‍♂️",1,"man genie","djinn fantasy genie jinn lamp man myth rub wishes","genie_man man_genie"],
+    ["🧞‍♀️",1,"woman genie","djinn fantasy genie jinn lamp myth rub wishes woman","genie_woman woman_genie"],
+    ["🧟",1,"zombie","apocalypse dead halloween horror scary undead walking","zombie"],
+    ["🧟‍♂️",1,"man zombie","apocalypse dead halloween horror man scary undead walking zombie","zombie_man man_zombie"],
+    ["🧟‍♀️",1,"woman zombie","apocalypse dead halloween horror scary undead walking woman zombie","zombie_woman woman_zombie"],
+    ["🧌",1,"troll","fairy fantasy monster tale trolling","troll"],
+    ["💆",1,"person getting massage","face getting headache massage person relax relaxing salon soothe spa tension therapy treatment","massage person_getting_massage",1],
+    ["💆‍♂️",1,"man getting massage","face getting headache man massage relax relaxing salon soothe spa tension therapy treatment","massage_man man_getting_massage",1],
+    ["💆‍♀️",1,"woman getting massage","face getting headache massage relax relaxing salon soothe spa tension therapy treatment woman","massage_woman woman_getting_massage",1],
+    ["💇",1,"person getting haircut","barber beauty chop cosmetology cut groom hair haircut parlor person shears style","haircut person_getting_haircut",1],
+    ["💇‍♂️",1,"man getting haircut","barber beauty chop cosmetology cut groom hair haircut man parlor person shears style","haircut_man man_getting_haircut",1],
+    ["💇‍♀️",1,"woman getting haircut","barber beauty chop cosmetology cut groom hair haircut parlor person shears style woman","haircut_woman woman_getting_haircut",1],
+    ["🚶",1,"person walking","amble gait hike man pace pedestrian person stride stroll walk walking","walking person_walking",1],
+    ["🚶‍♂️",1,"man walking","amble gait hike man pace pedestrian stride stroll walk walking","walking_man man_walking",1],
+    ["🚶‍♀️",1,"woman walking","amble gait hike man pace pedestrian stride stroll walk walking woman","walking_woman woman_walking",1],
+    ["🚶‍➡️",1,"person walking facing right","amble gait hike man pace pedestrian person stride stroll walk walking","person_walking_right",1],
+    ["🚶‍♀️‍➡️",1,"woman walking facing right","amble gait hike man pace pedestrian stride stroll walk walking woman","woman_walking_right",1],
+    ["🚶‍♂️‍➡️",1,"man walking facing right","amble gait hike man pace pedestrian stride stroll walk walking","man_walking_right",1],
+    ["🧍",1,"person standing","person stand standing","standing_person person_standing standing",1],
+    ["🧍‍♂️",1,"man standing","man stand standing","standing_man man_standing",1],
+    ["🧍‍♀️",1,"woman standing","stand standing woman","standing_woman woman_standing",1],
+    ["🧎",1,"person kneeling","kneel kneeling knees person","kneeling_person kneeling person_kneeling",1],
+    ["🧎‍♂️",1,"man kneeling","kneel kneeling knees man","kneeling_man man_kneeling",1],
+    ["🧎‍♀️",1,"woman kneeling","kneel kneeling knees woman","kneeling_woman woman_kneeling",1],
+    ["🧎‍➡️",1,"person kneeling facing right","kneel kneeling knees person","person_kneeling_right",1],
+    ["🧎‍♀️‍➡️",1,"woman kneeling facing right","kneel kneeling knees woman","woman_kneeling_right",1],
+    ["🧎‍♂️‍➡️",1,"man kneeling facing right","kneel kneeling knees man","man_kneeling_right",1],
+    ["🧑‍🦯",1,"person with white cane","accessibility blind cane person probing white","person_with_probing_cane person_with_white_cane",1],
+    ["🧑‍🦯‍➡️",1,"person with white cane facing right","accessibility blind cane person probing white","person_with_white_cane_right",1],
+    ["👨‍🦯",1,"man with white cane","accessibility blind cane man probing white","man_with_probing_cane man_with_white_cane",1],
+    ["👨‍🦯‍➡️",1,"man with white cane facing right","accessibility blind cane man probing white","man_with_white_cane_right",1],
+    ["👩‍🦯",1,"woman with white cane","accessibility blind cane probing white woman","woman_with_probing_cane woman_with_white_cane",1],
+    ["👩‍🦯‍➡️",1,"woman with white cane facing right","accessibility blind cane probing white woman","woman_with_white_cane_right",1],
+    ["🧑‍🦼",1,"person in motorized wheelchair","accessibility motorized person wheelchair","person_in_motorized_wheelchair",1],
+    ["🧑‍🦼‍➡️",1,"person in motorized wheelchair facing right","accessibility motorized person wheelchair","person_in_motorized_wheelchair_right",1],
+    ["👨‍🦼",1,"man in motorized wheelchair","accessibility man motorized wheelchair","man_in_motorized_wheelchair",1],
+    ["👨‍🦼‍➡️",1,"man in motorized wheelchair facing right","accessibility man motorized wheelchair","man_in_motorized_wheelchair_right",1],
+    ["👩‍🦼",1,"woman in motorized wheelchair","accessibility motorized wheelchair woman","woman_in_motorized_wheelchair",1],
+    ["👩‍🦼‍➡️",1,"woman in motorized wheelchair facing right","accessibility motorized wheelchair woman","woman_in_motorized_wheelchair_right",1],
+    ["🧑‍🦽",1,"person in manual wheelchair","accessibility manual person wheelchair","person_in_manual_wheelchair",1],
+    ["🧑‍🦽‍➡️",1,"person in manual wheelchair facing right","accessibility manual person wheelchair","person_in_manual_wheelchair_right",1],
+    ["👨‍🦽",1,"man in manual wheelchair","accessibility man manual wheelchair","man_in_manual_wheelchair",1],
+    ["👨‍🦽‍➡️",1,"man in manual wheelchair facing right","accessibility man manual wheelchair","man_in_manual_wheelchair_right",1],
+    ["👩‍🦽",1,"woman in manual wheelchair","accessibility manual wheelchair woman","woman_in_manual_wheelchair",1],
+    ["👩‍🦽‍➡️",1,"woman in manual wheelchair facing right","accessibility manual wheelchair woman","woman_in_manual_wheelchair_right",1],
+    ["🏃",1,"person running","fast hurry marathon move person quick race racing run rush speed","runner running person_running",1],
+    ["🏃‍♂️",1,"man running","fast hurry man marathon move quick race racing run rush speed","running_man man_running",1],
+    ["🏃‍♀️",1,"woman running","fast hurry marathon move quick race racing run rush speed woman","running_woman woman_running",1],
+    ["🏃‍➡️",1,"person running facing right","fast hurry marathon move person quick race racing run rush speed","person_running_right",1],
+    ["🏃‍♀️‍➡️",1,"woman running facing right","fast hurry marathon move quick race racing run rush speed woman","woman_running_right",1],
+    ["🏃‍♂️‍➡️",1,"man running facing right","fast hurry man marathon move quick race racing run rush speed","man_running_right",1],
+    ["💃",1,"woman dancing","dance dancer dancing elegant festive flair flamenco groove let’s salsa tango woman","dancer woman_dancing",1],
+    ["🕺",1,"man dancing","dance dancer dancing elegant festive flair flamenco groove let’s man salsa tango","man_dancing",1],
+    ["🕴️",1,"person in suit levitating","business levitating person suit","business_suit_levitating levitate levitating person_in_suit_levitating",1],
+    ["👯",1,"people with bunny ears","bestie bff bunny counterpart dancer double ear identical pair party partying people soulmate twin twinsies","dancers people_with_bunny_ears_partying"],
+    ["👯‍♂️",1,"men with bunny ears","bestie bff bunny counterpart dancer double ear identical men pair party partying people soulmate twin twinsies","dancing_men men_with_bunny_ears_partying"],
+    ["👯‍♀️",1,"women with bunny ears","bestie bff bunny counterpart dancer double ear identical pair party partying people soulmate twin twinsies women","dancing_women women_with_bunny_ears_partying"],
+    ["🧖",1,"person in steamy room","day luxurious pamper person relax room sauna spa steam steambath unwind","sauna_person person_in_steamy_room",1],
+    ["🧖‍♂️",1,"man in steamy room","day luxurious man pamper relax room sauna spa steam steambath unwind","sauna_man man_in_steamy_room",1],
+    ["🧖‍♀️",1,"woman in steamy room","day luxurious pamper relax room sauna spa steam steambath unwind woman","sauna_woman woman_in_steamy_room",1],
+    ["🧗",1,"person climbing","climb climber climbing mountain person rock scale up","climbing person_climbing",1],
+    ["🧗‍♂️",1,"man climbing","climb climber climbing man mountain rock scale up","climbing_man man_climbing",1],
+    ["🧗‍♀️",1,"woman climbing","climb climber climbing mountain rock scale up woman","climbing_woman woman_climbing",1],
+    ["🤺",1,"person fencing","fencer fencing person sword","person_fencing fencer fencing"],
+    ["🏇",1,"horse racing","horse jockey racehorse racing riding sport","horse_racing",1],
+    ["⛷️",1,"skier","ski snow","skier person_skiing skiing"],
+    ["🏂️",1,"snowboarder","ski snow snowboard sport","snowboarder person_snowboarding snowboarding",1],
+    ["🏌️",1,"person golfing","ball birdie caddy driving golf golfing green person pga putt range tee","golfing golfer person_golfing",1],
+    ["🏌️‍♂️",1,"man golfing","ball birdie caddy driving golf golfing green man pga putt range tee","golfing_man man_golfing",1],
+    ["🏌️‍♀️",1,"woman golfing","ball birdie caddy driving golf golfing green pga putt range tee woman","golfing_woman woman_golfing",1],
+    ["🏄️",1,"person surfing","beach ocean person sport surf surfer surfing swell waves","surfer person_surfing surfing",1],
+    ["🏄‍♂️",1,"man surfing","beach man ocean sport surf surfer surfing swell waves","surfing_man man_surfing",1],
+    ["🏄‍♀️",1,"woman surfing","beach ocean person sport surf surfer surfing swell waves","surfing_woman woman_surfing",1],
+    ["🚣",1,"person rowing boat","boat canoe cruise fishing lake oar paddle person raft river row rowboat rowing","rowboat person_rowing_boat",1],
+    ["🚣‍♂️",1,"man rowing boat","boat canoe cruise fishing lake man oar paddle raft river row rowboat rowing","rowing_man man_rowing_boat",1],
+    ["🚣‍♀️",1,"woman rowing boat","boat canoe cruise fishing lake oar paddle raft river row rowboat rowing woman","rowing_woman woman_rowing_boat",1],
+    ["🏊️",1,"person swimming","freestyle person sport swim swimmer swimming triathlon","swimmer person_swimming swimming",1],
+    ["🏊‍♂️",1,"man swimming","freestyle man sport swim swimmer swimming triathlon","swimming_man man_swimming",1],
+    ["🏊‍♀️",1,"woman swimming","freestyle man sport swim swimmer swimming triathlon","swimming_woman woman_swimming",1],
+    ["⛹️",1,"person bouncing ball","athletic ball basketball bouncing championship dribble net person player throw","bouncing_ball_person person_bouncing_ball",1],
+    ["⛹️‍♂️",1,"man bouncing ball","athletic ball basketball bouncing championship dribble man net player throw","basketball_man bouncing_ball_man man_bouncing_ball",1],
+    ["⛹️‍♀️",1,"woman bouncing ball","athletic ball basketball bouncing championship dribble net player throw woman","basketball_woman bouncing_ball_woman woman_bouncing_ball",1],
+    ["🏋️",1,"person lifting weights","barbell bodybuilder deadlift lifter lifting person powerlifting weight weightlifter weights workout","weight_lifting person_lifting_weights weight_lifter",1],
+    ["🏋️‍♂️",1,"man lifting weights","barbell bodybuilder deadlift lifter lifting man powerlifting weight weightlifter weights workout","weight_lifting_man man_lifting_weights",1],
+    ["🏋️‍♀️",1,"woman lifting weights","barbell bodybuilder deadlift lifter lifting powerlifting weight weightlifter weights woman workout","weight_lifting_woman woman_lifting_weights",1],
+    ["🚴",1,"person biking","bicycle bicyclist bike biking cycle cyclist person riding sport","bicyclist biking person_biking",1],
+    ["🚴‍♂️",1,"man biking","bicycle bicyclist bike biking cycle cyclist man riding sport","biking_man man_biking",1],
+    ["🚴‍♀️",1,"woman biking","bicycle bicyclist bike biking cycle cyclist riding sport woman","biking_woman woman_biking",1],
+    ["🚵",1,"person mountain biking","bicycle bicyclist bike biking cycle cyclist mountain person riding sport","mountain_bicyclist mountain_biking person_mountain_biking",1],
+    ["🚵‍♂️",1,"man mountain biking","bicycle bicyclist bike biking cycle cyclist man mountain riding sport","mountain_biking_man man_mountain_biking",1],
+    ["🚵‍♀️",1,"woman mountain biking","bicycle bicyclist bike biking cycle cyclist mountain riding sport woman","mountain_biking_woman woman_mountain_biking",1],
+    ["🤸",1,"person cartwheeling","active cartwheel cartwheeling excited flip gymnastics happy person somersault","cartwheeling person_cartwheel",1],
+    ["🤸‍♂️",1,"man cartwheeling","active cartwheel cartwheeling excited flip gymnastics happy man somersault","man_cartwheeling",1],
+    ["🤸‍♀️",1,"woman cartwheeling","active cartwheel cartwheeling excited flip gymnastics happy somersault woman","woman_cartwheeling",1],
+    ["🤼",1,"people wrestling","combat duel grapple people ring tournament wrestle wrestling","wrestling people_wrestling wrestlers"],
+    ["🤼‍♂️",1,"men wrestling","combat duel grapple men ring tournament wrestle wrestling","men_wrestling"],
+    ["🤼‍♀️",1,"women wrestling","combat duel grapple ring tournament women wrestle wrestling","women_wrestling"],
+    ["🤽",1,"person playing water polo","person playing polo sport swimming water waterpolo","water_polo person_playing_water_polo",1],
+    ["🤽‍♂️",1,"man playing water polo","man playing polo sport swimming water waterpolo","man_playing_water_polo",1],
+    ["🤽‍♀️",1,"woman playing water polo","playing polo sport swimming water waterpolo woman","woman_playing_water_polo",1],
+    ["🤾",1,"person playing handball","athletics ball catch chuck handball hurl lob person pitch playing sport throw toss","handball_person handball person_playing_handball",1],
+    ["🤾‍♂️",1,"man playing handball","athletics ball catch chuck handball hurl lob man pitch playing sport throw toss","man_playing_handball",1],
+    ["🤾‍♀️",1,"woman playing handball","athletics ball catch chuck handball hurl lob pitch playing sport throw toss woman","woman_playing_handball",1],
+    ["🤹",1,"person juggling","act balance balancing handle juggle juggling manage multitask person skill","juggling_person juggler juggling person_juggling",1],
+    ["🤹‍♂️",1,"man juggling","act balance balancing handle juggle juggling man manage multitask skill","man_juggling",1],
+    ["🤹‍♀️",1,"woman juggling","act balance balancing handle juggle juggling manage multitask skill woman","woman_juggling",1],
+    ["🧘",1,"person in lotus position","cross legged legs lotus meditation peace person position relax serenity yoga yogi zen","lotus_position person_in_lotus_position",1],
+    ["🧘‍♂️",1,"man in lotus position","cross legged legs lotus man meditation peace position relax serenity yoga yogi zen","lotus_position_man man_in_lotus_position",1],
+    ["🧘‍♀️",1,"woman in lotus position","cross legged legs lotus meditation peace position relax serenity woman yoga yogi zen","lotus_position_woman woman_in_lotus_position",1],
+    ["🛀",1,"person taking bath","bath bathtub person taking tub","bath person_taking_bath",1],
+    ["🛌",1,"person in bed","bed bedtime good goodnight hotel nap night person sleep tired zzz","sleeping_bed person_in_bed sleeping_accommodation",1],
+    ["🧑‍🤝‍🧑",1,"people holding hands","bae bestie bff couple dating flirt friends hand hold people twins","people_holding_hands",["🧑🏻‍🤝‍🧑🏻","🧑🏼‍🤝‍🧑🏼","🧑🏽‍🤝‍🧑🏽","🧑🏾‍🤝‍🧑🏾","🧑🏿‍🤝‍🧑🏿"]],
+    ["👭",1,"women holding hands","bae bestie bff couple dating flirt friends girls hand hold sisters twins women","two_women_holding_hands",1],
+    ["👫",1,"woman and man holding hands","bae bestie bff couple dating flirt friends hand hold man twins woman","couple",1],
+    ["👬",1,"men holding hands","bae bestie bff boys brothers couple dating flirt friends hand hold men twins","two_men_holding_hands",1],
+    ["💏",1,"kiss","anniversary babe bae couple date dating heart love mwah person romance together xoxo","couplekiss couple_kiss",1],
+    ["👩‍❤️‍💋‍👨",1,"kiss: woman, man","anniversary babe bae couple date dating heart kiss love man mwah person romance together woman xoxo","couplekiss_man_woman kiss_mw kiss_wm",["👩🏻‍❤️‍💋‍👨🏻","👩🏼‍❤️‍💋‍👨🏼","👩🏽‍❤️‍💋‍👨🏽","👩🏾‍❤️‍💋‍👨🏾","👩🏿‍❤️‍💋‍👨🏿"]],
+    ["👨‍❤️‍💋‍👨",1,"kiss: man, man","anniversary babe bae couple date dating heart kiss love man mwah person romance together xoxo","couplekiss_man_man kiss_mm",["👨🏻‍❤️‍💋‍👨🏻","👨🏼‍❤️‍💋‍👨🏼","👨🏽‍❤️‍💋‍👨🏽","👨🏾‍❤️‍💋‍👨🏾","👨🏿‍❤️‍💋‍👨🏿"]],
+    ["👩‍❤️‍💋‍👩",1,"kiss: woman, woman","anniversary babe bae couple date dating heart kiss love mwah person romance together woman xoxo","couplekiss_woman_woman kiss_ww",["👩🏻‍❤️‍💋‍👩🏻","👩🏼‍❤️‍💋‍👩🏼","👩🏽‍❤️‍💋‍👩🏽","👩🏾‍❤️‍💋‍👩🏾","👩🏿‍❤️‍💋‍👩🏿"]],
+    ["💑",1,"couple with heart","anniversary babe bae couple dating heart kiss love person relationship romance together you","couple_with_heart",1],
+    ["👩‍❤️‍👨",1,"couple with heart: woman, man","anniversary babe bae couple dating heart kiss love man person relationship romance together woman you","couple_with_heart_woman_man couple_with_heart_mw couple_with_heart_wm",["👩🏻‍❤️‍👨🏻","👩🏼‍❤️‍👨🏼","👩🏽‍❤️‍👨🏽","👩🏾‍❤️‍👨🏾","👩🏿‍❤️‍👨🏿"]],
+    ["👨‍❤️‍👨",1,"couple with heart: man, man","anniversary babe bae couple dating heart kiss love man person relationship romance together you","couple_with_heart_man_man couple_with_heart_mm",["👨🏻‍❤️‍👨🏻","👨🏼‍❤️‍👨🏼","👨🏽‍❤️‍👨🏽","👨🏾‍❤️‍👨🏾","👨🏿‍❤️‍👨🏿"]],
+    ["👩‍❤️‍👩",1,"couple with heart: woman, woman","anniversary babe bae couple dating heart kiss love person relationship romance together woman you","couple_with_heart_woman_woman couple_with_heart_ww",["👩🏻‍❤️‍👩🏻","👩🏼‍❤️‍👩🏼","👩🏽‍❤️‍👩🏽","👩🏾‍❤️‍👩🏾","👩🏿‍❤️‍👩🏿"]],
+    ["👨‍👩‍👦",1,"family: man, woman, boy","boy child family man woman","family_man_woman_boy family_mwb"],
+    ["👨‍👩‍👧",1,"family: man, woman, girl","child family girl man woman","family_man_woman_girl family_mwg"],
+    ["👨‍👩‍👧‍👦",1,"family: man, woman, girl, boy","boy child family girl man woman","family_man_woman_girl_boy family_mwgb"],
+    ["👨‍👩‍👦‍👦",1,"family: man, woman, boy, boy","boy child family man woman","family_man_woman_boy_boy family_mwbb"],
+    ["👨‍👩‍👧‍👧",1,"family: man, woman, girl, girl","child family girl man woman","family_man_woman_girl_girl family_mwgg"],
+    ["👨‍👨‍👦",1,"family: man, man, boy","boy child family man","family_man_man_boy family_mmb"],
+    ["👨‍👨‍👧",1,"family: man, man, girl","child family girl man","family_man_man_girl family_mmg"],
+    ["👨‍👨‍👧‍👦",1,"family: man, man, girl, boy","boy child family girl man","family_man_man_girl_boy family_mmgb"],
+    ["👨‍👨‍👦‍👦",1,"family: man, man, boy, boy","boy child family man","family_man_man_boy_boy family_mmbb"],
+    ["👨‍👨‍👧‍👧",1,"family: man, man, girl, girl","child family girl man","family_man_man_girl_girl family_mmgg"],
+    ["👩‍👩‍👦",1,"family: woman, woman, boy","boy child family woman","family_woman_woman_boy family_wwb"],
+    ["👩‍👩‍👧",1,"family: woman, woman, girl","child family girl woman","family_woman_woman_girl family_wwg"],
+    ["👩‍👩‍👧‍👦",1,"family: woman, woman, girl, boy","boy child family girl woman","family_woman_woman_girl_boy family_wwgb"],
+    ["👩‍👩‍👦‍👦",1,"family: woman, woman, boy, boy","boy child family woman","family_woman_woman_boy_boy family_wwbb"],
+    ["👩‍👩‍👧‍👧",1,"family: woman, woman, girl, girl","child family girl woman","family_woman_woman_girl_girl family_wwgg"],
+    ["👨‍👦",1,"family: man, boy","boy child family man","family_man_boy family_mb"],
+    ["👨‍👦‍👦",1,"family: man, boy, boy","boy child family man","family_man_boy_boy family_mbb"],
+    ["👨‍👧",1,"family: man, girl","child family girl man","family_man_girl family_mg"],
+    ["👨‍👧‍👦",1,"family: man, girl, boy","boy child family girl man","family_man_girl_boy family_mgb"],
+    ["👨‍👧‍👧",1,"family: man, girl, girl","child family girl man","family_man_girl_girl family_mgg"],
+    ["👩‍👦",1,"family: woman, boy","boy child family woman","family_woman_boy family_wb"],
+    ["👩‍👦‍👦",1,"family: woman, boy, boy","boy child family woman","family_woman_boy_boy family_wbb"],
+    ["👩‍👧",1,"family: woman, girl","child family girl woman","family_woman_girl family_wg"],
+    ["👩‍👧‍👦",1,"family: woman, girl, boy","boy child family girl woman","family_woman_girl_boy family_wgb"],
+    ["👩‍👧‍👧",1,"family: woman, girl, girl","child family girl woman","family_woman_girl_girl family_wgg"],
+    ["🗣️",1,"speaking head","face head silhouette speak speaking","speaking_head"],
+    ["👤",1,"bust in silhouette","bust mysterious shadow silhouette","bust_in_silhouette"],
+    ["👥",1,"busts in silhouette","bff bust busts everyone friend friends people silhouette","busts_in_silhouette"],
+    ["🫂",1,"people hugging","comfort embrace farewell friendship goodbye hello hug hugging love people thanks","people_hugging"],
+    ["👪️",1,"family","child","family"],
+    ["🧑‍🧑‍🧒",1,"family: adult, adult, child","adult child family","family_aac"],
+    ["🧑‍🧑‍🧒‍🧒",1,"family: adult, adult, child, child","adult child family","family_aacc"],
+    ["🧑‍🧒",1,"family: adult, child","adult child family","family_ac"],
+    ["🧑‍🧒‍🧒",1,"family: adult, child, child","adult child family","family_acc"],
+    ["👣",1,"footprints","barefoot clothing footprint omw print walk","footprints"],
+    ["🫆",1,"fingerprint","clue crime detective forensics identity mystery print safety trace","fingerprint"],
+    ["🐵",2,"monkey face","animal banana face monkey","monkey_face"],
+    ["🐒",2,"monkey","animal banana","monkey"],
+    ["🦍",2,"gorilla","animal","gorilla"],
+    ["🦧",2,"orangutan","animal ape monkey","orangutan"],
+    ["🐶",2,"dog face","adorbs animal dog face pet puppies puppy","dog dog_face"],
+    ["🐕️",2,"dog","animal animals dogs pet","dog2 dog"],
+    ["🦮",2,"guide dog","accessibility animal blind dog guide","guide_dog"],
+    ["🐕‍🦺",2,"service dog","accessibility animal assistance dog service","service_dog"],
+    ["🐩",2,"poodle","animal dog fluffy","poodle"],
+    ["🐺",2,"wolf","animal face","wolf wolf_face"],
+    ["🦊",2,"fox","animal face","fox_face fox"],
+    ["🦝",2,"raccoon","animal curious sly","raccoon"],
+    ["🐱",2,"cat face","animal cat face kitten kitty pet","cat cat_face"],
+    ["🐈️",2,"cat","animal animals cats kitten pet","cat2 cat"],
+    ["🐈‍⬛",2,"black cat","animal black cat feline halloween meow unlucky","black_cat"],
+    ["🦁",2,"lion","alpha animal face leo mane order rawr roar safari strong zodiac","lion lion_face"],
+    ["🐯",2,"tiger face","animal big cat face predator tiger","tiger tiger_face"],
+    ["🐅",2,"tiger","animal big cat predator zoo","tiger2 tiger"],
+    ["🐆",2,"leopard","animal big cat predator zoo","leopard"],
+    ["🐴",2,"horse face","animal dressage equine face farm horse horses","horse horse_face"],
+    ["🫎",2,"moose","alces animal antlers elk mammal","moose"],
+    ["🫏",2,"donkey","animal ass burro hinny mammal mule stubborn","donkey"],
+    ["🐎",2,"horse","animal equestrian farm racehorse racing","racehorse horse"],
+    ["🦄",2,"unicorn","face","unicorn unicorn_face"],
+    ["🦓",2,"zebra","animal stripe","zebra"],
+    ["🦌",2,"deer","animal","deer"],
+    ["🦬",2,"bison","animal buffalo herd wisent","bison"],
+    ["🐮",2,"cow face","animal cow face farm milk moo","cow cow_face"],
+    ["🐂",2,"ox","animal animals bull farm taurus zodiac","ox"],
+    ["🐃",2,"water buffalo","animal buffalo water zoo","water_buffalo"],
+    ["🐄",2,"cow","animal animals farm milk moo","cow2 cow"],
+    ["🐷",2,"pig face","animal bacon face farm pig pork","pig pig_face"],
+    ["🐖",2,"pig","animal bacon farm pork sow","pig2 pig"],
+    ["🐗",2,"boar","animal pig","boar"],
+    ["🐽",2,"pig nose","animal face farm nose pig smell snout","pig_nose"],
+    ["🐏",2,"ram","animal aries horns male sheep zodiac zoo","ram"],
+    ["🐑",2,"ewe","animal baa farm female fluffy lamb sheep wool","sheep ewe"],
+    ["🐐",2,"goat","animal capricorn farm milk zodiac","goat"],
+    ["🐪",2,"camel","animal desert dromedary hump one","dromedary_camel"],
+    ["🐫",2,"two-hump camel","animal bactrian camel desert hump two two-hump","camel"],
+    ["🦙",2,"llama","alpaca animal guanaco vicuña wool","llama"],
+    ["🦒",2,"giraffe","animal spots","giraffe"],
+    ["🐘",2,"elephant","animal","elephant"],
+    ["🦣",2,"mammoth","animal extinction large tusk wooly","mammoth"],
+    ["🦏",2,"rhinoceros","animal","rhinoceros rhino"],
+    ["🦛",2,"hippopotamus","animal hippo","hippopotamus hippo"],
+    ["🐭",2,"mouse face","animal face mouse","mouse mouse_face"],
+    ["🐁",2,"mouse","animal animals","mouse2 mouse"],
+    ["🐀",2,"rat","animal","rat"],
+    ["🐹",2,"hamster","animal face pet","hamster hamster_face"],
+    ["🐰",2,"rabbit face","animal bunny face pet rabbit","rabbit rabbit_face"],
+    ["🐇",2,"rabbit","animal bunny pet","rabbit2 rabbit"],
+    ["🐿️",2,"chipmunk","animal squirrel","chipmunk"],
+    ["🦫",2,"beaver","animal dam teeth","beaver"],
+    ["🦔",2,"hedgehog","animal spiny","hedgehog"],
+    ["🦇",2,"bat","animal vampire","bat"],
+    ["🐻",2,"bear","animal face grizzly growl honey","bear bear_face"],
+    ["🐻‍❄️",2,"polar bear","animal arctic bear polar white","polar_bear polar_bear_face"],
+    ["🐨",2,"koala","animal australia bear down face marsupial under","koala koala_face"],
+    ["🐼",2,"panda","animal bamboo face","panda_face panda"],
+    ["🦥",2,"sloth","lazy slow","sloth"],
+    ["🦦",2,"otter","animal fishing playful","otter"],
+    ["🦨",2,"skunk","animal stink","skunk"],
+    ["🦘",2,"kangaroo","animal joey jump marsupial","kangaroo"],
+    ["🦡",2,"badger","animal honey pester","badger"],
+    ["🐾",2,"paw prints","feet paw paws print prints","feet paw_prints"],
+    ["🦃",2,"turkey","bird gobble thanksgiving","turkey"],
+    ["🐔",2,"chicken","animal bird ornithology","chicken chicken_face"],
+    ["🐓",2,"rooster","animal bird ornithology","rooster"],
+    ["🐣",2,"hatching chick","animal baby bird chick egg hatching","hatching_chick"],
+    ["🐤",2,"baby chick","animal baby bird chick ornithology","baby_chick"],
+    ["🐥",2,"front-facing baby chick","animal baby bird chick front-facing newborn ornithology","hatched_chick"],
+    ["🐦️",2,"bird","animal ornithology","bird bird_face"],
+    ["🐧",2,"penguin","animal antarctica bird ornithology","penguin penguin_face"],
+    ["🕊️",2,"dove","bird fly ornithology peace","dove"],
+    ["🦅",2,"eagle","animal bird ornithology","eagle"],
+    ["🦆",2,"duck","animal bird ornithology","duck"],
+    ["🦢",2,"swan","animal bird cygnet duckling ornithology ugly","swan"],
+    ["🦉",2,"owl","animal bird ornithology wise","owl"],
+    ["🦤",2,"dodo","animal bird extinction large ornithology","dodo"],
+    ["🪶",2,"feather","bird flight light plumage","feather"],
+    ["🦩",2,"flamingo","animal bird flamboyant ornithology tropical","flamingo"],
+    ["🦚",2,"peacock","animal bird colorful ornithology ostentatious peahen pretty proud","peacock"],
+    ["🦜",2,"parrot","animal bird ornithology pirate talk","parrot"],
+    ["🪽",2,"wing","angelic ascend aviation bird fly flying heavenly mythology soar","wing"],
+    ["🐦‍⬛",2,"black bird","animal beak bird black caw corvid crow ornithology raven rook","black_bird"],
+    ["🪿",2,"goose","animal bird duck flock fowl gaggle gander geese honk ornithology silly","goose"],
+    ["🐦‍🔥",2,"phoenix","ascend ascension emerge fantasy firebird glory immortal rebirth reincarnation reinvent renewal revival revive rise transform","phoenix"],
+    ["🐸",2,"frog","animal face","frog frog_face"],
+    ["🐊",2,"crocodile","animal zoo","crocodile"],
+    ["🐢",2,"turtle","animal terrapin tortoise","turtle"],
+    ["🦎",2,"lizard","animal reptile","lizard"],
+    ["🐍",2,"snake","animal bearer ophiuchus serpent zodiac","snake"],
+    ["🐲",2,"dragon face","animal dragon face fairy fairytale tale","dragon_face"],
+    ["🐉",2,"dragon","animal fairy fairytale knights tale","dragon"],
+    ["🦕",2,"sauropod","brachiosaurus brontosaurus dinosaur diplodocus","sauropod"],
+    ["🦖",2,"T-Rex","dinosaur rex t t-rex tyrannosaurus","t-rex trex"],
+    ["🐳",2,"spouting whale","animal beach face ocean spouting whale","whale spouting_whale"],
+    ["🐋",2,"whale","animal beach ocean","whale2 whale"],
+    ["🐬",2,"dolphin","animal beach flipper ocean","dolphin flipper"],
+    ["🦭",2,"seal","animal lion ocean sea","seal"],
+    ["🐟️",2,"fish","animal dinner fishes fishing pisces zodiac","fish"],
+    ["🐠",2,"tropical fish","animal fish fishes tropical","tropical_fish"],
+    ["🐡",2,"blowfish","animal fish","blowfish"],
+    ["🦈",2,"shark","animal fish","shark"],
+    ["🐙",2,"octopus","animal creature ocean","octopus"],
+    ["🐚",2,"spiral shell","animal beach conch sea shell spiral","shell"],
+    ["🪸",2,"coral","change climate ocean reef sea","coral"],
+    ["🪼",2,"jellyfish","animal aquarium burn invertebrate jelly life marine ocean ouch plankton sea sting stinger tentacles","jellyfish"],
+    ["🦀",2,"crab","cancer zodiac","crab"],
+    ["🦞",2,"lobster","animal bisque claws seafood","lobster"],
+    ["🦐",2,"shrimp","food shellfish small","shrimp"],
+    ["🦑",2,"squid","animal food mollusk","squid"],
+    ["🦪",2,"oyster","diving pearl","oyster"],
+    ["🐌",2,"snail","animal escargot garden nature slug","snail"],
+    ["🦋",2,"butterfly","insect pretty","butterfly"],
+    ["🐛",2,"bug","animal garden insect","bug"],
+    ["🐜",2,"ant","animal garden insect","ant"],
+    ["🐝",2,"honeybee","animal bee bumblebee honey insect nature spring","bee honeybee"],
+    ["🪲",2,"beetle","animal bug insect","beetle"],
+    ["🐞",2,"lady beetle","animal beetle garden insect lady ladybird ladybug nature","lady_beetle"],
+    ["🦗",2,"cricket","animal bug grasshopper insect orthoptera","cricket"],
+    ["🪳",2,"cockroach","animal insect pest roach","cockroach"],
+    ["🕷️",2,"spider","animal insect","spider"],
+    ["🕸️",2,"spider web","spider web","spider_web"],
+    ["🦂",2,"scorpion","scorpio scorpius zodiac","scorpion"],
+    ["🦟",2,"mosquito","bite disease fever insect malaria pest virus","mosquito"],
+    ["🪰",2,"fly","animal disease insect maggot pest rotting","fly"],
+    ["🪱",2,"worm","animal annelid earthworm parasite","worm"],
+    ["🦠",2,"microbe","amoeba bacteria science virus","microbe"],
+    ["💐",2,"bouquet","anniversary birthday date flower love plant romance","bouquet"],
+    ["🌸",2,"cherry blossom","blossom cherry flower plant spring springtime","cherry_blossom"],
+    ["💮",2,"white flower","flower white","white_flower"],
+    ["🪷",2,"lotus","beauty buddhism calm flower hinduism peace purity serenity","lotus"],
+    ["🏵️",2,"rosette","plant","rosette"],
+    ["🌹",2,"rose","beauty elegant flower love plant red valentine","rose"],
+    ["🥀",2,"wilted flower","dying flower wilted","wilted_flower"],
+    ["🌺",2,"hibiscus","flower plant","hibiscus"],
+    ["🌻",2,"sunflower","flower outdoors plant sun","sunflower"],
+    ["🌼",2,"blossom","buttercup dandelion flower plant","blossom"],
+    ["🌷",2,"tulip","blossom flower growth plant","tulip"],
+    ["🪻",2,"hyacinth","bloom bluebonnet flower indigo lavender lilac lupine plant purple shrub snapdragon spring violet","hyacinth"],
+    ["🌱",2,"seedling","plant sapling sprout young","seedling"],
+    ["🪴",2,"potted plant","decor grow house nurturing plant pot potted","potted_plant"],
+    ["🌲",2,"evergreen tree","christmas evergreen forest pine tree","evergreen_tree"],
+    ["🌳",2,"deciduous tree","deciduous forest green habitat shedding tree","deciduous_tree"],
+    ["🌴",2,"palm tree","beach palm plant tree tropical","palm_tree"],
+    ["🌵",2,"cactus","desert drought nature plant","cactus"],
+    ["🌾",2,"sheaf of rice","ear grain grains plant rice sheaf","ear_of_rice sheaf_of_rice"],
+    ["🌿",2,"herb","leaf plant","herb"],
+    ["☘️",2,"shamrock","irish plant","shamrock"],
+    ["🍀",2,"four leaf clover","4 clover four four-leaf irish leaf lucky plant","four_leaf_clover"],
+    ["🍁",2,"maple leaf","falling leaf maple","maple_leaf"],
+    ["🍂",2,"fallen leaf","autumn fall fallen falling leaf","fallen_leaf"],
+    ["🍃",2,"leaf fluttering in wind","blow flutter fluttering leaf wind","leaves"],
+    ["🪹",2,"empty nest","branch empty home nest nesting","empty_nest nest"],
+    ["🪺",2,"nest with eggs","bird branch egg eggs nest nesting","nest_with_eggs"],
+    ["🍄",2,"mushroom","fungus toadstool","mushroom"],
+    ["🪾",2,"leafless tree","bare barren branches dead drought leafless tree trunk winter wood","leafless_tree"],
+    ["🍇",3,"grapes","dionysus fruit grape","grapes"],
+    ["🍈",3,"melon","cantaloupe fruit","melon"],
+    ["🍉",3,"watermelon","fruit","watermelon"],
+    ["🍊",3,"tangerine","c citrus fruit nectarine orange vitamin","mandarin orange tangerine"],
+    ["🍋",3,"lemon","citrus fruit sour","lemon"],
+    ["🍋‍🟩",3,"lime","acidity citrus cocktail fruit garnish key margarita mojito refreshing salsa sour tangy tequila tropical zest","lime"],
+    ["🍌",3,"banana","fruit potassium","banana"],
+    ["🍍",3,"pineapple","colada fruit pina tropical","pineapple"],
+    ["🥭",3,"mango","food fruit tropical","mango"],
+    ["🍎",3,"red apple","apple diet food fruit health red ripe","apple red_apple"],
+    ["🍏",3,"green apple","apple fruit green","green_apple"],
+    ["🍐",3,"pear","fruit","pear"],
+    ["🍑",3,"peach","fruit","peach"],
+    ["🍒",3,"cherries","berries cherry fruit red","cherries"],
+    ["🍓",3,"strawberry","berry fruit","strawberry"],
+    ["🫐",3,"blueberries","berries berry bilberry blue blueberry food fruit","blueberries"],
+    ["🥝",3,"kiwi fruit","food fruit kiwi","kiwi_fruit kiwi"],
+    ["🍅",3,"tomato","food fruit vegetable","tomato"],
+    ["🫒",3,"olive","food","olive"],
+    ["🥥",3,"coconut","colada palm piña","coconut"],
+    ["🥑",3,"avocado","food fruit","avocado"],
+    ["🍆",3,"eggplant","aubergine vegetable","eggplant"],
+    ["🥔",3,"potato","food vegetable","potato"],
+    ["🥕",3,"carrot","food vegetable","carrot"],
+    ["🌽",3,"ear of corn","corn crops ear farm maize maze","corn ear_of_corn"],
+    ["🌶️",3,"hot pepper","hot pepper","hot_pepper"],
+    ["🫑",3,"bell pepper","bell capsicum food pepper vegetable","bell_pepper"],
+    ["🥒",3,"cucumber","food pickle vegetable","cucumber"],
+    ["🥬",3,"leafy green","bok burgers cabbage choy green kale leafy lettuce salad","leafy_green"],
+    ["🥦",3,"broccoli","cabbage wild","broccoli"],
+    ["🧄",3,"garlic","flavoring","garlic"],
+    ["🧅",3,"onion","flavoring","onion"],
+    ["🥜",3,"peanuts","food nut peanut vegetable","peanuts"],
+    ["🫘",3,"beans","food kidney legume small","beans"],
+    ["🌰",3,"chestnut","almond plant","chestnut"],
+    ["🫚",3,"ginger root","beer ginger health herb natural root spice","ginger_root ginger"],
+    ["🫛",3,"pea pod","beans beanstalk edamame legume pea pod soybean vegetable veggie","pea_pod pea"],
+    ["🍄‍🟫",3,"brown mushroom","food fungi fungus mushroom nature pizza portobello shiitake shroom spore sprout toppings truffle vegetable vegetarian veggie","brown_mushroom"],
+    ["🫜",3,"root vegetable","beet food garden radish root salad turnip vegetable vegetarian","root_vegetable"],
+    ["🍞",3,"bread","carbs food grain loaf restaurant toast wheat","bread"],
+    ["🥐",3,"croissant","bread breakfast crescent food french roll","croissant"],
+    ["🥖",3,"baguette bread","baguette bread food french","baguette_bread"],
+    ["🫓",3,"flatbread","arepa bread food gordita lavash naan pita","flatbread"],
+    ["🥨",3,"pretzel","convoluted twisted","pretzel"],
+    ["🥯",3,"bagel","bakery bread breakfast schmear","bagel"],
+    ["🥞",3,"pancakes","breakfast crêpe food hotcake pancake","pancakes"],
+    ["🧇",3,"waffle","breakfast indecisive iron","waffle"],
+    ["🧀",3,"cheese wedge","cheese wedge","cheese"],
+    ["🍖",3,"meat on bone","bone meat","meat_on_bone"],
+    ["🍗",3,"poultry leg","bone chicken drumstick hungry leg poultry turkey","poultry_leg"],
+    ["🥩",3,"cut of meat","chop cut lambchop meat porkchop red steak","cut_of_meat"],
+    ["🥓",3,"bacon","breakfast food meat","bacon"],
+    ["🍔",3,"hamburger","burger eat fast food hungry","hamburger"],
+    ["🍟",3,"french fries","fast food french fries","fries french_fries"],
+    ["🍕",3,"pizza","cheese food hungry pepperoni slice","pizza"],
+    ["🌭",3,"hot dog","dog frankfurter hot hotdog sausage","hotdog"],
+    ["🥪",3,"sandwich","bread","sandwich"],
+    ["🌮",3,"taco","mexican","taco"],
+    ["🌯",3,"burrito","mexican wrap","burrito"],
+    ["🫔",3,"tamale","food mexican pamonha wrapped","tamale"],
+    ["🥙",3,"stuffed flatbread","falafel flatbread food gyro kebab stuffed","stuffed_flatbread"],
+    ["🧆",3,"falafel","chickpea meatball","falafel"],
+    ["🥚",3,"egg","breakfast food","egg"],
+    ["🍳",3,"cooking","breakfast easy egg fry frying over pan restaurant side sunny up","fried_egg cooking"],
+    ["🥘",3,"shallow pan of food","casserole food paella pan shallow","shallow_pan_of_food"],
+    ["🍲",3,"pot of food","food pot soup stew","stew pot_of_food"],
+    ["🫕",3,"fondue","cheese chocolate food melted pot ski","fondue"],
+    ["🥣",3,"bowl with spoon","bowl breakfast cereal congee oatmeal porridge spoon","bowl_with_spoon"],
+    ["🥗",3,"green salad","food green salad","green_salad salad"],
+    ["🍿",3,"popcorn","corn movie pop","popcorn"],
+    ["🧈",3,"butter","dairy","butter"],
+    ["🧂",3,"salt","condiment flavor mad salty shaker taste upset","salt"],
+    ["🥫",3,"canned food","can canned food","canned_food"],
+    ["🍱",3,"bento box","bento box food","bento bento_box"],
+    ["🍘",3,"rice cracker","cracker food rice","rice_cracker"],
+    ["🍙",3,"rice ball","ball food japanese rice","rice_ball"],
+    ["🍚",3,"cooked rice","cooked food rice","rice cooked_rice"],
+    ["🍛",3,"curry rice","curry food rice","curry curry_rice"],
+    ["🍜",3,"steaming bowl","bowl chopsticks food noodle pho ramen soup steaming","ramen steaming_bowl"],
+    ["🍝",3,"spaghetti","food meatballs pasta restaurant","spaghetti"],
+    ["🍠",3,"roasted sweet potato","food potato roasted sweet","sweet_potato"],
+    ["🍢",3,"oden","food kebab restaurant seafood skewer stick","oden"],
+    ["🍣",3,"sushi","food","sushi"],
+    ["🍤",3,"fried shrimp","fried prawn shrimp tempura","fried_shrimp"],
+    ["🍥",3,"fish cake with swirl","cake fish food pastry restaurant swirl","fish_cake"],
+    ["🥮",3,"moon cake","autumn cake festival moon yuèbǐng","moon_cake"],
+    ["🍡",3,"dango","dessert japanese skewer stick sweet","dango"],
+    ["🥟",3,"dumpling","empanada gyōza jiaozi pierogi potsticker","dumpling"],
+    ["🥠",3,"fortune cookie","cookie fortune prophecy","fortune_cookie"],
+    ["🥡",3,"takeout box","box chopsticks delivery food oyster pail takeout","takeout_box"],
+    ["🍦",3,"soft ice cream","cream dessert food ice icecream restaurant serve soft sweet","icecream soft_serve"],
+    ["🍧",3,"shaved ice","dessert ice restaurant shaved sweet","shaved_ice"],
+    ["🍨",3,"ice cream","cream dessert food ice restaurant sweet","ice_cream"],
+    ["🍩",3,"doughnut","breakfast dessert donut food sweet","doughnut"],
+    ["🍪",3,"cookie","chip chocolate dessert sweet","cookie"],
+    ["🎂",3,"birthday cake","bday birthday cake celebration dessert happy pastry sweet","birthday birthday_cake"],
+    ["🍰",3,"shortcake","cake dessert pastry slice sweet","cake shortcake"],
+    ["🧁",3,"cupcake","bakery dessert sprinkles sugar sweet treat","cupcake"],
+    ["🥧",3,"pie","apple filling fruit meat pastry pumpkin slice","pie"],
+    ["🍫",3,"chocolate bar","bar candy chocolate dessert halloween sweet tooth","chocolate_bar"],
+    ["🍬",3,"candy","cavities dessert halloween restaurant sweet tooth wrapper","candy"],
+    ["🍭",3,"lollipop","candy dessert food restaurant sweet","lollipop"],
+    ["🍮",3,"custard","dessert pudding sweet","custard"],
+    ["🍯",3,"honey pot","barrel bear food honey honeypot jar pot sweet","honey_pot"],
+    ["🍼",3,"baby bottle","babies baby birth born bottle drink infant milk newborn","baby_bottle"],
+    ["🥛",3,"glass of milk","drink glass milk","milk_glass glass_of_milk milk"],
+    ["☕️",3,"hot beverage","beverage cafe caffeine chai coffee drink hot morning steaming tea","coffee"],
+    ["🫖",3,"teapot","brew drink food pot tea","teapot"],
+    ["🍵",3,"teacup without handle","beverage cup drink handle oolong tea teacup","tea"],
+    ["🍶",3,"sake","bar beverage bottle cup drink restaurant","sake"],
+    ["🍾",3,"bottle with popping cork","bar bottle cork drink popping","champagne"],
+    ["🍷",3,"wine glass","alcohol bar beverage booze club drink drinking drinks glass restaurant wine","wine_glass"],
+    ["🍸️",3,"cocktail glass","alcohol bar booze club cocktail drink drinking drinks glass mad martini men","cocktail"],
+    ["🍹",3,"tropical drink","alcohol bar booze club cocktail drink drinking drinks drunk mai party tai tropical tropics","tropical_drink"],
+    ["🍺",3,"beer mug","alcohol ale bar beer booze drink drinking drinks mug octoberfest oktoberfest pint stein summer","beer"],
+    ["🍻",3,"clinking beer mugs","alcohol bar beer booze bottoms cheers clink clinking drinking drinks mugs","beers"],
+    ["🥂",3,"clinking glasses","celebrate clink clinking drink glass glasses","clinking_glasses"],
+    ["🥃",3,"tumbler glass","glass liquor scotch shot tumbler whiskey whisky","tumbler_glass whisky"],
+    ["🫗",3,"pouring liquid","accident drink empty glass liquid oops pour pouring spill water","pouring_liquid pour"],
+    ["🥤",3,"cup with straw","cup drink juice malt soda soft straw water","cup_with_straw"],
+    ["🧋",3,"bubble tea","boba bubble food milk pearl tea","bubble_tea boba_drink"],
+    ["🧃",3,"beverage box","beverage box juice straw sweet","beverage_box juice_box"],
+    ["🧉",3,"mate","drink","mate"],
+    ["🧊",3,"ice","cold cube iceberg","ice_cube ice"],
+    ["🥢",3,"chopsticks","hashi jeotgarak kuaizi","chopsticks"],
+    ["🍽️",3,"fork and knife with plate","cooking dinner eat fork knife plate","plate_with_cutlery fork_knife_plate"],
+    ["🍴",3,"fork and knife","breakfast breaky cooking cutlery delicious dinner eat feed food fork hungry knife lunch restaurant yum yummy","fork_and_knife"],
+    ["🥄",3,"spoon","eat tableware","spoon"],
+    ["🔪",3,"kitchen knife","chef cooking hocho kitchen knife tool weapon","hocho knife"],
+    ["🫙",3,"jar","condiment container empty nothing sauce store","jar"],
+    ["🏺",3,"amphora","aquarius cooking drink jug tool weapon zodiac","amphora"],
+    ["🌍️",4,"globe showing Europe-Africa","africa earth europe europe-africa globe showing world","earth_africa earth_europe"],
+    ["🌎️",4,"globe showing Americas","americas earth globe showing world","earth_americas"],
+    ["🌏️",4,"globe showing Asia-Australia","asia asia-australia australia earth globe showing world","earth_asia"],
+    ["🌐",4,"globe with meridians","earth globe internet meridians web world worldwide","globe_with_meridians"],
+    ["🗺️",4,"world map","map world","world_map"],
+    ["🗾",4,"map of Japan","japan map","japan japan_map"],
+    ["🧭",4,"compass","direction magnetic navigation orienteering","compass"],
+    ["🏔️",4,"snow-capped mountain","cold mountain snow snow-capped","mountain_snow"],
+    ["⛰️",4,"mountain","mountain","mountain"],
+    ["🌋",4,"volcano","eruption mountain nature","volcano"],
+    ["🗻",4,"mount fuji","fuji mount mountain nature","mount_fuji"],
+    ["🏕️",4,"camping","camping","camping"],
+    ["🏖️",4,"beach with umbrella","beach umbrella","beach_umbrella beach beach_with_umbrella"],
+    ["🏜️",4,"desert","desert","desert"],
+    ["🏝️",4,"desert island","desert island","desert_island island"],
+    ["🏞️",4,"national park","national park","national_park"],
+    ["🏟️",4,"stadium","stadium","stadium"],
+    ["🏛️",4,"classical building","building classical","classical_building"],
+    ["🏗️",4,"building construction","building construction crane","building_construction construction_site"],
+    ["🧱",4,"brick","bricks clay mortar wall","bricks"],
+    ["🪨",4,"rock","boulder heavy solid stone tough","rock"],
+    ["🪵",4,"wood","log lumber timber","wood"],
+    ["🛖",4,"hut","home house roundhouse shelter yurt","hut"],
+    ["🏘️",4,"houses","house","houses homes"],
+    ["🏚️",4,"derelict house","derelict home house","derelict_house house_abandoned"],
+    ["🏠️",4,"house","building country heart home ranch settle simple suburban suburbia where","house"],
+    ["🏡",4,"house with garden","building country garden heart home house ranch settle simple suburban suburbia where","house_with_garden"],
+    ["🏢",4,"office building","building city cubical job office","office"],
+    ["🏣",4,"Japanese post office","building japanese office post","post_office"],
+    ["🏤",4,"post office","building european office post","european_post_office"],
+    ["🏥",4,"hospital","building doctor medicine","hospital"],
+    ["🏦",4,"bank","building","bank"],
+    ["🏨",4,"hotel","building","hotel"],
+    ["🏩",4,"love hotel","building hotel love","love_hotel"],
+    ["🏪",4,"convenience store","24 building convenience hours store","convenience_store"],
+    ["🏫",4,"school","building","school"],
+    ["🏬",4,"department store","building department store","department_store"],
+    ["🏭️",4,"factory","building","factory"],
+    ["🏯",4,"Japanese castle","building castle japanese","japanese_castle"],
+    ["🏰",4,"castle","building european","european_castle castle"],
+    ["💒",4,"wedding","chapel hitched nuptials romance","wedding"],
+    ["🗼",4,"Tokyo tower","tokyo tower","tokyo_tower"],
+    ["🗽",4,"Statue of Liberty","liberty new ny nyc statue york","statue_of_liberty"],
+    ["⛪️",4,"church","bless chapel christian cross religion","church"],
+    ["🕌",4,"mosque","islam masjid muslim religion","mosque"],
+    ["🛕",4,"hindu temple","hindu temple","hindu_temple"],
+    ["🕍",4,"synagogue","jew jewish judaism religion temple","synagogue"],
+    ["⛩️",4,"shinto shrine","religion shinto shrine","shinto_shrine"],
+    ["🕋",4,"kaaba","hajj islam muslim religion umrah","kaaba"],
+    ["⛲️",4,"fountain","fountain","fountain"],
+    ["⛺️",4,"tent","camping","tent"],
+    ["🌁",4,"foggy","fog","foggy"],
+    ["🌃",4,"night with stars","night star stars","night_with_stars"],
+    ["🏙️",4,"cityscape","city","cityscape"],
+    ["🌄",4,"sunrise over mountains","morning mountains over sun sunrise","sunrise_over_mountains"],
+    ["🌅",4,"sunrise","morning nature sun","sunrise"],
+    ["🌆",4,"cityscape at dusk","at building city cityscape dusk evening landscape sun sunset","city_sunset city_dusk"],
+    ["🌇",4,"sunset","building dusk sun","city_sunrise city_sunset"],
+    ["🌉",4,"bridge at night","at bridge night","bridge_at_night"],
+    ["♨️",4,"hot springs","hot hotsprings springs steaming","hotsprings"],
+    ["🎠",4,"carousel horse","carousel entertainment horse","carousel_horse"],
+    ["🛝",4,"playground slide","amusement park play playground playing slide sliding theme","playground_slide slide"],
+    ["🎡",4,"ferris wheel","amusement ferris park theme wheel","ferris_wheel"],
+    ["🎢",4,"roller coaster","amusement coaster park roller theme","roller_coaster"],
+    ["💈",4,"barber pole","barber cut fresh haircut pole shave","barber barber_pole"],
+    ["🎪",4,"circus tent","circus tent","circus_tent"],
+    ["🚂",4,"locomotive","caboose engine railway steam train trains travel","steam_locomotive"],
+    ["🚃",4,"railway car","car electric railway train tram travel trolleybus","railway_car"],
+    ["🚄",4,"high-speed train","high-speed railway shinkansen speed train","bullettrain_side"],
+    ["🚅",4,"bullet train","bullet high-speed nose railway shinkansen speed train travel","bullettrain_front"],
+    ["🚆",4,"train","arrived choo railway","train2 train"],
+    ["🚇️",4,"metro","subway travel","metro"],
+    ["🚈",4,"light rail","arrived light monorail rail railway","light_rail"],
+    ["🚉",4,"station","railway train","station"],
+    ["🚊",4,"tram","trolleybus","tram"],
+    ["🚝",4,"monorail","vehicle","monorail"],
+    ["🚞",4,"mountain railway","car mountain railway trip","mountain_railway"],
+    ["🚋",4,"tram car","bus car tram trolley trolleybus","train tram_car"],
+    ["🚌",4,"bus","school vehicle","bus"],
+    ["🚍️",4,"oncoming bus","bus cars oncoming","oncoming_bus"],
+    ["🚎",4,"trolleybus","bus tram trolley","trolleybus"],
+    ["🚐",4,"minibus","bus drive van vehicle","minibus"],
+    ["🚑️",4,"ambulance","emergency vehicle","ambulance"],
+    ["🚒",4,"fire engine","engine fire truck","fire_engine"],
+    ["🚓",4,"police car","5–0 car cops patrol police","police_car"],
+    ["🚔️",4,"oncoming police car","car oncoming police","oncoming_police_car"],
+    ["🚕",4,"taxi","cab cabbie car drive vehicle yellow","taxi"],
+    ["🚖",4,"oncoming taxi","cab cabbie cars drove hail oncoming taxi yellow","oncoming_taxi"],
+    ["🚗",4,"automobile","car driving vehicle","car red_car"],
+    ["🚘️",4,"oncoming automobile","automobile car cars drove oncoming vehicle","oncoming_automobile"],
+    ["🚙",4,"sport utility vehicle","car drive recreational sport sportutility utility vehicle","blue_car suv"],
+    ["🛻",4,"pickup truck","automobile car flatbed pick-up pickup transportation truck","pickup_truck"],
+    ["🚚",4,"delivery truck","car delivery drive truck vehicle","truck delivery_truck"],
+    ["🚛",4,"articulated lorry","articulated car drive lorry move semi truck vehicle","articulated_lorry"],
+    ["🚜",4,"tractor","vehicle","tractor"],
+    ["🏎️",4,"racing car","car racing zoom","racing_car"],
+    ["🏍️",4,"motorcycle","racing","motorcycle"],
+    ["🛵",4,"motor scooter","motor scooter","motor_scooter"],
+    ["🦽",4,"manual wheelchair","accessibility manual wheelchair","manual_wheelchair"],
+    ["🦼",4,"motorized wheelchair","accessibility motorized wheelchair","motorized_wheelchair"],
+    ["🛺",4,"auto rickshaw","auto rickshaw tuk","auto_rickshaw"],
+    ["🚲️",4,"bicycle","bike class cycle cycling cyclist gang ride spin spinning","bike bicycle"],
+    ["🛴",4,"kick scooter","kick scooter","kick_scooter scooter"],
+    ["🛹",4,"skateboard","board skate skater wheels","skateboard"],
+    ["🛼",4,"roller skate","blades roller skate skates sport","roller_skate"],
+    ["🚏",4,"bus stop","bus busstop stop","busstop"],
+    ["🛣️",4,"motorway","highway road","motorway"],
+    ["🛤️",4,"railway track","railway track train","railway_track"],
+    ["🛢️",4,"oil drum","drum oil","oil_drum"],
+    ["⛽️",4,"fuel pump","diesel fuel fuelpump gas gasoline pump station","fuelpump"],
+    ["🛞",4,"wheel","car circle tire turn vehicle","wheel"],
+    ["🚨",4,"police car light","alarm alert beacon car emergency light police revolving siren","rotating_light"],
+    ["🚥",4,"horizontal traffic light","horizontal intersection light signal stop stoplight traffic","traffic_light"],
+    ["🚦",4,"vertical traffic light","drove intersection light signal stop stoplight traffic vertical","vertical_traffic_light"],
+    ["🛑",4,"stop sign","octagonal sign stop","stop_sign octagonal_sign"],
+    ["🚧",4,"construction","barrier","construction"],
+    ["⚓️",4,"anchor","ship tool","anchor"],
+    ["🛟",4,"ring buoy","buoy float life lifesaver preserver rescue ring safety save saver swim","ring_buoy lifebuoy"],
+    ["⛵️",4,"sailboat","boat resort sailing sea yacht","boat sailboat"],
+    ["🛶",4,"canoe","boat","canoe"],
+    ["🚤",4,"speedboat","billionaire boat lake luxury millionaire summer travel","speedboat"],
+    ["🛳️",4,"passenger ship","passenger ship","passenger_ship cruise_ship"],
+    ["⛴️",4,"ferry","boat passenger","ferry"],
+    ["🛥️",4,"motor boat","boat motor motorboat","motor_boat motorboat"],
+    ["🚢",4,"ship","boat passenger travel","ship"],
+    ["✈️",4,"airplane","aeroplane fly flying jet plane travel","airplane"],
+    ["🛩️",4,"small airplane","aeroplane airplane plane small","small_airplane"],
+    ["🛫",4,"airplane departure","aeroplane airplane check-in departure departures plane","flight_departure airplane_departure"],
+    ["🛬",4,"airplane arrival","aeroplane airplane arrival arrivals arriving landing plane","flight_arrival airplane_arriving"],
+    ["🪂",4,"parachute","hang-glide parasail skydive","parachute"],
+    ["💺",4,"seat","chair","seat"],
+    ["🚁",4,"helicopter","copter roflcopter travel vehicle","helicopter"],
+    ["🚟",4,"suspension railway","railway suspension","suspension_railway"],
+    ["🚠",4,"mountain cableway","cable cableway gondola lift mountain ski","mountain_cableway"],
+    ["🚡",4,"aerial tramway","aerial cable car gondola ropeway tramway","aerial_tramway"],
+    ["🛰️",4,"satellite","space","artificial_satellite satellite"],
+    ["🚀",4,"rocket","launch rockets space travel","rocket"],
+    ["🛸",4,"flying saucer","aliens extra flying saucer terrestrial ufo","flying_saucer"],
+    ["🛎️",4,"bellhop bell","bell bellhop hotel","bellhop_bell bellhop"],
+    ["🧳",4,"luggage","bag packing roller suitcase travel","luggage"],
+    ["⌛️",4,"hourglass done","done hourglass sand time timer","hourglass"],
+    ["⏳️",4,"hourglass not done","done flowing hourglass hours not sand timer waiting yolo","hourglass_flowing_sand"],
+    ["⌚️",4,"watch","clock time","watch"],
+    ["⏰️",4,"alarm clock","alarm clock hours hrs late time waiting","alarm_clock"],
+    ["⏱️",4,"stopwatch","clock time","stopwatch"],
+    ["⏲️",4,"timer clock","clock timer","timer_clock"],
+    ["🕰️",4,"mantelpiece clock","clock mantelpiece time","mantelpiece_clock clock"],
+    ["🕛️",4,"twelve o’clock","12 12:00 clock o’clock time twelve","clock12"],
+    ["🕧️",4,"twelve-thirty","12 12:30 30 clock thirty time twelve","clock1230"],
+    ["🕐️",4,"one o’clock","1 1:00 clock one o’clock time","clock1"],
+    ["🕜️",4,"one-thirty","1 1:30 30 clock one thirty time","clock130"],
+    ["🕑️",4,"two o’clock","2 2:00 clock o’clock time two","clock2"],
+    ["🕝️",4,"two-thirty","2 2:30 30 clock thirty time two","clock230"],
+    ["🕒️",4,"three o’clock","3 3:00 clock o’clock three time","clock3"],
+    ["🕞️",4,"three-thirty","3 30 3:30 clock thirty three time","clock330"],
+    ["🕓️",4,"four o’clock","4 4:00 clock four o’clock time","clock4"],
+    ["🕟️",4,"four-thirty","30 4 4:30 clock four thirty time","clock430"],
+    ["🕔️",4,"five o’clock","5 5:00 clock five o’clock time","clock5"],
+    ["🕠️",4,"five-thirty","30 5 5:30 clock five thirty time","clock530"],
+    ["🕕️",4,"six o’clock","6 6:00 clock o’clock six time","clock6"],
+    ["🕡️",4,"six-thirty","30 6 6:30 clock six thirty","clock630"],
+    ["🕖️",4,"seven o’clock","0 7 7:00 clock o’clock seven","clock7"],
+    ["🕢️",4,"seven-thirty","30 7 7:30 clock seven thirty","clock730"],
+    ["🕗️",4,"eight o’clock","8 8:00 clock eight o’clock time","clock8"],
+    ["🕣️",4,"eight-thirty","30 8 8:30 clock eight thirty time","clock830"],
+    ["🕘️",4,"nine o’clock","9 9:00 clock nine o’clock time","clock9"],
+    ["🕤️",4,"nine-thirty","30 9 9:30 clock nine thirty time","clock930"],
+    ["🕙️",4,"ten o’clock","0 10 10:00 clock o’clock ten","clock10"],
+    ["🕥️",4,"ten-thirty","10 10:30 30 clock ten thirty time","clock1030"],
+    ["🕚️",4,"eleven o’clock","11 11:00 clock eleven o’clock time","clock11"],
+    ["🕦️",4,"eleven-thirty","11 11:30 30 clock eleven thirty time","clock1130"],
+    ["🌑",4,"new moon","dark moon new space","new_moon"],
+    ["🌒",4,"waxing crescent moon","crescent dreams moon space waxing","waxing_crescent_moon"],
+    ["🌓",4,"first quarter moon","first moon quarter space","first_quarter_moon"],
+    ["🌔",4,"waxing gibbous moon","gibbous moon space waxing","moon waxing_gibbous_moon"],
+    ["🌕️",4,"full moon","full moon space","full_moon"],
+    ["🌖",4,"waning gibbous moon","gibbous moon space waning","waning_gibbous_moon"],
+    ["🌗",4,"last quarter moon","last moon quarter space","last_quarter_moon"],
+    ["🌘",4,"waning crescent moon","crescent moon space waning","waning_crescent_moon"],
+    ["🌙",4,"crescent moon","crescent moon ramadan space","crescent_moon"],
+    ["🌚",4,"new moon face","face moon new space","new_moon_with_face"],
+    ["🌛",4,"first quarter moon face","face first moon quarter space","first_quarter_moon_with_face"],
+    ["🌜️",4,"last quarter moon face","dreams face last moon quarter","last_quarter_moon_with_face"],
+    ["🌡️",4,"thermometer","weather","thermometer"],
+    ["☀️",4,"sun","bright rays space sunny weather","sunny sun"],
+    ["🌝",4,"full moon face","bright face full moon","full_moon_with_face"],
+    ["🌞",4,"sun with face","beach bright day face heat shine sun sunny sunshine weather","sun_with_face"],
+    ["🪐",4,"ringed planet","planet ringed saturn saturnine","ringed_planet saturn"],
+    ["⭐️",4,"star","astronomy medium stars white","star"],
+    ["🌟",4,"glowing star","glittery glow glowing night shining sparkle star win","star2 glowing_star"],
+    ["🌠",4,"shooting star","falling night shooting space star","stars shooting_star"],
+    ["🌌",4,"milky way","milky space way","milky_way"],
+    ["☁️",4,"cloud","weather","cloud"],
+    ["⛅️",4,"sun behind cloud","behind cloud cloudy sun weather","partly_sunny sun_behind_cloud"],
+    ["⛈️",4,"cloud with lightning and rain","cloud lightning rain thunder thunderstorm","cloud_with_lightning_and_rain stormy thunder_cloud_and_rain"],
+    ["🌤️",4,"sun behind small cloud","behind cloud sun weather","sun_behind_small_cloud sunny"],
+    ["🌥️",4,"sun behind large cloud","behind cloud sun weather","sun_behind_large_cloud cloudy"],
+    ["🌦️",4,"sun behind rain cloud","behind cloud rain sun weather","sun_behind_rain_cloud sun_and_rain"],
+    ["🌧️",4,"cloud with rain","cloud rain weather","cloud_with_rain rainy"],
+    ["🌨️",4,"cloud with snow","cloud cold snow weather","cloud_with_snow snowy"],
+    ["🌩️",4,"cloud with lightning","cloud lightning weather","cloud_with_lightning lightning"],
+    ["🌪️",4,"tornado","cloud weather whirlwind","tornado"],
+    ["🌫️",4,"fog","cloud weather","fog"],
+    ["🌬️",4,"wind face","blow cloud face wind","wind_face wind_blowing_face"],
+    ["🌀",4,"cyclone","dizzy hurricane twister typhoon weather","cyclone"],
+    ["🌈",4,"rainbow","gay genderqueer glbt glbtq lesbian lgbt lgbtq lgbtqia nature pride queer rain trans transgender weather","rainbow"],
+    ["🌂",4,"closed umbrella","closed clothing rain umbrella","closed_umbrella"],
+    ["☂️",4,"umbrella","clothing rain","open_umbrella umbrella"],
+    ["☔️",4,"umbrella with rain drops","clothing drop drops rain umbrella weather","umbrella umbrella_with_rain"],
+    ["⛱️",4,"umbrella on ground","ground rain sun umbrella","parasol_on_ground beach_umbrella umbrella_on_ground"],
+    ["⚡️",4,"high voltage","danger electric electricity high lightning nature thunder thunderbolt voltage zap","zap high_voltage"],
+    ["❄️",4,"snowflake","cold snow weather","snowflake"],
+    ["☃️",4,"snowman","cold man snow","snowman_with_snow snowman2"],
+    ["⛄️",4,"snowman without snow","cold man snow snowman","snowman"],
+    ["☄️",4,"comet","space","comet"],
+    ["🔥",4,"fire","af burn flame hot lit litaf tool","fire"],
+    ["💧",4,"droplet","cold comic drop nature sad sweat tear water weather","droplet"],
+    ["🌊",4,"water wave","nature ocean surf surfer surfing water wave","ocean water_wave"],
+    ["🎃",5,"jack-o-lantern","celebration halloween jack lantern pumpkin","jack_o_lantern"],
+    ["🎄",5,"Christmas tree","celebration christmas tree","christmas_tree"],
+    ["🎆",5,"fireworks","boom celebration entertainment yolo","fireworks"],
+    ["🎇",5,"sparkler","boom celebration fireworks sparkle","sparkler"],
+    ["🧨",5,"firecracker","dynamite explosive fire fireworks light pop popping spark","firecracker"],
+    ["✨️",5,"sparkles","* magic sparkle star","sparkles"],
+    ["🎈",5,"balloon","birthday celebrate celebration","balloon"],
+    ["🎉",5,"party popper","awesome birthday celebrate celebration excited hooray party popper tada woohoo","tada party party_popper"],
+    ["🎊",5,"confetti ball","ball celebrate celebration confetti party woohoo","confetti_ball"],
+    ["🎋",5,"tanabata tree","banner celebration japanese tanabata tree","tanabata_tree"],
+    ["🎍",5,"pine decoration","bamboo celebration decoration japanese pine plant","bamboo"],
+    ["🎎",5,"Japanese dolls","celebration doll dolls festival japanese","dolls"],
+    ["🎏",5,"carp streamer","carp celebration streamer","flags carp_streamer"],
+    ["🎐",5,"wind chime","bell celebration chime wind","wind_chime"],
+    ["🎑",5,"moon viewing ceremony","celebration ceremony moon viewing","rice_scene moon_ceremony"],
+    ["🧧",5,"red envelope","envelope gift good hóngbāo lai luck money red see","red_envelope"],
+    ["🎀",5,"ribbon","celebration","ribbon"],
+    ["🎁",5,"wrapped gift","birthday bow box celebration christmas gift present surprise wrapped","gift"],
+    ["🎗️",5,"reminder ribbon","celebration reminder ribbon","reminder_ribbon"],
+    ["🎟️",5,"admission tickets","admission ticket tickets","tickets admission_tickets"],
+    ["🎫",5,"ticket","admission stub","ticket"],
+    ["🎖️",5,"military medal","award celebration medal military","medal_military military_medal"],
+    ["🏆️",5,"trophy","champion champs prize slay sport victory win winning","trophy"],
+    ["🏅",5,"sports medal","award gold medal sports winner","medal_sports sports_medal"],
+    ["🥇",5,"1st place medal","1st first gold medal place","1st_place_medal 1st first_place_medal"],
+    ["🥈",5,"2nd place medal","2nd medal place second silver","2nd_place_medal 2nd second_place_medal"],
+    ["🥉",5,"3rd place medal","3rd bronze medal place third","3rd_place_medal 3rd third_place_medal"],
+    ["⚽️",5,"soccer ball","ball football futbol soccer sport","soccer"],
+    ["⚾️",5,"baseball","ball sport","baseball"],
+    ["🥎",5,"softball","ball glove sports underarm","softball"],
+    ["🏀",5,"basketball","ball hoop sport","basketball"],
+    ["🏐",5,"volleyball","ball game","volleyball"],
+    ["🏈",5,"american football","american ball bowl football sport super","football"],
+    ["🏉",5,"rugby football","ball football rugby sport","rugby_football"],
+    ["🎾",5,"tennis","ball racquet sport","tennis"],
+    ["🥏",5,"flying disc","disc flying ultimate","flying_disc"],
+    ["🎳",5,"bowling","ball game sport strike","bowling"],
+    ["🏏",5,"cricket game","ball bat cricket game","cricket_game"],
+    ["🏑",5,"field hockey","ball field game hockey stick","field_hockey"],
+    ["🏒",5,"ice hockey","game hockey ice puck stick","ice_hockey hockey"],
+    ["🥍",5,"lacrosse","ball goal sports stick","lacrosse"],
+    ["🏓",5,"ping pong","ball bat game paddle ping pingpong pong table tennis","ping_pong"],
+    ["🏸",5,"badminton","birdie game racquet shuttlecock","badminton"],
+    ["🥊",5,"boxing glove","boxing glove","boxing_glove"],
+    ["🥋",5,"martial arts uniform","arts judo karate martial taekwondo uniform","martial_arts_uniform"],
+    ["🥅",5,"goal net","goal net","goal_net"],
+    ["⛳️",5,"flag in hole","flag golf hole sport","golf"],
+    ["⛸️",5,"ice skate","ice skate skating","ice_skate"],
+    ["🎣",5,"fishing pole","entertainment fish fishing pole sport","fishing_pole_and_fish fishing_pole"],
+    ["🤿",5,"diving mask","diving mask scuba snorkeling","diving_mask"],
+    ["🎽",5,"running shirt","athletics running sash shirt","running_shirt_with_sash running_shirt"],
+    ["🎿",5,"skis","ski snow sport","ski"],
+    ["🛷",5,"sled","luge sledge sleigh snow toboggan","sled"],
+    ["🥌",5,"curling stone","curling game rock stone","curling_stone"],
+    ["🎯",5,"bullseye","bull dart direct entertainment game hit target","dart bullseye direct_hit"],
+    ["🪀",5,"yo-yo","fluctuate toy","yo_yo"],
+    ["🪁",5,"kite","fly soar","kite"],
+    ["🔫",5,"water pistol","gun handgun pistol revolver tool water weapon","gun pistol"],
+    ["🎱",5,"pool 8 ball","8 8ball ball billiard eight game pool","8ball billiards"],
+    ["🔮",5,"crystal ball","ball crystal fairy fairytale fantasy fortune future magic tale tool","crystal_ball"],
+    ["🪄",5,"magic wand","magic magician wand witch wizard","magic_wand"],
+    ["🎮️",5,"video game","controller entertainment game video","video_game controller"],
+    ["🕹️",5,"joystick","game video videogame","joystick"],
+    ["🎰",5,"slot machine","casino gamble gambling game machine slot slots","slot_machine"],
+    ["🎲",5,"game die","dice die entertainment game","game_die"],
+    ["🧩",5,"puzzle piece","clue interlocking jigsaw piece puzzle","jigsaw puzzle_piece"],
+    ["🧸",5,"teddy bear","bear plaything plush stuffed teddy toy","teddy_bear"],
+    ["🪅",5,"piñata","candy celebrate celebration cinco de festive mayo party pinada pinata","pinata"],
+    ["🪩",5,"mirror ball","ball dance disco glitter mirror party","mirror_ball disco disco_ball"],
+    ["🪆",5,"nesting dolls","babooshka baboushka babushka doll dolls matryoshka nesting russia","nesting_dolls"],
+    ["♠️",5,"spade suit","card game spade suit","spades"],
+    ["♥️",5,"heart suit","card emotion game heart hearts suit","hearts"],
+    ["♦️",5,"diamond suit","card diamond game suit","diamonds"],
+    ["♣️",5,"club suit","card club clubs game suit","clubs"],
+    ["♟️",5,"chess pawn","chess dupe expendable pawn","chess_pawn"],
+    ["🃏",5,"joker","card game wildcard","black_joker"],
+    ["🀄️",5,"mahjong red dragon","dragon game mahjong red","mahjong"],
+    ["🎴",5,"flower playing cards","card cards flower game japanese playing","flower_playing_cards"],
+    ["🎭️",5,"performing arts","actor actress art arts entertainment mask performing theater theatre thespian","performing_arts"],
+    ["🖼️",5,"framed picture","art frame framed museum painting picture","framed_picture frame_with_picture"],
+    ["🎨",5,"artist palette","art artist artsy arty colorful creative entertainment museum painter painting palette","art palette"],
+    ["🧵",5,"thread","needle sewing spool string","thread"],
+    ["🪡",5,"sewing needle","embroidery needle sew sewing stitches sutures tailoring thread","sewing_needle"],
+    ["🧶",5,"yarn","ball crochet knit","yarn"],
+    ["🪢",5,"knot","cord rope tangled tie twine twist","knot"],
+    ["👓️",6,"glasses","clothing eye eyeglasses eyewear","eyeglasses glasses"],
+    ["🕶️",6,"sunglasses","dark eye eyewear glasses","dark_sunglasses sunglasses"],
+    ["🥽",6,"goggles","dive eye protection scuba swimming welding","goggles"],
+    ["🥼",6,"lab coat","clothes coat doctor dr experiment jacket lab scientist white","lab_coat"],
+    ["🦺",6,"safety vest","emergency safety vest","safety_vest"],
+    ["👔",6,"necktie","clothing employed serious shirt tie","necktie"],
+    ["👕",6,"t-shirt","blue casual clothes clothing collar dressed shirt shopping tshirt weekend","shirt tshirt"],
+    ["👖",6,"jeans","blue casual clothes clothing denim dressed pants shopping trousers weekend","jeans"],
+    ["🧣",6,"scarf","bundle cold neck up","scarf"],
+    ["🧤",6,"gloves","hand","gloves"],
+    ["🧥",6,"coat","brr bundle cold jacket up","coat"],
+    ["🧦",6,"socks","stocking","socks"],
+    ["👗",6,"dress","clothes clothing dressed fancy shopping","dress"],
+    ["👘",6,"kimono","clothing comfortable","kimono"],
+    ["🥻",6,"sari","clothing dress","sari"],
+    ["🩱",6,"one-piece swimsuit","bathing one-piece suit swimsuit","one_piece_swimsuit"],
+    ["🩲",6,"briefs","bathing one-piece suit swimsuit underwear","swim_brief briefs"],
+    ["🩳",6,"shorts","bathing pants suit swimsuit underwear","shorts"],
+    ["👙",6,"bikini","bathing beach clothing pool suit swim","bikini"],
+    ["👚",6,"woman’s clothes","blouse clothes clothing collar dress dressed lady shirt shopping woman woman’s","womans_clothes"],
+    ["🪭",6,"folding hand fan","clack clap cool cooling dance fan flirt flutter folding hand hot shy","folding_hand_fan folding_fan"],
+    ["👛",6,"purse","clothes clothing coin dress fancy handbag shopping","purse"],
+    ["👜",6,"handbag","bag clothes clothing dress lady purse shopping","handbag"],
+    ["👝",6,"clutch bag","bag clothes clothing clutch dress handbag pouch purse","pouch clutch_bag"],
+    ["🛍️",6,"shopping bags","bag bags hotel shopping","shopping shopping_bags"],
+    ["🎒",6,"backpack","backpacking bag bookbag education rucksack satchel school","school_satchel backpack"],
+    ["🩴",6,"thong sandal","beach flip flop sandal sandals shoe thong thongs zōri","thong_sandal"],
+    ["👞",6,"man’s shoe","brown clothes clothing feet foot kick man man’s shoe shoes shopping","mans_shoe shoe"],
+    ["👟",6,"running shoe","athletic clothes clothing fast kick running shoe shoes shopping sneaker tennis","athletic_shoe sneaker"],
+    ["🥾",6,"hiking boot","backpacking boot brown camping hiking outdoors shoe","hiking_boot"],
+    ["🥿",6,"flat shoe","ballet comfy flat flats shoe slip-on slipper","flat_shoe womans_flat_shoe"],
+    ["👠",6,"high-heeled shoe","clothes clothing dress fashion heel heels high-heeled shoe shoes shopping stiletto woman","high_heel"],
+    ["👡",6,"woman’s sandal","clothing sandal shoe woman woman’s","sandal"],
+    ["🩰",6,"ballet shoes","ballet dance shoes","ballet_shoes"],
+    ["👢",6,"woman’s boot","boot clothes clothing dress shoe shoes shopping woman woman’s","boot"],
+    ["🪮",6,"hair pick","afro comb groom hair pick","hair_pick"],
+    ["👑",6,"crown","clothing family king medieval queen royal royalty win","crown"],
+    ["👒",6,"woman’s hat","clothes clothing garden hat hats party woman woman’s","womans_hat"],
+    ["🎩",6,"top hat","clothes clothing fancy formal hat magic top tophat","tophat top_hat"],
+    ["🎓️",6,"graduation cap","cap celebration clothing education graduation hat scholar","mortar_board graduation_cap"],
+    ["🧢",6,"billed cap","baseball bent billed cap dad hat","billed_cap"],
+    ["🪖",6,"military helmet","army helmet military soldier war warrior","military_helmet"],
+    ["⛑️",6,"rescue worker’s helmet","aid cross face hat helmet rescue worker’s","rescue_worker_helmet helmet_with_cross"],
+    ["📿",6,"prayer beads","beads clothing necklace prayer religion","prayer_beads"],
+    ["💄",6,"lipstick","cosmetics date makeup","lipstick"],
+    ["💍",6,"ring","diamond engaged engagement married romance shiny sparkling wedding","ring"],
+    ["💎",6,"gem stone","diamond engagement gem jewel money romance stone wedding","gem"],
+    ["🔇",6,"muted speaker","mute muted quiet silent sound speaker","mute no_sound"],
+    ["🔈️",6,"speaker low volume","low soft sound speaker volume","speaker low_volume quiet_sound"],
+    ["🔉",6,"speaker medium volume","medium sound speaker volume","sound medium_volumne"],
+    ["🔊",6,"speaker high volume","high loud music sound speaker volume","loud_sound high_volume"],
+    ["📢",6,"loudspeaker","address communication loud public sound","loudspeaker"],
+    ["📣",6,"megaphone","cheering sound","mega megaphone"],
+    ["📯",6,"postal horn","horn post postal","postal_horn"],
+    ["🔔",6,"bell","break church sound","bell"],
+    ["🔕",6,"bell with slash","bell forbidden mute no not prohibited quiet silent slash sound","no_bell"],
+    ["🎼",6,"musical score","music musical note score","musical_score"],
+    ["🎵",6,"musical note","music musical note sound","musical_note"],
+    ["🎶",6,"musical notes","music musical note notes sound","notes musical_notes"],
+    ["🎙️",6,"studio microphone","mic microphone music studio","studio_microphone"],
+    ["🎚️",6,"level slider","level music slider","level_slider"],
+    ["🎛️",6,"control knobs","control knobs music","control_knobs"],
+    ["🎤",6,"microphone","karaoke mic music sing sound","microphone"],
+    ["🎧️",6,"headphone","earbud sound","headphones"],
+    ["📻️",6,"radio","entertainment tbt video","radio"],
+    ["🎷",6,"saxophone","instrument music sax","saxophone"],
+    ["🪗",6,"accordion","box concertina instrument music squeeze squeezebox","accordion"],
+    ["🎸",6,"guitar","instrument music strat","guitar"],
+    ["🎹",6,"musical keyboard","instrument keyboard music musical piano","musical_keyboard"],
+    ["🎺",6,"trumpet","instrument music","trumpet"],
+    ["🎻",6,"violin","instrument music","violin"],
+    ["🪕",6,"banjo","music stringed","banjo"],
+    ["🥁",6,"drum","drumsticks music","drum"],
+    ["🪘",6,"long drum","beat conga drum instrument long rhythm","long_drum"],
+    ["🪇",6,"maracas","cha dance instrument music party percussion rattle shake shaker","maracas"],
+    ["🪈",6,"flute","band fife flautist instrument marching music orchestra piccolo pipe recorder woodwind","flute"],
+    ["🪉",6,"harp","cupid instrument love music orchestra","harp"],
+    ["📱",6,"mobile phone","cell communication mobile phone telephone","iphone android mobile_phone"],
+    ["📲",6,"mobile phone with arrow","arrow build call cell communication mobile phone receive telephone","calling mobile_phone_arrow"],
+    ["☎️",6,"telephone","phone","phone telephone"],
+    ["📞",6,"telephone receiver","communication phone receiver telephone voip","telephone_receiver"],
+    ["📟️",6,"pager","communication","pager"],
+    ["📠",6,"fax machine","communication fax machine","fax fax_machine"],
+    ["🔋",6,"battery","battery","battery"],
+    ["🪫",6,"low battery","battery drained electronic energy low power","low_battery"],
+    ["🔌",6,"electric plug","electric electricity plug","electric_plug"],
+    ["💻️",6,"laptop","computer office pc personal","computer laptop"],
+    ["🖥️",6,"desktop computer","computer desktop monitor","desktop_computer computer"],
+    ["🖨️",6,"printer","computer","printer"],
+    ["⌨️",6,"keyboard","computer","keyboard"],
+    ["🖱️",6,"computer mouse","computer mouse","computer_mouse"],
+    ["🖲️",6,"trackball","computer","trackball"],
+    ["💽",6,"computer disk","computer disk minidisk optical","minidisc computer_disk"],
+    ["💾",6,"floppy disk","computer disk floppy","floppy_disk"],
+    ["💿️",6,"optical disk","blu-ray cd computer disk dvd optical","cd optical_disk"],
+    ["📀",6,"dvd","blu-ray cd computer disk optical","dvd"],
+    ["🧮",6,"abacus","calculation calculator","abacus"],
+    ["🎥",6,"movie camera","bollywood camera cinema film hollywood movie record","movie_camera"],
+    ["🎞️",6,"film frames","cinema film frames movie","film_strip film_frames"],
+    ["📽️",6,"film projector","cinema film movie projector video","film_projector"],
+    ["🎬️",6,"clapper board","action board clapper movie","clapper"],
+    ["📺️",6,"television","tv video","tv"],
+    ["📷️",6,"camera","photo selfie snap tbt trip video","camera"],
+    ["📸",6,"camera with flash","camera flash video","camera_flash camera_with_flash"],
+    ["📹️",6,"video camera","camcorder camera tbt video","video_camera"],
+    ["📼",6,"videocassette","old school tape vcr vhs video","vhs videocassette"],
+    ["🔍️",6,"magnifying glass tilted left","glass lab left left-pointing magnifying science search tilted tool","mag"],
+    ["🔎",6,"magnifying glass tilted right","contact glass lab magnifying right right-pointing science search tilted tool","mag_right"],
+    ["🕯️",6,"candle","light","candle"],
+    ["💡",6,"light bulb","bulb comic electric idea light","bulb light_bulb"],
+    ["🔦",6,"flashlight","electric light tool torch","flashlight"],
+    ["🏮",6,"red paper lantern","bar lantern light paper red restaurant","izakaya_lantern lantern red_paper_lantern"],
+    ["🪔",6,"diya lamp","diya lamp light oil","diya_lamp"],
+    ["📔",6,"notebook with decorative cover","book cover decorated decorative education notebook school writing","notebook_with_decorative_cover"],
+    ["📕",6,"closed book","book closed education","closed_book"],
+    ["📖",6,"open book","book education fantasy knowledge library novels open reading","book open_book"],
+    ["📗",6,"green book","book education fantasy green library reading","green_book"],
+    ["📘",6,"blue book","blue book education fantasy library reading","blue_book"],
+    ["📙",6,"orange book","book education fantasy library orange reading","orange_book"],
+    ["📚️",6,"books","book education fantasy knowledge library novels reading school study","books"],
+    ["📓",6,"notebook","notebook","notebook"],
+    ["📒",6,"ledger","notebook","ledger"],
+    ["📃",6,"page with curl","curl document page paper","page_with_curl"],
+    ["📜",6,"scroll","paper","scroll"],
+    ["📄",6,"page facing up","document facing page paper up","page_facing_up"],
+    ["📰",6,"newspaper","communication news paper","newspaper"],
+    ["🗞️",6,"rolled-up newspaper","news newspaper paper rolled rolled-up","newspaper_roll rolled_up_newspaper"],
+    ["📑",6,"bookmark tabs","bookmark mark marker tabs","bookmark_tabs"],
+    ["🔖",6,"bookmark","mark","bookmark"],
+    ["🏷️",6,"label","tag","label"],
+    ["💰️",6,"money bag","bag bank bet billion cash cost dollar gold million money moneybag paid paying pot rich win","moneybag"],
+    ["🪙",6,"coin","dollar euro gold metal money rich silver treasure","coin"],
+    ["💴",6,"yen banknote","bank banknote bill currency money note yen","yen"],
+    ["💵",6,"dollar banknote","bank banknote bill currency dollar money note","dollar"],
+    ["💶",6,"euro banknote","100 bank banknote bill currency euro money note rich","euro"],
+    ["💷",6,"pound banknote","bank banknote bill billion cash currency money note pound pounds","pound"],
+    ["💸",6,"money with wings","bank banknote bill billion cash dollar fly million money note pay wings","money_with_wings"],
+    ["💳️",6,"credit card","bank card cash charge credit money pay","credit_card"],
+    ["🧾",6,"receipt","accounting bookkeeping evidence invoice proof","receipt"],
+    ["💹",6,"chart increasing with yen","bank chart currency graph growth increasing market money rise trend upward yen","chart"],
+    ["✉️",6,"envelope","e-mail email letter","envelope"],
+    ["📧",6,"e-mail","email letter mail","e-mail email"],
+    ["📨",6,"incoming envelope","delivering e-mail email envelope incoming letter mail receive sent","incoming_envelope"],
+    ["📩",6,"envelope with arrow","arrow communication down e-mail email envelope letter mail outgoing send sent","envelope_with_arrow"],
+    ["📤️",6,"outbox tray","box email letter mail outbox sent tray","outbox_tray"],
+    ["📥️",6,"inbox tray","box email inbox letter mail receive tray zero","inbox_tray"],
+    ["📦️",6,"package","box communication delivery parcel shipping","package"],
+    ["📫️",6,"closed mailbox with raised flag","closed communication flag mail mailbox postbox raised","mailbox"],
+    ["📪️",6,"closed mailbox with lowered flag","closed flag lowered mail mailbox postbox","mailbox_closed"],
+    ["📬️",6,"open mailbox with raised flag","flag mail mailbox open postbox raised","mailbox_with_mail"],
+    ["📭️",6,"open mailbox with lowered flag","flag lowered mail mailbox open postbox","mailbox_with_no_mail"],
+    ["📮",6,"postbox","mail mailbox","postbox"],
+    ["🗳️",6,"ballot box with ballot","ballot box","ballot_box"],
+    ["✏️",6,"pencil","pencil","pencil2 pencil"],
+    ["✒️",6,"black nib","black nib pen","black_nib"],
+    ["🖋️",6,"fountain pen","fountain pen","fountain_pen"],
+    ["🖊️",6,"pen","ballpoint","pen"],
+    ["🖌️",6,"paintbrush","painting","paintbrush"],
+    ["🖍️",6,"crayon","crayon","crayon"],
+    ["📝",6,"memo","communication media notes pencil","memo pencil"],
+    ["💼",6,"briefcase","office","briefcase"],
+    ["📁",6,"file folder","file folder","file_folder"],
+    ["📂",6,"open file folder","file folder open","open_file_folder"],
+    ["🗂️",6,"card index dividers","card dividers index","card_index_dividers"],
+    ["📅",6,"calendar","date","date"],
+    ["📆",6,"tear-off calendar","calendar tear-off","calendar"],
+    ["🗒️",6,"spiral notepad","note notepad pad spiral","spiral_notepad notepad_spiral"],
+    ["🗓️",6,"spiral calendar","calendar pad spiral","spiral_calendar calendar_spiral"],
+    ["📇",6,"card index","card index old rolodex school","card_index"],
+    ["📈",6,"chart increasing","chart data graph growth increasing right trend up upward","chart_with_upwards_trend chart_increasing"],
+    ["📉",6,"chart decreasing","chart data decreasing down downward graph negative trend","chart_with_downwards_trend chart_decreasing"],
+    ["📊",6,"bar chart","bar chart data graph","bar_chart"],
+    ["📋️",6,"clipboard","do list notes","clipboard"],
+    ["📌",6,"pushpin","collage pin","pushpin"],
+    ["📍",6,"round pushpin","location map pin pushpin round","round_pushpin"],
+    ["📎",6,"paperclip","paperclip","paperclip"],
+    ["🖇️",6,"linked paperclips","link linked paperclip paperclips","paperclips"],
+    ["📏",6,"straight ruler","angle edge math ruler straight straightedge","straight_ruler"],
+    ["📐",6,"triangular ruler","angle math rule ruler set slide triangle triangular","triangular_ruler"],
+    ["✂️",6,"scissors","cut cutting paper tool","scissors"],
+    ["🗃️",6,"card file box","box card file","card_file_box"],
+    ["🗄️",6,"file cabinet","cabinet file filing paper","file_cabinet"],
+    ["🗑️",6,"wastebasket","can garbage trash waste","wastebasket trashcan"],
+    ["🔒️",6,"locked","closed lock private","lock locked"],
+    ["🔓️",6,"unlocked","cracked lock open unlock","unlock unlocked"],
+    ["🔏",6,"locked with pen","ink lock locked nib pen privacy","lock_with_ink_pen locked_with_pen"],
+    ["🔐",6,"locked with key","bike closed key lock locked secure","closed_lock_with_key locked_with_key"],
+    ["🔑",6,"key","keys lock major password unlock","key"],
+    ["🗝️",6,"old key","clue key lock old","old_key"],
+    ["🔨",6,"hammer","home improvement repairs tool","hammer"],
+    ["🪓",6,"axe","ax chop hatchet split wood","axe"],
+    ["⛏️",6,"pick","hammer mining tool","pick"],
+    ["⚒️",6,"hammer and pick","hammer pick tool","hammer_and_pick"],
+    ["🛠️",6,"hammer and wrench","hammer spanner tool wrench","hammer_and_wrench"],
+    ["🗡️",6,"dagger","knife weapon","dagger"],
+    ["⚔️",6,"crossed swords","crossed swords weapon","crossed_swords"],
+    ["💣️",6,"bomb","boom comic dangerous explosion hot","bomb"],
+    ["🪃",6,"boomerang","rebound repercussion weapon","boomerang"],
+    ["🏹",6,"bow and arrow","archer archery arrow bow sagittarius tool weapon zodiac","bow_and_arrow"],
+    ["🛡️",6,"shield","weapon","shield"],
+    ["🪚",6,"carpentry saw","carpenter carpentry cut lumber saw tool trim","carpentry_saw"],
+    ["🔧",6,"wrench","home improvement spanner tool","wrench"],
+    ["🪛",6,"screwdriver","flathead handy screw tool","screwdriver"],
+    ["🔩",6,"nut and bolt","bolt home improvement nut tool","nut_and_bolt"],
+    ["⚙️",6,"gear","cog cogwheel tool","gear"],
+    ["🗜️",6,"clamp","compress tool vice","clamp compression"],
+    ["⚖️",6,"balance scale","balance justice libra scale scales tool weight zodiac","balance_scale scales"],
+    ["🦯",6,"white cane","accessibility blind cane probing white","probing_cane white_cane"],
+    ["🔗",6,"link","links","link"],
+    ["⛓️‍💥",6,"broken chain","break breaking broken chain cuffs freedom","broken_chain"],
+    ["⛓️",6,"chains","chain","chains"],
+    ["🪝",6,"hook","catch crook curve ensnare point selling","hook"],
+    ["🧰",6,"toolbox","box chest mechanic red tool","toolbox"],
+    ["🧲",6,"magnet","attraction horseshoe magnetic negative positive shape u","magnet"],
+    ["🪜",6,"ladder","climb rung step","ladder"],
+    ["🪏",6,"shovel","bury dig garden hole plant scoop snow spade","shovel"],
+    ["⚗️",6,"alembic","chemistry tool","alembic"],
+    ["🧪",6,"test tube","chemist chemistry experiment lab science test tube","test_tube"],
+    ["🧫",6,"petri dish","bacteria biologist biology culture dish lab petri","petri_dish"],
+    ["🧬",6,"dna","biologist evolution gene genetics life","dna double_helix"],
+    ["🔬",6,"microscope","experiment lab science tool","microscope"],
+    ["🔭",6,"telescope","contact extraterrestrial science tool","telescope"],
+    ["📡",6,"satellite antenna","aliens antenna contact dish satellite science","satellite satellite_antenna"],
+    ["💉",6,"syringe","doctor flu medicine needle shot sick tool vaccination","syringe"],
+    ["🩸",6,"drop of blood","bleed blood donation drop injury medicine menstruation","drop_of_blood"],
+    ["💊",6,"pill","doctor drugs medicated medicine pills sick vitamin","pill"],
+    ["🩹",6,"adhesive bandage","adhesive bandage","adhesive_bandage bandaid"],
+    ["🩼",6,"crutch","aid cane disability help hurt injured mobility stick","crutch"],
+    ["🩺",6,"stethoscope","doctor heart medicine","stethoscope"],
+    ["🩻",6,"x-ray","bones doctor medical skeleton skull xray","x_ray x-ray xray"],
+    ["🚪",6,"door","back closet front","door"],
+    ["🛗",6,"elevator","accessibility hoist lift","elevator"],
+    ["🪞",6,"mirror","makeup reflection reflector speculum","mirror"],
+    ["🪟",6,"window","air frame fresh opening transparent view","window"],
+    ["🛏️",6,"bed","hotel sleep","bed"],
+    ["🛋️",6,"couch and lamp","couch hotel lamp","couch_and_lamp"],
+    ["🪑",6,"chair","seat sit","chair"],
+    ["🚽",6,"toilet","bathroom","toilet"],
+    ["🪠",6,"plunger","cup force plumber poop suction toilet","plunger"],
+    ["🚿",6,"shower","water","shower"],
+    ["🛁",6,"bathtub","bath","bathtub"],
+    ["🪤",6,"mouse trap","bait cheese lure mouse mousetrap snare trap","mouse_trap"],
+    ["🪒",6,"razor","sharp shave","razor"],
+    ["🧴",6,"lotion bottle","bottle lotion moisturizer shampoo sunscreen","lotion_bottle"],
+    ["🧷",6,"safety pin","diaper pin punk rock safety","safety_pin"],
+    ["🧹",6,"broom","cleaning sweeping witch","broom"],
+    ["🧺",6,"basket","farming laundry picnic","basket"],
+    ["🧻",6,"roll of paper","paper roll toilet towels","roll_of_paper toilet_paper"],
+    ["🪣",6,"bucket","cask pail vat","bucket"],
+    ["🧼",6,"soap","bar bathing clean cleaning lather soapdish","soap"],
+    ["🫧",6,"bubbles","bubble burp clean floating pearl soap underwater","bubbles"],
+    ["🪥",6,"toothbrush","bathroom brush clean dental hygiene teeth toiletry","toothbrush"],
+    ["🧽",6,"sponge","absorbing cleaning porous soak","sponge"],
+    ["🧯",6,"fire extinguisher","extinguish extinguisher fire quench","fire_extinguisher"],
+    ["🛒",6,"shopping cart","cart shopping trolley","shopping_cart"],
+    ["🚬",6,"cigarette","smoking","smoking cigarette"],
+    ["⚰️",6,"coffin","dead death vampire","coffin"],
+    ["🪦",6,"headstone","cemetery dead grave graveyard memorial rip tomb tombstone","headstone"],
+    ["⚱️",6,"funeral urn","ashes death funeral urn","funeral_urn"],
+    ["🧿",6,"nazar amulet","amulet bead blue charm evil-eye nazar talisman","nazar_amulet"],
+    ["🪬",6,"hamsa","amulet fatima fortune guide hand mary miriam palm protect protection","hamsa"],
+    ["🗿",6,"moai","face moyai statue stoneface travel","moyai moai"],
+    ["🪧",6,"placard","card demonstration notice picket plaque protest sign","placard"],
+    ["🪪",6,"identification card","card credentials document id identification license security","identification_card id_card"],
+    ["🏧",7,"ATM sign","atm automated bank cash money sign teller","atm"],
+    ["🚮",7,"litter in bin sign","bin litter litterbin sign","put_litter_in_its_place litter_bin"],
+    ["🚰",7,"potable water","drinking potable water","potable_water"],
+    ["♿️",7,"wheelchair symbol","access handicap symbol wheelchair","wheelchair handicapped"],
+    ["🚹️",7,"men’s room","bathroom lavatory man men’s restroom room toilet wc","mens"],
+    ["🚺️",7,"women’s room","bathroom lavatory restroom room toilet wc woman women’s","womens"],
+    ["🚻",7,"restroom","bathroom lavatory toilet wc","restroom bathroom"],
+    ["🚼️",7,"baby symbol","baby changing symbol","baby_symbol"],
+    ["🚾",7,"water closet","bathroom closet lavatory restroom toilet water wc","wc water_closet"],
+    ["🛂",7,"passport control","control passport","passport_control"],
+    ["🛃",7,"customs","packing","customs"],
+    ["🛄",7,"baggage claim","arrived baggage bags case checked claim journey packing plane ready travel trip","baggage_claim"],
+    ["🛅",7,"left luggage","baggage case left locker luggage","left_luggage"],
+    ["⚠️",7,"warning","caution","warning"],
+    ["🚸",7,"children crossing","child children crossing pedestrian traffic","children_crossing"],
+    ["⛔️",7,"no entry","do entry fail forbidden no not pass prohibited traffic","no_entry"],
+    ["🚫",7,"prohibited","entry forbidden no not smoke","no_entry_sign"],
+    ["🚳",7,"no bicycles","bicycle bicycles bike forbidden no not prohibited","no_bicycles"],
+    ["🚭️",7,"no smoking","forbidden no not prohibited smoke smoking","no_smoking"],
+    ["🚯",7,"no littering","forbidden litter littering no not prohibited","do_not_litter no_littering"],
+    ["🚱",7,"non-potable water","dry non-drinking non-potable prohibited water","non-potable_water"],
+    ["🚷",7,"no pedestrians","forbidden no not pedestrian pedestrians prohibited","no_pedestrians"],
+    ["📵",7,"no mobile phones","cell forbidden mobile no not phone phones prohibited telephone","no_mobile_phones"],
+    ["🔞",7,"no one under eighteen","18 age eighteen forbidden no not one prohibited restriction underage","underage no_one_under_18"],
+    ["☢️",7,"radioactive","sign","radioactive"],
+    ["☣️",7,"biohazard","sign","biohazard"],
+    ["⬆️",7,"up arrow","arrow cardinal direction north up","arrow_up"],
+    ["↗️",7,"up-right arrow","arrow direction intercardinal northeast up-right","arrow_upper_right"],
+    ["➡️",7,"right arrow","arrow cardinal direction east right","arrow_right"],
+    ["↘️",7,"down-right arrow","arrow direction down-right intercardinal southeast","arrow_lower_right"],
+    ["⬇️",7,"down arrow","arrow cardinal direction down south","arrow_down"],
+    ["↙️",7,"down-left arrow","arrow direction down-left intercardinal southwest","arrow_lower_left"],
+    ["⬅️",7,"left arrow","arrow cardinal direction left west","arrow_left"],
+    ["↖️",7,"up-left arrow","arrow direction intercardinal northwest up-left","arrow_upper_left"],
+    ["↕️",7,"up-down arrow","arrow up-down","arrow_up_down"],
+    ["↔️",7,"left-right arrow","arrow left-right","left_right_arrow"],
+    ["↩️",7,"right arrow curving left","arrow curving left right","leftwards_arrow_with_hook arrow_left_hook"],
+    ["↪️",7,"left arrow curving right","arrow curving left right","arrow_right_hook rightwards_arrow_with_hook"],
+    ["⤴️",7,"right arrow curving up","arrow curving right up","arrow_heading_up"],
+    ["⤵️",7,"right arrow curving down","arrow curving down right","arrow_heading_down"],
+    ["🔃",7,"clockwise vertical arrows","arrow arrows clockwise refresh reload vertical","arrows_clockwise clockwise"],
+    ["🔄",7,"counterclockwise arrows button","again anticlockwise arrow arrows button counterclockwise deja refresh rewindershins vu","arrows_counterclockwise counterclockwise"],
+    ["🔙",7,"BACK arrow","arrow back","back"],
+    ["🔚",7,"END arrow","arrow end","end"],
+    ["🔛",7,"ON! arrow","arrow mark on!","on"],
+    ["🔜",7,"SOON arrow","arrow brb omw soon","soon"],
+    ["🔝",7,"TOP arrow","arrow homie top up","top"],
+    ["🛐",7,"place of worship","place pray religion worship","place_of_worship"],
+    ["⚛️",7,"atom symbol","atheist atom symbol","atom_symbol atom"],
+    ["🕉️",7,"om","hindu religion","om"],
+    ["✡️",7,"star of David","david jew jewish judaism religion star","star_of_david"],
+    ["☸️",7,"wheel of dharma","buddhist dharma religion wheel","wheel_of_dharma"],
+    ["☯️",7,"yin yang","difficult lives religion tao taoist total yang yin yinyang","yin_yang"],
+    ["✝️",7,"latin cross","christ christian cross latin religion","latin_cross"],
+    ["☦️",7,"orthodox cross","christian cross orthodox religion","orthodox_cross"],
+    ["☪️",7,"star and crescent","crescent islam muslim ramadan religion star","star_and_crescent"],
+    ["☮️",7,"peace symbol","healing peace peaceful symbol","peace_symbol peace"],
+    ["🕎",7,"menorah","candelabrum candlestick hanukkah jewish judaism religion","menorah"],
+    ["🔯",7,"dotted six-pointed star","dotted fortune jewish judaism six-pointed star","six_pointed_star"],
+    ["🪯",7,"khanda","deg fateh khalsa religion sikh sikhism tegh","khanda"],
+    ["♈️",7,"Aries","aries horoscope ram zodiac","aries"],
+    ["♉️",7,"Taurus","bull horoscope ox taurus zodiac","taurus"],
+    ["♊️",7,"Gemini","gemini horoscope twins zodiac","gemini"],
+    ["♋️",7,"Cancer","cancer crab horoscope zodiac","cancer"],
+    ["♌️",7,"Leo","horoscope leo lion zodiac","leo"],
+    ["♍️",7,"Virgo","horoscope virgo zodiac","virgo"],
+    ["♎️",7,"Libra","balance horoscope justice libra scales zodiac","libra"],
+    ["♏️",7,"Scorpio","horoscope scorpio scorpion scorpius zodiac","scorpius"],
+    ["♐️",7,"Sagittarius","archer horoscope sagittarius zodiac","sagittarius"],
+    ["♑️",7,"Capricorn","capricorn goat horoscope zodiac","capricorn"],
+    ["♒️",7,"Aquarius","aquarius bearer horoscope water zodiac","aquarius"],
+    ["♓️",7,"Pisces","fish horoscope pisces zodiac","pisces"],
+    ["⛎️",7,"Ophiuchus","bearer ophiuchus serpent snake zodiac","ophiuchus"],
+    ["🔀",7,"shuffle tracks button","arrow button crossed shuffle tracks","twisted_rightwards_arrows shuffle"],
+    ["🔁",7,"repeat button","arrow button clockwise repeat","repeat"],
+    ["🔂",7,"repeat single button","arrow button clockwise once repeat single","repeat_one"],
+    ["▶️",7,"play button","arrow button play right triangle","arrow_forward play"],
+    ["⏩️",7,"fast-forward button","arrow button double fast fast-forward forward","fast_forward"],
+    ["⏭️",7,"next track button","arrow button next scene track triangle","next_track_button next_track"],
+    ["⏯️",7,"play or pause button","arrow button pause play right triangle","play_or_pause_button play_pause"],
+    ["◀️",7,"reverse button","arrow button left reverse triangle","arrow_backward reverse"],
+    ["⏪️",7,"fast reverse button","arrow button double fast reverse rewind","rewind fast_reverse"],
+    ["⏮️",7,"last track button","arrow button last previous scene track triangle","previous_track_button previous_track"],
+    ["🔼",7,"upwards button","arrow button red up upwards","arrow_up_small up"],
+    ["⏫️",7,"fast up button","arrow button double fast up","arrow_double_up fast_up"],
+    ["🔽",7,"downwards button","arrow button down downwards red","arrow_down_small down"],
+    ["⏬️",7,"fast down button","arrow button double down fast","arrow_double_down fast_down"],
+    ["⏸️",7,"pause button","bar button double pause vertical","pause_button pause"],
+    ["⏹️",7,"stop button","button square stop","stop_button stop"],
+    ["⏺️",7,"record button","button circle record","record_button record"],
+    ["⏏️",7,"eject button","button eject","eject_button eject"],
+    ["🎦",7,"cinema","camera film movie","cinema"],
+    ["🔅",7,"dim button","brightness button dim low","low_brightness dim_button"],
+    ["🔆",7,"bright button","bright brightness button light","high_brightness bright_button"],
+    ["📶",7,"antenna bars","antenna bar bars cell communication mobile phone signal telephone","signal_strength antenna_bars"],
+    ["🛜",7,"wireless","broadband computer connectivity hotspot internet network router smartphone wi-fi wifi wlan","wireless"],
+    ["📳",7,"vibration mode","cell communication mobile mode phone telephone vibration","vibration_mode"],
+    ["📴",7,"mobile phone off","cell mobile off phone telephone","mobile_phone_off"],
+    ["♀️",7,"female sign","female sign woman","female_sign female"],
+    ["♂️",7,"male sign","male man sign","male_sign male"],
+    ["⚧️",7,"transgender symbol","symbol transgender","transgender_symbol"],
+    ["✖️",7,"multiply","cancel multiplication sign x ×","heavy_multiplication_x multiplication multiply"],
+    ["➕️",7,"plus","+","heavy_plus_sign plus"],
+    ["➖️",7,"minus","- heavy math sign −","heavy_minus_sign minus"],
+    ["➗️",7,"divide","division heavy math sign ÷","heavy_division_sign divide division"],
+    ["🟰",7,"heavy equals sign","answer equal equality equals heavy math sign","heavy_equals_sign"],
+    ["♾️",7,"infinity","forever unbounded universal","infinity"],
+    ["‼️",7,"double exclamation mark","! !! bangbang double exclamation mark punctuation","bangbang double_exclamation"],
+    ["⁉️",7,"exclamation question mark","! !? ? exclamation interrobang mark punctuation question","interrobang exclamation_question"],
+    ["❓️",7,"red question mark","? mark punctuation question red","question"],
+    ["❔️",7,"white question mark","? mark outlined punctuation question white","grey_question white_question"],
+    ["❕️",7,"white exclamation mark","! exclamation mark outlined punctuation white","grey_exclamation white_exclamation"],
+    ["❗️",7,"red exclamation mark","! exclamation mark punctuation red","exclamation heavy_exclamation_mark"],
+    ["〰️",7,"wavy dash","dash punctuation wavy","wavy_dash"],
+    ["💱",7,"currency exchange","bank currency exchange money","currency_exchange"],
+    ["💲",7,"heavy dollar sign","billion cash charge currency dollar heavy million money pay sign","heavy_dollar_sign"],
+    ["⚕️",7,"medical symbol","aesculapius medical medicine staff symbol","medical_symbol medical"],
+    ["♻️",7,"recycling symbol","recycle recycling symbol","recycle recycling_symbol"],
+    ["⚜️",7,"fleur-de-lis","knights","fleur_de_lis fleur-de-lis"],
+    ["🔱",7,"trident emblem","anchor emblem poseidon ship tool trident","trident"],
+    ["📛",7,"name badge","badge name","name_badge"],
+    ["🔰",7,"Japanese symbol for beginner","beginner chevron green japanese leaf symbol tool yellow","beginner"],
+    ["⭕️",7,"hollow red circle","circle heavy hollow large o red","o hollow_red_circle red_o"],
+    ["✅️",7,"check mark button","button check checked checkmark complete completed done fixed mark tick ✓","white_check_mark check_mark_button"],
+    ["☑️",7,"check box with check","ballot box check checked done off tick ✓","ballot_box_with_check"],
+    ["✔️",7,"check mark","check checked checkmark done heavy mark tick ✓","heavy_check_mark check_mark"],
+    ["❌️",7,"cross mark","cancel cross mark multiplication multiply x ×","x cross_mark"],
+    ["❎️",7,"cross mark button","button cross mark multiplication multiply square x ×","negative_squared_cross_mark cross_mark_button"],
+    ["➰️",7,"curly loop","curl curly loop","curly_loop"],
+    ["➿️",7,"double curly loop","curl curly double loop","loop double_curly_loop"],
+    ["〽️",7,"part alternation mark","alternation mark part","part_alternation_mark"],
+    ["✳️",7,"eight-spoked asterisk","* asterisk eight-spoked","eight_spoked_asterisk"],
+    ["✴️",7,"eight-pointed star","* eight-pointed star","eight_pointed_black_star"],
+    ["❇️",7,"sparkle","*","sparkle"],
+    ["©️",7,"copyright","c","copyright"],
+    ["®️",7,"registered","r","registered"],
+    ["™️",7,"trade mark","mark tm trade trademark","tm trade_mark"],
+    ["🫟",7,"splatter","drip holi ink liquid mess paint spill stain","splatter"],
+    ["#️⃣",7,"keycap: #","keycap","hash number_sign"],
+    ["*️⃣",7,"keycap: *","keycap","asterisk"],
+    ["0️⃣",7,"keycap: 0","keycap","zero"],
+    ["1️⃣",7,"keycap: 1","keycap","one"],
+    ["2️⃣",7,"keycap: 2","keycap","two"],
+    ["3️⃣",7,"keycap: 3","keycap","three"],
+    ["4️⃣",7,"keycap: 4","keycap","four"],
+    ["5️⃣",7,"keycap: 5","keycap","five"],
+    ["6️⃣",7,"keycap: 6","keycap","six"],
+    ["7️⃣",7,"keycap: 7","keycap","seven"],
+    ["8️⃣",7,"keycap: 8","keycap","eight"],
+    ["9️⃣",7,"keycap: 9","keycap","nine"],
+    ["🔟",7,"keycap: 10","keycap","keycap_ten ten"],
+    ["🔠",7,"input latin uppercase","abcd input latin letters uppercase","capital_abcd"],
+    ["🔡",7,"input latin lowercase","abcd input latin letters lowercase","abcd"],
+    ["🔢",7,"input numbers","1234 input numbers","1234"],
+    ["🔣",7,"input symbols","% & input symbols ♪ 〒","symbols"],
+    ["🔤",7,"input latin letters","abc alphabet input latin letters","abc"],
+    ["🅰️",7,"A button (blood type)","blood button type","a a_blood"],
+    ["🆎",7,"AB button (blood type)","ab blood button type","ab ab_blood"],
+    ["🅱️",7,"B button (blood type)","b blood button type","b b_blood"],
+    ["🆑",7,"CL button","button cl","cl"],
+    ["🆒",7,"COOL button","button cool","cool"],
+    ["🆓",7,"FREE button","button free","free"],
+    ["ℹ️",7,"information","i","information_source info"],
+    ["🆔",7,"ID button","button id identity","id"],
+    ["Ⓜ️",7,"circled M","circle circled m","m"],
+    ["🆕",7,"NEW button","button new","new"],
+    ["🆖",7,"NG button","button ng","ng"],
+    ["🅾️",7,"O button (blood type)","blood button o type","o2 o o_blood"],
+    ["🆗",7,"OK button","button ok okay","ok"],
+    ["🅿️",7,"P button","button p parking","parking"],
+    ["🆘",7,"SOS button","button help sos","sos"],
+    ["🆙",7,"UP! button","button mark up up!","up up2"],
+    ["🆚",7,"VS button","button versus vs","vs"],
+    ["🈁",7,"Japanese “here” button","button here japanese katakana","koko ja_here"],
+    ["🈂️",7,"Japanese “service charge” button","button charge japanese katakana service","sa ja_service_charge"],
+    ["🈷️",7,"Japanese “monthly amount” button","amount button ideograph japanese monthly","u6708 ja_monthly_amount"],
+    ["🈶",7,"Japanese “not free of charge” button","button charge free ideograph japanese not","u6709 ja_not_free_of_carge"],
+    ["🈯️",7,"Japanese “reserved” button","button ideograph japanese reserved","u6307 ja_reserved"],
+    ["🉐",7,"Japanese “bargain” button","bargain button ideograph japanese","ideograph_advantage ja_bargain"],
+    ["🈹",7,"Japanese “discount” button","button discount ideograph japanese","u5272 ja_discount"],
+    ["🈚️",7,"Japanese “free of charge” button","button charge free ideograph japanese","u7121 ja_free_of_charge"],
+    ["🈲",7,"Japanese “prohibited” button","button ideograph japanese prohibited","u7981 ja_prohibited"],
+    ["🉑",7,"Japanese “acceptable” button","acceptable button ideograph japanese","accept ja_acceptable"],
+    ["🈸",7,"Japanese “application” button","application button ideograph japanese","u7533 ja_application"],
+    ["🈴",7,"Japanese “passing grade” button","button grade ideograph japanese passing","u5408 ja_passing_grade"],
+    ["🈳",7,"Japanese “vacancy” button","button ideograph japanese vacancy","u7a7a ja_vacancy"],
+    ["㊗️",7,"Japanese “congratulations” button","button congratulations ideograph japanese","congratulations ja_congratulations"],
+    ["㊙️",7,"Japanese “secret” button","button ideograph japanese secret","secret ja_secret"],
+    ["🈺",7,"Japanese “open for business” button","business button ideograph japanese open","u55b6 ja_open_for_business"],
+    ["🈵",7,"Japanese “no vacancy” button","button ideograph japanese no vacancy","u6e80 ja_no_vacancy"],
+    ["🔴",7,"red circle","circle geometric red","red_circle"],
+    ["🟠",7,"orange circle","circle orange","orange_circle"],
+    ["🟡",7,"yellow circle","circle yellow","yellow_circle"],
+    ["🟢",7,"green circle","circle green","green_circle"],
+    ["🔵",7,"blue circle","blue circle geometric","large_blue_circle blue_circle"],
+    ["🟣",7,"purple circle","circle purple","purple_circle"],
+    ["🟤",7,"brown circle","brown circle","brown_circle"],
+    ["⚫️",7,"black circle","black circle geometric","black_circle"],
+    ["⚪️",7,"white circle","circle geometric white","white_circle"],
+    ["🟥",7,"red square","card penalty red square","red_square"],
+    ["🟧",7,"orange square","orange square","orange_square"],
+    ["🟨",7,"yellow square","card penalty square yellow","yellow_square"],
+    ["🟩",7,"green square","green square","green_square"],
+    ["🟦",7,"blue square","blue square","blue_square"],
+    ["🟪",7,"purple square","purple square","purple_square"],
+    ["🟫",7,"brown square","brown square","brown_square"],
+    ["⬛️",7,"black large square","black geometric large square","black_large_square"],
+    ["⬜️",7,"white large square","geometric large square white","white_large_square"],
+    ["◼️",7,"black medium square","black geometric medium square","black_medium_square"],
+    ["◻️",7,"white medium square","geometric medium square white","white_medium_square"],
+    ["◾️",7,"black medium-small square","black geometric medium-small square","black_medium_small_square"],
+    ["◽️",7,"white medium-small square","geometric medium-small square white","white_medium_small_square"],
+    ["▪️",7,"black small square","black geometric small square","black_small_square"],
+    ["▫️",7,"white small square","geometric small square white","white_small_square"],
+    ["🔶",7,"large orange diamond","diamond geometric large orange","large_orange_diamond"],
+    ["🔷",7,"large blue diamond","blue diamond geometric large","large_blue_diamond"],
+    ["🔸",7,"small orange diamond","diamond geometric orange small","small_orange_diamond"],
+    ["🔹",7,"small blue diamond","blue diamond geometric small","small_blue_diamond"],
+    ["🔺",7,"red triangle pointed up","geometric pointed red triangle up","small_red_triangle"],
+    ["🔻",7,"red triangle pointed down","down geometric pointed red triangle","small_red_triangle_down"],
+    ["💠",7,"diamond with a dot","comic diamond dot geometric","diamond_shape_with_a_dot_inside diamond_with_a_dot"],
+    ["🔘",7,"radio button","button geometric radio","radio_button"],
+    ["🔳",7,"white square button","button geometric outlined square white","white_square_button"],
+    ["🔲",7,"black square button","black button geometric square","black_square_button"],
+    ["🏁",8,"chequered flag","checkered chequered finish flag flags game race racing sport win","checkered_flag"],
+    ["🚩",8,"triangular flag","construction flag golf post triangular","triangular_flag_on_post triangular_flag"],
+    ["🎌",8,"crossed flags","celebration cross crossed flags japanese","crossed_flags"],
+    ["🏴",8,"black flag","black flag waving","black_flag"],
+    ["🏳️",8,"white flag","flag waving white","white_flag"],
+    ["🏳️‍🌈",8,"rainbow flag","bisexual flag gay genderqueer glbt glbtq lesbian lgbt lgbtq lgbtqia pride queer rainbow trans transgender","rainbow_flag"],
+    ["🏳️‍⚧️",8,"transgender flag","blue flag light pink transgender white","transgender_flag"],
+    ["🏴‍☠️",8,"pirate flag","flag jolly pirate plunder roger treasure","pirate_flag jolly_roger"],
+    ["🇦🇨",8,"flag: Ascension Island","AC flag","ascension_island flag_ac"],
+    ["🇦🇩",8,"flag: Andorra","AD flag","andorra flag_ad"],
+    ["🇦🇪",8,"flag: United Arab Emirates","AE flag","united_arab_emirates flag_ae"],
+    ["🇦🇫",8,"flag: Afghanistan","AF flag","afghanistan flag_af"],
+    ["🇦🇬",8,"flag: Antigua & Barbuda","AG flag","antigua_barbuda flag_ag"],
+    ["🇦🇮",8,"flag: Anguilla","AI flag","anguilla flag_ai"],
+    ["🇦🇱",8,"flag: Albania","AL flag","albania flag_al"],
+    ["🇦🇲",8,"flag: Armenia","AM flag","armenia flag_am"],
+    ["🇦🇴",8,"flag: Angola","AO flag","angola flag_ao"],
+    ["🇦🇶",8,"flag: Antarctica","AQ flag","antarctica flag_aq"],
+    ["🇦🇷",8,"flag: Argentina","AR flag","argentina flag_ar"],
+    ["🇦🇸",8,"flag: American Samoa","AS flag","american_samoa flag_as"],
+    ["🇦🇹",8,"flag: Austria","AT flag","austria flag_at"],
+    ["🇦🇺",8,"flag: Australia","AU flag","australia flag_au"],
+    ["🇦🇼",8,"flag: Aruba","AW flag","aruba flag_aw"],
+    ["🇦🇽",8,"flag: Åland Islands","AX flag","aland_islands flag_ax"],
+    ["🇦🇿",8,"flag: Azerbaijan","AZ flag","azerbaijan flag_az"],
+    ["🇧🇦",8,"flag: Bosnia & Herzegovina","BA flag","bosnia_herzegovina flag_ba"],
+    ["🇧🇧",8,"flag: Barbados","BB flag","barbados flag_bb"],
+    ["🇧🇩",8,"flag: Bangladesh","BD flag","bangladesh flag_bd"],
+    ["🇧🇪",8,"flag: Belgium","BE flag","belgium flag_be"],
+    ["🇧🇫",8,"flag: Burkina Faso","BF flag","burkina_faso flag_bf"],
+    ["🇧🇬",8,"flag: Bulgaria","BG flag","bulgaria flag_bg"],
+    ["🇧🇭",8,"flag: Bahrain","BH flag","bahrain flag_bh"],
+    ["🇧🇮",8,"flag: Burundi","BI flag","burundi flag_bi"],
+    ["🇧🇯",8,"flag: Benin","BJ flag","benin flag_bj"],
+    ["🇧🇱",8,"flag: St. Barthélemy","BL flag","st_barthelemy flag_bl"],
+    ["🇧🇲",8,"flag: Bermuda","BM flag","bermuda flag_bm"],
+    ["🇧🇳",8,"flag: Brunei","BN flag","brunei flag_bn"],
+    ["🇧🇴",8,"flag: Bolivia","BO flag","bolivia flag_bo"],
+    ["🇧🇶",8,"flag: Caribbean Netherlands","BQ flag","caribbean_netherlands flag_bq"],
+    ["🇧🇷",8,"flag: Brazil","BR flag","brazil flag_br"],
+    ["🇧🇸",8,"flag: Bahamas","BS flag","bahamas flag_bs"],
+    ["🇧🇹",8,"flag: Bhutan","BT flag","bhutan flag_bt"],
+    ["🇧🇻",8,"flag: Bouvet Island","BV flag","bouvet_island flag_bv"],
+    ["🇧🇼",8,"flag: Botswana","BW flag","botswana flag_bw"],
+    ["🇧🇾",8,"flag: Belarus","BY flag","belarus flag_by"],
+    ["🇧🇿",8,"flag: Belize","BZ flag","belize flag_bz"],
+    ["🇨🇦",8,"flag: Canada","CA flag","canada flag_ca"],
+    ["🇨🇨",8,"flag: Cocos (Keeling) Islands","CC flag","cocos_islands flag_cc"],
+    ["🇨🇩",8,"flag: Congo - Kinshasa","CD flag","congo_kinshasa flag_cd"],
+    ["🇨🇫",8,"flag: Central African Republic","CF flag","central_african_republic flag_cf"],
+    ["🇨🇬",8,"flag: Congo - Brazzaville","CG flag","congo_brazzaville flag_cg"],
+    ["🇨🇭",8,"flag: Switzerland","CH flag","switzerland flag_ch"],
+    ["🇨🇮",8,"flag: Côte d’Ivoire","CI flag","cote_divoire flag_ci"],
+    ["🇨🇰",8,"flag: Cook Islands","CK flag","cook_islands flag_ck"],
+    ["🇨🇱",8,"flag: Chile","CL flag","chile flag_cl"],
+    ["🇨🇲",8,"flag: Cameroon","CM flag","cameroon flag_cm"],
+    ["🇨🇳",8,"flag: China","CN flag","cn china flag_cn"],
+    ["🇨🇴",8,"flag: Colombia","CO flag","colombia flag_co"],
+    ["🇨🇵",8,"flag: Clipperton Island","CP flag","clipperton_island flag_cp"],
+    ["🇨🇶",8,"flag: Sark","CQ flag","flag_cq sark"],
+    ["🇨🇷",8,"flag: Costa Rica","CR flag","costa_rica flag_cr"],
+    ["🇨🇺",8,"flag: Cuba","CU flag","cuba flag_cu"],
+    ["🇨🇻",8,"flag: Cape Verde","CV flag","cape_verde flag_cv"],
+    ["🇨🇼",8,"flag: Curaçao","CW flag","curacao flag_cw"],
+    ["🇨🇽",8,"flag: Christmas Island","CX flag","christmas_island flag_cx"],
+    ["🇨🇾",8,"flag: Cyprus","CY flag","cyprus flag_cy"],
+    ["🇨🇿",8,"flag: Czechia","CZ flag","czech_republic czechia flag_cz"],
+    ["🇩🇪",8,"flag: Germany","DE flag","de flag_de germany"],
+    ["🇩🇬",8,"flag: Diego Garcia","DG flag","diego_garcia flag_dg"],
+    ["🇩🇯",8,"flag: Djibouti","DJ flag","djibouti flag_dj"],
+    ["🇩🇰",8,"flag: Denmark","DK flag","denmark flag_dk"],
+    ["🇩🇲",8,"flag: Dominica","DM flag","dominica flag_dm"],
+    ["🇩🇴",8,"flag: Dominican Republic","DO flag","dominican_republic flag_do"],
+    ["🇩🇿",8,"flag: Algeria","DZ flag","algeria flag_dz"],
+    ["🇪🇦",8,"flag: Ceuta & Melilla","EA flag","ceuta_melilla flag_ea"],
+    ["🇪🇨",8,"flag: Ecuador","EC flag","ecuador flag_ec"],
+    ["🇪🇪",8,"flag: Estonia","EE flag","estonia flag_ee"],
+    ["🇪🇬",8,"flag: Egypt","EG flag","egypt flag_eg"],
+    ["🇪🇭",8,"flag: Western Sahara","EH flag","western_sahara flag_eh"],
+    ["🇪🇷",8,"flag: Eritrea","ER flag","eritrea flag_er"],
+    ["🇪🇸",8,"flag: Spain","ES flag","es flag_es spain"],
+    ["🇪🇹",8,"flag: Ethiopia","ET flag","ethiopia flag_et"],
+    ["🇪🇺",8,"flag: European Union","EU flag","eu european_union flag_eu"],
+    ["🇫🇮",8,"flag: Finland","FI flag","finland flag_fi"],
+    ["🇫🇯",8,"flag: Fiji","FJ flag","fiji flag_fj"],
+    ["🇫🇰",8,"flag: Falkland Islands","FK flag","falkland_islands flag_fk"],
+    ["🇫🇲",8,"flag: Micronesia","FM flag","micronesia flag_fm"],
+    ["🇫🇴",8,"flag: Faroe Islands","FO flag","faroe_islands flag_fo"],
+    ["🇫🇷",8,"flag: France","FR flag","fr flag_fr france"],
+    ["🇬🇦",8,"flag: Gabon","GA flag","gabon flag_ga"],
+    ["🇬🇧",8,"flag: United Kingdom","GB flag","gb uk flag_gb united_kingdom"],
+    ["🇬🇩",8,"flag: Grenada","GD flag","grenada flag_gd"],
+    ["🇬🇪",8,"flag: Georgia","GE flag","georgia flag_ge"],
+    ["🇬🇫",8,"flag: French Guiana","GF flag","french_guiana flag_gf"],
+    ["🇬🇬",8,"flag: Guernsey","GG flag","guernsey flag_gg"],
+    ["🇬🇭",8,"flag: Ghana","GH flag","ghana flag_gh"],
+    ["🇬🇮",8,"flag: Gibraltar","GI flag","gibraltar flag_gi"],
+    ["🇬🇱",8,"flag: Greenland","GL flag","greenland flag_gl"],
+    ["🇬🇲",8,"flag: Gambia","GM flag","gambia flag_gm"],
+    ["🇬🇳",8,"flag: Guinea","GN flag","guinea flag_gn"],
+    ["🇬🇵",8,"flag: Guadeloupe","GP flag","guadeloupe flag_gp"],
+    ["🇬🇶",8,"flag: Equatorial Guinea","GQ flag","equatorial_guinea flag_gq"],
+    ["🇬🇷",8,"flag: Greece","GR flag","greece flag_gr"],
+    ["🇬🇸",8,"flag: South Georgia & South Sandwich Islands","GS flag","south_georgia_south_sandwich_islands flag_gs"],
+    ["🇬🇹",8,"flag: Guatemala","GT flag","guatemala flag_gt"],
+    ["🇬🇺",8,"flag: Guam","GU flag","guam flag_gu"],
+    ["🇬🇼",8,"flag: Guinea-Bissau","GW flag","guinea_bissau flag_gw"],
+    ["🇬🇾",8,"flag: Guyana","GY flag","guyana flag_gy"],
+    ["🇭🇰",8,"flag: Hong Kong SAR China","HK flag","hong_kong flag_hk"],
+    ["🇭🇲",8,"flag: Heard & McDonald Islands","HM flag","heard_mcdonald_islands flag_hm"],
+    ["🇭🇳",8,"flag: Honduras","HN flag","honduras flag_hn"],
+    ["🇭🇷",8,"flag: Croatia","HR flag","croatia flag_hr"],
+    ["🇭🇹",8,"flag: Haiti","HT flag","haiti flag_ht"],
+    ["🇭🇺",8,"flag: Hungary","HU flag","hungary flag_hu"],
+    ["🇮🇨",8,"flag: Canary Islands","IC flag","canary_islands flag_ic"],
+    ["🇮🇩",8,"flag: Indonesia","ID flag","indonesia flag_id"],
+    ["🇮🇪",8,"flag: Ireland","IE flag","ireland flag_ie"],
+    ["🇮🇱",8,"flag: Israel","IL flag","israel flag_il"],
+    ["🇮🇲",8,"flag: Isle of Man","IM flag","isle_of_man flag_im"],
+    ["🇮🇳",8,"flag: India","IN flag","india flag_in"],
+    ["🇮🇴",8,"flag: British Indian Ocean Territory","IO flag","british_indian_ocean_territory flag_io"],
+    ["🇮🇶",8,"flag: Iraq","IQ flag","iraq flag_iq"],
+    ["🇮🇷",8,"flag: Iran","IR flag","iran flag_ir"],
+    ["🇮🇸",8,"flag: Iceland","IS flag","iceland flag_is"],
+    ["🇮🇹",8,"flag: Italy","IT flag","it flag_it italy"],
+    ["🇯🇪",8,"flag: Jersey","JE flag","jersey flag_je"],
+    ["🇯🇲",8,"flag: Jamaica","JM flag","jamaica flag_jm"],
+    ["🇯🇴",8,"flag: Jordan","JO flag","jordan flag_jo"],
+    ["🇯🇵",8,"flag: Japan","JP flag","jp flag_jp japan"],
+    ["🇰🇪",8,"flag: Kenya","KE flag","kenya flag_ke"],
+    ["🇰🇬",8,"flag: Kyrgyzstan","KG flag","kyrgyzstan flag_kg"],
+    ["🇰🇭",8,"flag: Cambodia","KH flag","cambodia flag_kh"],
+    ["🇰🇮",8,"flag: Kiribati","KI flag","kiribati flag_ki"],
+    ["🇰🇲",8,"flag: Comoros","KM flag","comoros flag_km"],
+    ["🇰🇳",8,"flag: St. Kitts & Nevis","KN flag","st_kitts_nevis flag_kn"],
+    ["🇰🇵",8,"flag: North Korea","KP flag","north_korea flag_kp"],
+    ["🇰🇷",8,"flag: South Korea","KR flag","kr flag_kr south_korea"],
+    ["🇰🇼",8,"flag: Kuwait","KW flag","kuwait flag_kw"],
+    ["🇰🇾",8,"flag: Cayman Islands","KY flag","cayman_islands flag_ky"],
+    ["🇰🇿",8,"flag: Kazakhstan","KZ flag","kazakhstan flag_kz"],
+    ["🇱🇦",8,"flag: Laos","LA flag","laos flag_la"],
+    ["🇱🇧",8,"flag: Lebanon","LB flag","lebanon flag_lb"],
+    ["🇱🇨",8,"flag: St. Lucia","LC flag","st_lucia flag_lc"],
+    ["🇱🇮",8,"flag: Liechtenstein","LI flag","liechtenstein flag_li"],
+    ["🇱🇰",8,"flag: Sri Lanka","LK flag","sri_lanka flag_lk"],
+    ["🇱🇷",8,"flag: Liberia","LR flag","liberia flag_lr"],
+    ["🇱🇸",8,"flag: Lesotho","LS flag","lesotho flag_ls"],
+    ["🇱🇹",8,"flag: Lithuania","LT flag","lithuania flag_lt"],
+    ["🇱🇺",8,"flag: Luxembourg","LU flag","luxembourg flag_lu"],
+    ["🇱🇻",8,"flag: Latvia","LV flag","latvia flag_lv"],
+    ["🇱🇾",8,"flag: Libya","LY flag","libya flag_ly"],
+    ["🇲🇦",8,"flag: Morocco","MA flag","morocco flag_ma"],
+    ["🇲🇨",8,"flag: Monaco","MC flag","monaco flag_mc"],
+    ["🇲🇩",8,"flag: Moldova","MD flag","moldova flag_md"],
+    ["🇲🇪",8,"flag: Montenegro","ME flag","montenegro flag_me"],
+    ["🇲🇫",8,"flag: St. Martin","MF flag","st_martin flag_mf"],
+    ["🇲🇬",8,"flag: Madagascar","MG flag","madagascar flag_mg"],
+    ["🇲🇭",8,"flag: Marshall Islands","MH flag","marshall_islands flag_mh"],
+    ["🇲🇰",8,"flag: North Macedonia","MK flag","macedonia flag_mk"],
+    ["🇲🇱",8,"flag: Mali","ML flag","mali flag_ml"],
+    ["🇲🇲",8,"flag: Myanmar (Burma)","MM flag","myanmar burma flag_mm"],
+    ["🇲🇳",8,"flag: Mongolia","MN flag","mongolia flag_mn"],
+    ["🇲🇴",8,"flag: Macao SAR China","MO flag","macau flag_mo macao"],
+    ["🇲🇵",8,"flag: Northern Mariana Islands","MP flag","northern_mariana_islands flag_mp"],
+    ["🇲🇶",8,"flag: Martinique","MQ flag","martinique flag_mq"],
+    ["🇲🇷",8,"flag: Mauritania","MR flag","mauritania flag_mr"],
+    ["🇲🇸",8,"flag: Montserrat","MS flag","montserrat flag_ms"],
+    ["🇲🇹",8,"flag: Malta","MT flag","malta flag_mt"],
+    ["🇲🇺",8,"flag: Mauritius","MU flag","mauritius flag_mu"],
+    ["🇲🇻",8,"flag: Maldives","MV flag","maldives flag_mv"],
+    ["🇲🇼",8,"flag: Malawi","MW flag","malawi flag_mw"],
+    ["🇲🇽",8,"flag: Mexico","MX flag","mexico flag_mx"],
+    ["🇲🇾",8,"flag: Malaysia","MY flag","malaysia flag_my"],
+    ["🇲🇿",8,"flag: Mozambique","MZ flag","mozambique flag_mz"],
+    ["🇳🇦",8,"flag: Namibia","NA flag","namibia flag_na"],
+    ["🇳🇨",8,"flag: New Caledonia","NC flag","new_caledonia flag_nc"],
+    ["🇳🇪",8,"flag: Niger","NE flag","niger flag_ne"],
+    ["🇳🇫",8,"flag: Norfolk Island","NF flag","norfolk_island flag_nf"],
+    ["🇳🇬",8,"flag: Nigeria","NG flag","nigeria flag_ng"],
+    ["🇳🇮",8,"flag: Nicaragua","NI flag","nicaragua flag_ni"],
+    ["🇳🇱",8,"flag: Netherlands","NL flag","netherlands flag_nl"],
+    ["🇳🇴",8,"flag: Norway","NO flag","norway flag_no"],
+    ["🇳🇵",8,"flag: Nepal","NP flag","nepal flag_np"],
+    ["🇳🇷",8,"flag: Nauru","NR flag","nauru flag_nr"],
+    ["🇳🇺",8,"flag: Niue","NU flag","niue flag_nu"],
+    ["🇳🇿",8,"flag: New Zealand","NZ flag","new_zealand flag_nz"],
+    ["🇴🇲",8,"flag: Oman","OM flag","oman flag_om"],
+    ["🇵🇦",8,"flag: Panama","PA flag","panama flag_pa"],
+    ["🇵🇪",8,"flag: Peru","PE flag","peru flag_pe"],
+    ["🇵🇫",8,"flag: French Polynesia","PF flag","french_polynesia flag_pf"],
+    ["🇵🇬",8,"flag: Papua New Guinea","PG flag","papua_new_guinea flag_pg"],
+    ["🇵🇭",8,"flag: Philippines","PH flag","philippines flag_ph"],
+    ["🇵🇰",8,"flag: Pakistan","PK flag","pakistan flag_pk"],
+    ["🇵🇱",8,"flag: Poland","PL flag","poland flag_pl"],
+    ["🇵🇲",8,"flag: St. Pierre & Miquelon","PM flag","st_pierre_miquelon flag_pm"],
+    ["🇵🇳",8,"flag: Pitcairn Islands","PN flag","pitcairn_islands flag_pn"],
+    ["🇵🇷",8,"flag: Puerto Rico","PR flag","puerto_rico flag_pr"],
+    ["🇵🇸",8,"flag: Palestinian Territories","PS flag","palestinian_territories flag_ps"],
+    ["🇵🇹",8,"flag: Portugal","PT flag","portugal flag_pt"],
+    ["🇵🇼",8,"flag: Palau","PW flag","palau flag_pw"],
+    ["🇵🇾",8,"flag: Paraguay","PY flag","paraguay flag_py"],
+    ["🇶🇦",8,"flag: Qatar","QA flag","qatar flag_qa"],
+    ["🇷🇪",8,"flag: Réunion","RE flag","reunion flag_re"],
+    ["🇷🇴",8,"flag: Romania","RO flag","romania flag_ro"],
+    ["🇷🇸",8,"flag: Serbia","RS flag","serbia flag_rs"],
+    ["🇷🇺",8,"flag: Russia","RU flag","ru flag_ru russia"],
+    ["🇷🇼",8,"flag: Rwanda","RW flag","rwanda flag_rw"],
+    ["🇸🇦",8,"flag: Saudi Arabia","SA flag","saudi_arabia flag_sa"],
+    ["🇸🇧",8,"flag: Solomon Islands","SB flag","solomon_islands flag_sb"],
+    ["🇸🇨",8,"flag: Seychelles","SC flag","seychelles flag_sc"],
+    ["🇸🇩",8,"flag: Sudan","SD flag","sudan flag_sd"],
+    ["🇸🇪",8,"flag: Sweden","SE flag","sweden flag_se"],
+    ["🇸🇬",8,"flag: Singapore","SG flag","singapore flag_sg"],
+    ["🇸🇭",8,"flag: St. Helena","SH flag","st_helena flag_sh"],
+    ["🇸🇮",8,"flag: Slovenia","SI flag","slovenia flag_si"],
+    ["🇸🇯",8,"flag: Svalbard & Jan Mayen","SJ flag","svalbard_jan_mayen flag_sj"],
+    ["🇸🇰",8,"flag: Slovakia","SK flag","slovakia flag_sk"],
+    ["🇸🇱",8,"flag: Sierra Leone","SL flag","sierra_leone flag_sl"],
+    ["🇸🇲",8,"flag: San Marino","SM flag","san_marino flag_sm"],
+    ["🇸🇳",8,"flag: Senegal","SN flag","senegal flag_sn"],
+    ["🇸🇴",8,"flag: Somalia","SO flag","somalia flag_so"],
+    ["🇸🇷",8,"flag: Suriname","SR flag","suriname flag_sr"],
+    ["🇸🇸",8,"flag: South Sudan","SS flag","south_sudan flag_ss"],
+    ["🇸🇹",8,"flag: São Tomé & Príncipe","ST flag","sao_tome_principe flag_st"],
+    ["🇸🇻",8,"flag: El Salvador","SV flag","el_salvador flag_sv"],
+    ["🇸🇽",8,"flag: Sint Maarten","SX flag","sint_maarten flag_sx"],
+    ["🇸🇾",8,"flag: Syria","SY flag","syria flag_sy"],
+    ["🇸🇿",8,"flag: Eswatini","SZ flag","swaziland eswatini flag_sz"],
+    ["🇹🇦",8,"flag: Tristan da Cunha","TA flag","tristan_da_cunha flag_ta"],
+    ["🇹🇨",8,"flag: Turks & Caicos Islands","TC flag","turks_caicos_islands flag_tc"],
+    ["🇹🇩",8,"flag: Chad","TD flag","chad flag_td"],
+    ["🇹🇫",8,"flag: French Southern Territories","TF flag","french_southern_territories flag_tf"],
+    ["🇹🇬",8,"flag: Togo","TG flag","togo flag_tg"],
+    ["🇹🇭",8,"flag: Thailand","TH flag","thailand flag_th"],
+    ["🇹🇯",8,"flag: Tajikistan","TJ flag","tajikistan flag_tj"],
+    ["🇹🇰",8,"flag: Tokelau","TK flag","tokelau flag_tk"],
+    ["🇹🇱",8,"flag: Timor-Leste","TL flag","timor_leste flag_tl"],
+    ["🇹🇲",8,"flag: Turkmenistan","TM flag","turkmenistan flag_tm"],
+    ["🇹🇳",8,"flag: Tunisia","TN flag","tunisia flag_tn"],
+    ["🇹🇴",8,"flag: Tonga","TO flag","tonga flag_to"],
+    ["🇹🇷",8,"flag: Türkiye","TR flag","tr flag_tr turkey_tr"],
+    ["🇹🇹",8,"flag: Trinidad & Tobago","TT flag","trinidad_tobago flag_tt"],
+    ["🇹🇻",8,"flag: Tuvalu","TV flag","tuvalu flag_tv"],
+    ["🇹🇼",8,"flag: Taiwan","TW flag","taiwan flag_tw"],
+    ["🇹🇿",8,"flag: Tanzania","TZ flag","tanzania flag_tz"],
+    ["🇺🇦",8,"flag: Ukraine","UA flag","ukraine flag_ua"],
+    ["🇺🇬",8,"flag: Uganda","UG flag","uganda flag_ug"],
+    ["🇺🇲",8,"flag: U.S. Outlying Islands","UM flag","us_outlying_islands flag_um"],
+    ["🇺🇳",8,"flag: United Nations","UN flag","united_nations flag_un un"],
+    ["🇺🇸",8,"flag: United States","US flag","us flag_us united_states usa"],
+    ["🇺🇾",8,"flag: Uruguay","UY flag","uruguay flag_uy"],
+    ["🇺🇿",8,"flag: Uzbekistan","UZ flag","uzbekistan flag_uz"],
+    ["🇻🇦",8,"flag: Vatican City","VA flag","vatican_city flag_va"],
+    ["🇻🇨",8,"flag: St. Vincent & Grenadines","VC flag","st_vincent_grenadines flag_vc"],
+    ["🇻🇪",8,"flag: Venezuela","VE flag","venezuela flag_ve"],
+    ["🇻🇬",8,"flag: British Virgin Islands","VG flag","british_virgin_islands flag_vg"],
+    ["🇻🇮",8,"flag: U.S. Virgin Islands","VI flag","us_virgin_islands flag_vi"],
+    ["🇻🇳",8,"flag: Vietnam","VN flag","vietnam flag_vn"],
+    ["🇻🇺",8,"flag: Vanuatu","VU flag","vanuatu flag_vu"],
+    ["🇼🇫",8,"flag: Wallis & Futuna","WF flag","wallis_futuna flag_wf"],
+    ["🇼🇸",8,"flag: Samoa","WS flag","samoa flag_ws"],
+    ["🇽🇰",8,"flag: Kosovo","XK flag","kosovo flag_xk"],
+    ["🇾🇪",8,"flag: Yemen","YE flag","yemen flag_ye"],
+    ["🇾🇹",8,"flag: Mayotte","YT flag","mayotte flag_yt"],
+    ["🇿🇦",8,"flag: South Africa","ZA flag","south_africa flag_za"],
+    ["🇿🇲",8,"flag: Zambia","ZM flag","zambia flag_zm"],
+    ["🇿🇼",8,"flag: Zimbabwe","ZW flag","zimbabwe flag_zw"],
+    ["🏴󠁧󠁢󠁥󠁮󠁧󠁿",8,"flag: England","flag gbeng","england flag_gbeng"],
+    ["🏴󠁧󠁢󠁳󠁣󠁴󠁿",8,"flag: Scotland","flag gbsct","scotland flag_gbsct"],
+    ["🏴󠁧󠁢󠁷󠁬󠁳󠁿",8,"flag: Wales","flag gbwls","wales flag_gbwls"]
+  ]
+};
@@ -0,0 +1,23 @@
+// sw.js - service worker for Mirror's desktop notifications
+// - The page hands notifications to it (registration.showNotification), so they still
+//   show while the tab is in the background
+// - Clicking one focuses an open Mirror tab and opens the chat there, or opens a new tab
+
+'use strict';
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const chatId = event.notification.data && event.notification.data.chatId;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+      await windows[0].focus();
+      windows[0].postMessage({ type: 'openChat', chatId });
+      return;
+    }
+    await self.clients.openWindow(chatId ? '/?chat=' + encodeURIComponent(chatId) : '/');
+  })());
+});
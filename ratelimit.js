@@ -0,0 +1,39 @@
+// ratelimit.js - in-memory request limits for the API
+// - rateLimit({ windowMs, max, key }) is route middleware; key(req) picks the counter
+//   (a user id, an IP) and each counter allows `max` requests per fixed window
+// - Over the limit: 429 { error, code: 'rate_limited', details: { retryAfter } } plus a
+//   Retry-After header, both in seconds
+// - Counters live in this process only, so a restart starts them over
+
+'use strict';
+
+function rateLimit({ windowMs, max, key, message = 'Too many requests, try again in a moment' }) {
+  const counters = new Map(); // key -> { count, resetAt }
+
+  // Forget finished windows so idle keys don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, id) => {
+      if (counter.resetAt <= now) counters.delete(id);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const id = key(req);
+    if (id === undefined || id === null) return next();
+    const now = Date.now();
+    let counter = counters.get(id);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(id, counter);
+    }
+    counter.count++;
+    if (counter.count <= max) return next();
+    const retryAfter = Math.ceil((counter.resetAt - now) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: message, code: 'rate_limited', details: { retryAfter } });
+  };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,112 @@
+// realtime.js - WebSocket hub that pushes chat events to connected browsers
+// - Accepts upgrades on a single path (default /ws) next to the Express app
+// - Tracks sockets per user so an event can be fanned out to every open tab
+// - Pings clients periodically and drops the ones that stopped answering
+// - checkOrigin(origin, req) vets the Origin header of browser upgrades before the
+//   session cookie is looked at
+// - onPresence(userId, online) fires when a user's first socket opens and their last one closes
+// - closeSession(sessionId) closes the sockets opened with a session (code 4001) once it ends
+
+'use strict';
+
+const { WebSocketServer, WebSocket } = require('ws');
+
+const HEARTBEAT_MS = 30000;
+// Close code telling the client its session ended, so it shouldn't reconnect
+const SESSION_ENDED = 4001;
+
+function createRealtime({ server, path = '/ws', checkOrigin, authenticate, onMessage, onConnect, onPresence }) {
+  const wss = new WebSocketServer({ noServer: true });
+  const socketsByUser = new Map();
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== path) return socket.destroy();
+    const origin = req.headers.origin;
+    if (origin && checkOrigin && !checkOrigin(origin, req)) {
+      socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return socket.destroy();
+    }
+
+    Promise.resolve(authenticate(req))
+      .then(userId => {
+        if (!userId) {
+          socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+          return socket.destroy();
+        }
+        wss.handleUpgrade(req, socket, head, ws => {
+          ws.userId = userId;
+          // Set by the session middleware that authenticate() ran
+          ws.sessionId = req.sessionID;
+          wss.emit('connection', ws, req);
+        });
+      })
+      .catch(() => socket.destroy());
+  });
+
+  wss.on('connection', ws => {
+    const first = !socketsByUser.has(ws.userId);
+    if (first) socketsByUser.set(ws.userId, new Set());
+    socketsByUser.get(ws.userId).add(ws);
+    if (first && onPresence) onPresence(ws.userId, true);
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', raw => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch (err) {
+        return;
+      }
+      if (msg && typeof msg.type === 'string' && onMessage) onMessage(ws, msg);
+    });
+    ws.on('close', () => {
+      const sockets = socketsByUser.get(ws.userId);
+      if (!sockets) return;
+      sockets.delete(ws);
+      if (sockets.size > 0) return;
+      socketsByUser.delete(ws.userId);
+      if (onPresence) onPresence(ws.userId, false);
+    });
+
+    if (onConnect) onConnect(ws);
+  });
+
+  // Terminate sockets that missed the previous ping; the client reconnects on its own
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  function send(ws, type, payload) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify(Object.assign({ type }, payload)));
+  }
+
+  function sendToUsers(userIds, type, payload) {
+    userIds.forEach(userId => {
+      const sockets = socketsByUser.get(userId);
+      if (sockets) sockets.forEach(ws => send(ws, type, payload));
+    });
+  }
+
+  function isOnline(userId) {
+    return socketsByUser.has(userId);
+  }
+
+  function closeSession(sessionId) {
+    wss.clients.forEach(ws => {
+      if (ws.sessionId === sessionId) ws.close(SESSION_ENDED, 'Session ended');
+    });
+  }
+
+  return { send, sendToUsers, isOnline, closeSession };
+}
+
+module.exports = { createRealtime };
@@ -1,157 +1,2007 @@
 // server.js - lightweight Node/Express backend for the Mirror frontend
 // - Serves static frontend from ./public
+// - Persists users, contacts and chats through store.js (JSON file under ./data by default)
+// - Accounts with session login: /api/auth/register, /api/auth/login, /api/auth/logout
 // - Exposes /api/init, /api/profile, /api/chats/:chatId, /api/chats/:chatId/messages, /api/chats/:chatId/files
-// - Handles file uploads via multer and stores in ./uploads (served statically at /uploads)
+// - Sends carry a client-generated clientId; resending one returns the stored message instead of a copy
+// - Messages are paged: GET /api/chats/:chatId/messages?before=<seq>&limit=<n>; /api/init only sends chat summaries
+// - Chat list state per user (pin, archive, mute, mark unread, notification level):
+//   PATCH /api/chats/:chatId/prefs; the global notification settings are part of the profile
+// - Groups: /api/groups, rename via PATCH /api/chats/:chatId, members and roles under /api/chats/:chatId/members
+// - Message actions: PATCH /api/chats/:chatId/messages/:messageId (edit), DELETE ...?scope=me|everyone
+// - Stars: POST/DELETE /api/chats/:chatId/messages/:messageId/star, GET /api/starred
+// - Reactions: POST (body { emoji }) / DELETE /api/chats/:chatId/messages/:messageId/reaction
+// - Voice notes are audio uploads to the files route with voiceDuration and waveform fields
+// - Messages record @mentioned members; the first link gets a preview card fetched in the
+//   background (linkpreview.js, images under /api/link-previews/:name) unless sent with noPreview
+// - Scheduled messages: sendAt on a message or file upload holds it until then; the
+//   sender lists, edits and cancels them under /api/scheduled
+// - Disappearing messages: PATCH /api/chats/:chatId/disappearing { seconds }; expired
+//   messages and their files are purged and members get { type: 'messagesRemoved' }
+// - Export a chat as a zip (JSON + transcript + files): GET /api/chats/:chatId/export;
+//   restore one into a new chat: POST /api/chats/import
+// - Search: GET /api/search?q=&chatId=&from=&to= over message text and attachment names
+// - Friends: /api/users/:userId lookup, /api/friend-requests (send/accept/decline/cancel), /api/friends/:userId
+// - Avatars: POST/DELETE /api/profile/avatar; stored cropped in two sizes and served to
+//   whoever may see them at GET /api/users/:userId/avatar/:size (small | large)
+// - Privacy: POST /api/blocks, DELETE /api/blocks/:userId; who sees the avatar, about text and
+//   last seen, and whether the ID lookup finds the user, is part of the profile. A block stops
+//   direct messages and adding either side to a group; groups both already share keep working
+// - Presence: members get { type: 'presence', userId, online, lastSeenAt } when someone comes or goes
+// - Handles file uploads via multer and stores in ./uploads; files are only served to members
+//   of their chat via /api/attachments/:id (and /thumb). Size/type limits, sniffing,
+//   thumbnails and quotas live in attachments.js (GET /api/storage)
+// - Pushes new messages and chat-list updates to connected clients over WebSockets (/ws)
+// - Needs SESSION_SECRET outside development; CORS_ORIGINS lists other sites that may call
+//   the API (and open /ws) with the user's cookie
+// - Every /api route declares the fields it accepts (validation.js); errors are
+//   { error, code, details? }. Sending, uploads, new chats, friend requests and logins
+//   are rate limited per user and per IP (ratelimit.js)
 
 'use strict';
 
+require('dotenv').config({ quiet: true });
+
 const express = require('express');
+const session = require('express-session');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const multer = require('multer');
+const contentDisposition = require('content-disposition');
+const { createRealtime } = require('./realtime');
+const { createStore } = require('./store');
+const attachments = require('./attachments');
+const { createArchive, readArchive } = require('./archive');
+const { createLinkPreviews, firstUrl } = require('./linkpreview');
+const { hashPassword, verifyPassword, requireUser, SessionStore } = require('./auth');
+const {
+  validate, check, sendInvalid, errorCodes, errorHandler, string, integer, boolean, oneOf, array, object
+} = require('./validation');
+const { rateLimit } = require('./ratelimit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DEVELOPMENT = ['development', 'test'].includes(process.env.NODE_ENV);
+// Other sites allowed to call the API with the user's cookies (comma-separated origins).
+// The app itself is served from this server, so none are needed by default.
+const ALLOWED_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+// A built-in key would let anyone forge session cookies, so it only signs them in development
+const SESSION_SECRET = process.env.SESSION_SECRET || (DEVELOPMENT ? 'mirror-dev-secret' : null);
+if (!SESSION_SECRET) {
+  console.error('Set SESSION_SECRET (or NODE_ENV=development to use a built-in key)');
+  process.exit(1);
+}
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so per-IP limits see the client's address
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 
 // Middleware
-app.use(cors({ origin: true }));
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true }));
+if (ALLOWED_ORIGINS.length > 0) app.use(cors({ origin: ALLOWED_ORIGINS, credentials: true }));
+app.use('/api', errorCodes());
+app.use(express.json({ limit: '100kb' }));
+app.use(express.urlencoded({ extended: false, limit: '16kb' }));
+
+// Persistent data (users, contacts, chats) lives behind the repository in store.js. The demo
+// accounts share a known password, so only development seeds them on its own.
+const store = createStore();
+if (store.isNew && DEVELOPMENT) store.seedDemo();
+else if (store.isNew) console.log('Empty store: register an account, or run `npm run seed` for the demo accounts');
+
+// Sessions carry the logged-in user id and are kept in the store, so they outlive restarts;
+// the same parser authenticates WebSocket upgrades
+const sessionParser = session({
+  secret: SESSION_SECRET,
+  store: new SessionStore(store),
+  resave: false,
+  saveUninitialized: false,
+  cookie: { httpOnly: true, sameSite: 'lax', maxAge: 30 * 24 * 60 * 60 * 1000 }
+});
+app.use(sessionParser);
 
-// Static for uploads (files attached in chats)
+// Files attached in chats; not served statically (see GET /api/attachments/:attachmentId)
 const uploadsDir = path.join(__dirname, 'uploads');
 fs.mkdirSync(uploadsDir, { recursive: true });
-app.use('/uploads', express.static(uploadsDir));
+// Link preview thumbnails are kept with the uploads
+const linkPreviews = createLinkPreviews({ imageDir: uploadsDir });
 
 // Static for frontend (public folder with index.html, app.js, styles.css, etc)
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Multer storage for file uploads
+// Multer storage for file uploads. Files land under a temporary name and are
+// renamed after their content has been checked (see the files route).
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadsDir);
   },
   filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname) || '';
-    const base = path.basename(file.originalname, ext).replace(/\s+/g, '_');
-    const unique = Date.now() + '-' + Math.floor(Math.random() * 1e9);
-    cb(null, base + '-' + unique + ext);
-  }
-});
-const upload = multer({ storage });
-
-// In-memory mock data to support frontend flows
-let dataStore = {
-  user: { id: '100001', name: 'You', about: '', phone: '' },
-  contacts: [
-    { id: '200001', name: 'Alex Chen' },
-    { id: '200002', name: 'Priya Patel' },
-    { id: '300001', name: 'Luis Martinez' },
-    { id: '300002', name: 'Emma Rossi' }
-  ],
-  chats: [
-    // Example chat shape (optional pre-seed)
-    // {
-    //   id: 'c1001',
-    //   name: 'Alex Chen',
-    //   time: '12:34',
-    //   lastMessage: 'Hi!',
-    //   messages: [{ text: 'Hi', type: 'sent', time: '12:33' }]
-    // }
-  ]
-};
+    cb(null, 'incoming-' + crypto.randomUUID());
+  }
+});
+const upload = multer({ storage, limits: { fileSize: attachments.limits.maxFileBytes, files: 1 } });
+const importUpload = multer({ storage, limits: { fileSize: attachments.limits.importMaxBytes, files: 1 } });
+const avatarUpload = multer({ storage, limits: { fileSize: attachments.AVATAR_MAX_BYTES, files: 1 } });
 
 // Helpers
-function generateChatId() {
-  const base = (dataStore.chats?.length || 0) + 1;
-  return 'c' + (1000 + base + Math.floor(Math.random() * 900)).toString().slice(-4);
+const PROFILE_FIELDS = ['name', 'about', 'phone'];
+const MAX_NAME_LENGTH = 100;
+const MAX_ABOUT_LENGTH = 500;
+const MAX_MESSAGE_LENGTH = 10000;
+const MAX_GROUP_MEMBERS = 256;
+const MAX_RECENT_EMOJI = 24;
+const MAX_EMOJI_LENGTH = 16;
+const MAX_VOICE_SECONDS = 15 * 60;
+const WAVEFORM_BARS = 64;
+const MAX_PINNED_CHATS = 3;
+// What alerts the user: every message, only @mentions and replies to them, or nothing
+const NOTIFY_LEVELS = ['all', 'mentions', 'none'];
+const NOTIFICATION_SOUNDS = ['chime', 'pop', 'none'];
+const DEFAULT_NOTIFICATIONS = { level: 'all', sound: 'chime' };
+// Who may see a profile field: everyone, only friends, or nobody. searchable: false hides
+// the user from the ID lookup (and friend requests) of anyone who isn't a friend yet.
+const PRIVACY_LEVELS = ['everyone', 'contacts', 'nobody'];
+const PRIVACY_FIELDS = ['avatar', 'about', 'lastSeen'];
+const DEFAULT_PRIVACY = { avatar: 'everyone', about: 'everyone', lastSeen: 'everyone', searchable: true };
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+// A reconnecting client further behind than this gets the latest page instead of the gap
+const SYNC_LIMIT = 200;
+// Disappearing message timers on offer, in seconds: 24 hours, 7 days, 90 days
+const DISAPPEAR_OPTIONS = [24 * 3600, 7 * 24 * 3600, 90 * 24 * 3600];
+const MAX_SCHEDULE_DAYS = 365;
+const MAX_SCHEDULED_PER_USER = 100;
+// How often due scheduled messages are sent and expired ones purged
+const TIMER_INTERVAL_MS = 10 * 1000;
+
+// What `viewerId` may see about a user: the avatar, about text and presence follow the
+// user's privacy settings, and across a block only the name is left
+function publicUser(user, viewerId) {
+  const view = {
+    id: user.id,
+    name: user.name,
+    about: canSee(user, viewerId, 'about') ? (user.about || '') : '',
+    avatar: canSee(user, viewerId, 'avatar') ? avatarUrls(user) : null
+  };
+  return Object.assign(view, presenceView(user, viewerId));
+}
+
+// { small, large } image URLs, or null without a (finished) avatar. The avatar id in the
+// query string changes with every upload, so browsers may cache the images.
+function avatarUrls(user) {
+  if (!user.avatar || user.avatar.pending) return null;
+  const urls = {};
+  Object.keys(attachments.AVATAR_SIZES).forEach(size => {
+    urls[size] = `/api/users/${user.id}/avatar/${size}?v=${user.avatar.id}`;
+  });
+  return urls;
+}
+// What the user sees about themselves, including their preferences and block list
+function profileView(user) {
+  return Object.assign(publicUser(user, user.id), {
+    username: user.username,
+    phone: user.phone || '',
+    recentEmoji: user.recentEmoji || [],
+    skinTone: user.skinTone || 0,
+    notifications: Object.assign({}, DEFAULT_NOTIFICATIONS, user.notifications),
+    privacy: privacyOf(user),
+    blocked: (user.blocked || []).map(id => store.getUser(id)).filter(Boolean).map(u => ({ id: u.id, name: u.name }))
+  });
 }
-function findChat(chatId) {
-  return dataStore.chats.find(c => c.id === chatId);
+
+function privacyOf(user) {
+  return Object.assign({}, DEFAULT_PRIVACY, user.privacy);
+}
+
+// Either of the two has blocked the other
+function blockedBetween(userId, otherId) {
+  const user = store.getUser(userId);
+  const other = store.getUser(otherId);
+  return !!(user && user.blocked.includes(otherId)) || !!(other && other.blocked.includes(userId));
+}
+
+// field: 'avatar' | 'about' | 'lastSeen'
+function canSee(user, viewerId, field) {
+  if (user.id === viewerId) return true;
+  if (blockedBetween(user.id, viewerId)) return false;
+  const level = privacyOf(user)[field];
+  return level === 'everyone' || (level === 'contacts' && user.contacts.includes(viewerId));
+}
+
+// { online, lastSeenAt } when the viewer may see them, else nothing
+function presenceView(user, viewerId) {
+  if (user.id === viewerId || !canSee(user, viewerId, 'lastSeen')) return {};
+  return { online: realtime.isOnline(user.id), lastSeenAt: user.lastSeenAt || null };
+}
+
+// Whether the ID lookup and friend requests may reach `user`
+function findableBy(user, viewerId) {
+  if (user.id === viewerId || user.contacts.includes(viewerId)) return true;
+  return !user.blocked.includes(viewerId) && privacyOf(user).searchable;
 }
-function currentUserId(){ return dataStore.user?.id || '100001'; }
+
+// Why `userId` can't post in a direct chat, or null. Nobody can add a user to a group when
+// either side has blocked the other, but a block doesn't remove anyone from a group they already
+// share: both keep posting there, and the blocker can leave the group if they want to.
+function blockedReason(chat, userId) {
+  if (chat.kind !== 'direct') return null;
+  const otherId = chat.memberIds.find(id => id !== userId);
+  if (!otherId || !blockedBetween(userId, otherId)) return null;
+  return store.getUser(userId).blocked.includes(otherId)
+    ? 'Unblock this contact to send messages'
+    : "You can't send messages to this contact";
+}
+
+// A single emoji, possibly a ZWJ sequence, flag, keycap or skin-toned
+function isEmoji(value) {
+  return typeof value === 'string' && value.length <= MAX_EMOJI_LENGTH &&
+    /^[\p{Emoji}\p{Emoji_Component}\u200d\ufe0f]+$/u.test(value) &&
+    /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u.test(value);
+}
+
+// { duration, waveform } for a voice note upload, or null when the fields are missing
+// or malformed. The waveform is a comma-separated list of bar heights from 0 to 100.
+function voiceFields(body) {
+  const duration = Number(body?.voiceDuration);
+  if (!Number.isFinite(duration) || duration <= 0 || duration > MAX_VOICE_SECONDS) return null;
+  const waveform = String(body.waveform || '').split(',').filter(Boolean).slice(0, WAVEFORM_BARS)
+    .map(n => Math.min(100, Math.max(0, Math.round(Number(n)) || 0)));
+  return { duration: Math.round(duration * 10) / 10, waveform };
+}
+
+function isMember(chat, userId) {
+  return !!chat && chat.memberIds.includes(userId);
+}
+function isAdmin(chat, userId) {
+  return isMember(chat, userId) && chat.adminIds.includes(userId);
+}
+
+// Direct chats are named after the other person; named chats keep their name
+function chatName(chat, userId) {
+  if (chat.name) return chat.name;
+  const otherId = chat.memberIds.find(id => id !== userId);
+  const other = otherId && store.getUser(otherId);
+  return other ? other.name : 'Chat';
+}
+
+// Messages are stored with a senderId; 'sent'/'received' depends on who is looking.
+// A message the viewer deleted for themselves comes back as a bare placeholder so
+// seq-based paging stays contiguous; replies carry a preview of the quoted message.
+function messageView(message, userId, chatId) {
+  if ((message.hiddenFor || []).includes(userId)) {
+    return { id: message.id, seq: message.seq, changeSeq: message.changeSeq, createdAt: message.createdAt, hidden: true };
+  }
+  const view = Object.assign({}, message, { type: message.senderId === userId ? 'sent' : 'received' });
+  delete view.hiddenFor;
+  if (!message.deleted && store.isStarred(userId, message.id)) view.starred = true;
+  if (message.replyTo) view.replyPreview = replyPreview(chatId, message.replyTo);
+  return view;
+}
+
+function replyPreview(chatId, messageId) {
+  const original = store.getMessage(chatId, messageId);
+  if (!original) return { id: messageId, missing: true };
+  return {
+    id: original.id,
+    senderId: original.senderId,
+    senderName: original.senderId ? nameOf(original.senderId) : (original.authorName || null),
+    text: original.deleted ? '' : (original.text || ''),
+    fileName: original.deleted ? null : (original.fileName || null),
+    isImage: !original.deleted && !!original.isImage,
+    isVoice: !original.deleted && !!original.voice,
+    deleted: !!original.deleted
+  };
+}
+
+// @mentions: members whose "@Full Name" appears in the text (the composer inserts full
+// names). Stored as user ids on the message.
+function mentionsIn(text, chat) {
+  if (!text || !text.includes('@')) return [];
+  return chat.memberIds.filter(id => {
+    const user = store.getUser(id);
+    return user && text.includes('@' + user.name);
+  });
+}
+
+// Fetch a preview card for the message's first link in the background and push the
+// updated message once there is one
+function attachLinkPreview(chatId, message) {
+  const url = !message.noPreview && firstUrl(message.text);
+  if (!url) return;
+  linkPreviews.get(url).then(preview => {
+    const current = store.getMessage(chatId, message.id);
+    // Edited, deleted or preview turned off while the page was loading
+    if (!preview || !current || current.deleted || current.noPreview || firstUrl(current.text) !== url) return;
+    const updated = store.updateMessage(chatId, message.id, {
+      linkPreview: {
+        url: preview.url,
+        title: preview.title,
+        description: preview.description,
+        siteName: preview.siteName,
+        image: preview.image ? '/api/link-previews/' + preview.image : null
+      }
+    });
+    publishMessage(store.getChat(chatId), updated);
+  });
+}
+
+function chatSummary(chat, userId) {
+  return {
+    id: chat.id,
+    kind: chat.kind,
+    name: chatName(chat, userId),
+    members: chat.memberIds.map(id => {
+      const member = store.getUser(id);
+      return Object.assign(member ? publicUser(member, userId) : { id, name: id }, {
+        role: chat.adminIds.includes(id) ? 'admin' : 'member'
+      });
+    }),
+    lastActivityAt: chat.lastActivityAt,
+    lastMessage: chat.lastMessage,
+    seq: chat.seq || 0,
+    receipts: chat.receipts,
+    unread: store.countUnread(chat.id, userId),
+    prefs: chatPrefsView(store.getChatPrefs(userId, chat.id)),
+    disappearAfter: chat.disappearAfter || null
+  };
+}
+
+// The caller's own chat list state for a chat; a mute that has run out reads as unmuted
+function chatPrefsView(prefs) {
+  return {
+    pinnedAt: prefs.pinnedAt || null,
+    archived: !!prefs.archived,
+    mutedUntil: prefs.mutedUntil && prefs.mutedUntil > new Date().toISOString() ? prefs.mutedUntil : null,
+    markedUnread: !!prefs.markedUnread,
+    notify: prefs.notify || null
+  };
+}
+
+// Summary plus the latest page of messages
+function chatView(chat, userId) {
+  const page = store.listMessages(chat.id, { limit: PAGE_SIZE });
+  return Object.assign(chatSummary(chat, userId), {
+    messages: page.messages.map(m => messageView(m, userId, chat.id)),
+    hasMore: page.hasMore
+  });
+}
+
+// Parse an optional non-negative integer query parameter; NaN means invalid
+function intParam(value) {
+  if (value === undefined) return undefined;
+  return /^\d+$/.test(String(value)) ? Number(value) : NaN;
+}
+
+// How `userId` relates to `otherId`, plus the pending request between them if any
+function relationship(userId, otherId) {
+  if (userId === otherId) return { status: 'self' };
+  const user = store.getUser(userId);
+  if (user.blocked.includes(otherId)) return { status: 'blocked' };
+  if (user.contacts.includes(otherId)) return { status: 'friends' };
+  const pending = store.findPendingRequest(userId, otherId);
+  if (!pending) return { status: 'none' };
+  return { status: pending.fromId === userId ? 'outgoing' : 'incoming', requestId: pending.id };
+}
+
+// As seen by viewerId, one of the two people involved
+function friendRequestView(request, viewerId) {
+  const from = store.getUser(request.fromId);
+  const to = store.getUser(request.toId);
+  return {
+    id: request.id,
+    status: request.status,
+    createdAt: request.createdAt,
+    from: from ? publicUser(from, viewerId) : { id: request.fromId, name: request.fromId },
+    to: to ? publicUser(to, viewerId) : { id: request.toId, name: request.toId }
+  };
+}
+
+function friendsState(userId) {
+  const pending = store.listPendingRequests(userId).map(request => friendRequestView(request, userId));
+  return {
+    contacts: store.listContacts(userId).map(contact => publicUser(contact, userId)),
+    incoming: pending.filter(r => r.to.id === userId),
+    outgoing: pending.filter(r => r.from.id === userId)
+  };
+}
+
+// After a profile or privacy change: everyone sharing a chat with the user, and their
+// friends, get refreshed summaries and contact lists
+function publishProfile(userId) {
+  store.listChatsForUser(userId).forEach(publishChat);
+  publishFriends(store.listContacts(userId).map(contact => contact.id));
+  realtime.sendToUsers([userId], 'profile', { user: profileView(store.getUser(userId)) });
+}
+
+// Online / last seen changed: tell the members of the user's chats who may see it
+function publishPresence(userId) {
+  const user = store.getUser(userId);
+  if (!user) return;
+  const viewers = new Set(user.contacts);
+  store.listChatsForUser(userId).forEach(chat => chat.memberIds.forEach(id => viewers.add(id)));
+  viewers.delete(userId);
+  viewers.forEach(viewerId => {
+    const presence = presenceView(user, viewerId);
+    if (presence.online !== undefined) realtime.sendToUsers([viewerId], 'presence', Object.assign({ userId }, presence));
+  });
+}
+
+// Push the current contacts and pending requests to each user's open tabs
+function publishFriends(userIds) {
+  userIds.forEach(userId => realtime.sendToUsers([userId], 'friends', friendsState(userId)));
+}
+
+// Tell every member's open tabs about a new message and the refreshed chat-list entry
+function publishMessage(chat, message) {
+  chat.memberIds.forEach(userId => {
+    realtime.sendToUsers([userId], 'chat', { chat: chatSummary(chat, userId) });
+    realtime.sendToUsers([userId], 'message', { chatId: chat.id, message: messageView(message, userId, chat.id) });
+  });
+}
+
+function publishChat(chat) {
+  chat.memberIds.forEach(userId => {
+    realtime.sendToUsers([userId], 'chat', { chat: chatSummary(chat, userId) });
+  });
+}
+
+// Group events ("Alex added Priya") are recorded as system messages in the chat
+function postSystemMessage(chatId, text) {
+  const message = store.addMessage(chatId, { senderId: null, system: true, text });
+  publishMessage(store.getChat(chatId), message);
+}
+
+function nameOf(userId) {
+  const user = store.getUser(userId);
+  return user ? user.name : userId;
+}
+
+// Field rules shared by the route schemas
+const idField = (options = {}) => string(Object.assign({ min: 1, max: 64, pattern: /^[\w-]+$/, message: 'is not a valid id' }, options));
+const userIdField = (options = {}) => string(Object.assign({ pattern: /^\d{6}$/, message: 'must be a 6-digit user id' }, options));
+const seqField = () => string({ pattern: /^\d{1,15}$/, message: 'must be a non-negative integer' });
+const dayField = () => string({ pattern: /^(\d{4}-\d{2}-\d{2})?$/, message: 'must be a YYYY-MM-DD date' });
+const CHAT = { chatId: idField() };
+const MESSAGE = { chatId: idField(), messageId: idField() };
+const MEMBER = { chatId: idField(), userId: userIdField() };
+
+// Per-minute limits: each user, and each IP (which may be shared by several accounts)
+const MINUTE = 60 * 1000;
+
+function limitPerUserAndIp(perUser, perIp) {
+  return [
+    rateLimit({ windowMs: MINUTE, max: perUser, key: req => req.userId }),
+    rateLimit({ windowMs: MINUTE, max: perIp, key: req => req.ip })
+  ];
+}
+
+const limits = {
+  messages: limitPerUserAndIp(60, 180),
+  uploads: limitPerUserAndIp(20, 60),
+  friendRequests: limitPerUserAndIp(10, 30),
+  // New direct chats, groups and imports
+  chats: limitPerUserAndIp(20, 60),
+  // Before login there is no user yet; this also slows down password guessing
+  auth: rateLimit({ windowMs: 15 * MINUTE, max: 30, key: req => req.ip })
+};
 
 // Routes
 
+// Accounts. Login accepts either the username or the 6-digit user id.
+// Usernames can't be all digits: login reads six digits as a user ID
+const registerSchema = {
+  body: {
+    username: string({
+      required: true,
+      pattern: /^(?!\d+$)[a-zA-Z0-9_.]{3,32}$/,
+      message: 'must be 3-32 letters, digits, "_" or "." and not only digits'
+    }),
+    name: string({ max: MAX_NAME_LENGTH }),
+    password: string({ required: true, min: 6, max: 200 })
+  }
+};
+
+app.post('/api/auth/register', limits.auth, validate(registerSchema), (req, res) => {
+  const { username, name, password } = req.body;
+  if (store.findUserByUsername(username)) {
+    return res.status(409).json({ error: 'Username already taken' });
+  }
+  const displayName = (typeof name === 'string' && name.trim()) || username;
+  const user = store.createUser({ username, name: displayName, passwordHash: hashPassword(password) });
+  startSession(req, res, user);
+});
+
+const loginSchema = {
+  body: { username: string({ required: true, max: 64 }), password: string({ required: true, max: 200 }) }
+};
+
+app.post('/api/auth/login', limits.auth, validate(loginSchema), (req, res) => {
+  const { username, password } = req.body;
+  const login = username.trim();
+  const user = /^\d{6}$/.test(login) ? store.getUser(login) : store.findUserByUsername(login);
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  startSession(req, res, user);
+});
+
+app.post('/api/auth/logout', validate({ body: {} }), (req, res) => {
+  const sessionId = req.sessionID;
+  req.session.destroy(() => {
+    realtime.closeSession(sessionId);
+    res.clearCookie('connect.sid');
+    res.json({ ok: true });
+  });
+});
+
+// A fresh session id on every login avoids session fixation; sockets of the replaced
+// session are closed with it
+function startSession(req, res, user) {
+  const previousId = req.sessionID;
+  req.session.regenerate(err => {
+    if (err) return res.status(500).json({ error: 'Could not start session' });
+    realtime.closeSession(previousId);
+    req.session.userId = user.id;
+    res.json({ user: profileView(user) });
+  });
+}
+
+// Everything else under /api needs a logged-in user
+app.use('/api', requireUser(store));
+
 // Initialization data (frontend calls /api/init on startup)
-app.get('/api/init', (req, res) => {
+app.get('/api/init', validate({ query: {} }), (req, res) => {
+  const friends = friendsState(req.userId);
   res.json({
-    user: dataStore.user,
-    contacts: dataStore.contacts,
-    chats: dataStore.chats
+    user: profileView(req.user),
+    contacts: friends.contacts,
+    friendRequests: { incoming: friends.incoming, outgoing: friends.outgoing },
+    uploadLimits: { maxFileBytes: attachments.limits.maxFileBytes, allowedTypes: attachments.limits.allowedTypes },
+    chats: store.listChatsForUser(req.userId).map(chat => chatSummary(chat, req.userId)),
+    scheduled: store.listScheduled(req.userId).map(scheduledView)
   });
 });
 
-// Update / save profile
-app.post('/api/profile', (req, res) => {
-  const updated = Object.assign({}, dataStore.user, req.body || {});
-  dataStore.user = updated;
-  res.json({ user: updated });
+// Update / save profile. Every field is optional; see profileSchema for what is accepted.
+const profileSchema = {
+  body: {
+    name: string({ min: 1, max: MAX_NAME_LENGTH }),
+    about: string({ max: MAX_ABOUT_LENGTH }),
+    phone: string({ max: 32, pattern: /^[\d\s()+-]*$/, message: 'may only contain digits, spaces and + - ( )' }),
+    recentEmoji: array(string({ max: MAX_EMOJI_LENGTH }), { max: 100 }),
+    skinTone: integer({ min: 0, max: 5 }),
+    notifications: object({ level: oneOf(NOTIFY_LEVELS), sound: oneOf(NOTIFICATION_SOUNDS) }),
+    privacy: object({
+      avatar: oneOf(PRIVACY_LEVELS),
+      about: oneOf(PRIVACY_LEVELS),
+      lastSeen: oneOf(PRIVACY_LEVELS),
+      searchable: boolean()
+    })
+  }
+};
+
+app.post('/api/profile', validate(profileSchema), (req, res) => {
+  const body = req.body || {};
+  const fields = {};
+  PROFILE_FIELDS.forEach(key => {
+    if (body[key] !== undefined) fields[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+  });
+  if (fields.name === '') return res.status(400).json({ error: 'name must not be empty' });
+  // Emoji picker: recently used (newest first) and the skin tone, 0 (none) to 5
+  if (body.recentEmoji !== undefined) fields.recentEmoji = body.recentEmoji.filter(isEmoji).slice(0, MAX_RECENT_EMOJI);
+  if (body.skinTone !== undefined) fields.skinTone = body.skinTone;
+  // Notifications: { level, sound }, either one alone
+  if (body.notifications) {
+    fields.notifications = Object.assign({}, DEFAULT_NOTIFICATIONS, req.user.notifications, body.notifications);
+  }
+  // Privacy: { avatar, about, lastSeen } levels and searchable, any subset
+  if (body.privacy) {
+    const privacy = body.privacy;
+    fields.privacy = privacyOf(req.user);
+    PRIVACY_FIELDS.concat('searchable').forEach(key => {
+      if (privacy[key] !== undefined) fields.privacy[key] = privacy[key];
+    });
+  }
+  const updated = store.updateUser(req.userId, fields);
+  // Others only see the name, the about text and what the privacy settings let through;
+  // the rest (emoji, notifications, phone) just goes to the user's other tabs
+  const visibleChange = ['name', 'about'].some(key => fields[key] !== undefined && fields[key] !== req.user[key]) ||
+    (fields.privacy && JSON.stringify(fields.privacy) !== JSON.stringify(privacyOf(req.user)));
+  if (visibleChange) publishProfile(req.userId);
+  else realtime.sendToUsers([req.userId], 'profile', { user: profileView(updated) });
+  res.json({ user: profileView(updated) });
+});
+
+// Profile picture: an image upload (field "avatar") replaces the current one. Only the
+// resized variants are kept; they don't count towards the storage quota.
+const AVATAR_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+function avatarFile(avatarId, size) {
+  return `avatar-${avatarId}-${size}.jpg`;
+}
+
+function removeAvatarFiles(avatar) {
+  if (!avatar) return;
+  const names = Object.keys(attachments.AVATAR_SIZES).map(size => avatarFile(avatar.id, size));
+  names.concat(`avatar-${avatar.id}-source`).forEach(name => fs.unlink(path.join(uploadsDir, name), () => {}));
+}
+
+// Resize into the avatar variants; resolves to the new { id, updatedAt }
+async function storeAvatar(srcPath) {
+  const id = crypto.randomUUID();
+  await attachments.makeAvatar(srcPath, path.join(uploadsDir, 'avatar-' + id));
+  return { id, updatedAt: new Date().toISOString() };
+}
+
+app.post('/api/profile/avatar', limits.uploads, receiveUpload(avatarUpload.single('avatar'), attachments.AVATAR_MAX_BYTES, { quota: false }), async (req, res) => {
+  const file = req.file;
+  const discard = () => file && fs.unlink(file.path, () => {});
+  const invalid = check({}, req.body);
+  if (invalid.length > 0) {
+    discard();
+    return sendInvalid(res, invalid);
+  }
+  if (!file) return res.status(400).json({ error: 'No image uploaded' });
+  const type = attachments.sniffFile(file.path, { mimetype: file.mimetype });
+  if (!type || !AVATAR_TYPES.includes(type.mime)) {
+    discard();
+    return res.status(415).json({ error: 'Profile pictures must be JPEG, PNG, GIF or WebP images' });
+  }
+  let avatar;
+  try {
+    avatar = await storeAvatar(file.path);
+  } catch (err) {
+    return res.status(415).json({ error: 'The image could not be read' });
+  } finally {
+    discard();
+  }
+  removeAvatarFiles(req.user.avatar);
+  store.updateUser(req.userId, { avatar });
+  publishProfile(req.userId);
+  res.json({ user: profileView(store.getUser(req.userId)) });
+});
+
+app.delete('/api/profile/avatar', validate({ query: {} }), (req, res) => {
+  removeAvatarFiles(req.user.avatar);
+  store.updateUser(req.userId, { avatar: null });
+  publishProfile(req.userId);
+  res.json({ user: profileView(store.getUser(req.userId)) });
+});
+
+// Anyone allowed to see the user's avatar (see canSee) may load it; everyone else gets a 404
+const avatarSchema = {
+  params: { userId: userIdField(), size: oneOf(Object.keys(attachments.AVATAR_SIZES)) },
+  query: { v: string({ max: 64 }) }
+};
+
+app.get('/api/users/:userId/avatar/:size', validate(avatarSchema), (req, res) => {
+  const user = store.getUser(req.params.userId);
+  if (!user || !avatarUrls(user) || !canSee(user, req.userId, 'avatar')) {
+    return res.status(404).json({ error: 'No profile picture' });
+  }
+  res.type('image/jpeg');
+  sendStoredFile(res, avatarFile(user.avatar.id, req.params.size));
 });
 
 // Get a specific chat
-app.get('/api/chats/:chatId', (req, res) => {
+app.get('/api/chats/:chatId', validate({ params: CHAT, query: {} }), (req, res) => {
   const chatId = req.params.chatId;
-  const chat = findChat(chatId);
-  if (!chat) return res.status(404).json({ error: 'Chat not found' });
-  res.json(chat);
+  const chat = store.getChat(chatId);
+  if (!isMember(chat, req.userId)) return res.status(404).json({ error: 'Chat not found' });
+  res.json(chatView(chat, req.userId));
 });
 
-// Post a new message to a chat
-app.post('/api/chats/:chatId/messages', (req, res) => {
+// Page through a chat's history: ?before=<seq> for older pages, ?after=<seq> for
+// newer ones, ?around=<messageId> to open the history at a message; plus &limit=<n>
+const pageSchema = {
+  params: CHAT,
+  query: { before: seqField(), after: seqField(), limit: seqField(), around: idField() }
+};
+
+app.get('/api/chats/:chatId/messages', validate(pageSchema), (req, res) => {
+  const chat = store.getChat(req.params.chatId);
+  if (!isMember(chat, req.userId)) return res.status(404).json({ error: 'Chat not found' });
+  const before = intParam(req.query.before);
+  const after = intParam(req.query.after);
+  const limit = intParam(req.query.limit);
+  const around = req.query.around;
+  const page = store.listMessages(chat.id, {
+    before,
+    after,
+    around,
+    limit: Math.min(Math.max(limit || PAGE_SIZE, 1), MAX_PAGE_SIZE)
+  });
+  if (!page) return res.status(404).json({ error: 'Message not found' });
+  res.json({
+    messages: page.messages.map(m => messageView(m, req.userId, chat.id)),
+    hasMore: page.hasMore,
+    hasNewer: page.hasNewer
+  });
+});
+
+// Post a new message to a chat; { replyTo: <messageId> } quotes an earlier message
+const messageSchema = {
+  params: CHAT,
+  body: {
+    text: string({ required: true, min: 1, max: MAX_MESSAGE_LENGTH }),
+    clientId: string({ nullable: true, max: 64 }),
+    replyTo: idField({ nullable: true }),
+    noPreview: boolean(),
+    sendAt: string({ max: 40 })
+  }
+};
+
+app.post('/api/chats/:chatId/messages', limits.messages, validate(messageSchema), (req, res) => {
   const chatId = req.params.chatId;
-  const { text, type } = req.body || {};
-  const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const { text, clientId, replyTo, noPreview, sendAt } = req.body;
+  // Same rule as edits: whitespace alone is not a message
+  if (!text.trim()) return res.status(400).json({ error: 'Message text is required' });
 
-  let chat = findChat(chatId);
-  if (!chat) {
-    // Create a new chat stub if it doesn't exist yet
-    chat = { id: chatId, name: 'Chat', time, lastMessage: text || '', messages: [] };
-    dataStore.chats.push(chat);
+  const chat = store.getChat(chatId);
+  if (!isMember(chat, req.userId)) return res.status(404).json({ error: 'Chat not found' });
+  if (!validReplyTo(chatId, replyTo)) return res.status(400).json({ error: 'Replied-to message not found' });
+  const blocked = blockedReason(chat, req.userId);
+  if (blocked) return res.status(403).json({ error: blocked });
+
+  if (sendAt !== undefined) {
+    const error = scheduleError(req.userId, sendAt);
+    if (error) return res.status(400).json({ error });
+    const entry = store.addScheduled({
+      chatId,
+      senderId: req.userId,
+      sendAt: new Date(sendAt).toISOString(),
+      text,
+      replyTo: replyTo || null,
+      noPreview: !!noPreview
+    });
+    publishScheduled(req.userId);
+    return res.status(201).json({ scheduled: scheduledView(entry) });
   }
 
-  chat.messages = chat.messages || [];
-  chat.messages.push({ text: text || '', type: type || 'sent', time });
-  chat.lastMessage = text || '';
-  chat.time = time;
+  // A retry from the client's outbox: answer with the message stored the first time
+  const existing = store.findMessageByClientId(chatId, req.userId, clientId);
+  if (existing) return res.json({ ok: true, message: messageView(existing, req.userId, chatId) });
 
-  res.json({ ok: true });
+  const message = store.addMessage(chatId, {
+    senderId: req.userId,
+    text,
+    clientId: clientId || null,
+    replyTo: replyTo || null,
+    mentions: mentionsIn(text, chat),
+    noPreview: !!noPreview
+  });
+  publishMessage(store.getChat(chatId), message);
+  attachLinkPreview(chatId, message);
+
+  res.json({ ok: true, message: messageView(message, req.userId, chatId) });
 });
 
-// Upload a file attached to a chat
-app.post('/api/chats/:chatId/files', upload.single('file'), (req, res) => {
+function validReplyTo(chatId, replyTo) {
+  if (!replyTo) return true;
+  const original = typeof replyTo === 'string' && store.getMessage(chatId, replyTo);
+  return !!original && !original.deleted;
+}
+
+function formatMegabytes(bytes) {
+  return Math.round(bytes / (1024 * 1024)) + ' MB';
+}
+
+// Runs a multer middleware with its size limit; turns its errors into JSON responses.
+// Uploads that would obviously exceed the quota are refused before anything is written
+// (unless { quota: false }).
+function receiveUpload(middleware, maxBytes, { quota = true } = {}) {
+  return (req, res, next) => {
+    const incoming = Number(req.headers['content-length']) || 0;
+    if (quota && store.storageUsage(req.userId).bytes + Math.min(incoming, maxBytes) > attachments.limits.quotaBytes) {
+      return res.status(413).json({ error: 'Storage quota exceeded' });
+    }
+    middleware(req, res, err => {
+      if (!err) return next();
+      if (req.file) fs.unlink(req.file.path, () => {});
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: 'Files can be at most ' + formatMegabytes(maxBytes) });
+      }
+      res.status(400).json({ error: err.message });
+    });
+  };
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Turn a file waiting at tmpPath into an attachment: the type is sniffed from the content
+// and must be on the allowlist, the owner's quota must have room, and images get a
+// thumbnail. Stored as <attachmentId><ext> in ./uploads. Rejects with an httpError and
+// removes the file when it is refused.
+async function saveAttachment(tmpPath, { ownerId, chatId, fileName, mimetype, size }) {
+  const type = attachments.sniffFile(tmpPath, { mimetype, ext: path.extname(fileName) });
+  let error = null;
+  if (!type || !attachments.isAllowedType(type.mime)) error = httpError(415, 'This file type is not allowed');
+  else if (store.storageUsage(ownerId).bytes + size > attachments.limits.quotaBytes) error = httpError(413, 'Storage quota exceeded');
+  if (error) {
+    fs.unlink(tmpPath, () => {});
+    throw error;
+  }
+
+  const id = crypto.randomUUID();
+  const storedName = id + type.ext;
+  const isImage = type.mime.startsWith('image/');
+  let thumbName = null;
+  let dimensions = {};
+  try {
+    await fs.promises.rename(tmpPath, path.join(uploadsDir, storedName));
+    if (isImage) {
+      thumbName = id + '_thumb.jpg';
+      dimensions = await attachments.makeThumbnail(path.join(uploadsDir, storedName), path.join(uploadsDir, thumbName));
+    }
+  } catch (err) {
+    [tmpPath, storedName, thumbName].forEach(name => name && fs.unlink(path.resolve(uploadsDir, name), () => {}));
+    throw httpError(415, 'The image could not be read');
+  }
+
+  return store.addAttachment({
+    id,
+    ownerId,
+    chatId,
+    messageId: null,
+    fileName,
+    storedName,
+    thumbName,
+    mime: type.mime,
+    size,
+    width: dimensions.width || null,
+    height: dimensions.height || null
+  });
+}
+
+// The message fields describing an attachment
+function attachmentFields(attachment) {
+  const fileUrl = '/api/attachments/' + attachment.id;
+  return {
+    attachmentId: attachment.id,
+    fileUrl,
+    thumbUrl: attachment.thumbName ? fileUrl + '/thumb' : null,
+    isImage: attachment.mime.startsWith('image/'),
+    fileName: attachment.fileName,
+    fileType: attachment.mime,
+    fileSize: attachment.size,
+    width: attachment.width,
+    height: attachment.height
+  };
+}
+
+// Upload a file attached to a chat. The other form fields are checked once multer has
+// parsed them (the file is already on disk by then and is removed if they don't fit).
+const fileFieldsSchema = {
+  text: string({ max: MAX_MESSAGE_LENGTH }),
+  clientId: string({ max: 64 }),
+  replyTo: idField(),
+  voiceDuration: string({ max: 16, pattern: /^\d+(\.\d+)?$/, message: 'must be a number of seconds' }),
+  waveform: string({ max: WAVEFORM_BARS * 4, pattern: /^[\d.,]*$/, message: 'must be comma-separated numbers' }),
+  sendAt: string({ max: 40 })
+};
+
+app.post('/api/chats/:chatId/files', limits.uploads, validate({ params: CHAT }), receiveUpload(upload.single('file'), attachments.limits.maxFileBytes), async (req, res) => {
   const chatId = req.params.chatId;
   const file = req.file;
+  const discard = () => file && fs.unlink(file.path, () => {});
+  const invalid = check(fileFieldsSchema, req.body);
+  if (invalid.length > 0) {
+    discard();
+    return sendInvalid(res, invalid);
+  }
   if (!file) return res.status(400).json({ error: 'No file uploaded' });
+  if (!isMember(store.getChat(chatId), req.userId)) {
+    discard();
+    return res.status(404).json({ error: 'Chat not found' });
+  }
+  const blocked = blockedReason(store.getChat(chatId), req.userId);
+  if (blocked) {
+    discard();
+    return res.status(403).json({ error: blocked });
+  }
+  const replyTo = req.body?.replyTo || null;
+  if (!validReplyTo(chatId, replyTo)) {
+    discard();
+    return res.status(400).json({ error: 'Replied-to message not found' });
+  }
+  const sendAt = req.body?.sendAt;
+  const scheduleProblem = sendAt !== undefined && scheduleError(req.userId, sendAt);
+  if (scheduleProblem) {
+    discard();
+    return res.status(400).json({ error: scheduleProblem });
+  }
+  const existing = store.findMessageByClientId(chatId, req.userId, req.body?.clientId);
+  if (existing) {
+    discard();
+    return res.json({ fileUrl: existing.fileUrl, isImage: existing.isImage, fileName: existing.fileName, message: messageView(existing, req.userId, chatId) });
+  }
+
+  let attachment;
+  try {
+    attachment = await saveAttachment(file.path, {
+      ownerId: req.userId,
+      chatId,
+      fileName: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size
+    });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
 
-  const isImage = /^image\//.test(file.mimetype || '');
-  const fileUrl = '/uploads/' + file.filename;
+  // Record the attachment as a message so other clients receive it too
+  const fields = attachmentFields(attachment);
+  // Only audio can be a voice note; anything else stays a plain file
+  const voice = attachment.mime.startsWith('audio/') ? voiceFields(req.body) : null;
+  if (voice) fields.voice = voice;
+  if (sendAt !== undefined) {
+    // The file waits with the scheduled entry; it becomes a message when that is sent
+    const entry = store.addScheduled(Object.assign({
+      chatId,
+      senderId: req.userId,
+      sendAt: new Date(sendAt).toISOString(),
+      text: req.body?.text || '',
+      replyTo,
+      noPreview: false
+    }, fields));
+    publishScheduled(req.userId);
+    return res.status(201).json({ scheduled: scheduledView(entry) });
+  }
+  const message = store.addMessage(chatId, Object.assign({
+    senderId: req.userId,
+    text: req.body?.text || '',
+    clientId: req.body?.clientId || null,
+    replyTo,
+    mentions: mentionsIn(req.body?.text, store.getChat(chatId))
+  }, fields));
+  store.updateAttachment(attachment.id, { messageId: message.id });
+  publishMessage(store.getChat(chatId), message);
 
-  res.json({ fileUrl, isImage, fileName: file.originalname });
+  res.json({ fileUrl: fields.fileUrl, isImage: fields.isImage, fileName: fields.fileName, message: messageView(message, req.userId, chatId) });
 });
 
-// Optional helper: start a new chat (not strictly required by the frontend)
-app.post('/api/start-chat', (req, res) => {
-  const { name } = req.body || {};
-  const chatId = generateChatId();
-  const chat = {
-    id: chatId,
-    name: name || 'New Chat',
-    time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-    lastMessage: 'Chat started.',
-    messages: []
+// Delete a message's file, thumbnail and attachment record
+function removeMessageFiles(message) {
+  const attachment = message.attachmentId && store.getAttachment(message.attachmentId);
+  if (!attachment) return;
+  [attachment.storedName, attachment.thumbName].forEach(name => name && fs.unlink(path.join(uploadsDir, name), () => {}));
+  store.removeAttachment(attachment.id);
+}
+
+// Scheduled messages. Each is sent by the timer below once its sendAt has passed, as
+// if the sender posted it then; if they can no longer post in the chat it is dropped.
+function sendAtError(sendAt) {
+  const when = new Date(sendAt);
+  if (Number.isNaN(when.getTime())) return 'sendAt must be a date and time';
+  if (when <= new Date()) return 'sendAt must be in the future';
+  if (when - Date.now() > MAX_SCHEDULE_DAYS * 24 * 3600 * 1000) {
+    return `Messages can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`;
+  }
+  return null;
+}
+
+function scheduleError(userId, sendAt) {
+  const error = sendAtError(sendAt);
+  if (error) return error;
+  if (store.listScheduled(userId).length >= MAX_SCHEDULED_PER_USER) {
+    return `You can have at most ${MAX_SCHEDULED_PER_USER} scheduled messages`;
+  }
+  return null;
+}
+
+function scheduledView(entry) {
+  const view = {
+    id: entry.id,
+    chatId: entry.chatId,
+    sendAt: entry.sendAt,
+    createdAt: entry.createdAt,
+    text: entry.text || '',
+    replyTo: entry.replyTo || null,
+    noPreview: !!entry.noPreview
   };
-  dataStore.chats.push(chat);
-  res.json(chat);
+  if (entry.attachmentId) {
+    ['fileUrl', 'thumbUrl', 'fileName', 'fileType', 'fileSize', 'isImage'].forEach(key => { view[key] = entry[key]; });
+    view.voice = entry.voice || null;
+  }
+  return view;
+}
+
+// The sender's open tabs get their whole list of pending messages
+function publishScheduled(userId) {
+  realtime.sendToUsers([userId], 'scheduled', { scheduled: store.listScheduled(userId).map(scheduledView) });
+}
+
+function loadOwnScheduled(req, res) {
+  const entry = store.getScheduled(req.params.scheduledId);
+  if (!entry || entry.senderId !== req.userId) {
+    res.status(404).json({ error: 'Scheduled message not found' });
+    return null;
+  }
+  return entry;
+}
+
+function removeScheduledFiles(entry) {
+  if (entry.attachmentId) removeMessageFiles(entry);
+}
+
+app.get('/api/scheduled', validate({ query: { chatId: idField() } }), (req, res) => {
+  const scheduled = store.listScheduled(req.userId).filter(s => !req.query.chatId || s.chatId === req.query.chatId);
+  res.json({ scheduled: scheduled.map(scheduledView) });
 });
 
+// Change the text and/or the time of a pending message
+const scheduledEditSchema = {
+  params: { scheduledId: idField() },
+  body: { text: string({ max: MAX_MESSAGE_LENGTH }), sendAt: string({ max: 40 }) }
+};
+
+app.patch('/api/scheduled/:scheduledId', validate(scheduledEditSchema), (req, res) => {
+  const entry = loadOwnScheduled(req, res);
+  if (!entry) return;
+  const { text, sendAt } = req.body;
+  const fields = {};
+  if (text !== undefined) {
+    fields.text = text.trim();
+    if (!fields.text && !entry.attachmentId) return res.status(400).json({ error: 'Message text is required' });
+  }
+  if (sendAt !== undefined) {
+    const error = sendAtError(sendAt);
+    if (error) return res.status(400).json({ error });
+    fields.sendAt = new Date(sendAt).toISOString();
+  }
+  const updated = store.updateScheduled(entry.id, fields);
+  publishScheduled(req.userId);
+  res.json({ scheduled: scheduledView(updated) });
+});
+
+app.delete('/api/scheduled/:scheduledId', validate({ params: { scheduledId: idField() } }), (req, res) => {
+  const entry = loadOwnScheduled(req, res);
+  if (!entry) return;
+  store.removeScheduled(entry.id);
+  removeScheduledFiles(entry);
+  publishScheduled(req.userId);
+  res.json({ ok: true });
+});
+
+function sendScheduled(entry) {
+  store.removeScheduled(entry.id);
+  const chat = store.getChat(entry.chatId);
+  if (!isMember(chat, entry.senderId) || blockedReason(chat, entry.senderId)) {
+    removeScheduledFiles(entry);
+    publishScheduled(entry.senderId);
+    return;
+  }
+  const { id, chatId, sendAt, createdAt, replyTo, ...fields } = entry;
+  const message = store.addMessage(chat.id, Object.assign(fields, {
+    // The message it answered may have gone meanwhile
+    replyTo: replyTo && validReplyTo(chat.id, replyTo) ? replyTo : null,
+    clientId: null,
+    mentions: mentionsIn(entry.text, chat)
+  }));
+  if (entry.attachmentId) store.updateAttachment(entry.attachmentId, { messageId: message.id });
+  publishMessage(store.getChat(chat.id), message);
+  attachLinkPreview(chat.id, message);
+  publishScheduled(entry.senderId);
+}
+
+// Disappearing messages: everyone in a direct chat, and admins in a group, may set the
+// timer. It applies to messages sent from then on.
+const disappearingSchema = {
+  params: CHAT,
+  body: { seconds: oneOf(DISAPPEAR_OPTIONS, { required: true, nullable: true }) }
+};
+
+app.patch('/api/chats/:chatId/disappearing', validate(disappearingSchema), (req, res) => {
+  const chat = store.getChat(req.params.chatId);
+  if (!isMember(chat, req.userId)) return res.status(404).json({ error: 'Chat not found' });
+  if (chat.kind === 'group' && !isAdmin(chat, req.userId)) {
+    return res.status(403).json({ error: 'Only group admins can do that' });
+  }
+  const seconds = req.body.seconds;
+  if ((chat.disappearAfter || null) !== seconds) {
+    store.updateChat(chat.id, { disappearAfter: seconds });
+    postSystemMessage(chat.id, seconds
+      ? `${req.user.name} turned on disappearing messages. New messages will disappear after ${durationText(seconds)}.`
+      : `${req.user.name} turned off disappearing messages.`);
+  }
+  res.json(chatSummary(store.getChat(chat.id), req.userId));
+});
+
+// Same wording as the client's menu: 24 hours, 7 days, 90 days
+function durationText(seconds) {
+  const days = seconds / (24 * 3600);
+  return days === 1 ? '24 hours' : `${days} days`;
+}
+
+// Remove expired messages with their files; members' clients drop them too
+function purgeExpiredMessages() {
+  const byChat = {};
+  store.listExpiredMessages().forEach(({ chatId, message }) => {
+    removeMessageFiles(message);
+    (byChat[chatId] = byChat[chatId] || []).push(message.id);
+  });
+  Object.entries(byChat).forEach(([chatId, messageIds]) => {
+    store.removeMessages(chatId, messageIds);
+    const chat = store.getChat(chatId);
+    if (!chat) return;
+    realtime.sendToUsers(chat.memberIds, 'messagesRemoved', { chatId, messageIds });
+    publishChat(chat);
+  });
+}
+
+function runTimers() {
+  store.listDueScheduled().forEach(sendScheduled);
+  purgeExpiredMessages();
+}
+
+// Attachments are only readable by members of the chat they were posted in. Images,
+// audio, video and PDFs open inline; anything else is sent as a download.
+const INLINE_TYPES = /^(image\/(jpeg|png|gif|webp)|audio\/|video\/|application\/pdf$)/;
+
+function loadAttachment(req, res) {
+  let attachment = store.getAttachment(req.params.attachmentId);
+  if (!attachment || !isMember(store.getChat(attachment.chatId), req.userId)) {
+    res.status(404).json({ error: 'Attachment not found' });
+    return null;
+  }
+  const filePath = path.join(uploadsDir, attachment.storedName);
+  if (!attachment.mime) {
+    // Migrated from the public /uploads days: identify it now, once
+    let type = null;
+    try { type = attachments.sniffFile(filePath, { ext: path.extname(attachment.fileName) }); } catch (err) { /* missing */ }
+    attachment = store.updateAttachment(attachment.id, { mime: type ? type.mime : 'application/octet-stream' });
+  }
+  return attachment;
+}
+
+function sendStoredFile(res, fileName) {
+  res.set({ 'X-Content-Type-Options': 'nosniff', 'Cache-Control': 'private, max-age=86400' });
+  res.sendFile(path.join(uploadsDir, fileName), err => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Attachment not found' });
+  });
+}
+
+const ATTACHMENT = { params: { attachmentId: idField() }, query: {} };
+
+app.get('/api/attachments/:attachmentId', validate(ATTACHMENT), (req, res) => {
+  const attachment = loadAttachment(req, res);
+  if (!attachment) return;
+  res.type(attachment.mime);
+  const disposition = INLINE_TYPES.test(attachment.mime) ? 'inline' : 'attachment';
+  res.set('Content-Disposition', contentDisposition(attachment.fileName, { type: disposition }));
+  sendStoredFile(res, attachment.storedName);
+});
+
+app.get('/api/attachments/:attachmentId/thumb', validate(ATTACHMENT), (req, res) => {
+  const attachment = loadAttachment(req, res);
+  if (!attachment) return;
+  if (!attachment.thumbName) return res.status(404).json({ error: 'No thumbnail for this attachment' });
+  res.type('image/jpeg');
+  sendStoredFile(res, attachment.thumbName);
+});
+
+// Preview card images (see linkpreview.js); they come from public pages, so any
+// signed-in user may load them
+app.get('/api/link-previews/:name', validate({ params: { name: string({ max: 64 }) }, query: {} }), (req, res) => {
+  if (!/^preview-[0-9a-f]{32}\.jpg$/.test(req.params.name)) return res.status(404).json({ error: 'Preview image not found' });
+  res.type('image/jpeg');
+  sendStoredFile(res, req.params.name);
+});
+
+// Export what the caller can see of a chat: deleted messages and ones they deleted
+// for themselves are left out. Times in the archive are ISO strings (UTC).
+app.get('/api/chats/:chatId/export', validate({ params: CHAT, query: {} }), (req, res) => {
+  const chat = store.getChat(req.params.chatId);
+  if (!isMember(chat, req.userId)) return res.status(404).json({ error: 'Chat not found' });
+
+  const files = [];
+  const messages = store.listMessages(chat.id, { after: 0, limit: Infinity }).messages
+    .filter(m => !m.deleted && !(m.hiddenFor || []).includes(req.userId))
+    .map(m => {
+      const entry = {
+        id: m.id,
+        createdAt: m.createdAt,
+        senderId: m.senderId,
+        senderName: m.system ? null : (m.authorName || nameOf(m.senderId)),
+        system: !!m.system,
+        text: m.text || '',
+        editedAt: m.editedAt || null,
+        replyTo: m.replyTo || null,
+        attachment: null
+      };
+      const attachment = m.attachmentId && store.getAttachment(m.attachmentId);
+      if (attachment) {
+        // A file missing on disk is still listed, with path: null
+        const filePath = path.join(uploadsDir, attachment.storedName);
+        const entryName = fs.existsSync(filePath) ? 'attachments/' + attachment.storedName : null;
+        if (entryName) files.push({ entryName, path: filePath });
+        entry.attachment = {
+          path: entryName,
+          fileName: attachment.fileName,
+          mime: attachment.mime,
+          size: attachment.size
+        };
+      }
+      return entry;
+    });
+
+  const name = chatName(chat, req.userId);
+  const buffer = createArchive({
+    exportedAt: new Date().toISOString(),
+    exportedBy: { id: req.userId, name: req.user.name },
+    chat: { id: chat.id, kind: chat.kind, name },
+    members: chat.memberIds.map(id => ({ id, name: nameOf(id), role: chat.adminIds.includes(id) ? 'admin' : 'member' })),
+    messages
+  }, files);
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chat';
+  res.attachment(`mirror-${slug}-${new Date().toISOString().slice(0, 10)}.zip`);
+  res.send(buffer);
+});
+
+// An archive's timestamp as an ISO time, or null when it isn't a date
+function archiveTime(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Restore an exported archive (multipart field "archive") into a new group owned by
+// the caller. The exporter's messages become the caller's when the caller is the exporter
+// (or the archive comes from another instance, where the exporter's id means nothing
+// here); everyone else's keep just the author's name (authorName). Files count
+// towards the caller's quota.
+app.post('/api/chats/import', limits.uploads, limits.chats, receiveUpload(importUpload.single('archive'), attachments.limits.importMaxBytes), async (req, res) => {
+  const file = req.file;
+  const invalid = check({}, req.body);
+  if (invalid.length > 0) {
+    if (file) fs.unlink(file.path, () => {});
+    return sendInvalid(res, invalid);
+  }
+  if (!file) return res.status(400).json({ error: 'No archive uploaded' });
+  let archive;
+  try {
+    archive = readArchive(file.path, { maxBytes: attachments.limits.importMaxBytes });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  } finally {
+    fs.unlink(file.path, () => {});
+  }
+  const { manifest } = archive;
+  const exporterId = manifest.exportedBy?.id;
+  const ownId = exporterId && (exporterId === req.userId || !store.getUser(exporterId)) ? exporterId : null;
+  const sourceName = typeof manifest.chat?.name === 'string' && manifest.chat.name.trim() ? manifest.chat.name.trim() : 'Chat';
+
+  const chat = store.createChat({
+    kind: 'group',
+    name: (sourceName + ' (imported)').slice(0, MAX_NAME_LENGTH),
+    memberIds: [req.userId],
+    adminIds: [req.userId]
+  });
+
+  // Archive message id -> imported message id, for replies
+  const newIds = new Map();
+  let skippedFiles = 0;
+  for (const m of manifest.messages) {
+    if (!m || typeof m !== 'object') continue;
+    const own = !m.system && ownId && m.senderId === ownId;
+    const fields = {
+      createdAt: archiveTime(m.createdAt) || new Date().toISOString(),
+      senderId: own ? req.userId : null,
+      text: typeof m.text === 'string' ? m.text.slice(0, MAX_MESSAGE_LENGTH) : '',
+      replyTo: (typeof m.replyTo === 'string' && newIds.get(m.replyTo)) || null
+    };
+    if (m.system) fields.system = true;
+    else if (!own) {
+      const senderName = typeof m.senderName === 'string' ? m.senderName.trim() : '';
+      fields.authorName = senderName ? senderName.slice(0, MAX_NAME_LENGTH) : 'Unknown';
+    }
+    const editedAt = archiveTime(m.editedAt);
+    if (editedAt) fields.editedAt = editedAt;
+
+    let attachment = null;
+    const data = m.attachment && archive.readFile(m.attachment.path);
+    if (data) {
+      const tmpPath = path.join(uploadsDir, 'incoming-' + crypto.randomUUID());
+      fs.writeFileSync(tmpPath, data);
+      try {
+        attachment = await saveAttachment(tmpPath, {
+          ownerId: req.userId,
+          chatId: chat.id,
+          fileName: String(m.attachment.fileName || 'attachment'),
+          mimetype: m.attachment.mime,
+          size: data.length
+        });
+        Object.assign(fields, attachmentFields(attachment));
+      } catch (err) {
+        skippedFiles++;
+      }
+    } else if (m.attachment) {
+      skippedFiles++;
+    }
+    if (!fields.text && !attachment && !m.system) continue;
+
+    const message = store.addMessage(chat.id, fields);
+    if (typeof m.id === 'string') newIds.set(m.id, message.id);
+    if (attachment) store.updateAttachment(attachment.id, { messageId: message.id });
+  }
+  // The imported history starts out read, and sorts by its own last message rather
+  // than as the newest chat
+  const imported = store.getChat(chat.id);
+  store.updateReceipt(chat.id, req.userId, { deliveredSeq: imported.seq, readSeq: imported.seq });
+  const lastAt = store.listMessages(chat.id, { limit: 1 }).messages[0]?.createdAt;
+  if (lastAt) store.updateChat(chat.id, { lastActivityAt: lastAt });
+
+  publishChat(store.getChat(chat.id));
+  res.status(201).json({ chat: chatView(store.getChat(chat.id), req.userId), skippedFiles });
+});
+
+// Storage used by the caller's uploads against their quota, plus the upload limits
+app.get('/api/storage', validate({ query: {} }), (req, res) => {
+  const usage = store.storageUsage(req.userId);
+  res.json({
+    usedBytes: usage.bytes,
+    fileCount: usage.count,
+    quotaBytes: attachments.limits.quotaBytes,
+    maxFileBytes: attachments.limits.maxFileBytes,
+    allowedTypes: attachments.limits.allowedTypes
+  });
+});
+
+// Only the author may edit or delete-for-everyone, and never a system or deleted message
+function loadOwnMessage(req, res) {
+  const chat = store.getChat(req.params.chatId);
+  const message = isMember(chat, req.userId) && store.getMessage(chat.id, req.params.messageId);
+  if (!message || message.deleted) {
+    res.status(404).json({ error: 'Message not found' });
+    return null;
+  }
+  if (message.system || message.senderId !== req.userId) {
+    res.status(403).json({ error: 'You can only change your own messages' });
+    return null;
+  }
+  return { chat, message };
+}
+
+// Edit a message's text and/or turn its link preview off ({ noPreview: true }). Each
+// previous version of the text is kept in `edits` as { text, at } where `at` is when
+// that version was written.
+const editSchema = {
+  params: MESSAGE,
+  body: { text: string({ max: MAX_MESSAGE_LENGTH }), noPreview: boolean() }
+};
+
+app.patch('/api/chats/:chatId/messages/:messageId', validate(editSchema), (req, res) => {
+  const found = loadOwnMessage(req, res);
+  if (!found) return;
+  const { chat, message } = found;
+  const body = req.body || {};
+  let text = message.text;
+  if (body.text !== undefined) {
+    text = body.text.trim();
+    if (!text && !message.fileUrl) return res.status(400).json({ error: 'Message text is required' });
+  }
+  const noPreview = body.noPreview === undefined ? !!message.noPreview : !!body.noPreview;
+  const textChanged = text !== message.text;
+  if (!textChanged && noPreview === !!message.noPreview) {
+    return res.json({ message: messageView(message, req.userId, chat.id) });
+  }
+
+  const fields = { noPreview };
+  if (textChanged) {
+    fields.text = text;
+    fields.editedAt = new Date().toISOString();
+    fields.edits = (message.edits || []).concat({ text: message.text, at: message.editedAt || message.createdAt });
+    fields.mentions = mentionsIn(text, chat);
+  }
+  if (noPreview || firstUrl(text) !== message.linkPreview?.url) fields.linkPreview = null;
+  const updated = store.updateMessage(chat.id, message.id, fields);
+  publishMessage(store.getChat(chat.id), updated);
+  if (!updated.linkPreview) attachLinkPreview(chat.id, updated);
+  res.json({ message: messageView(updated, req.userId, chat.id) });
+});
+
+// Delete a message. scope=me hides it for the caller only (any message they can see);
+// scope=everyone (the default) wipes its content and attachment for all members.
+const deleteSchema = { params: MESSAGE, query: { scope: oneOf(['me', 'everyone']) } };
+
+app.delete('/api/chats/:chatId/messages/:messageId', validate(deleteSchema), (req, res) => {
+  const scope = req.query.scope || 'everyone';
+
+  if (scope === 'me') {
+    const chat = store.getChat(req.params.chatId);
+    const message = isMember(chat, req.userId) && store.getMessage(chat.id, req.params.messageId);
+    if (!message) return res.status(404).json({ error: 'Message not found' });
+    const hiddenFor = (message.hiddenFor || []).filter(id => id !== req.userId).concat(req.userId);
+    const updated = store.updateMessage(chat.id, message.id, { hiddenFor });
+    const view = messageView(updated, req.userId, chat.id);
+    realtime.sendToUsers([req.userId], 'message', { chatId: chat.id, message: view });
+    return res.json({ message: view });
+  }
+
+  const found = loadOwnMessage(req, res);
+  if (!found) return;
+  const { chat, message } = found;
+  removeMessageFiles(message);
+  const updated = store.updateMessage(chat.id, message.id, {
+    deleted: true,
+    deletedAt: new Date().toISOString(),
+    text: '',
+    edits: [],
+    editedAt: null,
+    attachmentId: null,
+    fileUrl: null,
+    thumbUrl: null,
+    isImage: false,
+    fileName: null,
+    fileType: null,
+    fileSize: null,
+    width: null,
+    height: null,
+    voice: null,
+    reactions: {},
+    mentions: [],
+    linkPreview: null
+  });
+  publishMessage(store.getChat(chat.id), updated);
+  res.json({ message: messageView(updated, req.userId, chat.id) });
+});
+
+// Star / unstar a message for the caller; their other tabs get the updated message
+function setStarred(req, res, starred) {
+  const chat = store.getChat(req.params.chatId);
+  const message = isMember(chat, req.userId) && store.getMessage(chat.id, req.params.messageId);
+  if (!message || message.deleted || message.system) return res.status(404).json({ error: 'Message not found' });
+  store.setStarred(req.userId, chat.id, message.id, starred);
+  const view = messageView(message, req.userId, chat.id);
+  realtime.sendToUsers([req.userId], 'message', { chatId: chat.id, message: view });
+  res.json({ message: view });
+}
+
+app.post('/api/chats/:chatId/messages/:messageId/star', validate({ params: MESSAGE, body: {} }), (req, res) => setStarred(req, res, true));
+app.delete('/api/chats/:chatId/messages/:messageId/star', validate({ params: MESSAGE }), (req, res) => setStarred(req, res, false));
+
+// React to a message (one emoji per member; reacting again replaces it) or take the
+// reaction back. Every member gets the updated counts.
+function setReaction(req, res, emoji) {
+  const chat = store.getChat(req.params.chatId);
+  const message = isMember(chat, req.userId) && store.getMessage(chat.id, req.params.messageId);
+  if (!message || message.deleted || message.system || (message.hiddenFor || []).includes(req.userId)) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  const blocked = emoji && blockedReason(chat, req.userId);
+  if (blocked) return res.status(403).json({ error: blocked });
+  const updated = store.setReaction(chat.id, message.id, req.userId, emoji);
+  publishMessage(store.getChat(chat.id), updated);
+  res.json({ message: messageView(updated, req.userId, chat.id) });
+}
+
+const reactionSchema = { params: MESSAGE, body: { emoji: string({ required: true, max: MAX_EMOJI_LENGTH }) } };
+
+app.post('/api/chats/:chatId/messages/:messageId/reaction', validate(reactionSchema), (req, res) => {
+  const { emoji } = req.body;
+  if (!isEmoji(emoji)) return res.status(400).json({ error: 'emoji must be a single emoji' });
+  setReaction(req, res, emoji);
+});
+app.delete('/api/chats/:chatId/messages/:messageId/reaction', validate({ params: MESSAGE }), (req, res) => setReaction(req, res, null));
+
+// Starred messages across all chats, most recently starred first. Stars on messages
+// that were deleted, hidden, or are in chats the user has left are skipped.
+app.get('/api/starred', validate({ query: {} }), (req, res) => {
+  const starred = [];
+  store.listStarred(req.userId).forEach(({ chatId, messageId, starredAt }) => {
+    const chat = store.getChat(chatId);
+    const message = isMember(chat, req.userId) && store.getMessage(chatId, messageId);
+    if (!message || message.deleted) return;
+    const view = messageView(message, req.userId, chatId);
+    if (view.hidden) return;
+    starred.push({ chatId, chatName: chatName(chat, req.userId), starredAt, message: view });
+  });
+  res.json({ starred });
+});
+
+// Start a chat: with a contact ({ contactId }, reusing an existing direct chat)
+// or a named chat with just yourself ({ name })
+const startChatSchema = { body: { name: string({ max: MAX_NAME_LENGTH }), contactId: userIdField() } };
+
+app.post('/api/start-chat', limits.chats, validate(startChatSchema), (req, res) => {
+  const { name, contactId } = req.body || {};
+  let chat;
+  if (contactId) {
+    if (!req.user.contacts.includes(contactId)) return res.status(404).json({ error: 'Contact not found' });
+    chat = store.findDirectChat(req.userId, contactId);
+    if (!chat) {
+      chat = store.createChat({
+        kind: 'direct',
+        memberIds: [req.userId, contactId],
+        lastMessage: 'Chat started.'
+      });
+      publishChat(chat);
+    }
+  } else {
+    chat = store.createChat({
+      kind: 'group',
+      name: name || 'New Chat',
+      memberIds: [req.userId],
+      adminIds: [req.userId],
+      lastMessage: 'Chat started.'
+    });
+    publishChat(chat);
+  }
+  res.json(chatView(chat, req.userId));
+});
+
+// Groups. Members can only be added from the adder's friends, and not when either side has
+// blocked the other; admins manage the group.
+function validGroupName(name) {
+  return name.trim().length > 0;
+}
+
+// Why `userId` can't add `memberIds` to a group, or null
+function addMembersError(userId, memberIds) {
+  const user = store.getUser(userId);
+  if (memberIds.some(id => !user.contacts.includes(id))) return 'You can only add your friends';
+  if (memberIds.some(id => blockedBetween(userId, id))) return "You can't add someone you have blocked or who has blocked you";
+  return null;
+}
+
+const groupSchema = {
+  body: {
+    name: string({ required: true, max: MAX_NAME_LENGTH }),
+    memberIds: array(userIdField(), { required: true, min: 1, max: MAX_GROUP_MEMBERS })
+  }
+};
+
+app.post('/api/groups', limits.chats, validate(groupSchema), (req, res) => {
+  const { name, memberIds } = req.body;
+  if (!validGroupName(name)) return res.status(400).json({ error: 'Group name is required' });
+  const invited = [...new Set(memberIds)].filter(id => id !== req.userId);
+  const error = addMembersError(req.userId, invited);
+  if (error) return res.status(400).json({ error });
+
+  const chat = store.createChat({
+    kind: 'group',
+    name: name.trim(),
+    memberIds: [req.userId].concat(invited),
+    adminIds: [req.userId]
+  });
+  postSystemMessage(chat.id, `${req.user.name} created the group "${chat.name}"`);
+  res.status(201).json(chatView(store.getChat(chat.id), req.userId));
+});
+
+// Update the caller's chat list state: { pinned, archived, mutedUntil, markedUnread, notify },
+// all optional. mutedUntil is an ISO time in the future, or null to unmute; notify is a
+// notification level for this chat, or null to follow the global setting. Archiving
+// unpins and pinning unarchives. The caller's other tabs get the new summary.
+const prefsSchema = {
+  params: CHAT,
+  body: {
+    pinned: boolean(),
+    archived: boolean(),
+    mutedUntil: string({ nullable: true, max: 40 }),
+    markedUnread: boolean(),
+    notify: oneOf(NOTIFY_LEVELS, { nullable: true })
+  }
+};
+
+app.patch('/api/chats/:chatId/prefs', validate(prefsSchema), (req, res) => {
+  const chat = store.getChat(req.params.chatId);
+  if (!isMember(chat, req.userId)) return res.status(404).json({ error: 'Chat not found' });
+  const { pinned, archived, mutedUntil, markedUnread, notify } = req.body;
+
+  const fields = {};
+  if (mutedUntil !== undefined) {
+    const until = mutedUntil === null ? null : new Date(mutedUntil);
+    if (until && (Number.isNaN(until.getTime()) || until <= new Date())) {
+      return res.status(400).json({ error: 'mutedUntil must be a future time or null' });
+    }
+    fields.mutedUntil = until ? until.toISOString() : null;
+  }
+  if (notify !== undefined) fields.notify = notify;
+  if (markedUnread !== undefined) fields.markedUnread = markedUnread;
+  if (archived !== undefined) fields.archived = archived;
+  if (pinned === true && !archived) {
+    // Pinning brings an archived chat back to the main list
+    const current = store.getChatPrefs(req.userId, chat.id);
+    if (current.archived) fields.archived = false;
+    if (!current.pinnedAt) {
+      const prefs = store.listChatPrefs(req.userId);
+      const pinnedCount = store.listChatsForUser(req.userId)
+        .filter(c => prefs[c.id]?.pinnedAt && !prefs[c.id].archived).length;
+      if (pinnedCount >= MAX_PINNED_CHATS) {
+        return res.status(400).json({ error: `You can only pin ${MAX_PINNED_CHATS} chats` });
+      }
+      fields.pinnedAt = new Date().toISOString();
+    }
+  } else if (pinned === false || archived === true) {
+    fields.pinnedAt = null;
+  }
+
+  store.setChatPrefs(req.userId, chat.id, fields);
+  const summary = chatSummary(store.getChat(chat.id), req.userId);
+  realtime.sendToUsers([req.userId], 'chat', { chat: summary });
+  res.json(summary);
+});
+
+// Load a group chat for an admin-only action, or answer with the right error
+function loadGroupForAdmin(req, res) {
+  const chat = store.getChat(req.params.chatId);
+  if (!isMember(chat, req.userId)) {
+    res.status(404).json({ error: 'Chat not found' });
+    return null;
+  }
+  if (chat.kind !== 'group') {
+    res.status(400).json({ error: 'Only group chats have members and roles' });
+    return null;
+  }
+  if (!isAdmin(chat, req.userId)) {
+    res.status(403).json({ error: 'Only group admins can do that' });
+    return null;
+  }
+  return chat;
+}
+
+// Rename a group
+const renameSchema = { params: CHAT, body: { name: string({ required: true, max: MAX_NAME_LENGTH }) } };
+
+app.patch('/api/chats/:chatId', validate(renameSchema), (req, res) => {
+  const chat = loadGroupForAdmin(req, res);
+  if (!chat) return;
+  const { name } = req.body;
+  if (!validGroupName(name)) return res.status(400).json({ error: 'Group name is required' });
+  store.updateChat(chat.id, { name: name.trim() });
+  postSystemMessage(chat.id, `${req.user.name} renamed the group to "${name.trim()}"`);
+  res.json(chatSummary(store.getChat(chat.id), req.userId));
+});
+
+const addMembersSchema = {
+  params: CHAT,
+  body: { userIds: array(userIdField(), { required: true, min: 1, max: MAX_GROUP_MEMBERS }) }
+};
+
+app.post('/api/chats/:chatId/members', validate(addMembersSchema), (req, res) => {
+  const chat = loadGroupForAdmin(req, res);
+  if (!chat) return;
+  const { userIds } = req.body;
+  const added = [...new Set(userIds)].filter(id => !chat.memberIds.includes(id));
+  if (chat.memberIds.length + added.length > MAX_GROUP_MEMBERS) {
+    return res.status(400).json({ error: `Groups can have at most ${MAX_GROUP_MEMBERS} members` });
+  }
+  const error = addMembersError(req.userId, added);
+  if (error) return res.status(400).json({ error });
+  if (added.length === 0) return res.json(chatSummary(chat, req.userId));
+
+  store.updateChat(chat.id, { memberIds: chat.memberIds.concat(added) });
+  // New members start with the existing history already read
+  added.forEach(id => store.updateReceipt(chat.id, id, { readSeq: chat.seq }));
+  postSystemMessage(chat.id, `${req.user.name} added ${added.map(nameOf).join(', ')}`);
+  res.json(chatSummary(store.getChat(chat.id), req.userId));
+});
+
+// Change a member's role: { role: 'admin' | 'member' }
+const roleSchema = { params: MEMBER, body: { role: oneOf(['admin', 'member'], { required: true }) } };
+
+app.patch('/api/chats/:chatId/members/:userId', validate(roleSchema), (req, res) => {
+  const chat = loadGroupForAdmin(req, res);
+  if (!chat) return;
+  const { userId } = req.params;
+  const { role } = req.body;
+  if (!chat.memberIds.includes(userId)) return res.status(404).json({ error: 'Not a member of this group' });
+
+  let adminIds = chat.adminIds.filter(id => id !== userId);
+  if (role === 'admin') adminIds.push(userId);
+  if (adminIds.length === 0) return res.status(400).json({ error: 'A group needs at least one admin' });
+  store.updateChat(chat.id, { adminIds });
+  publishChat(store.getChat(chat.id));
+  res.json(chatSummary(store.getChat(chat.id), req.userId));
+});
+
+app.delete('/api/chats/:chatId/members/:userId', validate({ params: MEMBER }), (req, res) => {
+  const chat = loadGroupForAdmin(req, res);
+  if (!chat) return;
+  const { userId } = req.params;
+  if (userId === req.userId) return res.status(400).json({ error: 'Use leave to leave the group' });
+  if (!chat.memberIds.includes(userId)) return res.status(404).json({ error: 'Not a member of this group' });
+
+  removeFromGroup(chat, userId);
+  postSystemMessage(chat.id, `${req.user.name} removed ${nameOf(userId)}`);
+  res.json(chatSummary(store.getChat(chat.id), req.userId));
+});
+
+app.post('/api/chats/:chatId/leave', validate({ params: CHAT, body: {} }), (req, res) => {
+  const chat = store.getChat(req.params.chatId);
+  if (!isMember(chat, req.userId)) return res.status(404).json({ error: 'Chat not found' });
+  if (chat.kind !== 'group') return res.status(400).json({ error: 'Only group chats can be left' });
+
+  removeFromGroup(chat, req.userId);
+  if (chat.memberIds.length > 1) postSystemMessage(chat.id, `${req.user.name} left`);
+  res.json({ ok: true });
+});
+
+// Drop a member (and their admin role). If the last admin goes, the longest-standing
+// remaining member takes over so the group stays manageable.
+function removeFromGroup(chat, userId) {
+  const memberIds = chat.memberIds.filter(id => id !== userId);
+  let adminIds = chat.adminIds.filter(id => id !== userId);
+  if (adminIds.length === 0 && memberIds.length > 0) adminIds = [memberIds[0]];
+  store.updateChat(chat.id, { memberIds, adminIds });
+  realtime.sendToUsers([userId], 'chatRemoved', { chatId: chat.id });
+}
+
+// Search message text and attachment names across the user's chats.
+// ?q=<terms>&chatId=<id>&from=<YYYY-MM-DD>&to=<YYYY-MM-DD> (to is inclusive)
+const SEARCH_LIMIT = 50;
+const SNIPPET_RADIUS = 40;
+
+function searchSnippet(text, term) {
+  const idx = text.toLowerCase().indexOf(term.toLowerCase());
+  if (idx < 0 || text.length <= SNIPPET_RADIUS * 2) return text.slice(0, SNIPPET_RADIUS * 2);
+  const start = Math.max(0, idx - SNIPPET_RADIUS);
+  const end = Math.min(text.length, idx + term.length + SNIPPET_RADIUS);
+  return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+function dayParam(value) {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value + 'T00:00:00Z');
+  return Number.isNaN(date.getTime()) ? NaN : date;
+}
+
+const searchSchema = {
+  query: { q: string({ required: true, max: 200 }), chatId: idField(), from: dayField(), to: dayField() }
+};
+
+app.get('/api/search', validate(searchSchema), (req, res) => {
+  const q = req.query.q.trim();
+  const terms = q.split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return res.status(400).json({ error: 'q is required' });
+
+  const from = dayParam(req.query.from);
+  const to = dayParam(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates' });
+
+  let chats = store.listChatsForUser(req.userId);
+  if (req.query.chatId) chats = chats.filter(c => c.id === req.query.chatId);
+  const names = {};
+  chats.forEach(c => { names[c.id] = chatName(c, req.userId); });
+
+  const results = store.searchMessages({
+    userId: req.userId,
+    chatIds: chats.map(c => c.id),
+    terms,
+    from: from && from.toISOString(),
+    to: to && new Date(to.getTime() + 24 * 60 * 60 * 1000).toISOString(),
+    limit: SEARCH_LIMIT
+  }).map(({ chatId, message }) => ({
+    chatId,
+    chatName: names[chatId],
+    message: messageView(message, req.userId, chatId),
+    snippet: searchSnippet(message.text || message.fileName || '', terms[0])
+  }));
+  res.json({ results, terms });
+});
+
+// Look up a user by their 6-digit id
+app.get('/api/users/:userId', validate({ params: { userId: userIdField() }, query: {} }), (req, res) => {
+  const { userId } = req.params;
+  const user = store.getUser(userId);
+  if (!user || !findableBy(user, req.userId)) return res.status(404).json({ error: 'User not found' });
+  res.json({ user: publicUser(user, req.userId), relationship: relationship(req.userId, userId) });
+});
+
+// Friend requests
+app.get('/api/friend-requests', validate({ query: {} }), (req, res) => {
+  const { incoming, outgoing } = friendsState(req.userId);
+  res.json({ incoming, outgoing });
+});
+
+const friendRequestSchema = { body: { toId: userIdField({ required: true }) } };
+
+app.post('/api/friend-requests', limits.friendRequests, validate(friendRequestSchema), (req, res) => {
+  const target = store.getUser(req.body.toId);
+  if (!target || !findableBy(target, req.userId)) return res.status(404).json({ error: 'User not found' });
+  const rel = relationship(req.userId, target.id);
+  if (rel.status === 'self') return res.status(400).json({ error: 'You cannot add yourself' });
+  if (rel.status === 'blocked') return res.status(409).json({ error: 'Unblock this user first' });
+  if (rel.status === 'friends') return res.status(409).json({ error: 'Already friends' });
+  if (rel.status !== 'none') return res.status(409).json({ error: 'A request is already pending', requestId: rel.requestId });
+
+  const request = store.createFriendRequest(req.userId, target.id);
+  publishFriends([req.userId, target.id]);
+  res.status(201).json({ request: friendRequestView(request, req.userId) });
+});
+
+// Only the recipient may accept or decline; accepting creates (or reuses) the shared chat
+const REQUEST = { params: { requestId: idField() }, body: {} };
+
+app.post('/api/friend-requests/:requestId/accept', validate(REQUEST), (req, res) => {
+  const request = store.getFriendRequest(req.params.requestId);
+  if (!request || request.toId !== req.userId || request.status !== 'pending') {
+    return res.status(404).json({ error: 'Request not found' });
+  }
+  store.setFriendRequestStatus(request.id, 'accepted');
+  store.addFriendship(request.fromId, request.toId);
+
+  let chat = store.findDirectChat(request.fromId, request.toId);
+  if (!chat) {
+    chat = store.createChat({
+      kind: 'direct',
+      memberIds: [request.fromId, request.toId],
+      lastMessage: 'You are now friends. Say hi!'
+    });
+  }
+  publishFriends([request.fromId, request.toId]);
+  publishChat(chat);
+  res.json({ chat: chatView(chat, req.userId) });
+});
+
+app.post('/api/friend-requests/:requestId/decline', validate(REQUEST), (req, res) => {
+  const request = store.getFriendRequest(req.params.requestId);
+  if (!request || request.toId !== req.userId || request.status !== 'pending') {
+    return res.status(404).json({ error: 'Request not found' });
+  }
+  store.setFriendRequestStatus(request.id, 'declined');
+  publishFriends([request.fromId, request.toId]);
+  res.json({ ok: true });
+});
+
+// Only the sender may cancel
+app.delete('/api/friend-requests/:requestId', validate({ params: REQUEST.params }), (req, res) => {
+  const request = store.getFriendRequest(req.params.requestId);
+  if (!request || request.fromId !== req.userId || request.status !== 'pending') {
+    return res.status(404).json({ error: 'Request not found' });
+  }
+  store.setFriendRequestStatus(request.id, 'cancelled');
+  publishFriends([request.fromId, request.toId]);
+  res.json({ ok: true });
+});
+
+// Block a user: they can't message us in our direct chat, send us friend requests or
+// see our avatar, about text and last seen. Any pending request between us is dropped.
+app.post('/api/blocks', validate({ body: { userId: userIdField({ required: true }) } }), (req, res) => {
+  const target = store.getUser(req.body.userId);
+  if (!target) return res.status(404).json({ error: 'User not found' });
+  if (target.id === req.userId) return res.status(400).json({ error: 'You cannot block yourself' });
+  if (!req.user.blocked.includes(target.id)) {
+    store.updateUser(req.userId, { blocked: req.user.blocked.concat(target.id) });
+  }
+  const pending = store.findPendingRequest(req.userId, target.id);
+  if (pending) store.setFriendRequestStatus(pending.id, 'cancelled');
+  publishBlockChange(req.userId, target.id);
+  res.json({ user: profileView(store.getUser(req.userId)) });
+});
+
+app.delete('/api/blocks/:userId', validate({ params: { userId: userIdField() } }), (req, res) => {
+  const { userId } = req.params;
+  if (!req.user.blocked.includes(userId)) return res.status(404).json({ error: 'Not blocked' });
+  store.updateUser(req.userId, { blocked: req.user.blocked.filter(id => id !== userId) });
+  publishBlockChange(req.userId, userId);
+  res.json({ user: profileView(store.getUser(req.userId)) });
+});
+
+// Both sides see each other differently now: refresh their contacts, requests and direct chat
+function publishBlockChange(userId, otherId) {
+  publishFriends([userId, otherId]);
+  realtime.sendToUsers([userId], 'profile', { user: profileView(store.getUser(userId)) });
+  const chat = store.findDirectChat(userId, otherId);
+  if (chat) publishChat(chat);
+}
+
+// Unfriend. The shared chat and its history stay.
+app.delete('/api/friends/:userId', validate({ params: { userId: userIdField() } }), (req, res) => {
+  const { userId } = req.params;
+  if (!req.user.contacts.includes(userId)) return res.status(404).json({ error: 'Not friends' });
+  store.removeFriendship(req.userId, userId);
+  publishFriends([req.userId, userId]);
+  res.json({ ok: true });
+});
+
+// Unknown API routes answer in JSON like the rest; errors thrown by routes and the body
+// parser end up in errorHandler
+app.use('/api', (req, res) => res.status(404).json({ error: 'Not found' }));
+app.use(errorHandler());
+
 // Fallback: root route to ensure single-page app works if opened directly
 app.get((req, res) => {
   res.sendFile(path.join(__dirname, 'public/index.html'));
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
+// PORT=0 picks a free port (the tests do that); the log line names the one in use
+const server = app.listen(PORT, () => {
+  console.log(`Server listening on http://localhost:${server.address().port}`);
 });
+
+// Avatars migrated from data URLs (store.js, v12) are resized once, in the background
+async function resizePendingAvatars() {
+  for (const user of store.listUsers().filter(u => u.avatar && u.avatar.pending)) {
+    const source = path.join(uploadsDir, `avatar-${user.avatar.id}-source`);
+    let avatar = null;
+    try {
+      avatar = await storeAvatar(source);
+    } catch (err) {
+      console.warn(`Could not convert the profile picture of ${user.id}:`, err.message);
+    }
+    removeAvatarFiles(user.avatar);
+    store.updateUser(user.id, { avatar });
+  }
+}
+resizePendingAvatars();
+setInterval(runTimers, TIMER_INTERVAL_MS).unref();
+
+// Realtime: push messages to open tabs. Sockets are authenticated with the session
+// cookie. On (re)connect a client sends { type: 'sync', chats: { [chatId]: lastSeq },
+// changes: { [chatId]: changeSeq } } and gets back whatever it missed: new messages, and
+// as `changed` the ones it has that were edited, deleted or reacted to since its newest
+// changeSeq. Chats the client doesn't list come back as bare summaries; a client too far
+// behind gets the latest page with reset: true.
+const realtime = createRealtime({
+  server,
+  // Browsers always send an Origin; only this site and the allowed ones may connect, so
+  // another page can't open a socket with the user's cookie
+  checkOrigin: (origin, req) => {
+    try {
+      return new URL(origin).host === req.headers.host || ALLOWED_ORIGINS.includes(origin);
+    } catch (err) {
+      return false;
+    }
+  },
+  authenticate: (req) => new Promise(resolve => {
+    sessionParser(req, {}, () => resolve(req.session?.userId || null));
+  }),
+  // First tab opened or last one closed; going offline records the last seen time
+  onPresence(userId, online) {
+    if (!online) store.updateUser(userId, { lastSeenAt: new Date().toISOString() });
+    publishPresence(userId);
+  },
+  onMessage(ws, msg) {
+    if (msg.type === 'delivered' || msg.type === 'read') return handleReceipt(ws.userId, msg);
+    if (msg.type === 'typing') return handleTyping(ws.userId, msg);
+    if (msg.type !== 'sync') return;
+    const known = (msg.chats && typeof msg.chats === 'object') ? msg.chats : {};
+    const changes = (msg.changes && typeof msg.changes === 'object') ? msg.changes : {};
+    const chats = store.listChatsForUser(ws.userId).map(chat => {
+      const summary = chatSummary(chat, ws.userId);
+      if (known[chat.id] === undefined) return summary;
+      const since = Number(known[chat.id]) || 0;
+      let page = store.listMessages(chat.id, { after: since, limit: SYNC_LIMIT });
+      let changed = { messages: [] };
+      if (changes[chat.id] !== undefined && !page.hasNewer) {
+        changed = store.listChangedMessages(chat.id, { after: Number(changes[chat.id]) || 0, upTo: since, limit: SYNC_LIMIT });
+      }
+      let reset = false;
+      if (page.hasNewer || changed.hasMore) {
+        page = store.listMessages(chat.id, { limit: PAGE_SIZE });
+        changed = { messages: [] };
+        reset = true;
+      }
+      return Object.assign(summary, {
+        messages: page.messages.map(m => messageView(m, ws.userId, chat.id)),
+        changed: changed.messages.map(m => messageView(m, ws.userId, chat.id)),
+        hasMore: reset ? page.hasMore : undefined,
+        reset
+      });
+    });
+    realtime.send(ws, 'sync', { chats });
+  }
+});
+
+// Receipts: { type: 'delivered' | 'read', chatId, seq } from a member's client.
+// Every member gets the refreshed summary so ticks and unread counts update.
+function handleReceipt(userId, msg) {
+  const chat = store.getChat(msg.chatId);
+  const seq = Number(msg.seq);
+  if (!isMember(chat, userId) || !Number.isInteger(seq) || seq < 0) return;
+  const changed = store.updateReceipt(chat.id, userId, msg.type === 'read' ? { readSeq: seq } : { deliveredSeq: seq });
+  if (changed) publishChat(store.getChat(chat.id));
+}
+
+// Typing: { type: 'typing', chatId, typing: true | false }, relayed to the other
+// members. Clients expire a "typing" state on their own if no update follows.
+function handleTyping(userId, msg) {
+  const chat = store.getChat(msg.chatId);
+  if (!isMember(chat, userId) || blockedReason(chat, userId)) return;
+  const others = chat.memberIds.filter(id => id !== userId);
+  realtime.sendToUsers(others, 'typing', { chatId: chat.id, userId, typing: msg.typing === true });
+}
@@ -0,0 +1,826 @@
+// store.js - persistence layer for Mirror behind a small repository interface
+// - Drivers: 'json' (default, a single JSON file under ./data) and 'memory' (nothing written)
+// - The stored document carries a schemaVersion; pending migrations run on load
+// - Login sessions live here too (see auth.js), so restarting the server keeps people signed in
+// - seedDemo() inserts the demo accounts ("you" plus the four demo contacts, password "mirror")
+// - Run `node store.js --seed` (or `npm run seed`) to seed without starting the server
+//
+// Reads return copies, so callers must go through the repository methods to change data.
+
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { hashPassword } = require('./auth');
+
+const DEFAULT_FILE = path.join(__dirname, 'data', 'mirror.json');
+// Where server.js keeps uploaded files; only read by migrations
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+
+const DEMO_PASSWORD = 'mirror';
+const DEMO_USERS = [
+  { id: '100001', username: 'you', name: 'You' },
+  { id: '200001', username: 'alex', name: 'Alex Chen' },
+  { id: '200002', username: 'priya', name: 'Priya Patel' },
+  { id: '300001', username: 'luis', name: 'Luis Martinez' },
+  { id: '300002', username: 'emma', name: 'Emma Rossi' }
+];
+const DEMO_OWNER_ID = '100001';
+
+// Ordered schema migrations. Each one moves the document to `version`.
+// Never edit a released migration; append a new one instead.
+const migrations = [
+  {
+    version: 1,
+    up(state) {
+      state.user = state.user || null;
+      state.contacts = state.contacts || [];
+      state.chats = state.chats || [];
+    }
+  },
+  {
+    // v1 had a single hard-coded user and one shared contact list. Everyone becomes
+    // an account (without a password), the old user keeps the contacts and chats,
+    // and messages record their sender instead of a viewer-relative 'sent'/'received'.
+    version: 2,
+    up(state) {
+      const legacy = state.user;
+      state.users = state.users || [];
+      const people = (legacy ? [legacy] : []).concat(state.contacts || []);
+      people.forEach(person => {
+        if (state.users.some(u => u.id === person.id)) return;
+        const demo = DEMO_USERS.find(d => d.id === person.id);
+        state.users.push(Object.assign({
+          username: demo ? demo.username : 'user' + person.id,
+          about: '',
+          phone: '',
+          passwordHash: null,
+          contacts: []
+        }, person));
+      });
+      if (legacy) {
+        state.users.find(u => u.id === legacy.id).contacts = (state.contacts || []).map(c => c.id);
+      }
+      state.chats.forEach(chat => {
+        chat.memberIds = chat.memberIds || (legacy ? [legacy.id] : []);
+        chat.messages.forEach(m => {
+          if (m.senderId === undefined) m.senderId = (m.type === 'received' || !legacy) ? null : legacy.id;
+          delete m.type;
+        });
+      });
+      delete state.user;
+      delete state.contacts;
+    }
+  },
+  {
+    // Friend requests; contacts become mutual friendships
+    version: 3,
+    up(state) {
+      state.friendRequests = state.friendRequests || [];
+      state.users.forEach(user => {
+        user.contacts.forEach(id => {
+          const other = state.users.find(u => u.id === id);
+          if (other && !other.contacts.includes(user.id)) other.contacts.push(user.id);
+        });
+      });
+    }
+  },
+  {
+    // Group chats: named chats become groups whose members are all admins
+    version: 4,
+    up(state) {
+      state.chats.forEach(chat => {
+        chat.kind = chat.kind || (chat.name ? 'group' : 'direct');
+        chat.adminIds = chat.adminIds || (chat.kind === 'group' ? chat.memberIds.slice() : []);
+      });
+    }
+  },
+  {
+    // Per-member delivery/read watermarks; existing history counts as read
+    version: 5,
+    up(state) {
+      state.chats.forEach(chat => {
+        chat.receipts = chat.receipts || {};
+        chat.memberIds.forEach(id => {
+          chat.receipts[id] = chat.receipts[id] || { deliveredSeq: chat.seq || 0, readSeq: chat.seq || 0 };
+        });
+      });
+    }
+  },
+  {
+    // Starred messages are kept per user: [{ chatId, messageId, starredAt }]
+    version: 6,
+    up(state) {
+      state.users.forEach(user => { user.starred = user.starred || []; });
+    }
+  },
+  {
+    // Uploaded files: { id, ownerId, chatId, messageId, fileName, storedName,
+    // thumbName, mime, size, width, height, createdAt }
+    version: 7,
+    up(state) {
+      state.attachments = state.attachments || [];
+    }
+  },
+  {
+    // Files are no longer public under /uploads: every attached message gets an
+    // attachment record and API URLs. Legacy files get their type sniffed on first download.
+    version: 8,
+    up(state) {
+      state.chats.forEach(chat => {
+        chat.messages.forEach(m => {
+          if (!m.fileUrl || !m.fileUrl.startsWith('/uploads/')) return;
+          let attachment = m.attachmentId && state.attachments.find(a => a.id === m.attachmentId);
+          if (!attachment) {
+            const storedName = path.basename(m.fileUrl);
+            let size = 0;
+            try { size = fs.statSync(path.join(UPLOADS_DIR, storedName)).size; } catch (err) { /* file is gone */ }
+            attachment = {
+              id: crypto.randomUUID(),
+              ownerId: m.senderId,
+              chatId: chat.id,
+              messageId: m.id,
+              fileName: m.fileName || storedName,
+              storedName,
+              thumbName: null,
+              mime: null,
+              size,
+              width: null,
+              height: null,
+              createdAt: m.createdAt || new Date().toISOString()
+            };
+            state.attachments.push(attachment);
+            m.attachmentId = attachment.id;
+          }
+          m.fileUrl = '/api/attachments/' + attachment.id;
+          m.thumbUrl = attachment.thumbName ? m.fileUrl + '/thumb' : null;
+        });
+      });
+    }
+  },
+  {
+    // ISO timestamps are the only source of time: the localized "HH:MM" strings go,
+    // chats get createdAt and lastActivityAt (the newest message, else creation)
+    version: 9,
+    up(state) {
+      const now = new Date().toISOString();
+      state.chats.forEach(chat => {
+        chat.messages.forEach(m => { delete m.time; });
+        const first = chat.messages[0];
+        const last = chat.messages[chat.messages.length - 1];
+        chat.createdAt = chat.createdAt || (first && first.createdAt) || now;
+        chat.lastActivityAt = (last && last.createdAt) || chat.createdAt;
+        delete chat.time;
+      });
+    }
+  },
+  {
+    // Per-user chat list state, by chat id: { pinnedAt, archived, mutedUntil, markedUnread }
+    version: 10,
+    up(state) {
+      state.users.forEach(user => { user.chatPrefs = user.chatPrefs || {}; });
+    }
+  },
+  {
+    // Privacy: blocked user ids, and who may see the avatar, about text and last seen
+    // ({ avatar, about, lastSeen, searchable }; missing keys mean the defaults)
+    version: 11,
+    up(state) {
+      state.users.forEach(user => {
+        user.blocked = user.blocked || [];
+        user.privacy = user.privacy || {};
+      });
+    }
+  },
+  {
+    // Avatars are resized image files in ./uploads, recorded as { id, updatedAt }, instead
+    // of data URLs in the document. Old data URLs are written out as avatar-<id>-source
+    // and marked pending; server.js resizes them when it starts.
+    version: 12,
+    up(state) {
+      state.users.forEach(user => {
+        const match = typeof user.avatar === 'string' && user.avatar.match(/^data:image\/[\w.+-]+;base64,(.+)$/);
+        if (!match) {
+          if (typeof user.avatar !== 'object' || !user.avatar) user.avatar = null;
+          return;
+        }
+        const id = crypto.randomUUID();
+        fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+        fs.writeFileSync(path.join(UPLOADS_DIR, `avatar-${id}-source`), Buffer.from(match[1], 'base64'));
+        user.avatar = { id, updatedAt: new Date().toISOString(), pending: true };
+      });
+    }
+  },
+  {
+    // Scheduled messages: { id, chatId, senderId, sendAt, text, replyTo, noPreview,
+    // attachment fields when a file goes with it, createdAt }. Chats get a disappearing
+    // timer in seconds (null = off); new messages in them carry an expiresAt.
+    version: 13,
+    up(state) {
+      state.scheduled = state.scheduled || [];
+      state.chats.forEach(chat => { chat.disappearAfter = chat.disappearAfter || null; });
+    }
+  },
+  {
+    // Chats count changes to their messages (new, edited, deleted, reacted to, starred)
+    // in changeSeq, and each message records the count at its last change, so reconnecting
+    // clients can ask for edits they missed. Existing messages start at their seq.
+    version: 14,
+    up(state) {
+      state.chats.forEach(chat => {
+        chat.changeSeq = chat.seq || 0;
+        chat.messages.forEach(m => { m.changeSeq = m.seq; });
+      });
+    }
+  },
+  {
+    // Login sessions by session id: { data, expiresAt } where data is the express-session
+    // session and expiresAt its cookie's expiry (null for a browser-session cookie)
+    version: 15,
+    up(state) {
+      state.sessions = state.sessions || {};
+    }
+  }
+];
+
+const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+// Drivers only know how to load and save the whole document
+const drivers = {
+  memory() {
+    let snapshot = null;
+    return {
+      load: () => (snapshot ? JSON.parse(snapshot) : null),
+      save: (state) => { snapshot = JSON.stringify(state); }
+    };
+  },
+  json({ file = DEFAULT_FILE } = {}) {
+    return {
+      load() {
+        if (!fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      },
+      save(state) {
+        // Write to a temp file and rename so a crash never leaves half a document
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = file + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+        fs.renameSync(tmp, file);
+      }
+    };
+  }
+};
+
+function migrate(state) {
+  let applied = 0;
+  migrations.forEach(m => {
+    if ((state.schemaVersion || 0) < m.version) {
+      m.up(state);
+      state.schemaVersion = m.version;
+      applied++;
+    }
+  });
+  return applied;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// The chat list's one-line preview of a message
+function lastMessageText(message) {
+  return message.text || (message.voice ? 'Voice message' : message.fileName) || '';
+}
+
+// Chat records are returned without their messages; use listMessages() to page through them
+function chatRecord(chat) {
+  if (!chat) return undefined;
+  const { messages, ...rest } = chat;
+  return clone(rest);
+}
+
+function createStore(options = {}) {
+  const driverName = options.driver || process.env.STORE_DRIVER || 'json';
+  const makeDriver = drivers[driverName];
+  if (!makeDriver) throw new Error('Unknown store driver: ' + driverName);
+  const driver = makeDriver({ file: options.file || process.env.STORE_FILE || DEFAULT_FILE });
+
+  const state = driver.load() || { schemaVersion: 0 };
+  const isNew = !state.schemaVersion;
+  if (migrate(state) > 0) driver.save(state);
+
+  // Saves are coalesced: several mutations in one tick produce one write
+  let dirty = false;
+  function persist() {
+    if (dirty) return;
+    dirty = true;
+    setImmediate(flush);
+  }
+  function flush() {
+    if (!dirty) return;
+    dirty = false;
+    driver.save(state);
+  }
+  process.on('exit', flush);
+
+  // Any change to a message: stamp it with the chat's next change count (see v14)
+  function touchMessage(chat, message) {
+    chat.changeSeq = (chat.changeSeq || 0) + 1;
+    message.changeSeq = chat.changeSeq;
+  }
+
+  function findChat(chatId) {
+    return state.chats.find(c => c.id === chatId);
+  }
+
+  function findUser(userId) {
+    return state.users.find(u => u.id === userId);
+  }
+
+  function sessionExpired(entry, now) {
+    return !!entry.expiresAt && entry.expiresAt <= now;
+  }
+
+  function generateUserId() {
+    let id;
+    do {
+      id = String(crypto.randomInt(100000, 1000000));
+    } while (findUser(id));
+    return id;
+  }
+
+  return {
+    isNew,
+    flush,
+
+    // Users
+    getUser(userId) {
+      return clone(findUser(userId));
+    },
+    listUsers() {
+      return clone(state.users);
+    },
+    findUserByUsername(username) {
+      const wanted = String(username || '').toLowerCase();
+      return clone(state.users.find(u => u.username === wanted));
+    },
+    createUser({ username, name, passwordHash }) {
+      const user = {
+        id: generateUserId(),
+        username: username.toLowerCase(),
+        name,
+        about: '',
+        phone: '',
+        avatar: null,
+        passwordHash,
+        contacts: [],
+        starred: [],
+        chatPrefs: {},
+        blocked: [],
+        privacy: {},
+        createdAt: new Date().toISOString()
+      };
+      state.users.push(user);
+      persist();
+      return clone(user);
+    },
+    updateUser(userId, fields) {
+      const user = findUser(userId);
+      if (!user) return null;
+      Object.assign(user, fields);
+      persist();
+      return clone(user);
+    },
+
+    // Contacts
+    listContacts(userId) {
+      const user = findUser(userId);
+      return user ? clone(user.contacts.map(findUser).filter(Boolean)) : [];
+    },
+
+    // Friendships are stored as mutual entries in each user's contacts
+    addFriendship(userA, userB) {
+      const a = findUser(userA);
+      const b = findUser(userB);
+      if (!a || !b) return;
+      if (!a.contacts.includes(userB)) a.contacts.push(userB);
+      if (!b.contacts.includes(userA)) b.contacts.push(userA);
+      persist();
+    },
+    removeFriendship(userA, userB) {
+      const a = findUser(userA);
+      const b = findUser(userB);
+      if (a) a.contacts = a.contacts.filter(id => id !== userB);
+      if (b) b.contacts = b.contacts.filter(id => id !== userA);
+      persist();
+    },
+
+    // Stars, newest first
+    listStarred(userId) {
+      return clone(findUser(userId)?.starred || []);
+    },
+    isStarred(userId, messageId) {
+      return !!findUser(userId)?.starred.some(s => s.messageId === messageId);
+    },
+    setStarred(userId, chatId, messageId, starred) {
+      const user = findUser(userId);
+      if (!user) return;
+      user.starred = user.starred.filter(s => s.messageId !== messageId);
+      if (starred) user.starred.unshift({ chatId, messageId, starredAt: new Date().toISOString() });
+      const chat = findChat(chatId);
+      const message = chat?.messages.find(m => m.id === messageId);
+      if (message) touchMessage(chat, message);
+      persist();
+    },
+
+    // Chat list state of one user, by chat id: { pinnedAt, archived, mutedUntil, markedUnread, notify }.
+    // Unset values are left out, and a chat with nothing set has no entry.
+    listChatPrefs(userId) {
+      return clone(findUser(userId)?.chatPrefs || {});
+    },
+    getChatPrefs(userId, chatId) {
+      return clone(findUser(userId)?.chatPrefs[chatId] || {});
+    },
+    // null or false removes a value
+    setChatPrefs(userId, chatId, fields) {
+      const user = findUser(userId);
+      if (!user) return null;
+      const prefs = Object.assign({}, user.chatPrefs[chatId], fields);
+      Object.keys(prefs).forEach(key => {
+        if (prefs[key] === null || prefs[key] === false) delete prefs[key];
+      });
+      if (Object.keys(prefs).length > 0) user.chatPrefs[chatId] = prefs;
+      else delete user.chatPrefs[chatId];
+      persist();
+      return clone(prefs);
+    },
+
+    // Attachments; `size` counts towards the owner's storage quota
+    addAttachment(fields) {
+      const attachment = Object.assign({ id: crypto.randomUUID(), createdAt: new Date().toISOString() }, fields);
+      state.attachments.push(attachment);
+      persist();
+      return clone(attachment);
+    },
+    getAttachment(attachmentId) {
+      return clone(state.attachments.find(a => a.id === attachmentId));
+    },
+    updateAttachment(attachmentId, fields) {
+      const attachment = state.attachments.find(a => a.id === attachmentId);
+      if (!attachment) return null;
+      Object.assign(attachment, fields);
+      persist();
+      return clone(attachment);
+    },
+    removeAttachment(attachmentId) {
+      state.attachments = state.attachments.filter(a => a.id !== attachmentId);
+      persist();
+    },
+    storageUsage(userId) {
+      const own = state.attachments.filter(a => a.ownerId === userId);
+      return { bytes: own.reduce((sum, a) => sum + (a.size || 0), 0), count: own.length };
+    },
+
+    // Friend requests: { id, fromId, toId, status: 'pending'|'accepted'|'declined'|'cancelled' }
+    getFriendRequest(requestId) {
+      return clone(state.friendRequests.find(r => r.id === requestId));
+    },
+    findPendingRequest(userA, userB) {
+      return clone(state.friendRequests.find(r => r.status === 'pending' &&
+        ((r.fromId === userA && r.toId === userB) || (r.fromId === userB && r.toId === userA))
+      ));
+    },
+    listPendingRequests(userId) {
+      return clone(state.friendRequests.filter(r =>
+        r.status === 'pending' && (r.fromId === userId || r.toId === userId)
+      ));
+    },
+    createFriendRequest(fromId, toId) {
+      const request = {
+        id: crypto.randomUUID(),
+        fromId,
+        toId,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        respondedAt: null
+      };
+      state.friendRequests.push(request);
+      persist();
+      return clone(request);
+    },
+    setFriendRequestStatus(requestId, status) {
+      const request = state.friendRequests.find(r => r.id === requestId);
+      if (!request) return null;
+      request.status = status;
+      request.respondedAt = new Date().toISOString();
+      persist();
+      return clone(request);
+    },
+
+    // Chats
+    // Most recently active first
+    listChatsForUser(userId) {
+      return state.chats.filter(c => c.memberIds.includes(userId))
+        .sort((a, b) => b.lastActivityAt.localeCompare(a.lastActivityAt))
+        .map(chatRecord);
+    },
+    getChat(chatId) {
+      return chatRecord(findChat(chatId));
+    },
+    findDirectChat(userA, userB) {
+      return chatRecord(state.chats.find(c =>
+        c.kind === 'direct' && c.memberIds.includes(userA) && c.memberIds.includes(userB)
+      ));
+    },
+    // kind: 'direct' (two people, named after the other one) or 'group' (named, with admins)
+    createChat({ id, kind, name, memberIds, adminIds, lastMessage }) {
+      const now = new Date().toISOString();
+      const chat = {
+        id: id || crypto.randomUUID(),
+        kind: kind || 'direct',
+        name: name || null,
+        memberIds: memberIds.slice(),
+        adminIds: (adminIds || []).slice(),
+        createdAt: now,
+        lastActivityAt: now,
+        lastMessage: lastMessage || '',
+        seq: 0,
+        changeSeq: 0,
+        receipts: {},
+        disappearAfter: null,
+        messages: []
+      };
+      state.chats.push(chat);
+      persist();
+      return chatRecord(chat);
+    },
+
+    // Only name, memberIds, adminIds and disappearAfter are meant to change after creation
+    updateChat(chatId, fields) {
+      const chat = findChat(chatId);
+      if (!chat) return null;
+      ['name', 'memberIds', 'adminIds', 'disappearAfter', 'lastActivityAt'].forEach(key => {
+        if (fields[key] !== undefined) chat[key] = Array.isArray(fields[key]) ? fields[key].slice() : fields[key];
+      });
+      persist();
+      return chatRecord(chat);
+    },
+
+    // Messages get a stable id and a per-chat sequence number. The sequence lets
+    // reconnecting clients ask for "everything after N". In a chat with a disappearing
+    // timer, messages other than system notes also get an expiresAt.
+    addMessage(chatId, fields) {
+      const chat = findChat(chatId);
+      if (!chat) return null;
+      chat.seq = (chat.seq || 0) + 1;
+      const message = Object.assign({
+        id: crypto.randomUUID(),
+        seq: chat.seq,
+        createdAt: new Date().toISOString()
+      }, fields);
+      if (chat.disappearAfter && !message.system && !message.expiresAt) {
+        message.expiresAt = new Date(Date.parse(message.createdAt) + chat.disappearAfter * 1000).toISOString();
+      }
+      chat.messages.push(message);
+      touchMessage(chat, message);
+      chat.lastMessage = lastMessageText(message);
+      if (message.createdAt > chat.lastActivityAt) chat.lastActivityAt = message.createdAt;
+      // The author has obviously seen everything up to their own message
+      if (message.senderId) chat.receipts[message.senderId] = { deliveredSeq: chat.seq, readSeq: chat.seq };
+      persist();
+      return clone(message);
+    },
+
+    getMessage(chatId, messageId) {
+      return clone(findChat(chatId)?.messages.find(m => m.id === messageId));
+    },
+
+    // Client-generated ids make retried sends idempotent: a resend of a message the
+    // server already stored finds the original instead of adding a copy
+    findMessageByClientId(chatId, senderId, clientId) {
+      if (!clientId) return null;
+      return clone(findChat(chatId)?.messages.find(m => m.clientId === clientId && m.senderId === senderId));
+    },
+
+    // Shallow-merge fields into a stored message (edits, deletions, hiding)
+    updateMessage(chatId, messageId, fields) {
+      const chat = findChat(chatId);
+      const message = chat?.messages.find(m => m.id === messageId);
+      if (!message) return null;
+      Object.assign(message, fields);
+      touchMessage(chat, message);
+      if (chat.messages[chat.messages.length - 1] === message) {
+        chat.lastMessage = message.deleted ? 'This message was deleted' : lastMessageText(message);
+      }
+      persist();
+      return clone(message);
+    },
+
+    // Messages whose expiresAt has passed, as [{ chatId, message }]
+    listExpiredMessages(now = new Date().toISOString()) {
+      const expired = [];
+      state.chats.forEach(chat => chat.messages.forEach(message => {
+        if (message.expiresAt && message.expiresAt <= now) expired.push({ chatId: chat.id, message });
+      }));
+      return clone(expired);
+    },
+
+    // Drop messages for good (disappearing messages). The chat-list preview falls back
+    // to the newest message that is left.
+    removeMessages(chatId, messageIds) {
+      const chat = findChat(chatId);
+      if (!chat) return;
+      chat.messages = chat.messages.filter(m => !messageIds.includes(m.id));
+      const last = chat.messages[chat.messages.length - 1];
+      chat.lastMessage = !last ? '' : last.deleted ? 'This message was deleted' : lastMessageText(last);
+      state.users.forEach(user => {
+        user.starred = user.starred.filter(s => !(s.chatId === chatId && messageIds.includes(s.messageId)));
+      });
+      persist();
+    },
+
+    // Scheduled messages, oldest sendAt first
+    listScheduled(senderId) {
+      return clone(state.scheduled.filter(s => s.senderId === senderId)
+        .sort((a, b) => a.sendAt.localeCompare(b.sendAt)));
+    },
+    listDueScheduled(now = new Date().toISOString()) {
+      return clone(state.scheduled.filter(s => s.sendAt <= now)
+        .sort((a, b) => a.sendAt.localeCompare(b.sendAt)));
+    },
+    getScheduled(scheduledId) {
+      return clone(state.scheduled.find(s => s.id === scheduledId));
+    },
+    addScheduled(fields) {
+      const entry = Object.assign({ id: crypto.randomUUID(), createdAt: new Date().toISOString() }, fields);
+      state.scheduled.push(entry);
+      persist();
+      return clone(entry);
+    },
+    updateScheduled(scheduledId, fields) {
+      const entry = state.scheduled.find(s => s.id === scheduledId);
+      if (!entry) return null;
+      Object.assign(entry, fields);
+      persist();
+      return clone(entry);
+    },
+    removeScheduled(scheduledId) {
+      state.scheduled = state.scheduled.filter(s => s.id !== scheduledId);
+      persist();
+    },
+
+    // Reactions are stored as { emoji: [userIds] } with at most one emoji per user;
+    // a new one replaces theirs and emoji null removes it
+    setReaction(chatId, messageId, userId, emoji) {
+      const chat = findChat(chatId);
+      const message = chat?.messages.find(m => m.id === messageId);
+      if (!message) return null;
+      const reactions = {};
+      Object.entries(message.reactions || {}).forEach(([key, userIds]) => {
+        const others = userIds.filter(id => id !== userId);
+        if (others.length) reactions[key] = others;
+      });
+      if (emoji) reactions[emoji] = (reactions[emoji] || []).concat(userId);
+      message.reactions = reactions;
+      touchMessage(chat, message);
+      persist();
+      return clone(message);
+    },
+
+    // Receipts are watermarks: "userId has received / read everything up to seq".
+    // They only move forward. Returns the chat's receipts if anything changed, else null.
+    updateReceipt(chatId, userId, { deliveredSeq, readSeq }) {
+      const chat = findChat(chatId);
+      if (!chat || !chat.memberIds.includes(userId)) return null;
+      const current = chat.receipts[userId] || { deliveredSeq: 0, readSeq: 0 };
+      const next = {
+        readSeq: Math.min(chat.seq, Math.max(current.readSeq, readSeq || 0)),
+        deliveredSeq: 0
+      };
+      // Reading implies delivery
+      next.deliveredSeq = Math.min(chat.seq, Math.max(current.deliveredSeq, deliveredSeq || 0, next.readSeq));
+      if (next.readSeq === current.readSeq && next.deliveredSeq === current.deliveredSeq) return null;
+      chat.receipts[userId] = next;
+      persist();
+      return clone(chat.receipts);
+    },
+
+    // Messages from other people after the user's read watermark
+    countUnread(chatId, userId) {
+      const chat = findChat(chatId);
+      if (!chat) return 0;
+      const readSeq = chat.receipts[userId]?.readSeq || 0;
+      let count = 0;
+      for (let i = chat.messages.length - 1; i >= 0 && chat.messages[i].seq > readSeq; i--) {
+        const m = chat.messages[i];
+        if (!m.system && m.senderId !== userId) count++;
+      }
+      return count;
+    },
+
+    // One page of messages in ascending seq order. With `before`, the page ends just
+    // before that seq; with `after`, it starts just after it; with `around` (a message
+    // id), it is centred on that message; otherwise it is the latest page.
+    // hasMore says whether older messages exist before the page, hasNewer whether
+    // newer ones exist after it.
+    listMessages(chatId, { before, after, around, limit = 50 } = {}) {
+      const all = findChat(chatId)?.messages || [];
+      let start;
+      let end;
+      if (around !== undefined) {
+        const idx = all.findIndex(m => m.id === around);
+        if (idx < 0) return null;
+        start = Math.max(0, idx - Math.floor(limit / 2));
+        end = Math.min(all.length, start + limit);
+        start = Math.max(0, end - limit);
+      } else if (after !== undefined) {
+        start = all.findIndex(m => m.seq > after);
+        if (start < 0) start = all.length;
+        end = Math.min(all.length, start + limit);
+      } else {
+        end = before !== undefined ? all.findIndex(m => m.seq >= before) : -1;
+        if (end < 0) end = all.length;
+        start = Math.max(0, end - limit);
+      }
+      return { messages: clone(all.slice(start, end)), hasMore: start > 0, hasNewer: end < all.length };
+    },
+
+    // Messages up to seq `upTo` changed since changeSeq `after`, in the order they changed.
+    // hasMore: there were more than `limit` of them.
+    listChangedMessages(chatId, { after, upTo, limit = 50 }) {
+      const changed = (findChat(chatId)?.messages || [])
+        .filter(m => m.seq <= upTo && m.changeSeq > after)
+        .sort((a, b) => a.changeSeq - b.changeSeq);
+      return { messages: clone(changed.slice(0, limit)), hasMore: changed.length > limit };
+    },
+
+    // Newest-first search over message text and attachment names in the given chats.
+    // Every term must match (case-insensitive); from/to bound createdAt (ISO strings).
+    // Deleted messages and ones `userId` deleted for themselves are skipped.
+    searchMessages({ userId, chatIds, terms, from, to, limit = 50 }) {
+      const needles = terms.map(t => t.toLowerCase());
+      const results = [];
+      state.chats.filter(c => chatIds.includes(c.id)).forEach(chat => {
+        chat.messages.forEach(m => {
+          if (m.system || m.deleted || (m.hiddenFor || []).includes(userId)) return;
+          if (from && m.createdAt < from) return;
+          if (to && m.createdAt >= to) return;
+          const haystack = ((m.text || '') + ' ' + (m.fileName || '')).toLowerCase();
+          if (needles.every(n => haystack.includes(n))) results.push({ chatId: chat.id, message: m });
+        });
+      });
+      results.sort((a, b) => (a.message.createdAt < b.message.createdAt ? 1 : -1));
+      return clone(results.slice(0, limit));
+    },
+
+    // Login sessions; expired ones are never returned and are dropped when a session is saved
+    getSession(sessionId) {
+      const entry = Object.hasOwn(state.sessions, sessionId) ? state.sessions[sessionId] : null;
+      if (!entry || sessionExpired(entry, new Date().toISOString())) return null;
+      return clone(entry.data);
+    },
+    setSession(sessionId, data) {
+      const now = new Date().toISOString();
+      Object.keys(state.sessions).forEach(id => {
+        if (sessionExpired(state.sessions[id], now)) delete state.sessions[id];
+      });
+      const expires = data.cookie && data.cookie.expires;
+      state.sessions[sessionId] = { data: clone(data), expiresAt: expires ? new Date(expires).toISOString() : null };
+      persist();
+    },
+    removeSession(sessionId) {
+      if (!Object.hasOwn(state.sessions, sessionId)) return;
+      delete state.sessions[sessionId];
+      persist();
+    },
+
+    // Demo accounts; safe to run repeatedly. Also sets the demo password on
+    // demo accounts migrated from v1, which had no passwords.
+    seedDemo() {
+      DEMO_USERS.forEach(demo => {
+        let user = findUser(demo.id);
+        if (!user) {
+          user = Object.assign({ about: '', phone: '', avatar: null, passwordHash: null, contacts: [], starred: [], chatPrefs: {}, blocked: [], privacy: {}, createdAt: new Date().toISOString() }, demo);
+          state.users.push(user);
+        }
+        if (!user.passwordHash) user.passwordHash = hashPassword(DEMO_PASSWORD);
+        // The demo owner knows everyone; everyone else knows the owner
+        const contacts = demo.id === DEMO_OWNER_ID
+          ? DEMO_USERS.filter(d => d.id !== DEMO_OWNER_ID).map(d => d.id)
+          : [DEMO_OWNER_ID];
+        contacts.forEach(id => { if (!user.contacts.includes(id)) user.contacts.push(id); });
+      });
+      persist();
+    }
+  };
+}
+
+module.exports = { createStore, SCHEMA_VERSION };
+
+if (require.main === module && process.argv.includes('--seed')) {
+  const store = createStore();
+  store.seedDemo();
+  store.flush();
+  console.log('Seeded demo accounts (password: ' + DEMO_PASSWORD + ')');
+}
@@ -0,0 +1,68 @@
+// helpers.js - shared setup for the API tests
+// - startServer() runs server.js in a child process on a free port with the in-memory
+//   store (seeded with the demo users), so tests never touch ./data
+// - login() signs in one of the demo users and returns a client bound to their cookie
+
+'use strict';
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const DEMO_PASSWORD = 'mirror';
+
+function startServer() {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['server.js'], {
+      cwd: ROOT,
+      env: Object.assign({}, process.env, { NODE_ENV: 'test', PORT: '0', STORE_DRIVER: 'memory' }),
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      const match = output.match(/listening on (http:\/\/\S+)/);
+      if (match) resolve({ url: match[1], stop: () => child.kill() });
+    });
+    child.on('exit', code => reject(new Error('Server exited with code ' + code)));
+  });
+}
+
+// request(method, path, body) sends JSON bodies (or raw strings / FormData as they are)
+// and resolves to { status, headers, body } with the body parsed when it is JSON
+function client(url, cookie) {
+  async function request(method, route, body, headers = {}) {
+    const options = { method, headers: Object.assign({}, headers) };
+    if (cookie) options.headers.Cookie = cookie;
+    if (body !== undefined) {
+      if (typeof body === 'string' || body instanceof FormData) {
+        options.body = body;
+      } else {
+        options.body = JSON.stringify(body);
+      }
+      if (!(body instanceof FormData) && !options.headers['Content-Type']) options.headers['Content-Type'] = 'application/json';
+    }
+    const res = await fetch(url + route, options);
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      // not JSON; keep the text
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+  return { request };
+}
+
+async function login(url, username) {
+  const res = await fetch(url + '/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password: DEMO_PASSWORD })
+  });
+  if (res.status !== 200) throw new Error(`Login as ${username} failed (${res.status})`);
+  return client(url, res.headers.get('set-cookie').split(';')[0]);
+}
+
+module.exports = { startServer, login, client };
@@ -0,0 +1,174 @@
+// validation.test.js - the API's rejection paths: request schemas, body parsing errors
+// and rate limits (validation.js, ratelimit.js and the routes in server.js)
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, login, client } = require('./helpers');
+
+let server;
+let you;
+// Base path of a direct chat between "you" and alex
+let CHAT;
+
+test.before(async () => {
+  server = await startServer();
+  you = await login(server.url, 'you');
+  const chat = await you.request('POST', '/api/start-chat', { contactId: '200001' });
+  CHAT = '/api/chats/' + chat.body.id;
+});
+
+test.after(() => server.stop());
+
+function assertInvalid(res, field, message) {
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'invalid_request');
+  const detail = res.body.details.find(d => d.field === field);
+  assert.ok(detail, `expected a detail for ${field}, got ${JSON.stringify(res.body.details)}`);
+  if (message) assert.equal(detail.message, message);
+}
+
+test('unknown fields are refused with details', async () => {
+  const res = await you.request('POST', CHAT + '/messages', { text: 'hi', admin: true });
+  assertInvalid(res, 'admin', 'is not allowed');
+  assert.equal(res.body.error, 'admin is not allowed');
+});
+
+test('unknown fields inside nested objects are refused', async () => {
+  const res = await you.request('POST', '/api/profile', { privacy: { about: 'contacts', foo: 1 } });
+  assertInvalid(res, 'privacy.foo', 'is not allowed');
+});
+
+test('unknown query parameters are refused', async () => {
+  assertInvalid(await you.request('GET', CHAT + '/messages?foo=1'), 'foo', 'is not allowed');
+});
+
+test('wrong types are refused', async () => {
+  assertInvalid(await you.request('POST', CHAT + '/messages', { text: 123 }), 'text', 'must be a string');
+  assertInvalid(await you.request('POST', CHAT + '/messages', { text: 'hi', noPreview: 'yes' }), 'noPreview', 'must be true or false');
+  assertInvalid(await you.request('PATCH', CHAT + '/prefs', { pinned: 'yes' }), 'pinned');
+  assertInvalid(await you.request('POST', '/api/groups', { name: 'G', memberIds: 'alex' }), 'memberIds', 'must be a list');
+  assertInvalid(await you.request('GET', CHAT + '/messages?limit=abc'), 'limit');
+});
+
+test('missing, empty and too long values are refused', async () => {
+  assertInvalid(await you.request('POST', CHAT + '/messages', {}), 'text', 'is required');
+  assertInvalid(await you.request('POST', CHAT + '/messages', { text: '' }), 'text', 'must not be empty');
+  assertInvalid(await you.request('POST', CHAT + '/messages', { text: 'a'.repeat(10001) }), 'text', 'must be at most 10000 characters');
+  assertInvalid(await you.request('POST', '/api/groups', { name: 'G', memberIds: [] }), 'memberIds', 'must not be empty');
+});
+
+test('all-digit usernames are refused', async () => {
+  const res = await client(server.url).request('POST', '/api/auth/register', { username: '123456', password: 'secret1' });
+  assertInvalid(res, 'username', 'must be 3-32 letters, digits, "_" or "." and not only digits');
+});
+
+test('whitespace-only messages are refused', async () => {
+  const res = await you.request('POST', CHAT + '/messages', { text: '   \n ' });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'invalid_request');
+});
+
+test('__proto__ keys are refused and pollute nothing', async () => {
+  const body = '{"name":"You","__proto__":{"admin":true}}';
+  assertInvalid(await you.request('POST', '/api/profile', body), '__proto__', 'is not allowed');
+  const nested = '{"privacy":{"__proto__":{"about":"nobody"}}}';
+  assertInvalid(await you.request('POST', '/api/profile', nested), 'privacy.__proto__', 'is not allowed');
+  assert.equal({}.admin, undefined);
+});
+
+test('posting to an unknown chat is a 404', async () => {
+  const res = await you.request('POST', '/api/chats/madeup123/messages', { text: 'hi', clientId: 'x1' });
+  assert.equal(res.status, 404);
+  assert.equal(res.body.code, 'not_found');
+});
+
+test('multipart routes refuse unknown fields too', async () => {
+  const form = new FormData();
+  form.append('evil', '1');
+  assertInvalid(await you.request('POST', '/api/chats/import', form), 'evil', 'is not allowed');
+});
+
+test('bodies that are not JSON get invalid_json', async () => {
+  const res = await you.request('POST', '/api/profile', '{bad');
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'invalid_json');
+});
+
+test('bodies over the size limit get a 413', async () => {
+  const res = await you.request('POST', '/api/profile', JSON.stringify({ about: 'a'.repeat(200 * 1024) }));
+  assert.equal(res.status, 413);
+  assert.equal(res.body.code, 'too_large');
+});
+
+test('unknown API routes are JSON 404s', async () => {
+  const res = await you.request('GET', '/api/nope');
+  assert.equal(res.status, 404);
+  assert.equal(res.body.code, 'not_found');
+});
+
+test('requests without a session are refused', async () => {
+  const res = await client(server.url).request('GET', '/api/init');
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, 'unauthorized');
+});
+
+test('blocked users cannot be added to groups', async () => {
+  const group = await you.request('POST', '/api/groups', { name: 'G', memberIds: ['200002'] });
+  assert.equal(group.status, 201);
+  assert.equal((await you.request('POST', '/api/blocks', { userId: '300002' })).status, 200);
+  try {
+    assert.equal((await you.request('POST', '/api/groups', { name: 'G', memberIds: ['300002'] })).status, 400);
+    const added = await you.request('POST', `/api/chats/${group.body.id}/members`, { userIds: ['300002'] });
+    assert.equal(added.status, 400);
+  } finally {
+    await you.request('DELETE', '/api/blocks/300002');
+  }
+});
+
+// Sends `count` requests and returns the last response
+async function repeat(count, send) {
+  let res;
+  for (let i = 0; i < count; i++) res = await send(i);
+  return res;
+}
+
+function assertRateLimited(res) {
+  assert.equal(res.status, 429);
+  assert.equal(res.body.code, 'rate_limited');
+  const retryAfter = Number(res.headers.get('retry-after'));
+  assert.ok(retryAfter > 0 && retryAfter <= 60, 'Retry-After ' + retryAfter);
+  assert.equal(res.body.details.retryAfter, retryAfter);
+}
+
+test('sending messages is rate limited per user', async () => {
+  const alex = await login(server.url, 'alex');
+  const send = i => alex.request('POST', CHAT + '/messages', { text: 'm' + i, clientId: 'rate-' + i });
+  const last = await repeat(60, send);
+  assert.equal(last.status, 200);
+  assertRateLimited(await send(60));
+  // Other users still get through
+  assert.equal((await you.request('POST', CHAT + '/messages', { text: 'still here' })).status, 200);
+});
+
+test('uploads are rate limited per user', async () => {
+  const priya = await login(server.url, 'priya');
+  // The limit comes before the upload is read, so requests without a file count too
+  const send = () => {
+    const form = new FormData();
+    form.append('evil', '1');
+    return priya.request('POST', '/api/profile/avatar', form);
+  };
+  const last = await repeat(20, send);
+  assert.equal(last.status, 400);
+  assertRateLimited(await send());
+});
+
+test('friend requests are rate limited per user', async () => {
+  const luis = await login(server.url, 'luis');
+  const send = () => luis.request('POST', '/api/friend-requests', { toId: '300002' });
+  const last = await repeat(10, send);
+  assert.notEqual(last.status, 429);
+  assertRateLimited(await send());
+});
@@ -0,0 +1,165 @@
+// validation.js - request schemas for the /api routes
+// - validate({ params, query, body }) is route middleware; each part maps field names to
+//   rules, and fields a route doesn't declare are refused
+// - Rules: string, integer, boolean, oneOf, array, object. Fields are optional unless
+//   { required: true }; null only passes with { nullable: true }
+// - A refused request gets 400 { error, code: 'invalid_request', details: [{ field, message }] }
+// - errorCodes() adds a `code` (from the status) to every other JSON error, and
+//   errorHandler() answers unparseable or oversized bodies the same way
+
+'use strict';
+
+const CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'too_large',
+  415: 'unsupported_type',
+  429: 'rate_limited',
+  500: 'server_error'
+};
+
+// check(value) returns a message ("must be ...") or null
+function rule({ required = false, nullable = false }, check) {
+  return { required, nullable, check };
+}
+
+function string(options = {}) {
+  const { min = 0, max, pattern, message } = options;
+  return rule(options, value => {
+    if (typeof value !== 'string') return 'must be a string';
+    if (value.length < min) return min === 1 ? 'must not be empty' : `must be at least ${min} characters`;
+    if (max !== undefined && value.length > max) return `must be at most ${max} characters`;
+    if (pattern && !pattern.test(value)) return message || 'is not in the expected format';
+    return null;
+  });
+}
+
+function integer(options = {}) {
+  const { min, max } = options;
+  return rule(options, value => {
+    if (!Number.isInteger(value)) return 'must be a whole number';
+    if (min !== undefined && value < min) return `must be at least ${min}`;
+    if (max !== undefined && value > max) return `must be at most ${max}`;
+    return null;
+  });
+}
+
+function boolean(options = {}) {
+  return rule(options, value => typeof value === 'boolean' ? null : 'must be true or false');
+}
+
+function oneOf(values, options = {}) {
+  return rule(options, value => values.includes(value) ? null : 'must be one of ' + values.join(', '));
+}
+
+// Items are checked with `item`; their errors name the index ("memberIds[2]")
+function array(item, options = {}) {
+  const { min = 0, max } = options;
+  const result = rule(options, value => {
+    if (!Array.isArray(value)) return 'must be a list';
+    if (value.length < min) return min === 1 ? 'must not be empty' : `must have at least ${min} items`;
+    if (max !== undefined && value.length > max) return `must have at most ${max} items`;
+    return null;
+  });
+  result.items = item;
+  return result;
+}
+
+function object(schema, options = {}) {
+  return Object.assign(rule(options, () => null), { schema });
+}
+
+function fieldName(path, key) {
+  return path ? path + '.' + key : key;
+}
+
+function checkObject(schema, value, path, details) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    details.push({ field: path || 'body', message: 'must be an object' });
+    return;
+  }
+  Object.keys(value).forEach(key => {
+    if (!Object.hasOwn(schema, key)) details.push({ field: fieldName(path, key), message: 'is not allowed' });
+  });
+  Object.keys(schema).forEach(key => checkValue(schema[key], value[key], fieldName(path, key), details));
+}
+
+function checkValue(rule, value, field, details) {
+  if (value === undefined) {
+    if (rule.required) details.push({ field, message: 'is required' });
+    return;
+  }
+  if (value === null) {
+    if (!rule.nullable) details.push({ field, message: 'must not be null' });
+    return;
+  }
+  if (rule.schema) return checkObject(rule.schema, value, field, details);
+  const message = rule.check(value);
+  if (message) return details.push({ field, message });
+  if (rule.items) value.forEach((item, i) => checkValue(rule.items, item, `${field}[${i}]`, details));
+}
+
+// Problems with `value` against a schema, as [{ field, message }] (empty when it fits).
+// A missing body counts as an empty object.
+function check(schema, value) {
+  const details = [];
+  checkObject(schema, value === undefined ? {} : value, '', details);
+  return details;
+}
+
+function sendInvalid(res, details) {
+  const first = details[0];
+  res.status(400).json({ error: `${first.field} ${first.message}`, code: CODES[400], details });
+}
+
+function validate(parts) {
+  return (req, res, next) => {
+    const details = [];
+    ['params', 'query', 'body'].forEach(part => {
+      if (parts[part]) details.push(...check(parts[part], req[part]));
+    });
+    if (details.length > 0) return sendInvalid(res, details);
+    next();
+  };
+}
+
+function errorCodes() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+        body = Object.assign({ error: body.error, code: CODES[res.statusCode] || 'error' }, body);
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+function errorHandler() {
+  return (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Request body is too large' });
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_json' });
+    const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+    if (status === 500) console.error(err);
+    res.status(status).json({ error: status === 500 ? 'Something went wrong' : err.message });
+  };
+}
+
+module.exports = {
+  validate,
+  check,
+  sendInvalid,
+  errorCodes,
+  errorHandler,
+  string,
+  integer,
+  boolean,
+  oneOf,
+  array,
+  object
+};